@@ -2,8 +2,30 @@ const express = require('express');
 const mysql = require('mysql2/promise');
 const cors = require('cors');
 const cron = require('node-cron');
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
+const { LogTailer } = require('./lib/tailer');
+const { listLogFiles, openLogStream, fingerprintFile, readLineBatches } = require('./lib/archive');
+const { attachDeliveries } = require('./lib/deliveries');
+const { attachLinkedMessages, attachBounces } = require('./lib/lifecycle');
+const { fetchMessage } = require('./lib/timeline');
+const { expandQueueIds } = require('./lib/sessions');
+const { createRegistry } = require('./lib/parsers');
+const { createSummary, completeSummary, ingestLines } = require('./lib/ingest');
+const { loadCheckpoint, saveCheckpoint, saveFileProgress } = require('./lib/checkpoints');
+const { SyslogReceiver } = require('./lib/syslog');
+const { FORMATS, createFormat } = require('./lib/formats');
+const { QuerySyntaxError, buildSearchFilter } = require('./lib/search');
+const { MAX_LIMIT, parseLimit, decodeCursor, keysetCondition, keysetPage, estimateRows } = require('./lib/pagination');
+const { EXPORT_FORMATS, streamExport } = require('./lib/export');
+const { METRICS, OPERATORS, validateRule, evaluateAlerts, testNotification } = require('./lib/alerts');
+const { WEBHOOK_STATUSES, DSN_CLASSES, generateSecret, validateWebhook, WebhookDispatcher } = require('./lib/webhooks');
+const { Metrics } = require('./lib/metrics');
+const { PRIVACY_MODE, maskField, maskValues, isAddress, eraseAddress } = require('./lib/privacy');
+const {
+  ROLES, SESSION_COOKIE, TOKEN_PREFIX, hashPassword, verifyPassword, hashSecret, generateSecret: generateAuthSecret,
+  validateUser, validateScopes, authenticate, createSession, LoginThrottle
+} = require('./lib/auth');
 
 /**
  * SMTP Log Viewer - Backend Server
@@ -14,8 +36,19 @@ const path = require('path');
  * Features:
  * - Automatic log parsing (every hour via cron job)
  * - Manual import trigger via API endpoint
+ * - Backfill of rotated and compressed (.gz/.xz) archives
+ * - Rejection tracking (NOQUEUE rejects, postscreen, anvil)
+ * - OpenDKIM signing and verification results per message
+ * - smtpd session tracking (connect to disconnect, IPv4 and IPv6 clients)
  * - Email tracking and statistics
- * - Log file auto-cleanup (truncate after import)
+ * - Incremental byte-offset import that follows log rotation (never modifies mail.log)
+ * - Built-in syslog receiver (UDP/TCP, RFC 5424/3164) for near real-time ingestion
+ * - Alert rules evaluated every minute and after each import, notified by webhook or email
+ * - Signed outbound webhooks when a message changes status, with a persistent retry queue
+ * - Prometheus metrics (/metrics) and a readiness check (/api/health)
+ * - Local users with viewer/operator/admin roles, session login and scoped API tokens
+ * - Pseudonymized addresses at import time and GDPR erasure of a data subject
+ * - systemd journal (export/json) and JSON-lines sources
  * - Comprehensive error handling and logging
  * 
  * Environment Variables:
@@ -25,14 +58,40 @@ const path = require('path');
  * - DB_PASSWORD: Database password
  * - DB_NAME: Database name (default: smtplog)
  * - PORT: Server port (default: 3000)
+ * - LOG_FILE: Postfix log file to import (default: /app/logs/mail.log)
+ * - BACKFILL_DIR: Directory the backfill API may read archives from (default: directory of LOG_FILE)
+ * - PARSER_PLUGINS: Comma-separated modules registering custom log parsers
+ * - LOG_FORMAT: Format of LOG_FILE: syslog, journal-json, journal-export or json (default: syslog)
+ * - LOG_JSON_FIELDS: Field mapping of the json format (e.g. timestamp=time,message=msg)
+ * - IMPORT_BATCH_LINES: Lines stored per import transaction (default: 1000)
+ * - LOG_TIMEZONE: IANA timezone of log timestamps without an offset (default: server timezone)
+ * - SYSLOG_UDP_PORT / SYSLOG_TCP_PORT: Ports of the syslog receiver (default: disabled)
+ * - SYSLOG_HOST: Address the syslog receiver listens on (default: 0.0.0.0)
+ * - EXPORT_MAX_ROWS: Rows per CSV/NDJSON export unless the request overrides it (default: 100000)
+ * - ALERT_SMTP_HOST / ALERT_SMTP_PORT: SMTP server of alert emails (default: disabled / 25)
+ * - ALERT_SMTP_SECURE: Use TLS from the start (port 465) (default: false)
+ * - ALERT_SMTP_USER / ALERT_SMTP_PASS: SMTP authentication (default: none)
+ * - ALERT_MAIL_FROM: Sender of alert emails (default: smtp-log-viewer@localhost)
+ * - IMPORT_STALE_MINUTES: Age of the last successful import that fails /api/health (default: 150)
+ * - ADMIN_USERNAME / ADMIN_PASSWORD: First admin, created when there are no users (default: admin / generated and logged)
+ * - SESSION_TTL_HOURS: Idle time after which a login session expires (default: 12)
+ * - SESSION_COOKIE_SECURE: Send the session cookie over HTTPS only (default: false)
+ * - CORS_ORIGINS: Comma-separated origins allowed to call the API from a browser (default: none, same origin only)
+ * - PRIVACY_MODE: off, hash or mask the local part of addresses when importing (default: off)
+ * - PRIVACY_HASH_KEY: Secret key of the hash mode pseudonyms and line fingerprints (required by PRIVACY_MODE=hash and mask)
+ * - PRIVACY_MASK_RESPONSES: Mask addresses in API responses and exports for non-admins (default: false)
  * - NODE_ENV: Environment (default: production)
  */
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Browser origins allowed to call the API; the bundled frontend is served from the same origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.set('trust proxy', 'loopback, uniquelocal');
+app.use(cors({ origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : false, credentials: true }));
 app.use(express.json());
 
 // Database pool
@@ -47,6 +106,108 @@ const pool = mysql.createPool({
   queueLimit: 0,
 });
 
+// Prometheus metrics, served on /metrics
+const metrics = new Metrics(pool);
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_COOKIE_SECURE = process.env.SESSION_COOKIE_SECURE === 'true';
+const loginThrottle = new LoginThrottle();
+
+// Identify the user or API token of every request as req.auth (null if anonymous)
+app.use(async (req, res, next) => {
+  // The health check must answer even when the database does not
+  if (req.path === '/api/health') {
+    req.auth = null;
+    return next();
+  }
+  try {
+    req.auth = await authenticate(pool, req, SESSION_TTL_MS);
+    next();
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error authenticating request:`, error.message);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+});
+
+/**
+ * Middleware refusing requests without a permission
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Function} Express middleware: 401 if anonymous, 403 if not allowed
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!req.auth.permissions.includes(permission)) {
+      return res.status(403).json({ error: `This requires the ${permission} permission` });
+    }
+    next();
+  };
+}
+
+/**
+ * Create the first admin when there are no users yet, from ADMIN_USERNAME
+ * and ADMIN_PASSWORD; without ADMIN_PASSWORD a random password is logged
+ */
+async function ensureAdminUser() {
+  const [[{ users }]] = await pool.query('SELECT COUNT(*) AS users FROM users');
+  if (Number(users) > 0) return;
+
+  const generated = !process.env.ADMIN_PASSWORD;
+  const { user, error } = validateUser({
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || generateAuthSecret().substring(0, 20),
+    role: 'admin'
+  }, true);
+  if (error) {
+    throw new Error(`Cannot create the admin user: ${error}`);
+  }
+
+  await pool.query(
+    'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+    [user.username, await hashPassword(user.password), user.role]
+  );
+  console.log(`[${new Date().toISOString()}] Created admin user "${user.username}"` +
+    (generated ? ` with password ${user.password} (change it after logging in)` : ''));
+}
+
+/**
+ * Set or clear the session cookie
+ * @param {Object} res - Express response
+ * @param {string|null} sessionId - Session ID, null to clear
+ */
+function setSessionCookie(res, sessionId) {
+  const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict'];
+  if (SESSION_COOKIE_SECURE) attributes.push('Secure');
+  attributes.push(sessionId ? `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}` : 'Max-Age=0');
+  res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId || ''}; ${attributes.join('; ')}`);
+}
+
+const PRIVACY_MASK_RESPONSES = process.env.PRIVACY_MASK_RESPONSES === 'true';
+
+/**
+ * Whether the addresses in the response to a request must be masked
+ * @param {Object} req - Express request, after authentication
+ * @returns {boolean} True for non-admins when PRIVACY_MASK_RESPONSES is set
+ */
+function masksAddresses(req) {
+  return PRIVACY_MASK_RESPONSES && Boolean(req.auth) && !req.auth.permissions.includes('admin');
+}
+
+// Mask the addresses of every JSON response to non-admins (exports are masked in handleExport)
+app.use((req, res, next) => {
+  if (masksAddresses(req)) {
+    const json = res.json.bind(res);
+    res.json = body => json(maskValues(body));
+  }
+  next();
+});
+
 // ============================================================================
 // LOG STREAMING - Server-Sent Events
 // ============================================================================
@@ -54,6 +215,35 @@ const pool = mysql.createPool({
 let sseClients = [];
 let importInProgress = false;
 
+// The import running now (LOG_FILE, backfill or syslog batch). Imports never
+// overlap: two tailers resuming from the same checkpoint would read the same lines
+let activeImport = null;
+
+/**
+ * Run an import unless another one is running
+ * @param {Function} task - async () => result
+ * @returns {Promise|null} The import, null if another one is running
+ */
+function tryImport(task) {
+  if (activeImport) return null;
+  activeImport = task().finally(() => {
+    activeImport = null;
+  });
+  return activeImport;
+}
+
+/**
+ * Run an import once the running one, if any, has finished
+ * @param {Function} task - async () => result
+ * @returns {Promise} The import
+ */
+async function queueImport(task) {
+  while (activeImport) {
+    await activeImport.catch(() => {});
+  }
+  return tryImport(task);
+}
+
 /**
  * Add an SSE client to receive log updates
  */
@@ -125,7 +315,7 @@ async function initializeDatabase() {
         hostname VARCHAR(255),
         service VARCHAR(100),
         process_id INT,
-        message_id VARCHAR(100) UNIQUE,
+        message_id VARCHAR(100),
         content TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         INDEX idx_log_date (log_date),
@@ -170,734 +360,2494 @@ async function initializeDatabase() {
       CREATE TABLE IF NOT EXISTS processed_logs (
         id INT AUTO_INCREMENT PRIMARY KEY,
         log_file VARCHAR(255) NOT NULL,
+        last_position BIGINT,
         processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         UNIQUE KEY unique_file (log_file)
       )
     `);
 
-    console.log('[' + new Date().toISOString() + '] Database tables initialized successfully');
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    throw error;
-  } finally {
-    await connection.release();
-  }
-}
-
-// ============================================================================
-// LOG PARSING - Pre-compiled Regex Patterns
-// ============================================================================
+    // Tailer checkpoint: byte offset plus inode/head fingerprint of the file
+    await connection.execute(`
+      ALTER TABLE processed_logs ADD COLUMN IF NOT EXISTS last_position BIGINT
+    `);
 
-// Regex patterns compiled once for performance
-const REGEX_PATTERNS = {
-  // Format: 2026-02-11T09:26:24... hostname service[pid]: message
-  logLine: /^([^\s]+)\s+([^\s]+)\s+([^\s\[]+)\[(\d+)\]:\s+(.*)$/,
-  messageId: /^([A-F0-9]+):\s*/,
-  email: /(?:<([^>]+)>|([^,\s]+))/,
-  from: /from=(?:<([^>]+)>|([^,\s]+))/,
-  to: /to=(?:<([^>]+)>|([^,\s]+))/,
-  size: /size=(\d+)/,
-  relay: /relay=([^\s,]+)/,
-  delay: /delay=([\d.]+)/,
-  dsn: /dsn=([\d.]+)/,
-  status: /status=(\w+)\s+\(([^)]*)\)/,
-  clientIpSmtp: /connect from \S+\[(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\]/,
-  clientIpSmtpd: /client=\S+\[(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\]/
-};
+    await connection.execute(`
+      ALTER TABLE processed_logs ADD COLUMN IF NOT EXISTS file_inode BIGINT UNSIGNED
+    `);
 
-/**
- * Parse a single log line
- * @param {string} line - Raw log line
- * @returns {Object|null} Parsed log or null if invalid
- */
-function parseLogLine(line) {
-  if (!line.trim()) return null;
-  
-  const match = line.match(REGEX_PATTERNS.logLine);
-  if (!match) return null;
+    await connection.execute(`
+      ALTER TABLE processed_logs ADD COLUMN IF NOT EXISTS head_hash CHAR(40)
+    `);
 
-  const [, timestamp, hostname, service, processId, content] = match;
-  
-  try {
-    return {
-      timestamp,
-      logDate: new Date(timestamp),
-      hostname,
-      service,
-      processId: parseInt(processId),
-      content
-    };
-  } catch (error) {
-    console.warn(`Failed to parse log line: ${line.substring(0, 80)}...`, error.message);
-    return null;
-  }
-}
+    // Aggregate status needs to know how many recipients a message has
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS recipient_count INT
+    `);
 
-/**
- * Extract email data from postfix/qmgr log line
- * @param {string} content - Log content
- * @returns {Object} Email data object
- */
-function extractQmgrData(content) {
-  const emailData = {};
-  
-  const fromMatch = content.match(REGEX_PATTERNS.from);
-  const sizeMatch = content.match(REGEX_PATTERNS.size);
-  
-  if (fromMatch) {
-    emailData.from = fromMatch[1] || fromMatch[2];
-  }
-  
-  if (sizeMatch) {
-    emailData.size = parseInt(sizeMatch[1]);
-  }
-  
-  return emailData;
-}
+    // Message lifecycle, persisted across import batches
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS nrcpt INT
+    `);
 
-/**
- * Extract email data from postfix/smtpd log line
- * @param {string} content - Log content
- * @returns {Object} Email data object
- */
-function extractSmtpdData(content) {
-  const emailData = {};
-  
-  const clientIpMatch = content.match(REGEX_PATTERNS.clientIpSmtpd);
-  
-  if (clientIpMatch) {
-    emailData.clientIp = clientIpMatch[1];
-  }
-  
-  return emailData;
-}
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS queue_state VARCHAR(20)
+    `);
 
-/**
- * Extract email data from postfix/smtp log line
- * @param {string} content - Log content
- * @returns {Object} Email data object
- */
-function extractSmtpData(content) {
-  const emailData = {};
-  
-  const toMatch = content.match(REGEX_PATTERNS.to);
-  const relayMatch = content.match(REGEX_PATTERNS.relay);
-  const delayMatch = content.match(REGEX_PATTERNS.delay);
-  const dsnMatch = content.match(REGEX_PATTERNS.dsn);
-  const statusMatch = content.match(REGEX_PATTERNS.status);
-  const clientIpMatch = content.match(REGEX_PATTERNS.clientIpSmtp);
-  
-  if (toMatch) {
-    emailData.to = toMatch[1] || toMatch[2];
-  }
-  
-  if (relayMatch) {
-    emailData.relay = relayMatch[1];
-  }
-  
-  if (delayMatch) {
-    emailData.delay = parseFloat(delayMatch[1]);
-  }
-  
-  if (dsnMatch) {
-    emailData.dsn = dsnMatch[1];
-  }
-  
-  if (statusMatch) {
-    emailData.status = statusMatch[1];
-    emailData.response = statusMatch[2];
-  }
-  
-  if (clientIpMatch) {
-    emailData.clientIp = clientIpMatch[1];
-  }
-  
-  return emailData;
-}
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS last_seen DATETIME
+    `);
 
-/**
- * Extract message ID from log content
- * @param {string} content - Log content
- * @returns {string|null} Message ID or null
- */
-function extractMessageId(content) {
-  const match = content.match(REGEX_PATTERNS.messageId);
-  return match ? match[1] : null;
-}
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS expired_at DATETIME
+    `);
 
-// ============================================================================
-// LOG IMPORT FUNCTION
-// ============================================================================
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS finished_at DATETIME
+    `);
 
-/**
- * Import logs from mail.log file into database
- * Parses new logs, inserts them, and cleans up the log file
- */
-async function importLogs() {
-  importInProgress = true;
-  const connection = await pool.getConnection();
-  try {
-    const startTime = new Date();
-    console.log(`[${startTime.toISOString()}] Starting log import`);
+    await connection.execute(`
+      ALTER TABLE emails ADD INDEX IF NOT EXISTS idx_queue_state (queue_state)
+    `);
 
-    const LOG_FILE = '/app/logs/mail.log';
-    const STATE_FILE = '/app/data/log_state.json';
+    // RFC 5322 Message-ID header, logged by postfix/cleanup
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS message_id_header VARCHAR(255)
+    `);
 
-    // Read previous state
-    let state = { lineIndex: 0 };
-    try {
-      const stateData = await fs.readFile(STATE_FILE, 'utf-8');
-      state = JSON.parse(stateData);
-    } catch (e) {
-      console.log(`[${new Date().toISOString()}] State file not found, starting from beginning`);
-    }
+    await connection.execute(`
+      ALTER TABLE emails ADD INDEX IF NOT EXISTS idx_message_id_header (message_id_header)
+    `);
 
-    // Read log file
-    let fileContent;
-    try {
-      fileContent = await fs.readFile(LOG_FILE, 'utf-8');
-    } catch (error) {
-      console.warn(`[${new Date().toISOString()}] Log file not found: ${LOG_FILE}`);
-      return;
-    }
+    // OpenDKIM signing / verification outcome
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS dkim_result VARCHAR(30)
+    `);
 
-    // If file is empty, reset state and return
-    if (!fileContent.trim()) {
-      console.log(`[${new Date().toISOString()}] Log file is empty (${fileContent.length} bytes), resetting state`);
-      try {
-        const stateDir = path.dirname(STATE_FILE);
-        await fs.mkdir(stateDir, { recursive: true });
-        await fs.writeFile(STATE_FILE, JSON.stringify({
-          lineIndex: 0,
-          lastProcessed: new Date().toISOString(),
-          logsInserted: 0
-        }, null, 2));
-      } catch (e) {
-        console.error(`[${new Date().toISOString()}] Error resetting state:`, e.message);
-      }
-      return;
-    }
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS dkim_domain VARCHAR(255)
+    `);
 
-    const lines = fileContent.split('\n');
-    const newLines = lines.slice(state.lineIndex || 0);
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS dkim_selector VARCHAR(100)
+    `);
 
-    console.log(`[${new Date().toISOString()}] File has ${lines.length} total lines, state lineIndex: ${state.lineIndex || 0}, new lines to process: ${newLines.length}`);
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS dkim_error TEXT
+    `);
 
-    if (newLines.length === 0) {
-      console.log(`[${new Date().toISOString()}] No new logs to process`);
-      return;
-    }
+    await connection.execute(`
+      ALTER TABLE emails ADD INDEX IF NOT EXISTS idx_dkim_result (dkim_result)
+    `);
 
-    const logsByMessageId = {};
-    let insertedCount = 0;
-    let parseErrors = 0;
+    // One row per recipient delivery attempt, linked to emails by queue ID
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS deliveries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        message_id VARCHAR(100) NOT NULL,
+        log_date DATETIME NOT NULL,
+        recipient VARCHAR(255),
+        orig_recipient VARCHAR(255),
+        relay VARCHAR(255),
+        delay DECIMAL(10, 2),
+        dsn_code VARCHAR(20),
+        status VARCHAR(50),
+        response_text TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_attempt (message_id, recipient, log_date, status),
+        INDEX idx_message_id (message_id),
+        INDEX idx_recipient (recipient),
+        INDEX idx_status (status)
+      )
+    `);
 
-    // Parse and insert logs
-    for (const line of newLines) {
-      const parsed = parseLogLine(line);
-      if (!parsed) {
-        if (line.trim()) {
-          console.debug(`[${new Date().toISOString()}] Failed to parse line: ${line.substring(0, 100)}`);
-        }
-        continue;
-      }
+    // Delivery agent (smtp, lmtp, local, virtual, pipe, error, ...)
+    await connection.execute(`
+      ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS transport VARCHAR(20)
+    `);
 
-      try {
-        // Insert into logs table
-        await connection.execute(
-          `INSERT IGNORE INTO logs (log_date, timestamp_utc, hostname, service, process_id, content)
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [parsed.logDate, parsed.logDate, parsed.hostname, parsed.service, parsed.processId, parsed.content]
-        );
-        insertedCount++;
-
-        // Extract message ID for email tracking
-        const messageId = extractMessageId(parsed.content);
-        if (messageId) {
-          if (!logsByMessageId[messageId]) {
-            logsByMessageId[messageId] = {
-              messageId,
-              timestamp: parsed.logDate,
-              emailData: {}
-            };
-          }
-
-          // Extract service-specific email data
-          if (parsed.service === 'postfix/qmgr') {
-            logsByMessageId[messageId].emailData = {
-              ...logsByMessageId[messageId].emailData,
-              ...extractQmgrData(parsed.content)
-            };
-          } else if (parsed.service === 'postfix/smtpd') {
-            logsByMessageId[messageId].emailData = {
-              ...logsByMessageId[messageId].emailData,
-              ...extractSmtpdData(parsed.content)
-            };
-          } else if (parsed.service === 'postfix/smtp') {
-            logsByMessageId[messageId].emailData = {
-              ...logsByMessageId[messageId].emailData,
-              ...extractSmtpData(parsed.content)
-            };
-          }
-        }
-      } catch (error) {
-        parseErrors++;
-        console.error(`[${new Date().toISOString()}] Error processing log line:`, error.message);
-      }
-    }
+    await connection.execute(`
+      ALTER TABLE deliveries ADD INDEX IF NOT EXISTS idx_transport (transport)
+    `);
 
-    // Insert email records
-    let emailInsertedCount = 0;
-    for (const [messageId, data] of Object.entries(logsByMessageId)) {
-      const emailData = data.emailData;
-      if (emailData.to || emailData.from) {
-        try {
-          await connection.execute(
-            `INSERT INTO emails (message_id, log_date, sender, recipient, size, relay, delay, client_ip, status, dsn_code, response_text)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-             ON DUPLICATE KEY UPDATE 
-               sender = COALESCE(VALUES(sender), sender),
-               recipient = COALESCE(VALUES(recipient), recipient),
-               size = COALESCE(VALUES(size), size),
-               relay = COALESCE(VALUES(relay), relay),
-               delay = COALESCE(VALUES(delay), delay),
-               client_ip = COALESCE(VALUES(client_ip), client_ip),
-               status = COALESCE(VALUES(status), status),
-               dsn_code = COALESCE(VALUES(dsn_code), dsn_code),
-               response_text = COALESCE(VALUES(response_text), response_text)`,
-            [
-              messageId,
-              data.timestamp,
-              emailData.from || null,
-              emailData.to || null,
-              emailData.size || null,
-              emailData.relay || null,
-              emailData.delay || null,
-              emailData.clientIp || null,
-              emailData.status || null,
-              emailData.dsn || null,
-              emailData.response || null
-            ]
-          );
-          emailInsertedCount++;
-        } catch (error) {
-          console.error(`[${new Date().toISOString()}] Error inserting email record:`, error.message);
-        }
-      }
-    }
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS transport VARCHAR(20)
+    `);
 
-    // Truncate log file after successful import
-    try {
-      if (insertedCount > 0) {
-        await fs.truncate(LOG_FILE, 0);
-        console.log(`[${new Date().toISOString()}] Log file truncated`);
-      }
-    } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error truncating log file:`, error.message);
-    }
+    await connection.execute(`
+      ALTER TABLE emails ADD INDEX IF NOT EXISTS idx_transport (transport)
+    `);
 
-    // Update state file - reset lineIndex to 0 if truncated, otherwise set to lines.length
-    try {
-      const stateDir = path.dirname(STATE_FILE);
-      await fs.mkdir(stateDir, { recursive: true });
-      const newLineIndex = insertedCount > 0 ? 0 : lines.length;
-      await fs.writeFile(STATE_FILE, JSON.stringify({
-        lineIndex: newLineIndex,
-        lastProcessed: new Date().toISOString(),
-        logsInserted: insertedCount,
-        emailsInserted: emailInsertedCount,
-        parseErrors
-      }, null, 2));
-    } catch (error) {
-      console.error(`[${new Date().toISOString()}] Error updating state file:`, error.message);
-    }
+    // Bounce notifications: the original points to the notification and back
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS bounce_queue_id VARCHAR(100)
+    `);
 
-    const duration = new Date() - startTime;
-    console.log(`[${new Date().toISOString()}] Import completed: ${insertedCount} logs, ${emailInsertedCount} emails (${duration}ms, ${parseErrors} errors)`);
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS bounce_of VARCHAR(100)
+    `);
 
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] Critical error during import:`, error);
-  } finally {
-    await connection.release();
-    importInProgress = false;
-    // Send completion signal to all SSE clients
-    broadcastComplete();
-  }
-}
+    await connection.execute(`
+      ALTER TABLE emails ADD COLUMN IF NOT EXISTS notification_type VARCHAR(30)
+    `);
 
-// ============================================================================
-// SCHEDULED JOBS
-// ============================================================================
+    await connection.execute(`
+      ALTER TABLE emails ADD INDEX IF NOT EXISTS idx_bounce_of (bounce_of)
+    `);
 
-// Cron job - every hour
-cron.schedule('0 * * * *', () => {
-  console.log(`[${new Date().toISOString()}] Scheduled import job triggered (every hour)`);
-  importLogs();
-});
+    // logs.message_id holds the queue ID of each line, shared by many lines:
+    // older schemas declared it UNIQUE and never filled it. Drop that
+    // constraint once and link the lines already imported.
+    const [uniqueMessageId] = await connection.execute(`
+      SELECT 1 FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'logs' AND INDEX_NAME = 'message_id'
+    `);
+    if (uniqueMessageId.length > 0) {
+      console.log('[' + new Date().toISOString() + '] Linking existing log lines to their queue ID...');
+      await connection.execute('ALTER TABLE logs DROP INDEX message_id');
+      await connection.execute(`
+        UPDATE logs SET message_id = NULLIF(REGEXP_SUBSTR(content, '(?-i)^[A-F0-9]+(?=:)'), '')
+        WHERE message_id IS NULL
+      `);
+    }
 
-// ============================================================================
-// REST API ENDPOINTS
-// ============================================================================
+    // Fingerprint of each raw line: re-importing the same data is a no-op
+    await connection.execute(`
+      ALTER TABLE logs ADD COLUMN IF NOT EXISTS line_hash CHAR(40)
+    `);
 
-/**
- * GET /api/logs
- * Retrieve all logs with optional filters and pagination
- * Query parameters:
- *   - page: Current page (default: 1)
- *   - limit: Records per page (default: 100)
- *   - dateFrom: Filter by start date (ISO format)
- *   - dateTo: Filter by end date (ISO format)
- *   - search: Search in log content
- */
-app.get('/api/logs', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = (page - 1) * limit;
-    
-    const dateFrom = req.query.dateFrom ? new Date(req.query.dateFrom) : null;
-    const dateTo = req.query.dateTo ? new Date(req.query.dateTo) : null;
-    const searchText = req.query.search || '';
+    await connection.execute(`
+      ALTER TABLE logs ADD UNIQUE INDEX IF NOT EXISTS uniq_line_hash (line_hash)
+    `);
 
-    // Build dynamic query based on filters
-    let query = 'SELECT * FROM logs WHERE 1=1';
-    let countQuery = 'SELECT COUNT(*) as total FROM logs WHERE 1=1';
-    const params = [];
-    const countParams = [];
+    // Free text of the search query language (lib/search.js); building them
+    // on a large existing logs table takes a while on the first start
+    await connection.execute(`
+      ALTER TABLE logs ADD FULLTEXT INDEX IF NOT EXISTS ft_content (content)
+    `);
 
-    if (dateFrom) {
-      query += ' AND log_date >= ?';
-      countQuery += ' AND log_date >= ?';
-      params.push(dateFrom);
-      countParams.push(dateFrom);
-    }
+    await connection.execute(`
+      ALTER TABLE emails ADD FULLTEXT INDEX IF NOT EXISTS ft_search (sender, recipient, response_text)
+    `);
 
-    if (dateTo) {
-      query += ' AND log_date <= ?';
-      countQuery += ' AND log_date <= ?';
-      params.push(dateTo);
-      countParams.push(dateTo);
+    // Refused connections and recipients: NOQUEUE rejects, postscreen, anvil
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS rejections (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        log_date DATETIME NOT NULL,
+        hostname VARCHAR(255),
+        service VARCHAR(100),
+        source VARCHAR(50),
+        event VARCHAR(100),
+        queue_id VARCHAR(100),
+        stage VARCHAR(50),
+        client_host VARCHAR(255),
+        client_ip VARCHAR(50),
+        helo VARCHAR(255),
+        sender VARCHAR(255),
+        recipient VARCHAR(255),
+        reply_code SMALLINT,
+        dsn_code VARCHAR(20),
+        reason_class VARCHAR(50),
+        reason TEXT,
+        metric_value INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_log_date (log_date),
+        INDEX idx_client_ip (client_ip),
+        INDEX idx_reason_class (reason_class),
+        INDEX idx_source (source)
+      )
+    `);
+
+    // One row per smtpd client connection, from connect to disconnect
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS smtp_sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        hostname VARCHAR(255) NOT NULL,
+        process_id INT NOT NULL,
+        client_host VARCHAR(255),
+        client_ip VARCHAR(50),
+        connected_at DATETIME NOT NULL,
+        disconnected_at DATETIME,
+        queue_ids TEXT,
+        sasl_username VARCHAR(255),
+        reject_count INT DEFAULT 0,
+        end_reason VARCHAR(100),
+        command_stats VARCHAR(255),
+        command_count INT,
+        failed_commands INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_session (hostname, process_id, connected_at),
+        INDEX idx_client_ip (client_ip),
+        INDEX idx_connected_at (connected_at),
+        INDEX idx_open (disconnected_at, hostname, process_id)
+      )
+    `);
+
+    // Archives imported by the backfill (and rotated files drained by the tailer)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS imported_files (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        fingerprint CHAR(40) NOT NULL,
+        log_file VARCHAR(255) NOT NULL,
+        last_position BIGINT DEFAULT 0,
+        completed TINYINT(1) DEFAULT 0,
+        imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_fingerprint (fingerprint)
+      )
+    `);
+
+    // Alert rules with their evaluation state (lib/alerts.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS alert_rules (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        enabled TINYINT(1) DEFAULT 1,
+        metric VARCHAR(30) NOT NULL,
+        domain VARCHAR(255),
+        operator VARCHAR(2) NOT NULL,
+        threshold DECIMAL(12,2) NOT NULL,
+        window_minutes INT DEFAULT 60,
+        for_minutes INT DEFAULT 0,
+        active_days VARCHAR(20),
+        active_hours VARCHAR(11),
+        repeat_minutes INT,
+        notify_webhook VARCHAR(500),
+        notify_email VARCHAR(500),
+        state VARCHAR(10) DEFAULT 'ok',
+        pending_since DATETIME,
+        fired_at DATETIME,
+        resolved_at DATETIME,
+        last_value DECIMAL(12,2),
+        last_evaluated_at DATETIME,
+        last_notified_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Notifications sent for each rule
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS alert_events (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        rule_id INT NOT NULL,
+        state VARCHAR(10) NOT NULL,
+        value DECIMAL(12,2),
+        threshold DECIMAL(12,2),
+        message TEXT,
+        notify_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_rule_created (rule_id, created_at)
+      )
+    `);
+
+    // Outbound webhook subscriptions and their delivery queue/log (lib/webhooks.js)
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        url VARCHAR(500) NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        enabled TINYINT(1) DEFAULT 1,
+        statuses VARCHAR(100),
+        sender_domain VARCHAR(255),
+        recipient_domain VARCHAR(255),
+        dsn_classes VARCHAR(10),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        webhook_id INT NOT NULL,
+        event VARCHAR(30) NOT NULL,
+        message_id VARCHAR(100),
+        payload MEDIUMTEXT NOT NULL,
+        status VARCHAR(10) DEFAULT 'pending',
+        attempts INT DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        last_attempt_at DATETIME,
+        delivered_at DATETIME,
+        response_code INT,
+        last_error VARCHAR(500),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_due (status, next_attempt_at),
+        INDEX idx_webhook_created (webhook_id, created_at)
+      )
+    `);
+
+    // Local users, their login sessions and API tokens (lib/auth.js); only hashes of secrets are stored
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        username VARCHAR(50) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        role VARCHAR(10) NOT NULL DEFAULT 'viewer',
+        active TINYINT(1) DEFAULT 1,
+        last_login_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id CHAR(64) PRIMARY KEY,
+        user_id INT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        last_seen_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user (user_id),
+        INDEX idx_expires (expires_at)
+      )
+    `);
+
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        token_prefix VARCHAR(12) NOT NULL,
+        scopes VARCHAR(100) NOT NULL,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user (user_id)
+      )
+    `);
+
+    console.log('[' + new Date().toISOString() + '] Database tables initialized successfully');
+  } catch (error) {
+    console.error('Error initializing database:', error);
+    throw error;
+  } finally {
+    await connection.release();
+  }
+}
+
+// ============================================================================
+// LOG IMPORT FUNCTION
+// ============================================================================
+
+const LOG_FILE = process.env.LOG_FILE || '/app/logs/mail.log';
+const BACKFILL_DIR = process.env.BACKFILL_DIR || path.dirname(LOG_FILE);
+
+// Built-in Postfix/OpenDKIM parsers plus any PARSER_PLUGINS
+const registry = createRegistry();
+
+// Format of LOG_FILE, and default format of backfilled archives
+const LOG_FORMAT = process.env.LOG_FORMAT || 'syslog';
+let logFormat;
+try {
+  logFormat = createFormat(LOG_FORMAT, { jsonFields: process.env.LOG_JSON_FIELDS });
+} catch (error) {
+  // Every import would fail: refuse to start instead
+  console.error(`[${new Date().toISOString()}] Invalid LOG_FORMAT or LOG_JSON_FIELDS: ${error.message}`);
+  process.exit(1);
+}
+
+// Lines stored per transaction, which also bounds the memory an import uses
+const IMPORT_BATCH_LINES = parseInt(process.env.IMPORT_BATCH_LINES) || 1000;
+
+/**
+ * Import new lines from mail.log into database
+ * Tails the file from the last checkpoint, following logrotate renames and
+ * copytruncate. The source file is never modified. Each batch is stored in
+ * a transaction together with its checkpoint, so an interrupted import
+ * resumes exactly where the last committed batch ended.
+ * Run it through tryImport() or queueImport(), never alongside another import.
+ * @returns {Promise<Object>} Import summary
+ */
+async function importLogs() {
+  importInProgress = true;
+  const connection = await pool.getConnection();
+  try {
+    const startTime = new Date();
+    console.log(`[${startTime.toISOString()}] Starting log import`);
+
+    const checkpoint = await loadCheckpoint(connection, LOG_FILE);
+    if (checkpoint) {
+      console.log(`[${new Date().toISOString()}] Resuming ${LOG_FILE} at byte ${checkpoint.offset} (inode ${checkpoint.inode})`);
+    } else {
+      console.log(`[${new Date().toISOString()}] No checkpoint found, starting from beginning`);
+    }
+
+    const tailer = new LogTailer(LOG_FILE, { format: logFormat, batchLines: IMPORT_BATCH_LINES });
+    const summary = createSummary();
+    let batchCount = 0;
+
+    for await (const batch of tailer.batches(checkpoint)) {
+      await connection.beginTransaction();
+      try {
+        await ingestLines(connection, batch.lines, summary, registry);
+        await saveCheckpoint(connection, LOG_FILE, batch.checkpoint);
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+      batchCount++;
+      console.log(`[${new Date().toISOString()}] Imported ${batch.lines.length} lines from ${batch.file} (now at byte ${batch.checkpoint.offset})`);
+    }
+
+    // A drained rotated file must not be imported again by a later backfill
+    for (const rotatedFile of tailer.rotatedFiles) {
+      const fingerprint = await fingerprintFile(rotatedFile);
+      if (fingerprint) {
+        await saveFileProgress(connection, fingerprint, rotatedFile, 0, true);
+      }
+    }
+
+    tailer.warnings.forEach(warning => {
+      console.warn(`[${new Date().toISOString()}] ${warning}`);
+    });
+
+    if (batchCount === 0) {
+      console.log(`[${new Date().toISOString()}] No new logs to process`);
+      metrics.recordImport('file', completeSummary(summary, startTime));
+      return summary;
+    }
+
+    completeSummary(summary, startTime);
+    metrics.recordImport('file', summary);
+    console.log(`[${new Date().toISOString()}] Import completed: ${summary.logsInserted} logs, ${summary.emailsInserted} emails, ${summary.deliveriesInserted} deliveries, ${summary.rejectionsInserted} rejections (${summary.duration}ms, ${summary.linesPerSecond} lines/s, ${summary.duplicatesSkipped} duplicates skipped, ${summary.parseErrors} errors, ${summary.unparsedLines} unparseable lines)`);
+    return summary;
+
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Critical error during import:`, error);
+    metrics.recordImportFailure('file');
+    throw error;
+  } finally {
+    await connection.release();
+    importInProgress = false;
+    // Send completion signal to all SSE clients
+    broadcastComplete();
+    runAlertEvaluation();
+    webhookDispatcher.dispatch();
+  }
+}
+
+/**
+ * Import rotated and compressed log archives, oldest first
+ * Each file is fingerprinted from its first decompressed bytes: completed
+ * archives are skipped, partially imported ones resume where they stopped.
+ * The live LOG_FILE is left to importLogs(). Run it through tryImport().
+ * @param {string} source - Directory, file or glob (e.g. /app/logs/mail.log.*)
+ * @param {Object} format - Format of the archives (default: the LOG_FILE format)
+ * @returns {Promise<Object>} Backfill report
+ */
+async function backfillLogs(source, format = logFormat) {
+  importInProgress = true;
+  const connection = await pool.getConnection();
+  const startTime = new Date();
+  const summary = createSummary();
+  const files = [];
+
+  try {
+    console.log(`[${startTime.toISOString()}] Starting backfill from ${source}`);
+
+    const candidates = (await listLogFiles(source)).filter(file => file !== path.resolve(LOG_FILE));
+    console.log(`[${new Date().toISOString()}] Found ${candidates.length} archive files`);
+
+    for (const file of candidates) {
+      const fingerprint = await fingerprintFile(file);
+      if (!fingerprint) {
+        files.push({ file, status: 'empty', lines: 0 });
+        continue;
+      }
+
+      const [rows] = await connection.execute(
+        'SELECT log_file, last_position, completed FROM imported_files WHERE fingerprint = ?',
+        [fingerprint]
+      );
+      if (rows.length > 0 && rows[0].completed) {
+        console.log(`[${new Date().toISOString()}] Skipping ${file}: already imported as ${rows[0].log_file}`);
+        files.push({ file, status: 'skipped', lines: 0 });
+        continue;
+      }
+
+      const start = rows.length > 0 ? Number(rows[0].last_position) : 0;
+      let position = start;
+      let lineCount = 0;
+      // RFC 3164 lines carry no year: infer it from when the archive was last written
+      const { mtime } = await fs.promises.stat(file);
+
+      for await (const batch of readLineBatches(openLogStream(file), { start, format, batchLines: IMPORT_BATCH_LINES })) {
+        await connection.beginTransaction();
+        try {
+          await ingestLines(connection, batch.lines, summary, registry, { referenceDate: mtime });
+          await saveFileProgress(connection, fingerprint, file, batch.offset, false);
+          await connection.commit();
+        } catch (error) {
+          await connection.rollback();
+          throw error;
+        }
+        position = batch.offset;
+        lineCount += batch.lines.length;
+      }
+
+      await saveFileProgress(connection, fingerprint, file, position, true);
+      files.push({ file, status: start > 0 ? 'resumed' : 'imported', lines: lineCount });
+      console.log(`[${new Date().toISOString()}] Imported ${lineCount} lines from ${file}`);
+    }
+
+    completeSummary(summary, startTime);
+    metrics.recordImport('backfill', summary);
+    console.log(`[${new Date().toISOString()}] Backfill completed: ${summary.logsInserted} logs, ${summary.emailsInserted} emails, ${summary.deliveriesInserted} deliveries, ${summary.rejectionsInserted} rejections (${summary.duration}ms, ${summary.linesPerSecond} lines/s, ${summary.duplicatesSkipped} duplicates skipped, ${summary.parseErrors} errors, ${summary.unparsedLines} unparseable lines)`);
+
+    return { files, ...summary };
+  } catch (error) {
+    metrics.recordImportFailure('backfill');
+    throw error;
+  } finally {
+    await connection.release();
+    importInProgress = false;
+    broadcastComplete();
+    runAlertEvaluation();
+    webhookDispatcher.dispatch();
+  }
+}
+
+// ============================================================================
+// SYSLOG RECEIVER
+// ============================================================================
+
+/**
+ * Store a batch of lines received over syslog
+ * @param {string[]} lines - Log lines
+ * @returns {Promise<Object>} Import summary of the batch
+ */
+async function ingestSyslogBatch(lines) {
+  return queueImport(() => storeSyslogBatch(lines));
+}
+
+/**
+ * Store a syslog batch in one transaction
+ * @param {string[]} lines - Log lines
+ * @returns {Promise<Object>} Import summary of the batch
+ */
+async function storeSyslogBatch(lines) {
+  const connection = await pool.getConnection();
+  const summary = createSummary();
+  try {
+    await connection.beginTransaction();
+    try {
+      await ingestLines(connection, lines, summary, registry);
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      metrics.recordImportFailure('syslog');
+      throw error;
+    }
+  } finally {
+    await connection.release();
+  }
+  metrics.recordImport('syslog', summary);
+  if (summary.webhooksQueued > 0) {
+    webhookDispatcher.dispatch();
+  }
+  return summary;
+}
+
+const syslogReceiver = (process.env.SYSLOG_UDP_PORT || process.env.SYSLOG_TCP_PORT)
+  ? new SyslogReceiver(ingestSyslogBatch, {
+    host: process.env.SYSLOG_HOST,
+    udpPort: parseInt(process.env.SYSLOG_UDP_PORT) || null,
+    tcpPort: parseInt(process.env.SYSLOG_TCP_PORT) || null
+  })
+  : null;
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+// Sends the events the import pipeline queues, and retries failed deliveries
+const webhookDispatcher = new WebhookDispatcher(pool);
+
+// ============================================================================
+// ALERTS
+// ============================================================================
+
+let alertEvaluation = null;
+
+/**
+ * Evaluate the alert rules, joining the evaluation already running if any
+ * @returns {Promise<Object|undefined>} Rules evaluated and notifications sent, undefined if the evaluation failed
+ */
+function runAlertEvaluation() {
+  if (!alertEvaluation) {
+    alertEvaluation = evaluateAlerts(pool)
+      .catch(error => {
+        console.error(`[${new Date().toISOString()}] Error evaluating alerts:`, error.message);
+      })
+      .finally(() => {
+        alertEvaluation = null;
+      });
+  }
+  return alertEvaluation;
+}
+
+// ============================================================================
+// SCHEDULED JOBS
+// ============================================================================
+
+// Cron job - every hour
+cron.schedule('0 * * * *', () => {
+  console.log(`[${new Date().toISOString()}] Scheduled import job triggered (every hour)`);
+  const running = tryImport(importLogs);
+  if (running) {
+    running.catch(() => {});
+  } else {
+    console.log(`[${new Date().toISOString()}] Skipping scheduled import: an import is already running`);
+  }
+});
+
+// Alert rules - every minute, so "for" durations and quiet periods are tracked
+cron.schedule('* * * * *', () => {
+  runAlertEvaluation();
+});
+
+// ============================================================================
+// REST API ENDPOINTS
+// ============================================================================
+
+/**
+ * Fetch one page of a list ordered by (log_date, id), newest first
+ * @param {Object} connection - Database connection
+ * @param {string} table - logs or emails
+ * @param {{where: string, params: Array}} filters - Filter conditions (" AND ...") and their parameters
+ * @param {Object|null} cursor - Decoded cursor, null for the first page
+ * @param {number} limit - Page size, from parseLimit
+ * @param {Object} query - Request query parameters (page, count)
+ * @returns {Promise<{data: Object[], pagination: Object}>} Rows and pagination
+ */
+async function fetchPage(connection, table, filters, cursor, limit, query) {
+  // Legacy page numbers: an OFFSET start, cursors continue from there
+  const page = cursor ? null : parseInt(query.page) || null;
+  const offset = page ? (page - 1) * limit : 0;
+
+  const keyset = keysetCondition(cursor);
+  const [rows] = await connection.query(
+    `SELECT * FROM ${table} WHERE 1=1${filters.where}${keyset.where} ORDER BY ${keyset.order} LIMIT ? OFFSET ?`,
+    [...filters.params, ...keyset.params, limit + 1, offset]
+  );
+  const { data, next, prev } = keysetPage(rows, cursor, limit, offset > 0);
+  const pagination = { limit, next, prev };
+
+  if (page || query.count === 'exact') {
+    const [[{ total }]] = await connection.query(
+      `SELECT COUNT(*) as total FROM ${table} WHERE 1=1${filters.where}`,
+      filters.params
+    );
+    pagination.total = total;
+  } else if (query.count === 'approx') {
+    pagination.total = await estimateRows(connection, `SELECT * FROM ${table} WHERE 1=1${filters.where}`, filters.params);
+    pagination.approximate = true;
+  }
+
+  if (page) {
+    pagination.page = page;
+    pagination.pages = Math.ceil(pagination.total / limit);
+  }
+
+  return { data, pagination };
+}
+
+/**
+ * Build the conditions shared by the logs list and export
+ * @param {Object} query - Request query parameters (dateFrom, dateTo, search, q)
+ * @returns {{where: string, params: Array}} SQL conditions (" AND ...") and their parameters
+ * @throws {QuerySyntaxError} If q is not a valid search query
+ */
+function buildLogFilters(query) {
+  const dateFrom = query.dateFrom ? new Date(query.dateFrom) : null;
+  const dateTo = query.dateTo ? new Date(query.dateTo) : null;
+  const searchText = query.search || '';
+  const search = buildSearchFilter(query.q, 'logs');
+
+  let where = '';
+  const params = [];
+
+  if (dateFrom) {
+    where += ' AND log_date >= ?';
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    where += ' AND log_date <= ?';
+    params.push(dateTo);
+  }
+
+  if (searchText) {
+    where += ' AND content LIKE ?';
+    params.push(`%${searchText}%`);
+  }
+
+  where += search.where;
+  params.push(...search.params);
+
+  return { where, params };
+}
+
+/**
+ * GET /api/logs
+ * Retrieve all logs with optional filters, newest first
+ * Query parameters:
+ *   - limit: Records per page, 1 to 500 (default: 100)
+ *   - cursor: next or prev cursor of a previous response (default: newest rows)
+ *   - count: exact (COUNT(*)) or approx (optimizer estimate) to get a total (default: none)
+ *   - page: Legacy page number, also returns page, pages and the exact total
+ *   - dateFrom: Filter by start date (ISO format)
+ *   - dateTo: Filter by end date (ISO format)
+ *   - q: Search query (see lib/search.js), e.g. service:postfix/smtp status:deferred timeout
+ *   - search: Search in log content
+ * Responds 400 with the error position if q is not a valid query.
+ */
+app.get('/api/logs', requirePermission('read'), async (req, res) => {
+  try {
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    // Before taking a connection: an invalid query throws
+    const filters = buildLogFilters(req.query);
+    const connection = await pool.getConnection();
+    let page;
+    try {
+      page = await fetchPage(connection, 'logs', filters, cursor, limit, req.query);
+    } finally {
+      await connection.release();
+    }
+
+    res.json({
+      data: page.data,
+      pagination: page.pagination
+    });
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    console.error(`[${new Date().toISOString()}] Error fetching logs:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch logs' });
+  }
+});
+
+/**
+ * Build the conditions shared by the emails list and export
+ * @param {Object} query - Request query parameters (dateFrom, dateTo, sender, recipient, messageIdHeader, transport, search, q)
+ * @returns {{where: string, params: Array}} SQL conditions (" AND ...") and their parameters
+ * @throws {QuerySyntaxError} If q is not a valid search query
+ */
+function buildEmailFilters(query) {
+  const dateFrom = query.dateFrom ? new Date(query.dateFrom) : null;
+  const dateTo = query.dateTo ? new Date(query.dateTo) : null;
+  const sender = query.sender || '';
+  const recipient = query.recipient || '';
+  const messageIdHeader = (query.messageIdHeader || '').trim().replace(/^<|>$/g, '');
+  const transport = query.transport || '';
+  const searchText = query.search || '';
+  const search = buildSearchFilter(query.q, 'emails');
+
+  let where = '';
+  const params = [];
+
+  if (dateFrom) {
+    where += ' AND log_date >= ?';
+    params.push(dateFrom);
+  }
+
+  if (dateTo) {
+    where += ' AND log_date <= ?';
+    params.push(dateTo);
+  }
+
+  if (sender) {
+    where += ' AND sender LIKE ?';
+    const senderParam = `%${sender}%`;
+    params.push(senderParam);
+  }
+
+  if (recipient) {
+    // Match any recipient of the message, not only the first one
+    const recipientFilter = ' AND (recipient LIKE ? OR message_id IN (SELECT message_id FROM deliveries WHERE recipient LIKE ?))';
+    where += recipientFilter;
+    const recipientParam = `%${recipient}%`;
+    params.push(recipientParam, recipientParam);
+  }
+
+  if (messageIdHeader) {
+    where += ' AND message_id_header = ?';
+    params.push(messageIdHeader);
+  }
+
+  if (transport) {
+    const transportFilter = ' AND (transport = ? OR message_id IN (SELECT message_id FROM deliveries WHERE transport = ?))';
+    where += transportFilter;
+    params.push(transport, transport);
+  }
+
+  if (searchText) {
+    where += ' AND (sender LIKE ? OR recipient LIKE ? OR response_text LIKE ?)';
+    const searchParam = `%${searchText}%`;
+    params.push(searchParam, searchParam, searchParam);
+  }
+
+  where += search.where;
+  params.push(...search.params);
+
+  return { where, params };
+}
+
+/**
+ * GET /api/emails
+ * Retrieve processed emails with their per-recipient deliveries, newest first
+ * Query parameters:
+ *   - limit, cursor, count, page: Pagination, as for /api/logs
+ *   - dateFrom / dateTo: Filter by date range (ISO format)
+ *   - sender: Filter by sender address
+ *   - recipient: Filter by any recipient address
+ *   - messageIdHeader: Exact Message-ID header, with or without angle brackets
+ *   - transport: Delivery agent of any attempt (smtp, lmtp, local, virtual, pipe, error, ...)
+ *   - q: Search query (see lib/search.js), e.g. to:*@gmail.com relay:~outlook -dsn:2.*
+ *   - search: Search in sender, recipient and response
+ * Responds 400 with the error position if q is not a valid query.
+ * Each email has status aggregated over its recipients ('sent', 'partial',
+ * 'deferred', 'bounced', ...), a deliveries array, one entry per attempt, and
+ * linked_queue_ids: other queue IDs carrying the same Message-ID (e.g. after
+ * a content filter re-injected the message). A message Postfix bounced has
+ * bounce: the notification sent back to its sender, with its own outcome;
+ * the notification itself has bounce_of set to the original queue ID.
+ */
+app.get('/api/emails', requirePermission('read'), async (req, res) => {
+  try {
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    const limit = parseLimit(req.query.limit);
+    if (limit === null) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LIMIT}` });
+    }
+
+    // Before taking a connection: an invalid query throws
+    const filters = buildEmailFilters(req.query);
+    const connection = await pool.getConnection();
+    let page;
+    try {
+      page = await fetchPage(connection, 'emails', filters, cursor, limit, req.query);
+      await attachDeliveries(connection, page.data);
+      await attachLinkedMessages(connection, page.data);
+      await attachBounces(connection, page.data);
+    } finally {
+      await connection.release();
+    }
+
+    res.json({
+      data: page.data,
+      pagination: page.pagination
+    });
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    console.error(`[${new Date().toISOString()}] Error fetching emails:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch emails' });
+  }
+});
+
+// Rows per export unless the request overrides it with maxRows
+const EXPORT_MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS) || 100000;
+
+const LOG_EXPORT_COLUMNS = ['id', 'log_date', 'hostname', 'service', 'process_id', 'message_id', 'content'];
+
+const EMAIL_EXPORT_COLUMNS = [
+  'message_id', 'log_date', 'sender', 'recipient', 'recipients', 'recipient_count', 'status', 'queue_state',
+  'size', 'client_ip', 'transport', 'relay', 'delay', 'dsn_code', 'response_text', 'message_id_header',
+  'dkim_result', 'bounce_of', 'finished_at'
+];
+
+/**
+ * Stream the rows matching the list filters of a table
+ * @param {Object} req - Express request (format, maxRows and the list filters)
+ * @param {Object} res - Express response
+ * @param {Object} options - Export definition
+ * @param {string} options.name - Table name, also the base name of the file
+ * @param {Function} options.buildFilters - Filter builder of the list endpoint
+ * @param {string} options.select - SELECT ... FROM clause
+ * @param {string[]} options.columns - Exported columns
+ */
+async function handleExport(req, res, { name, buildFilters, select, columns }) {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  // maxRows=0 lifts the limit
+  const maxRows = req.query.maxRows === undefined ? EXPORT_MAX_ROWS : parseInt(req.query.maxRows);
+  if (!Number.isInteger(maxRows) || maxRows < 0) {
+    return res.status(400).json({ error: 'maxRows must be a non-negative integer' });
+  }
+
+  try {
+    const filters = buildFilters(req.query);
+    const params = maxRows ? [...filters.params, maxRows] : filters.params;
+    // streamExport releases the connection, whatever happens
+    const connection = await pool.getConnection();
+    const rows = await streamExport(
+      connection,
+      `${select} WHERE 1=1${filters.where} ORDER BY log_date DESC, id DESC${maxRows ? ' LIMIT ?' : ''}`,
+      params,
+      res,
+      { format, columns, name, mapValue: masksAddresses(req) ? maskField : undefined }
+    );
+    console.log(`[${new Date().toISOString()}] Exported ${rows} ${name} rows as ${format}`);
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return res.status(400).json({ error: error.message, position: error.position });
+    }
+    console.error(`[${new Date().toISOString()}] Error exporting ${name}:`, error.message);
+    // Once streaming has started the response is cut short instead
+    if (!res.headersSent) res.status(500).json({ error: `Failed to export ${name}` });
+  }
+}
+
+/**
+ * GET /api/logs/export
+ * Download the logs matching the /api/logs filters, newest first, streamed
+ * from the database as they are read
+ * Query parameters:
+ *   - format: csv or ndjson (default: csv)
+ *   - maxRows: Rows to export, 0 for no limit (default: EXPORT_MAX_ROWS)
+ *   - dateFrom, dateTo, q, search: As for /api/logs
+ */
+app.get('/api/logs/export', requirePermission('export'), (req, res) => handleExport(req, res, {
+  name: 'logs',
+  buildFilters: buildLogFilters,
+  select: 'SELECT * FROM logs',
+  columns: LOG_EXPORT_COLUMNS
+}));
+
+/**
+ * GET /api/emails/export
+ * Download the emails matching the /api/emails filters, one row per message
+ * with all its recipients in recipients (space separated)
+ * Query parameters:
+ *   - format: csv or ndjson (default: csv)
+ *   - maxRows: Rows to export, 0 for no limit (default: EXPORT_MAX_ROWS)
+ *   - dateFrom, dateTo, sender, recipient, messageIdHeader, transport, q, search: As for /api/emails
+ */
+app.get('/api/emails/export', requirePermission('export'), (req, res) => handleExport(req, res, {
+  name: 'emails',
+  buildFilters: buildEmailFilters,
+  select: `SELECT emails.*,
+      (SELECT GROUP_CONCAT(DISTINCT d.recipient ORDER BY d.recipient SEPARATOR ' ')
+       FROM deliveries d WHERE d.message_id = emails.message_id) AS recipients
+    FROM emails`,
+  columns: EMAIL_EXPORT_COLUMNS
+}));
+
+/**
+ * GET /api/search/validate
+ * Check a search query without running it, for the search boxes
+ * Query parameters:
+ *   - q: Search query
+ *   - table: logs or emails (default: logs)
+ * Responds { valid: true } or { valid: false, error, position }.
+ */
+app.get('/api/search/validate', requirePermission('read'), (req, res) => {
+  const table = req.query.table === 'emails' ? 'emails' : 'logs';
+  try {
+    buildSearchFilter(req.query.q, table);
+    res.json({ valid: true });
+  } catch (error) {
+    if (!(error instanceof QuerySyntaxError)) throw error;
+    res.json({ valid: false, error: error.message, position: error.position });
+  }
+});
+
+/**
+ * GET /api/emails/:messageId
+ * One message by Postfix queue ID, with its deliveries, linked messages and
+ * bounce, and timeline: every raw log line of the message in chronological
+ * order (smtpd -> cleanup -> qmgr -> smtp/lmtp/... -> removed), including the
+ * lines of the smtpd session that received it (connect, disconnect, ...).
+ */
+app.get('/api/emails/:messageId', requirePermission('read'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    let email;
+    try {
+      email = await fetchMessage(connection, req.params.messageId);
+    } finally {
+      await connection.release();
+    }
+
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    res.json(email);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching email:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch email' });
+  }
+});
+
+/**
+ * Build the WHERE clause shared by the rejection endpoints
+ * @param {Object} query - Request query parameters
+ * @returns {{where: string, params: Array}} SQL condition and its parameters
+ */
+function buildRejectionFilters(query) {
+  let where = ' WHERE 1=1';
+  const params = [];
+
+  if (query.dateFrom) {
+    where += ' AND log_date >= ?';
+    params.push(new Date(query.dateFrom));
+  }
+
+  if (query.dateTo) {
+    where += ' AND log_date <= ?';
+    params.push(new Date(query.dateTo));
+  }
+
+  if (query.clientIp) {
+    where += ' AND client_ip = ?';
+    params.push(query.clientIp);
+  }
+
+  if (query.source) {
+    where += ' AND source = ?';
+    params.push(query.source);
+  }
+
+  if (query.reasonClass) {
+    where += ' AND reason_class = ?';
+    params.push(query.reasonClass);
+  }
+
+  if (query.sender) {
+    where += ' AND sender LIKE ?';
+    params.push(`%${query.sender}%`);
+  }
+
+  if (query.recipient) {
+    where += ' AND recipient LIKE ?';
+    params.push(`%${query.recipient}%`);
+  }
+
+  if (query.search) {
+    where += ' AND (reason LIKE ? OR helo LIKE ? OR client_host LIKE ?)';
+    const searchParam = `%${query.search}%`;
+    params.push(searchParam, searchParam, searchParam);
+  }
+
+  return { where, params };
+}
+
+/**
+ * GET /api/rejections
+ * Retrieve refused connections and recipients with filters and pagination
+ * Query parameters:
+ *   - page: Current page (default: 1)
+ *   - limit: Records per page (default: 100)
+ *   - dateFrom / dateTo: Filter by date range (ISO format)
+ *   - clientIp: Exact client IP
+ *   - source: smtpd, cleanup, postscreen or anvil
+ *   - reasonClass: dnsbl, relay_denied, unknown_recipient, reverse_dns, helo,
+ *     sender, greylist, client, rate_limit, policy, milter, protocol, other
+ *   - sender / recipient: Filter by envelope addresses
+ *   - search: Search in reason, HELO and client hostname
+ */
+app.get('/api/rejections', requirePermission('read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = (page - 1) * limit;
+    const { where, params } = buildRejectionFilters(req.query);
+
+    const connection = await pool.getConnection();
+    const [rejections] = await connection.query(
+      `SELECT * FROM rejections${where} ORDER BY log_date DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [[{ total }]] = await connection.query(
+      `SELECT COUNT(*) as total FROM rejections${where}`,
+      params
+    );
+    await connection.release();
+
+    res.json({
+      data: rejections,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching rejections:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch rejections' });
+  }
+});
+
+/**
+ * GET /api/rejections/stats
+ * Rejection counts over time by reason class, plus the most refused clients
+ * Query parameters:
+ *   - interval: 'hour' or 'day' (default: 'hour')
+ *   - dateFrom / dateTo: Time range (default: last 24 hours)
+ *   - same filters as /api/rejections
+ */
+app.get('/api/rejections/stats', requirePermission('read'), async (req, res) => {
+  try {
+    const interval = req.query.interval === 'day' ? 'day' : 'hour';
+    const bucketFormat = interval === 'day' ? '%Y-%m-%d' : '%Y-%m-%d %H:00';
+    const filters = {
+      ...req.query,
+      dateFrom: req.query.dateFrom || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+    };
+    const { where, params } = buildRejectionFilters(filters);
+
+    const connection = await pool.getConnection();
+    const [rows] = await connection.query(
+      `SELECT DATE_FORMAT(log_date, ?) as bucket, reason_class, COUNT(*) as count
+       FROM rejections${where}
+       GROUP BY bucket, reason_class
+       ORDER BY bucket`,
+      [bucketFormat, ...params]
+    );
+    const [topClients] = await connection.query(
+      `SELECT client_ip, MAX(client_host) as client_host, COUNT(*) as count
+       FROM rejections${where} AND client_ip IS NOT NULL
+       GROUP BY client_ip
+       ORDER BY count DESC
+       LIMIT 10`,
+      params
+    );
+    await connection.release();
+
+    // One series per reason class, aligned on the same buckets
+    const labels = [...new Set(rows.map(row => row.bucket))];
+    const series = {};
+    for (const row of rows) {
+      if (!series[row.reason_class]) {
+        series[row.reason_class] = labels.map(() => 0);
+      }
+      series[row.reason_class][labels.indexOf(row.bucket)] = row.count;
+    }
+
+    res.json({
+      interval,
+      labels,
+      series,
+      topClients
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching rejection stats:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch rejection statistics' });
+  }
+});
+
+/**
+ * GET /api/sessions
+ * smtpd client sessions with filters and pagination
+ * Query parameters:
+ *   - page: Current page (default: 1)
+ *   - limit: Records per page (default: 100)
+ *   - dateFrom / dateTo: Filter by connection time (ISO format)
+ *   - clientIp: Exact client IP (IPv4 or IPv6)
+ *   - clientHost: Client hostname (partial match)
+ *   - queueId: Sessions that produced this Postfix queue ID
+ *   - saslUsername: Authenticated user
+ */
+app.get('/api/sessions', requirePermission('read'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 100;
+    const offset = (page - 1) * limit;
+
+    let where = ' WHERE 1=1';
+    const params = [];
+
+    if (req.query.dateFrom) {
+      where += ' AND connected_at >= ?';
+      params.push(new Date(req.query.dateFrom));
+    }
+
+    if (req.query.dateTo) {
+      where += ' AND connected_at <= ?';
+      params.push(new Date(req.query.dateTo));
+    }
+
+    if (req.query.clientIp) {
+      where += ' AND client_ip = ?';
+      params.push(req.query.clientIp);
+    }
+
+    if (req.query.clientHost) {
+      where += ' AND client_host LIKE ?';
+      params.push(`%${req.query.clientHost}%`);
+    }
+
+    if (req.query.queueId) {
+      where += ' AND FIND_IN_SET(?, queue_ids)';
+      params.push(req.query.queueId);
+    }
+
+    if (req.query.saslUsername) {
+      where += ' AND sasl_username = ?';
+      params.push(req.query.saslUsername);
+    }
+
+    const connection = await pool.getConnection();
+    const [sessions] = await connection.query(
+      `SELECT * FROM smtp_sessions${where} ORDER BY connected_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const [[{ total }]] = await connection.query(
+      `SELECT COUNT(*) as total FROM smtp_sessions${where}`,
+      params
+    );
+    await connection.release();
+
+    res.json({
+      data: expandQueueIds(sessions),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching sessions:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+/**
+ * GET /api/sessions/:id
+ * One smtpd session with the raw log lines of its conversation
+ */
+app.get('/api/sessions/:id', requirePermission('read'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const [[session]] = await connection.query(
+      'SELECT * FROM smtp_sessions WHERE id = ?',
+      [parseInt(req.params.id)]
+    );
+
+    if (!session) {
+      await connection.release();
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Every line the smtpd process logged while serving this client
+    const [logs] = await connection.query(
+      `SELECT * FROM logs
+       WHERE hostname = ? AND service = 'postfix/smtpd' AND process_id = ?
+         AND log_date >= ? AND log_date <= COALESCE(?, NOW())
+       ORDER BY log_date, id`,
+      [session.hostname, session.process_id, session.connected_at, session.disconnected_at]
+    );
+    await connection.release();
+
+    res.json({
+      ...expandQueueIds([session])[0],
+      logs
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching session:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch session' });
+  }
+});
+
+/**
+ * GET /api/dkim
+ * Signed vs. unsigned messages per sender domain, from OpenDKIM results
+ * Query parameters:
+ *   - dateFrom / dateTo: Time range (default: last 24 hours)
+ *   - domain: Restrict to one sender domain
+ * signedRatio is signed / (signed + unsigned + keyErrors): a drop points at a
+ * broken key or a missing SigningTable entry.
+ */
+app.get('/api/dkim', requirePermission('read'), async (req, res) => {
+  try {
+    const dateFrom = req.query.dateFrom ? new Date(req.query.dateFrom) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const dateTo = req.query.dateTo ? new Date(req.query.dateTo) : new Date();
+
+    let query = `
+      SELECT SUBSTRING_INDEX(sender, '@', -1) as domain,
+        COUNT(*) as total,
+        SUM(dkim_result = 'signed') as signed,
+        SUM(dkim_result = 'no_signing_match') as unsigned,
+        SUM(dkim_result = 'key_error') as keyErrors,
+        SUM(dkim_result = 'verified') as verified,
+        SUM(dkim_result = 'bad_signature') as badSignatures,
+        SUM(dkim_result = 'no_signature') as noSignature,
+        SUM(dkim_result IS NULL) as noResult,
+        MAX(IF(dkim_error IS NOT NULL, log_date, NULL)) as lastErrorAt
+      FROM emails
+      WHERE sender LIKE '%@%' AND log_date >= ? AND log_date <= ?`;
+    const params = [dateFrom, dateTo];
+
+    if (req.query.domain) {
+      query += ' AND sender LIKE ?';
+      params.push(`%@${req.query.domain}`);
+    }
+
+    query += ' GROUP BY domain ORDER BY total DESC';
+
+    const connection = await pool.getConnection();
+    const [rows] = await connection.query(query, params);
+    await connection.release();
+
+    const domains = rows.map(row => {
+      const counts = {};
+      ['total', 'signed', 'unsigned', 'keyErrors', 'verified', 'badSignatures', 'noSignature', 'noResult'].forEach(key => {
+        counts[key] = Number(row[key]);
+      });
+      const outgoing = counts.signed + counts.unsigned + counts.keyErrors;
+
+      return {
+        domain: row.domain,
+        ...counts,
+        signedRatio: outgoing > 0 ? Number((counts.signed / outgoing).toFixed(4)) : null,
+        lastErrorAt: row.lastErrorAt
+      };
+    });
+
+    res.json({
+      dateFrom,
+      dateTo,
+      domains
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching DKIM summary:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch DKIM summary' });
+  }
+});
+
+/**
+ * GET /api/stats
+ * Get aggregated statistics about logs and emails
+ * Query parameters:
+ *   - today: If "true", filter by current date only
+ */
+app.get('/api/stats', requirePermission('read'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const today = req.query.today === 'true';
+
+    // Build date filter if today is requested
+    let dateFilter = '';
+    let dateParams = [];
+    if (today) {
+      const startOfDay = new Date();
+      startOfDay.setHours(0, 0, 0, 0);
+      const endOfDay = new Date();
+      endOfDay.setHours(23, 59, 59, 999);
+      
+      dateFilter = ' WHERE log_date >= ? AND log_date <= ?';
+      dateParams = [startOfDay, endOfDay];
+    }
+
+    const [[{ totalLogs }]] = await connection.query(
+      `SELECT COUNT(*) as totalLogs FROM logs${dateFilter}`,
+      dateParams
+    );
+
+    const [[{ totalEmails }]] = await connection.query(
+      `SELECT COUNT(*) as totalEmails FROM emails${dateFilter}`,
+      dateParams
+    );
+
+    // Bounce notifications are Postfix's own mail, not sent or failed user mail
+    let sentFilter = ' WHERE status = \'sent\' AND bounce_of IS NULL';
+    let sentParams = [];
+    if (today) {
+      sentFilter += ' AND log_date >= ? AND log_date <= ?';
+      sentParams = dateParams;
+    }
+    const [[{ sentEmails }]] = await connection.query(
+      `SELECT COUNT(*) as sentEmails FROM emails${sentFilter}`,
+      sentParams
+    );
+
+    // For failed emails, need to combine WHERE conditions
+    let failedFilter = ' WHERE status != \'sent\' AND status IS NOT NULL AND bounce_of IS NULL';
+    let failedParams = [];
+    if (today) {
+      failedFilter += ' AND log_date >= ? AND log_date <= ?';
+      failedParams = dateParams;
+    }
+    const [[{ failedEmails }]] = await connection.query(
+      `SELECT COUNT(*) as failedEmails FROM emails${failedFilter}`,
+      failedParams
+    );
+
+    let bounceFilter = ' WHERE bounce_of IS NOT NULL';
+    if (today) {
+      bounceFilter += ' AND log_date >= ? AND log_date <= ?';
+    }
+    const [[{ bounceNotifications }]] = await connection.query(
+      `SELECT COUNT(*) as bounceNotifications FROM emails${bounceFilter}`,
+      today ? dateParams : []
+    );
+
+    await connection.release();
+
+    res.json({
+      totalLogs,
+      totalEmails,
+      sentEmails,
+      failedEmails,
+      bounceNotifications
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching stats:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch statistics' });
+  }
+});
+
+/**
+ * GET /api/import-logs/stream
+ * Server-Sent Events stream for real-time log updates during import
+ */
+app.get('/api/import-logs/stream', requirePermission('import'), (req, res) => {
+  // Set SSE headers
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  // Add client to list
+  addSSEClient(res);
+
+  // Send initial message
+  res.write('data: Connesso al log stream\n\n');
+});
+
+/**
+ * POST /api/import-logs
+ * Manually trigger log import (runs asynchronously)
+ * Responds 409 while another import or backfill is running
+ */
+app.post('/api/import-logs', requirePermission('import'), async (req, res) => {
+  try {
+    console.log(`[${new Date().toISOString()}] Manual import requested`);
+    const running = tryImport(importLogs);
+    if (!running) {
+      return res.status(409).json({ error: 'An import is already running' });
+    }
+    const summary = await running;
+    res.json({ message: 'Import completed successfully', ...summary });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error during manual import:`, error.message);
+    res.status(500).json({ error: 'Failed to import logs' });
+  }
+});
+
+/**
+ * POST /api/import-logs/backfill
+ * Import rotated and compressed archives (mail.log.1, mail.log.2.gz, ...)
+ * Body parameters:
+ *   - source: Directory, file or glob inside BACKFILL_DIR (default: LOG_FILE.*)
+ *   - format: syslog, journal-json, journal-export or json (default: LOG_FORMAT)
+ * Responds 409 while another import or backfill is running
+ */
+app.post('/api/import-logs/backfill', requirePermission('import'), async (req, res) => {
+  const source = path.resolve(BACKFILL_DIR, (req.body && req.body.source) || `${path.basename(LOG_FILE)}.*`);
+  const allowedDir = path.resolve(BACKFILL_DIR);
+  if (source !== allowedDir && !source.startsWith(allowedDir + path.sep)) {
+    return res.status(400).json({ error: `Source must be inside ${allowedDir}` });
+  }
+  const formatName = (req.body && req.body.format) || LOG_FORMAT;
+  if (!FORMATS.includes(formatName)) {
+    return res.status(400).json({ error: `Format must be one of: ${FORMATS.join(', ')}` });
+  }
+
+  try {
+    console.log(`[${new Date().toISOString()}] Backfill requested for ${source} (${formatName})`);
+    const format = createFormat(formatName, { jsonFields: process.env.LOG_JSON_FIELDS });
+    const running = tryImport(() => backfillLogs(source, format));
+    if (!running) {
+      return res.status(409).json({ error: 'An import is already running' });
+    }
+    const report = await running;
+    res.json({ message: 'Backfill completed successfully', ...report });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error during backfill:`, error.message);
+    res.status(500).json({ error: 'Failed to backfill logs' });
+  }
+});
+
+/**
+ * GET /api/syslog
+ * Syslog receiver state and ingest counters
+ */
+app.get('/api/syslog', requirePermission('read'), (req, res) => {
+  if (!syslogReceiver) {
+    return res.json({ enabled: false });
+  }
+  res.json({ enabled: true, ...syslogReceiver.stats() });
+});
+
+// Time allowed to the health check query
+const HEALTH_DB_TIMEOUT_MS = 2000;
+// The hourly import plus a missed run
+const IMPORT_STALE_MINUTES = parseInt(process.env.IMPORT_STALE_MINUTES) || 150;
+const startedAt = new Date();
+
+/**
+ * GET /api/health
+ * Readiness check: the database answers and logs were imported recently.
+ * Responds 503 with the failing checks otherwise.
+ */
+app.get('/api/health', async (req, res) => {
+  const now = new Date();
+  const checks = {};
+
+  const queryStart = Date.now();
+  try {
+    await pool.query({ sql: 'SELECT 1', timeout: HEALTH_DB_TIMEOUT_MS });
+    checks.database = { status: 'ok', latencyMs: Date.now() - queryStart };
+  } catch (error) {
+    checks.database = { status: 'error', error: error.message };
+  }
+
+  // Any source counts: a syslog-only setup imports nothing from LOG_FILE
+  const lastSuccess = Object.values(metrics.lastSuccess).sort((a, b) => b - a)[0] || null;
+  const maxAge = IMPORT_STALE_MINUTES * 60 * 1000;
+  if (lastSuccess) {
+    const ageSeconds = Math.round((now - lastSuccess) / 1000);
+    checks.import = { status: ageSeconds * 1000 > maxAge ? 'stale' : 'ok', lastSuccessAt: lastSuccess.toISOString(), ageSeconds };
+  } else {
+    // Give the first import time to run after startup
+    checks.import = { status: now - startedAt > maxAge ? 'stale' : 'pending', lastSuccessAt: null };
+  }
+
+  const healthy = checks.database.status === 'ok' && checks.import.status !== 'stale';
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ok' : 'error',
+    timestamp: now.toISOString(),
+    checks
+  });
+});
+
+/**
+ * GET /metrics
+ * Prometheus metrics: imports, delivery outcomes, queue depth, database pool
+ */
+app.get('/metrics', requirePermission('metrics'), async (req, res) => {
+  try {
+    const { contentType, body } = await metrics.render();
+    res.setHeader('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error rendering metrics:`, error.message);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
+/**
+ * GET /api/queue
+ * Get Postfix queue information from database: messages still waiting for a
+ * recipient (deferred, partial), returned to the sender (bounced, expired) or held
+ */
+app.get('/api/queue', requirePermission('read'), async (req, res) => {
+  const connection = await pool.getConnection();
+  
+  try {
+    // Read pending emails from database (synced from queue directories)
+    // Exclude archived emails from queue view
+    const [emails] = await connection.execute(
+      `SELECT message_id, sender, recipient, size, log_date, status
+       FROM emails 
+       WHERE status IN ('deferred', 'partial', 'bounced', 'expired', 'held')
+       ORDER BY log_date DESC
+       LIMIT 1000`
+    );
+
+    let queueData = [];
+    let queueStats = {
+      total: 0,
+      deferred: 0,
+      partial: 0,
+      bounced: 0,
+      expired: 0,
+      held: 0
+    };
+
+    for (const email of emails) {
+      queueData.push({
+        id: email.message_id,
+        size: email.size || 0,
+        timestamp: email.log_date ? email.log_date.toISOString() : new Date().toISOString(),
+        from: email.sender || 'unknown',
+        to: email.recipient || 'unknown',
+        status: email.status
+      });
+      queueStats.total++;
+
+      queueStats[email.status]++;
     }
 
-    if (searchText) {
-      query += ' AND content LIKE ?';
-      countQuery += ' AND content LIKE ?';
-      const searchParam = `%${searchText}%`;
-      params.push(searchParam);
-      countParams.push(searchParam);
+    res.json({
+      queue: queueData,
+      stats: queueStats,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching queue:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch queue', queue: [], stats: { total: 0 } });
+  } finally {
+    await connection.release();
+  }
+});
+
+/**
+ * GET /api/archived
+ * Get archived emails (bounced/held older than 30 days)
+ */
+app.get('/api/archived', requirePermission('read'), async (req, res) => {
+  const connection = await pool.getConnection();
+  
+  try {
+    const [emails] = await connection.execute(
+      `SELECT message_id, sender, recipient, size, log_date, status, updated_at
+       FROM emails 
+       WHERE status = 'archived'
+       ORDER BY updated_at DESC
+       LIMIT 1000`
+    );
+
+    let archivedData = [];
+    
+    for (const email of emails) {
+      archivedData.push({
+        id: email.message_id,
+        size: email.size || 0,
+        timestamp: email.log_date ? email.log_date.toISOString() : new Date().toISOString(),
+        from: email.sender || 'unknown',
+        to: email.recipient || 'unknown',
+        status: email.status,
+        archivedAt: email.updated_at ? email.updated_at.toISOString() : new Date().toISOString()
+      });
     }
 
-    query += ' ORDER BY log_date DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    res.json({
+      archived: archivedData,
+      total: archivedData.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching archived:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch archived emails', archived: [], total: 0 });
+  } finally {
+    await connection.release();
+  }
+});
+
+// ============================================================================
+// ALERT RULES
+// ============================================================================
+
+// Columns of alert_rules set through the API
+const ALERT_RULE_COLUMNS = [
+  'name', 'enabled', 'metric', 'domain', 'operator', 'threshold', 'window_minutes', 'for_minutes',
+  'active_days', 'active_hours', 'repeat_minutes', 'notify_webhook', 'notify_email'
+];
 
+/**
+ * GET /api/alerts/rules
+ * List alert rules with their current state, and the metrics and operators available
+ */
+app.get('/api/alerts/rules', requirePermission('read'), async (req, res) => {
+  try {
     const connection = await pool.getConnection();
-    const [logs] = await connection.query(query, params);
-    const [[{ total }]] = await connection.query(countQuery, countParams);
+    const [rules] = await connection.query('SELECT * FROM alert_rules ORDER BY name, id');
     await connection.release();
 
     res.json({
-      data: logs,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      rules,
+      metrics: Object.entries(METRICS).map(([name, metric]) => ({ name, description: metric.description, windowed: metric.windowed })),
+      operators: Object.keys(OPERATORS)
+    });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching alert rules:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch alert rules' });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Create an alert rule
+ * Body parameters:
+ *   - name: Rule name
+ *   - metric: deferred, bounce_rate, deferred_rate, sent, received, rejections or volume_change
+ *   - operator, threshold: Condition on the metric value (e.g. ">" and 200)
+ *   - window_minutes: Period the metric is computed over (default: 60)
+ *   - for_minutes: How long the condition must hold before firing (default: 0)
+ *   - domain: Only recipients of this domain (optional)
+ *   - active_days, active_hours: When the rule applies, e.g. "1-5" and "08:00-18:00" (default: always)
+ *   - repeat_minutes: Notify a firing rule again after this long (default: never)
+ *   - notify_webhook, notify_email: Where to send notifications
+ *   - enabled: Whether the rule is evaluated (default: true)
+ */
+app.post('/api/alerts/rules', requirePermission('admin'), async (req, res) => {
+  const { rule, error } = validateRule(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const connection = await pool.getConnection();
+    const [result] = await connection.query(
+      `INSERT INTO alert_rules (${ALERT_RULE_COLUMNS.join(', ')}) VALUES (${ALERT_RULE_COLUMNS.map(() => '?').join(', ')})`,
+      ALERT_RULE_COLUMNS.map(column => rule[column])
+    );
+    const [[created]] = await connection.query('SELECT * FROM alert_rules WHERE id = ?', [result.insertId]);
+    await connection.release();
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error creating alert rule:`, error.message);
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Replace an alert rule (same body as POST). Changing the condition resets
+ * the rule to ok without notifying.
+ */
+app.put('/api/alerts/rules/:id', requirePermission('admin'), async (req, res) => {
+  const { rule, error } = validateRule(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const connection = await pool.getConnection();
+    const [result] = await connection.query(
+      `UPDATE alert_rules SET ${ALERT_RULE_COLUMNS.map(column => `${column} = ?`).join(', ')},
+         state = 'ok', pending_since = NULL
+       WHERE id = ?`,
+      [...ALERT_RULE_COLUMNS.map(column => rule[column]), req.params.id]
+    );
+    const [[updated]] = await connection.query('SELECT * FROM alert_rules WHERE id = ?', [req.params.id]);
+    await connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error updating alert rule:`, error.message);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete an alert rule and its events
+ */
+app.delete('/api/alerts/rules/:id', requirePermission('admin'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const [result] = await connection.query('DELETE FROM alert_rules WHERE id = ?', [req.params.id]);
+    await connection.query('DELETE FROM alert_events WHERE rule_id = ?', [req.params.id]);
+    await connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json({ message: 'Alert rule deleted' });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error deleting alert rule:`, error.message);
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
+/**
+ * POST /api/alerts/rules/:id/test
+ * Send a test notification to the webhook and email of a rule
+ */
+app.post('/api/alerts/rules/:id/test', requirePermission('operate'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const [rules] = await connection.query('SELECT * FROM alert_rules WHERE id = ?', [req.params.id]);
+    await connection.release();
+
+    if (rules.length === 0) {
+      return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    if (!rules[0].notify_webhook && !rules[0].notify_email) {
+      return res.status(400).json({ error: 'The rule has no webhook or email to notify' });
+    }
+
+    const errors = await testNotification(rules[0]);
+    res.json({ sent: errors.length === 0, errors });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error testing alert rule:`, error.message);
+    res.status(500).json({ error: 'Failed to test alert rule' });
+  }
+});
+
+/**
+ * GET /api/alerts/events
+ * Notifications sent, newest first
+ * Query parameters:
+ *   - ruleId: Only the events of this rule
+ *   - limit: Number of events (default: 100)
+ */
+app.get('/api/alerts/events', requirePermission('read'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const limit = parseInt(req.query.limit) || 100;
+    let query = `SELECT alert_events.*, alert_rules.name AS rule_name
+                 FROM alert_events LEFT JOIN alert_rules ON alert_rules.id = alert_events.rule_id
+                 WHERE 1=1`;
+    const params = [];
+
+    if (req.query.ruleId) {
+      query += ' AND alert_events.rule_id = ?';
+      params.push(req.query.ruleId);
+    }
+
+    query += ' ORDER BY alert_events.created_at DESC, alert_events.id DESC LIMIT ?';
+    params.push(limit);
+
+    const [events] = await connection.query(query, params);
+    await connection.release();
+
+    res.json({ events });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching alert events:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch alert events' });
+  }
+});
+
+/**
+ * POST /api/alerts/evaluate
+ * Evaluate the alert rules now instead of waiting for the next minute
+ */
+app.post('/api/alerts/evaluate', requirePermission('operate'), async (req, res) => {
+  const result = await runAlertEvaluation();
+  if (!result) {
+    return res.status(500).json({ error: 'Failed to evaluate alerts' });
+  }
+  res.json(result);
+});
+
+// ============================================================================
+// OUTBOUND WEBHOOKS
+// ============================================================================
+
+// Columns of webhooks set through the API
+const WEBHOOK_COLUMNS = ['name', 'url', 'secret', 'enabled', 'statuses', 'sender_domain', 'recipient_domain', 'dsn_classes'];
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions with their delivery counters
+ */
+app.get('/api/webhooks', requirePermission('admin'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const [webhooks] = await connection.query(
+      `SELECT webhooks.*,
+         SUM(webhook_deliveries.status = 'pending') AS pending,
+         SUM(webhook_deliveries.status = 'delivered') AS delivered,
+         SUM(webhook_deliveries.status = 'failed') AS failed
+       FROM webhooks LEFT JOIN webhook_deliveries ON webhook_deliveries.webhook_id = webhooks.id
+       GROUP BY webhooks.id
+       ORDER BY webhooks.name, webhooks.id`
+    );
+    await connection.release();
+
+    res.json({
+      webhooks: webhooks.map(webhook => ({
+        ...webhook,
+        pending: Number(webhook.pending) || 0,
+        delivered: Number(webhook.delivered) || 0,
+        failed: Number(webhook.failed) || 0
+      })),
+      statuses: WEBHOOK_STATUSES,
+      dsnClasses: DSN_CLASSES
     });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error fetching logs:`, error.message);
-    res.status(500).json({ error: 'Failed to fetch logs' });
+    console.error(`[${new Date().toISOString()}] Error fetching webhooks:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe a URL to message status changes
+ * Body parameters:
+ *   - name: Subscription name
+ *   - url: http(s) URL receiving the events
+ *   - secret: HMAC signing secret (default: generated, returned in the response)
+ *   - statuses: Comma-separated list or array of sent, partial, deferred, bounced, expired (default: all)
+ *   - sender_domain: Only messages from this domain (optional)
+ *   - recipient_domain: Only messages to this domain (optional)
+ *   - dsn_classes: Comma-separated list or array of DSN classes 2, 4, 5 (default: all)
+ *   - enabled: Whether events are queued (default: true)
+ */
+app.post('/api/webhooks', requirePermission('admin'), async (req, res) => {
+  const { webhook, error } = validateWebhook(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  webhook.secret = webhook.secret || generateSecret();
+
+  try {
+    const connection = await pool.getConnection();
+    const [result] = await connection.query(
+      `INSERT INTO webhooks (${WEBHOOK_COLUMNS.join(', ')}) VALUES (${WEBHOOK_COLUMNS.map(() => '?').join(', ')})`,
+      WEBHOOK_COLUMNS.map(column => webhook[column])
+    );
+    const [[created]] = await connection.query('SELECT * FROM webhooks WHERE id = ?', [result.insertId]);
+    await connection.release();
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error creating webhook:`, error.message);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Replace a subscription (same body as POST); the secret is kept unless given
+ */
+app.put('/api/webhooks/:id', requirePermission('admin'), async (req, res) => {
+  const { webhook, error } = validateWebhook(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const columns = WEBHOOK_COLUMNS.filter(column => column !== 'secret' || webhook.secret);
+
+  try {
+    const connection = await pool.getConnection();
+    const [result] = await connection.query(
+      `UPDATE webhooks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => webhook[column]), req.params.id]
+    );
+    const [[updated]] = await connection.query('SELECT * FROM webhooks WHERE id = ?', [req.params.id]);
+    await connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error updating webhook:`, error.message);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a subscription and its delivery log
+ */
+app.delete('/api/webhooks/:id', requirePermission('admin'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const [result] = await connection.query('DELETE FROM webhooks WHERE id = ?', [req.params.id]);
+    await connection.query('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [req.params.id]);
+    await connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error deleting webhook:`, error.message);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first (without payloads)
+ * Query parameters:
+ *   - webhookId: Only the deliveries of this subscription
+ *   - status: pending, delivered or failed
+ *   - messageId: Only the events of this queue ID
+ *   - limit: Number of deliveries (default: 100)
+ */
+app.get('/api/webhooks/deliveries', requirePermission('read'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const limit = parseInt(req.query.limit) || 100;
+    let query = `SELECT id, webhook_id, event, message_id, status, attempts, next_attempt_at, last_attempt_at,
+                   delivered_at, response_code, last_error, created_at
+                 FROM webhook_deliveries WHERE 1=1`;
+    const params = [];
+
+    if (req.query.webhookId) {
+      query += ' AND webhook_id = ?';
+      params.push(req.query.webhookId);
+    }
+
+    if (req.query.status) {
+      query += ' AND status = ?';
+      params.push(req.query.status);
+    }
+
+    if (req.query.messageId) {
+      query += ' AND message_id = ?';
+      params.push(req.query.messageId);
+    }
+
+    query += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    const [deliveries] = await connection.query(query, params);
+    await connection.release();
+
+    res.json({ deliveries });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching webhook deliveries:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ * One delivery with the payload that was (or will be) sent
+ */
+app.get('/api/webhooks/deliveries/:id', requirePermission('read'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const [deliveries] = await connection.query('SELECT * FROM webhook_deliveries WHERE id = ?', [req.params.id]);
+    await connection.release();
+
+    if (deliveries.length === 0) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    res.json({ ...deliveries[0], payload: JSON.parse(deliveries[0].payload) });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching webhook delivery:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/retry
+ * Queue a delivery again now, e.g. after fixing a receiver that made it fail
+ */
+app.post('/api/webhooks/deliveries/:id/retry', requirePermission('operate'), async (req, res) => {
+  try {
+    const connection = await pool.getConnection();
+    const [result] = await connection.query(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ?`,
+      [new Date(), req.params.id]
+    );
+    await connection.release();
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    webhookDispatcher.dispatch();
+    res.json({ message: 'Webhook delivery queued' });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error retrying webhook delivery:`, error.message);
+    res.status(500).json({ error: 'Failed to retry webhook delivery' });
   }
 });
 
-// Get processed emails with filters
-app.get('/api/emails', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = (page - 1) * limit;
+// ============================================================================
+// USERS, SESSIONS & API TOKENS
+// ============================================================================
+
+/**
+ * Middleware refusing requests not made from a login session (API tokens
+ * cannot change passwords or create other tokens)
+ */
+function requireSession(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (req.auth.type !== 'session') {
+    return res.status(403).json({ error: 'This requires logging in with a password' });
+  }
+  next();
+}
 
-    const dateFrom = req.query.dateFrom ? new Date(req.query.dateFrom) : null;
-    const dateTo = req.query.dateTo ? new Date(req.query.dateTo) : null;
-    const sender = req.query.sender || '';
-    const recipient = req.query.recipient || '';
-    const searchText = req.query.search || '';
+/**
+ * Number of active admins other than a user
+ * @param {Object} connection - Database connection
+ * @param {number} userId - User left out of the count
+ * @returns {Promise<number>} Active admins
+ */
+async function countOtherAdmins(connection, userId) {
+  const [[{ admins }]] = await connection.query(
+    "SELECT COUNT(*) AS admins FROM users WHERE role = 'admin' AND active = 1 AND id <> ?",
+    [userId]
+  );
+  return Number(admins);
+}
 
-    // Build dynamic query based on filters
-    let query = 'SELECT * FROM emails WHERE 1=1';
-    let countQuery = 'SELECT COUNT(*) as total FROM emails WHERE 1=1';
-    const params = [];
-    const countParams = [];
+/**
+ * POST /api/auth/login
+ * Log in and receive the session cookie
+ * Body parameters:
+ *   - username, password: Credentials
+ * Responds 429 after repeated failures for the same client and username.
+ */
+app.post('/api/auth/login', async (req, res) => {
+  const username = String((req.body || {}).username || '').trim();
+  const password = String((req.body || {}).password || '');
+  const throttleKey = `${req.ip}|${username.toLowerCase()}`;
 
-    if (dateFrom) {
-      query += ' AND log_date >= ?';
-      countQuery += ' AND log_date >= ?';
-      params.push(dateFrom);
-      countParams.push(dateFrom);
-    }
+  if (loginThrottle.locked(throttleKey)) {
+    return res.status(429).json({ error: 'Too many failed logins, try again later' });
+  }
 
-    if (dateTo) {
-      query += ' AND log_date <= ?';
-      countQuery += ' AND log_date <= ?';
-      params.push(dateTo);
-      countParams.push(dateTo);
+  try {
+    const [[user]] = await pool.query('SELECT * FROM users WHERE username = ? AND active = 1', [username]);
+    // Unknown usernames are checked too, so timing does not tell which ones exist
+    const valid = await verifyPassword(password, user ? user.password_hash : null);
+    if (!user || !valid) {
+      loginThrottle.fail(throttleKey);
+      console.error(`[${new Date().toISOString()}] Failed login for "${username}" from ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    if (sender) {
-      query += ' AND sender LIKE ?';
-      countQuery += ' AND sender LIKE ?';
-      const senderParam = `%${sender}%`;
-      params.push(senderParam);
-      countParams.push(senderParam);
-    }
+    loginThrottle.succeed(throttleKey);
+    const sessionId = await createSession(pool, user.id, SESSION_TTL_MS);
+    await pool.query('UPDATE users SET last_login_at = ? WHERE id = ?', [new Date(), user.id]);
+    setSessionCookie(res, sessionId);
 
-    if (recipient) {
-      query += ' AND recipient LIKE ?';
-      countQuery += ' AND recipient LIKE ?';
-      const recipientParam = `%${recipient}%`;
-      params.push(recipientParam);
-      countParams.push(recipientParam);
-    }
+    res.json({ id: user.id, username: user.username, role: user.role, permissions: ROLES[user.role] || [] });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error logging in:`, error.message);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
 
-    if (searchText) {
-      query += ' AND (sender LIKE ? OR recipient LIKE ? OR response_text LIKE ?)';
-      countQuery += ' AND (sender LIKE ? OR recipient LIKE ? OR response_text LIKE ?)';
-      const searchParam = `%${searchText}%`;
-      params.push(searchParam, searchParam, searchParam);
-      countParams.push(searchParam, searchParam, searchParam);
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.auth && req.auth.type === 'session') {
+      await pool.query('DELETE FROM user_sessions WHERE id = ?', [req.auth.sessionId]);
     }
+    setSessionCookie(res, null);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error logging out:`, error.message);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
 
-    query += ' ORDER BY log_date DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+/**
+ * GET /api/auth/me
+ * The logged in user (or token owner) and the permissions of the request
+ */
+app.get('/api/auth/me', (req, res) => {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  const { userId, username, role, permissions, type } = req.auth;
+  res.json({ id: userId, username, role, permissions, type });
+});
 
-    const connection = await pool.getConnection();
-    const [emails] = await connection.query(query, params);
-    const [[{ total }]] = await connection.query(countQuery, countParams);
-    await connection.release();
+/**
+ * PUT /api/auth/password
+ * Change the password of the logged in user; other sessions are logged out
+ * Body parameters:
+ *   - currentPassword: Password in use
+ *   - newPassword: New password (at least 10 characters)
+ */
+app.put('/api/auth/password', requireSession, async (req, res) => {
+  const { user, error } = validateUser({ password: (req.body || {}).newPassword }, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    res.json({
-      data: emails,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+  try {
+    const [[current]] = await pool.query('SELECT password_hash FROM users WHERE id = ?', [req.auth.userId]);
+    if (!(await verifyPassword(String((req.body || {}).currentPassword || ''), current.password_hash))) {
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+
+    await pool.query('UPDATE users SET password_hash = ? WHERE id = ?', [await hashPassword(user.password), req.auth.userId]);
+    await pool.query('DELETE FROM user_sessions WHERE user_id = ? AND id <> ?', [req.auth.userId, req.auth.sessionId]);
+    res.json({ message: 'Password changed' });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error fetching emails:`, error.message);
-    res.status(500).json({ error: 'Failed to fetch emails' });
+    console.error(`[${new Date().toISOString()}] Error changing password:`, error.message);
+    res.status(500).json({ error: 'Failed to change password' });
   }
 });
 
 /**
- * GET /api/stats
- * Get aggregated statistics about logs and emails
- * Query parameters:
- *   - today: If "true", filter by current date only
+ * GET /api/users
+ * List users and the roles available
  */
-app.get('/api/stats', async (req, res) => {
+app.get('/api/users', requirePermission('admin'), async (req, res) => {
   try {
-    const connection = await pool.getConnection();
-    const today = req.query.today === 'true';
+    const [users] = await pool.query(
+      'SELECT id, username, role, active, last_login_at, created_at FROM users ORDER BY username'
+    );
+    res.json({ users, roles: ROLES });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error fetching users:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
 
-    // Build date filter if today is requested
-    let dateFilter = '';
-    let dateParams = [];
-    if (today) {
-      const startOfDay = new Date();
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date();
-      endOfDay.setHours(23, 59, 59, 999);
-      
-      dateFilter = ' WHERE log_date >= ? AND log_date <= ?';
-      dateParams = [startOfDay, endOfDay];
-    }
+/**
+ * POST /api/users
+ * Create a user
+ * Body parameters:
+ *   - username: 3-50 letters, digits, dots, dashes or underscores
+ *   - password: At least 10 characters
+ *   - role: viewer, operator or admin (default: viewer)
+ *   - active: Whether the user can log in (default: true)
+ */
+app.post('/api/users', requirePermission('admin'), async (req, res) => {
+  const { user, error } = validateUser(req.body || {}, true);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-    const [[{ totalLogs }]] = await connection.query(
-      `SELECT COUNT(*) as totalLogs FROM logs${dateFilter}`,
-      dateParams
+  try {
+    const [result] = await pool.query(
+      'INSERT INTO users (username, password_hash, role, active) VALUES (?, ?, ?, ?)',
+      [user.username, await hashPassword(user.password), user.role, user.active === undefined ? true : user.active]
     );
-
-    const [[{ totalEmails }]] = await connection.query(
-      `SELECT COUNT(*) as totalEmails FROM emails${dateFilter}`,
-      dateParams
+    const [[created]] = await pool.query(
+      'SELECT id, username, role, active, last_login_at, created_at FROM users WHERE id = ?',
+      [result.insertId]
     );
-
-    // For sent emails, need to combine WHERE conditions
-    let sentFilter = ' WHERE status = \'sent\'';
-    let sentParams = [];
-    if (today) {
-      sentFilter += ' AND log_date >= ? AND log_date <= ?';
-      sentParams = dateParams;
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(400).json({ error: `User "${user.username}" already exists` });
     }
-    const [[{ sentEmails }]] = await connection.query(
-      `SELECT COUNT(*) as sentEmails FROM emails${sentFilter}`,
-      sentParams
-    );
+    console.error(`[${new Date().toISOString()}] Error creating user:`, error.message);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
 
-    // For failed emails, need to combine WHERE conditions
-    let failedFilter = ' WHERE status != \'sent\' AND status IS NOT NULL';
-    let failedParams = [];
-    if (today) {
-      failedFilter += ' AND log_date >= ? AND log_date <= ?';
-      failedParams = dateParams;
-    }
-    const [[{ failedEmails }]] = await connection.query(
-      `SELECT COUNT(*) as failedEmails FROM emails${failedFilter}`,
-      failedParams
-    );
+/**
+ * PUT /api/users/:id
+ * Change the role, password or active flag of a user (fields not given are
+ * kept). A new password or deactivation logs the user out. The last active
+ * admin cannot be demoted or deactivated.
+ */
+app.put('/api/users/:id', requirePermission('admin'), async (req, res) => {
+  const { user, error } = validateUser(req.body || {}, false);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  delete user.username;
+  if (Object.keys(user).length === 0) {
+    return res.status(400).json({ error: 'Nothing to change (role, password or active)' });
+  }
 
-    await connection.release();
+  try {
+    const connection = await pool.getConnection();
+    try {
+      const [[existing]] = await connection.query('SELECT * FROM users WHERE id = ?', [req.params.id]);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      const losesAdmin = (user.role !== undefined && user.role !== 'admin') || user.active === false;
+      if (existing.role === 'admin' && losesAdmin && await countOtherAdmins(connection, existing.id) === 0) {
+        return res.status(400).json({ error: 'The last active admin cannot be demoted or deactivated' });
+      }
 
-    res.json({
-      totalLogs,
-      totalEmails,
-      sentEmails,
-      failedEmails
-    });
+      const columns = {};
+      if (user.role !== undefined) columns.role = user.role;
+      if (user.active !== undefined) columns.active = user.active;
+      if (user.password !== undefined) columns.password_hash = await hashPassword(user.password);
+      await connection.query(
+        `UPDATE users SET ${Object.keys(columns).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(columns), existing.id]
+      );
+      if (user.password !== undefined || user.active === false) {
+        await connection.query('DELETE FROM user_sessions WHERE user_id = ?', [existing.id]);
+      }
+
+      const [[updated]] = await connection.query(
+        'SELECT id, username, role, active, last_login_at, created_at FROM users WHERE id = ?',
+        [existing.id]
+      );
+      res.json(updated);
+    } finally {
+      await connection.release();
+    }
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error fetching stats:`, error.message);
-    res.status(500).json({ error: 'Failed to fetch statistics' });
+    console.error(`[${new Date().toISOString()}] Error updating user:`, error.message);
+    res.status(500).json({ error: 'Failed to update user' });
   }
 });
 
 /**
- * GET /api/import-logs/stream
- * Server-Sent Events stream for real-time log updates during import
+ * DELETE /api/users/:id
+ * Delete a user with their sessions and API tokens. Admins cannot delete
+ * themselves, nor the last active admin.
  */
-app.get('/api/import-logs/stream', (req, res) => {
-  // Set SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', '*');
+app.delete('/api/users/:id', requirePermission('admin'), async (req, res) => {
+  if (Number(req.params.id) === req.auth.userId) {
+    return res.status(400).json({ error: 'You cannot delete your own user' });
+  }
 
-  // Add client to list
-  addSSEClient(res);
+  try {
+    const connection = await pool.getConnection();
+    try {
+      const [[existing]] = await connection.query('SELECT * FROM users WHERE id = ?', [req.params.id]);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (existing.role === 'admin' && existing.active && await countOtherAdmins(connection, existing.id) === 0) {
+        return res.status(400).json({ error: 'The last active admin cannot be deleted' });
+      }
 
-  // Send initial message
-  res.write('data: Connesso al log stream\n\n');
+      await connection.query('DELETE FROM user_sessions WHERE user_id = ?', [existing.id]);
+      await connection.query('DELETE FROM api_tokens WHERE user_id = ?', [existing.id]);
+      await connection.query('DELETE FROM users WHERE id = ?', [existing.id]);
+      res.json({ message: 'User deleted' });
+    } finally {
+      await connection.release();
+    }
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error deleting user:`, error.message);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
 });
 
 /**
- * POST /api/import-logs
- * Manually trigger log import (runs asynchronously)
+ * GET /api/tokens
+ * List API tokens (admins see those of every user) and the scopes available
  */
-app.post('/api/import-logs', async (req, res) => {
+app.get('/api/tokens', requireSession, async (req, res) => {
   try {
-    console.log(`[${new Date().toISOString()}] Manual import requested`);
-    await importLogs();
-    res.json({ message: 'Import completed successfully' });
+    const isAdmin = req.auth.permissions.includes('admin');
+    const [tokens] = await pool.query(
+      `SELECT api_tokens.id, api_tokens.user_id, users.username, api_tokens.name, api_tokens.token_prefix,
+         api_tokens.scopes, api_tokens.expires_at, api_tokens.last_used_at, api_tokens.created_at
+       FROM api_tokens JOIN users ON users.id = api_tokens.user_id
+       ${isAdmin ? '' : 'WHERE api_tokens.user_id = ?'}
+       ORDER BY users.username, api_tokens.name`,
+      isAdmin ? [] : [req.auth.userId]
+    );
+    res.json({ tokens, scopes: ROLES[req.auth.role] || [] });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error during manual import:`, error.message);
-    res.status(500).json({ error: 'Failed to import logs' });
+    console.error(`[${new Date().toISOString()}] Error fetching API tokens:`, error.message);
+    res.status(500).json({ error: 'Failed to fetch API tokens' });
   }
 });
 
 /**
- * GET /api/health
- * Health check endpoint
+ * POST /api/tokens
+ * Create an API token for the logged in user. The token is only returned by
+ * this response; send it as "Authorization: Bearer <token>".
+ * Body parameters:
+ *   - name: What the token is for
+ *   - scopes: Permissions of the token, among those of your role (e.g. ["read", "export"])
+ *   - expiresInDays: Lifetime (default: no expiry)
  */
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+app.post('/api/tokens', requireSession, async (req, res) => {
+  const body = req.body || {};
+  const name = String(body.name || '').trim().substring(0, 100);
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  const { scopes, error } = validateScopes(body.scopes, req.auth.role);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const expiresInDays = body.expiresInDays ? Number(body.expiresInDays) : null;
+  if (expiresInDays !== null && !(expiresInDays > 0)) {
+    return res.status(400).json({ error: 'expiresInDays must be a positive number' });
+  }
+
+  try {
+    const token = generateAuthSecret(TOKEN_PREFIX);
+    const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+    const [result] = await pool.query(
+      'INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.auth.userId, name, hashSecret(token), token.substring(0, 12), scopes, expiresAt]
+    );
+    res.status(201).json({ id: result.insertId, name, scopes, expires_at: expiresAt, token });
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Error creating API token:`, error.message);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
 });
 
 /**
- * GET /api/queue
- * Get Postfix queue information from database
+ * DELETE /api/tokens/:id
+ * Revoke an API token (your own, or any token for admins)
  */
-app.get('/api/queue', async (req, res) => {
-  const connection = await pool.getConnection();
-  
+app.delete('/api/tokens/:id', requireSession, async (req, res) => {
   try {
-    // Read pending emails from database (synced from queue directories)
-    // Exclude archived emails from queue view
-    const [emails] = await connection.execute(
-      `SELECT message_id, sender, recipient, size, log_date, status
-       FROM emails 
-       WHERE status IN ('deferred', 'bounced', 'held')
-       ORDER BY log_date DESC
-       LIMIT 1000`
+    const isAdmin = req.auth.permissions.includes('admin');
+    const [result] = await pool.query(
+      `DELETE FROM api_tokens WHERE id = ?${isAdmin ? '' : ' AND user_id = ?'}`,
+      isAdmin ? [req.params.id] : [req.params.id, req.auth.userId]
     );
-
-    let queueData = [];
-    let queueStats = {
-      total: 0,
-      deferred: 0,
-      bounced: 0,
-      held: 0
-    };
-
-    for (const email of emails) {
-      queueData.push({
-        id: email.message_id,
-        size: email.size || 0,
-        timestamp: email.log_date ? email.log_date.toISOString() : new Date().toISOString(),
-        from: email.sender || 'unknown',
-        to: email.recipient || 'unknown',
-        status: email.status
-      });
-      queueStats.total++;
-
-      if (email.status === 'deferred') queueStats.deferred++;
-      if (email.status === 'bounced') queueStats.bounced++;
-      if (email.status === 'held') queueStats.held++;
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'API token not found' });
     }
-
-    res.json({
-      queue: queueData,
-      stats: queueStats,
-      timestamp: new Date().toISOString()
-    });
+    res.json({ message: 'API token revoked' });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error fetching queue:`, error.message);
-    res.status(500).json({ error: 'Failed to fetch queue', queue: [], stats: { total: 0 } });
-  } finally {
-    await connection.release();
+    console.error(`[${new Date().toISOString()}] Error revoking API token:`, error.message);
+    res.status(500).json({ error: 'Failed to revoke API token' });
   }
 });
 
+// ============================================================================
+// PRIVACY
+// ============================================================================
+
 /**
- * GET /api/archived
- * Get archived emails (bounced/held older than 30 days)
+ * POST /api/privacy/erase
+ * Redact a data subject: replace their address with [redacted]@domain in
+ * logs, emails, deliveries, rejections, smtpd sessions and webhook payloads,
+ * including the pseudonym PRIVACY_MODE=hash stores for it
+ * Body parameters:
+ *   - address: Email address of the data subject
+ *   - dryRun: Only report what would be redacted (default: false)
  */
-app.get('/api/archived', async (req, res) => {
-  const connection = await pool.getConnection();
-  
-  try {
-    const [emails] = await connection.execute(
-      `SELECT message_id, sender, recipient, size, log_date, status, updated_at
-       FROM emails 
-       WHERE status = 'archived'
-       ORDER BY updated_at DESC
-       LIMIT 1000`
-    );
+app.post('/api/privacy/erase', requirePermission('admin'), async (req, res) => {
+  const address = String((req.body || {}).address || '').trim();
+  const dryRun = Boolean((req.body || {}).dryRun);
+  if (!isAddress(address)) {
+    return res.status(400).json({ error: 'address must be an email address' });
+  }
 
-    let archivedData = [];
-    
-    for (const email of emails) {
-      archivedData.push({
-        id: email.message_id,
-        size: email.size || 0,
-        timestamp: email.log_date ? email.log_date.toISOString() : new Date().toISOString(),
-        from: email.sender || 'unknown',
-        to: email.recipient || 'unknown',
-        status: email.status,
-        archivedAt: email.updated_at ? email.updated_at.toISOString() : new Date().toISOString()
-      });
+  let connection;
+  try {
+    connection = await pool.getConnection();
+    await connection.beginTransaction();
+    const report = await eraseAddress(connection, address, { dryRun });
+    await connection.commit();
+
+    // The log keeps the operation, not the address
+    if (!dryRun) {
+      console.log(`[${new Date().toISOString()}] ${req.auth.username} erased an address of ${address.split('@')[1]}: ${report.total} values redacted`);
     }
-
-    res.json({
-      archived: archivedData,
-      total: archivedData.length,
-      timestamp: new Date().toISOString()
-    });
+    res.json({ address, ...report });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Error fetching archived:`, error.message);
-    res.status(500).json({ error: 'Failed to fetch archived emails', archived: [], total: 0 });
+    if (connection) await connection.rollback();
+    console.error(`[${new Date().toISOString()}] Error erasing address:`, error.message);
+    res.status(500).json({ error: 'Failed to erase address' });
   } finally {
-    await connection.release();
+    if (connection) await connection.release();
   }
 });
 
@@ -923,8 +2873,21 @@ app.listen(port, () => {
     try {
       console.log(`[${new Date().toISOString()}] Initializing application...`);
       await initializeDatabase();
+      await ensureAdminUser();
+      if (PRIVACY_MODE !== 'off') {
+        console.log(`[${new Date().toISOString()}] Privacy mode: ${PRIVACY_MODE} (addresses are pseudonymized when imported)`);
+      }
+      webhookDispatcher.start();
+      if (syslogReceiver) {
+        try {
+          await syslogReceiver.start();
+        } catch (error) {
+          console.error(`[${new Date().toISOString()}] Failed to start syslog receiver:`, error.message);
+        }
+      }
       console.log(`[${new Date().toISOString()}] Running initial import`);
-      await importLogs();
+      // Already logged, the scheduled import retries
+      await queueImport(importLogs).catch(() => {});
       console.log(`[${new Date().toISOString()}] Application initialized successfully`);
     } catch (error) {
       console.error(`[${new Date().toISOString()}] Critical error during initialization:`, error.message);
@@ -940,7 +2903,7 @@ app.listen(port, () => {
  *   - period: 'day', 'week', 'month', or 'year' (default: 'day')
  *   - date: Reference date in ISO format (default: today)
  */
-app.get('/api/stats/chart', async (req, res) => {
+app.get('/api/stats/chart', requirePermission('read'), async (req, res) => {
   try {
     const connection = await pool.getConnection();
     const period = req.query.period || 'day';
@@ -959,7 +2922,7 @@ app.get('/api/stats/chart', async (req, res) => {
       const [rows] = await connection.query(
         `SELECT HOUR(log_date) as hour, COUNT(*) as count 
          FROM emails 
-         WHERE log_date >= ? AND log_date <= ? AND status = 'sent'
+         WHERE log_date >= ? AND log_date <= ? AND status = 'sent' AND bounce_of IS NULL
          GROUP BY HOUR(log_date) 
          ORDER BY hour`,
         [startOfDay, endOfDay]
@@ -982,7 +2945,7 @@ app.get('/api/stats/chart', async (req, res) => {
       const [rows] = await connection.query(
         `SELECT DATE_FORMAT(log_date, '%Y-%m-%d') as day, COUNT(*) as count 
          FROM emails 
-         WHERE log_date >= ? AND log_date <= ? AND status = 'sent'
+         WHERE log_date >= ? AND log_date <= ? AND status = 'sent' AND bounce_of IS NULL
          GROUP BY DATE_FORMAT(log_date, '%Y-%m-%d') 
          ORDER BY day`,
         [startOfWeek, endOfWeek]
@@ -1007,7 +2970,7 @@ app.get('/api/stats/chart', async (req, res) => {
       const [rows] = await connection.query(
         `SELECT DATE_FORMAT(log_date, '%Y-%m-%d') as day, COUNT(*) as count 
          FROM emails 
-         WHERE log_date >= ? AND log_date <= ? AND status = 'sent'
+         WHERE log_date >= ? AND log_date <= ? AND status = 'sent' AND bounce_of IS NULL
          GROUP BY DATE_FORMAT(log_date, '%Y-%m-%d') 
          ORDER BY day`,
         [startOfMonth, endOfMonth]
@@ -1032,7 +2995,7 @@ app.get('/api/stats/chart', async (req, res) => {
       const [rows] = await connection.query(
         `SELECT MONTH(log_date) as month, COUNT(*) as count 
          FROM emails 
-         WHERE log_date >= ? AND log_date <= ? AND status = 'sent'
+         WHERE log_date >= ? AND log_date <= ? AND status = 'sent' AND bounce_of IS NULL
          GROUP BY MONTH(log_date) 
          ORDER BY month`,
         [startOfYear, endOfYear]
@@ -0,0 +1,362 @@
+const { sendWebhook, sendMail } = require('./notify');
+
+/**
+ * Alert rules
+ *
+ * A rule compares a metric with a threshold, e.g.
+ *   deferred > 200 for 15 minutes
+ *   bounce_rate > 10 over the last 60 minutes, recipients at gmail.com
+ *   sent < 1 over the last 120 minutes, Monday to Friday 08:00-18:00
+ * Rules live in alert_rules together with their state, so a restart neither
+ * loses a firing alert nor notifies it twice:
+ *   ok -> pending   condition true, waiting for for_minutes
+ *   pending -> firing   still true after for_minutes: notify "firing"
+ *   firing -> ok    condition false: notify "resolved"
+ * A firing rule is notified again every repeat_minutes when set. Outside its
+ * active days/hours a rule counts as not matching. Every notification is
+ * recorded in alert_events, in the same transaction as the state change, and
+ * sent once every rule has been evaluated.
+ */
+
+const METRICS = {
+  deferred: {
+    description: 'Messages whose latest attempt was deferred (as counted by /api/queue)',
+    windowed: false,
+    query: domain => ({
+      sql: `SELECT COUNT(*) AS value FROM emails WHERE status = 'deferred'${domain ? ' AND recipient LIKE ?' : ''}`
+    })
+  },
+  bounce_rate: {
+    description: 'Percentage of delivery attempts bounced in the window',
+    windowed: true,
+    query: domain => ({
+      sql: `SELECT COALESCE(100 * SUM(status = 'bounced') / NULLIF(COUNT(*), 0), 0) AS value
+            FROM deliveries WHERE log_date >= ?${domain ? ' AND recipient LIKE ?' : ''}`
+    })
+  },
+  deferred_rate: {
+    description: 'Percentage of delivery attempts deferred in the window',
+    windowed: true,
+    query: domain => ({
+      sql: `SELECT COALESCE(100 * SUM(status = 'deferred') / NULLIF(COUNT(*), 0), 0) AS value
+            FROM deliveries WHERE log_date >= ?${domain ? ' AND recipient LIKE ?' : ''}`
+    })
+  },
+  sent: {
+    description: 'Delivery attempts accepted by the next hop in the window',
+    windowed: true,
+    query: domain => ({
+      sql: `SELECT COUNT(*) AS value FROM deliveries WHERE status = 'sent' AND log_date >= ?${domain ? ' AND recipient LIKE ?' : ''}`
+    })
+  },
+  received: {
+    description: 'Messages received in the window',
+    windowed: true,
+    query: domain => ({
+      sql: `SELECT COUNT(*) AS value FROM emails WHERE log_date >= ?${domain ? ' AND recipient LIKE ?' : ''}`
+    })
+  },
+  rejections: {
+    description: 'Rejected connections and recipients in the window',
+    windowed: true,
+    query: domain => ({
+      sql: `SELECT COUNT(*) AS value FROM rejections WHERE log_date >= ?${domain ? ' AND recipient LIKE ?' : ''}`
+    })
+  },
+  volume_change: {
+    description: 'Messages received in the window, as a percentage of the average of the same window over the previous 24 hours',
+    windowed: true,
+    baseline: true,
+    query: domain => ({
+      sql: `SELECT COALESCE(100 * SUM(log_date >= ?) / NULLIF(SUM(log_date < ?) * ? / 1440, 0), 0) AS value
+            FROM emails WHERE log_date >= ?${domain ? ' AND recipient LIKE ?' : ''}`
+    })
+  }
+};
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+const RULE_PATTERNS = {
+  days: /^[1-7](?:-[1-7])?(?:,[1-7](?:-[1-7])?)*$/,
+  hours: /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/,
+  domain: /^[a-z0-9.-]+\.[a-z]{2,}$/i,
+  email: /^[^\s@,]+@[^\s@,]+$/
+};
+
+/**
+ * Check and normalize a rule submitted through the API
+ * @param {Object} body - Request body
+ * @returns {{rule: Object}|{error: string}} Columns of alert_rules, or what is wrong
+ */
+function validateRule(body) {
+  const rule = {
+    name: String(body.name || '').trim(),
+    enabled: body.enabled === undefined ? true : Boolean(body.enabled),
+    metric: body.metric,
+    domain: body.domain ? String(body.domain).trim().toLowerCase() : null,
+    operator: body.operator,
+    threshold: Number(body.threshold),
+    window_minutes: body.window_minutes ? parseInt(body.window_minutes) : 60,
+    for_minutes: body.for_minutes ? parseInt(body.for_minutes) : 0,
+    active_days: body.active_days ? String(body.active_days).replace(/\s+/g, '') : null,
+    active_hours: body.active_hours ? String(body.active_hours).replace(/\s+/g, '') : null,
+    repeat_minutes: body.repeat_minutes ? parseInt(body.repeat_minutes) : null,
+    notify_webhook: body.notify_webhook ? String(body.notify_webhook).trim() : null,
+    notify_email: body.notify_email ? String(body.notify_email).replace(/\s+/g, '') : null
+  };
+
+  if (!rule.name) return { error: 'name is required' };
+  if (!METRICS[rule.metric]) return { error: `metric must be one of: ${Object.keys(METRICS).join(', ')}` };
+  if (!OPERATORS[rule.operator]) return { error: `operator must be one of: ${Object.keys(OPERATORS).join(' ')}` };
+  if (body.threshold === undefined || body.threshold === '' || !Number.isFinite(rule.threshold)) {
+    return { error: 'threshold must be a number' };
+  }
+  for (const field of ['window_minutes', 'for_minutes', 'repeat_minutes']) {
+    if (rule[field] !== null && (!Number.isInteger(rule[field]) || rule[field] < 0)) {
+      return { error: `${field} must be a non-negative integer` };
+    }
+  }
+  if (rule.window_minutes < 1) return { error: 'window_minutes must be at least 1' };
+  if (rule.domain && !RULE_PATTERNS.domain.test(rule.domain)) return { error: `Invalid domain "${rule.domain}"` };
+  if (rule.active_days && !RULE_PATTERNS.days.test(rule.active_days)) {
+    return { error: 'active_days must list ISO weekdays, e.g. 1-5 or 1,3,5 (1 = Monday)' };
+  }
+  if (rule.active_hours && !RULE_PATTERNS.hours.test(rule.active_hours)) {
+    return { error: 'active_hours must be a range such as 08:00-18:00' };
+  }
+  if (rule.notify_webhook && !/^https?:\/\/\S+$/.test(rule.notify_webhook)) {
+    return { error: 'notify_webhook must be an http(s) URL' };
+  }
+  if (rule.notify_email && !rule.notify_email.split(',').every(address => RULE_PATTERNS.email.test(address))) {
+    return { error: 'notify_email must be a comma-separated list of addresses' };
+  }
+
+  return { rule };
+}
+
+/**
+ * Whether a rule is active at a given time (server timezone)
+ * @param {Object} rule - Rule row
+ * @param {Date} now - Evaluation time
+ * @returns {boolean} True inside the active days and hours
+ */
+function isActive(rule, now) {
+  if (rule.active_days) {
+    const weekday = now.getDay() || 7;
+    const days = rule.active_days.split(',').some(range => {
+      const [from, to = from] = range.split('-').map(Number);
+      return weekday >= from && weekday <= to;
+    });
+    if (!days) return false;
+  }
+
+  if (rule.active_hours) {
+    const [, fromHour, fromMinute, toHour, toMinute] = rule.active_hours.match(RULE_PATTERNS.hours);
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const from = parseInt(fromHour) * 60 + parseInt(fromMinute);
+    const to = parseInt(toHour) * 60 + parseInt(toMinute);
+    // A range such as 22:00-06:00 spans midnight
+    const inside = from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+    if (!inside) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Current value of a rule's metric
+ * @param {Object} connection - Database connection
+ * @param {Object} rule - Rule row
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<number>} Metric value
+ */
+async function measure(connection, rule, now) {
+  const metric = METRICS[rule.metric];
+  const { sql } = metric.query(rule.domain);
+  const windowStart = new Date(now.getTime() - rule.window_minutes * 60 * 1000);
+  const params = [];
+
+  if (metric.baseline) {
+    // Current window against the 24 hours before it
+    params.push(windowStart, windowStart, rule.window_minutes, new Date(windowStart.getTime() - 24 * 60 * 60 * 1000));
+  } else if (metric.windowed) {
+    params.push(windowStart);
+  }
+  if (rule.domain) params.push(`%@${rule.domain}`);
+
+  const [[{ value }]] = await connection.query(sql, params);
+  return Math.round(Number(value) * 100) / 100;
+}
+
+/**
+ * Human-readable summary of a rule's condition
+ * @param {Object} rule - Rule row
+ * @returns {string} e.g. "bounce_rate > 10 (last 60 min, gmail.com)"
+ */
+function describeRule(rule) {
+  const scope = [];
+  if (METRICS[rule.metric] && METRICS[rule.metric].windowed) scope.push(`last ${rule.window_minutes} min`);
+  if (rule.for_minutes) scope.push(`for ${rule.for_minutes} min`);
+  if (rule.domain) scope.push(rule.domain);
+  return `${rule.metric} ${rule.operator} ${Number(rule.threshold)}${scope.length > 0 ? ` (${scope.join(', ')})` : ''}`;
+}
+
+/**
+ * Describe a state change to notify
+ * @param {Object} rule - Rule row
+ * @param {string} state - firing or resolved
+ * @param {number} value - Metric value
+ * @param {Date} now - Evaluation time
+ * @returns {Object} Notification: { rule, payload, event }
+ */
+function createNotification(rule, state, value, now) {
+  const message = `[${state.toUpperCase()}] ${rule.name}: ${rule.metric} is ${value}; condition ${describeRule(rule)}`;
+  const payload = {
+    state,
+    rule: { id: rule.id, name: rule.name, metric: rule.metric, operator: rule.operator, threshold: Number(rule.threshold), domain: rule.domain },
+    value,
+    message,
+    firedAt: state === 'firing' ? now : rule.fired_at,
+    resolvedAt: state === 'resolved' ? now : null
+  };
+  return { rule, payload, event: { ruleId: rule.id, state, value, message, notifyError: null } };
+}
+
+/**
+ * Send a recorded notification, and store the channels that failed on its event
+ * @param {Object} pool - Database pool
+ * @param {Object} notification - Notification from evaluateRule()
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object>} The event, with notifyError set if a channel failed
+ */
+async function notify(pool, { rule, payload, event, eventId }, now) {
+  const sends = [];
+  if (rule.notify_webhook) {
+    sends.push(sendWebhook(rule.notify_webhook, payload).then(() => null, error => `webhook: ${error.message}`));
+  }
+  if (rule.notify_email) {
+    sends.push(sendMail(rule.notify_email, event.message, `${event.message}\n\nEvaluated at ${now.toISOString()}.\n`)
+      .then(() => null, error => `email: ${error.message}`));
+  }
+  console.log(`[${now.toISOString()}] ${event.message}`);
+
+  const errors = (await Promise.all(sends)).filter(Boolean);
+  if (errors.length > 0) {
+    event.notifyError = errors.join('; ');
+    console.error(`[${now.toISOString()}] Error notifying alert "${rule.name}":`, event.notifyError);
+    await pool.query('UPDATE alert_events SET notify_error = ? WHERE id = ?', [event.notifyError, eventId])
+      .catch(error => console.error(`[${new Date().toISOString()}] Error recording notification error of "${rule.name}":`, error.message));
+  }
+  return event;
+}
+
+/**
+ * Evaluate one rule, and store its new state and the event of a state change
+ * @param {Object} connection - Database connection, in a transaction
+ * @param {Object} rule - Rule row
+ * @param {Date} now - Evaluation time
+ * @returns {Promise<Object|null>} Notification to send, if the rule changed state or repeats
+ */
+async function evaluateRule(connection, rule, now) {
+  const active = isActive(rule, now);
+  const value = active ? await measure(connection, rule, now) : null;
+  const matches = active && OPERATORS[rule.operator](value, Number(rule.threshold));
+  const update = { last_value: value, last_evaluated_at: now };
+  let notification = null;
+
+  if (matches) {
+    const pendingSince = rule.state === 'ok' ? now : rule.pending_since || now;
+    if (rule.state !== 'firing') {
+      if (now - pendingSince >= rule.for_minutes * 60 * 1000) {
+        notification = createNotification(rule, 'firing', value, now);
+        Object.assign(update, { state: 'firing', fired_at: now, last_notified_at: now });
+      } else {
+        Object.assign(update, { state: 'pending', pending_since: pendingSince });
+      }
+    } else if (rule.repeat_minutes && now - rule.last_notified_at >= rule.repeat_minutes * 60 * 1000) {
+      notification = createNotification(rule, 'firing', value, now);
+      update.last_notified_at = now;
+    }
+  } else if (rule.state === 'firing') {
+    notification = createNotification(rule, 'resolved', value, now);
+    Object.assign(update, { state: 'ok', pending_since: null, resolved_at: now, last_notified_at: now });
+  } else if (rule.state === 'pending') {
+    Object.assign(update, { state: 'ok', pending_since: null });
+  }
+
+  const columns = Object.keys(update);
+  await connection.query(
+    `UPDATE alert_rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => update[column]), rule.id]
+  );
+
+  if (notification) {
+    const { event } = notification;
+    const [result] = await connection.query(
+      'INSERT INTO alert_events (rule_id, state, value, threshold, message) VALUES (?, ?, ?, ?, ?)',
+      [rule.id, event.state, event.value, rule.threshold, event.message]
+    );
+    notification.eventId = result.insertId;
+  }
+  return notification;
+}
+
+/**
+ * Evaluate every enabled rule, then send the notifications
+ * Each rule's state change is committed together with its event before
+ * anything is sent: a failed update never notifies twice, and a slow
+ * webhook or SMTP relay neither holds a connection nor delays other rules.
+ * @param {Object} pool - Database pool
+ * @param {Date} now - Evaluation time (default: now)
+ * @returns {Promise<{rules: number, events: Object[]}>} Rules evaluated and notifications sent
+ */
+async function evaluateAlerts(pool, now = new Date()) {
+  const connection = await pool.getConnection();
+  const notifications = [];
+  let rules;
+
+  try {
+    [rules] = await connection.query('SELECT * FROM alert_rules WHERE enabled = 1');
+    for (const rule of rules) {
+      await connection.beginTransaction();
+      try {
+        const notification = await evaluateRule(connection, rule, now);
+        await connection.commit();
+        if (notification) notifications.push(notification);
+      } catch (error) {
+        await connection.rollback();
+        console.error(`[${new Date().toISOString()}] Error evaluating alert "${rule.name}":`, error.message);
+      }
+    }
+  } finally {
+    await connection.release();
+  }
+
+  const events = await Promise.all(notifications.map(notification => notify(pool, notification, now)));
+  return { rules: rules.length, events };
+}
+
+/**
+ * Send a test notification for a rule
+ * @param {Object} rule - Rule row
+ * @returns {Promise<string[]>} Errors, empty if every channel worked
+ */
+async function testNotification(rule) {
+  const message = `[TEST] ${rule.name}: ${describeRule(rule)}`;
+  const errors = [];
+  if (rule.notify_webhook) {
+    await sendWebhook(rule.notify_webhook, { state: 'test', rule: { id: rule.id, name: rule.name }, message })
+      .catch(error => errors.push(`webhook: ${error.message}`));
+  }
+  if (rule.notify_email) {
+    await sendMail(rule.notify_email, message, `${message}\n`).catch(error => errors.push(`email: ${error.message}`));
+  }
+  return errors;
+}
+
+module.exports = { METRICS, OPERATORS, validateRule, evaluateAlerts, testNotification, describeRule };
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRule, evaluateAlerts, describeRule } = require('./alerts');
+
+const NOW = new Date('2026-03-02T10:00:00Z');
+
+function createRule(overrides = {}) {
+  const { rule } = validateRule({
+    name: 'Deferred queue',
+    metric: 'deferred',
+    operator: '>',
+    threshold: 100,
+    notify_webhook: 'http://alerts.example.test/hook'
+  });
+  return {
+    id: 1,
+    state: 'ok',
+    pending_since: null,
+    fired_at: null,
+    last_notified_at: null,
+    ...rule,
+    ...overrides
+  };
+}
+
+/**
+ * Pool double: one connection measuring `value` for every rule, logging
+ * each statement and transaction step in `journal`
+ */
+function createPool(rules, { value = 0, failOn = null } = {}) {
+  const journal = [];
+  const query = async (sql, params = []) => {
+    const statement = sql.trim();
+    journal.push(statement.split(/\s+/).slice(0, 3).join(' '));
+    if (failOn && failOn.test(statement)) throw new Error('Deadlock found when trying to get lock');
+    if (statement.startsWith('SELECT * FROM alert_rules')) return [rules];
+    if (statement.startsWith('SELECT')) return [[{ value }]];
+    if (statement.startsWith('INSERT INTO alert_events')) return [{ insertId: 42 }];
+    return [{ affectedRows: 1, params }];
+  };
+  const connection = {
+    query,
+    beginTransaction: async () => journal.push('BEGIN'),
+    commit: async () => journal.push('COMMIT'),
+    rollback: async () => journal.push('ROLLBACK'),
+    release: () => journal.push('RELEASE')
+  };
+  return { journal, query, getConnection: async () => connection };
+}
+
+/**
+ * Replace fetch for the duration of a test
+ * @returns {Object[]} Requests sent, with the journal length at the time
+ */
+function stubFetch(t, pool, respond = async () => new Response(null, { status: 204 })) {
+  const requests = [];
+  const original = global.fetch;
+  global.fetch = async (url, options) => {
+    requests.push({ url, body: JSON.parse(options.body), journalLength: pool.journal.length });
+    return respond(url, options);
+  };
+  t.after(() => {
+    global.fetch = original;
+  });
+  return requests;
+}
+
+test('describes a rule condition', () => {
+  assert.equal(
+    describeRule(createRule({ metric: 'bounce_rate', window_minutes: 60, for_minutes: 15, domain: 'gmail.com' })),
+    'bounce_rate > 100 (last 60 min, for 15 min, gmail.com)'
+  );
+});
+
+test('a matching rule waits for_minutes in pending before firing', async t => {
+  const rule = createRule({ for_minutes: 15 });
+  const pool = createPool([rule], { value: 150 });
+  const requests = stubFetch(t, pool);
+
+  const result = await evaluateAlerts(pool, NOW);
+  assert.deepEqual(result, { rules: 1, events: [] });
+  assert.equal(requests.length, 0);
+  assert.ok(pool.journal.includes('UPDATE alert_rules SET'));
+});
+
+test('a firing rule is stored with its event before the notification is sent', async t => {
+  const rule = createRule({ state: 'pending', pending_since: new Date(NOW.getTime() - 20 * 60 * 1000), for_minutes: 15 });
+  const pool = createPool([rule], { value: 150 });
+  const requests = stubFetch(t, pool);
+
+  const { events } = await evaluateAlerts(pool, NOW);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].state, 'firing');
+  assert.equal(events[0].notifyError, null);
+
+  assert.deepEqual(pool.journal.slice(1), [
+    'BEGIN', 'SELECT COUNT(*) AS', 'UPDATE alert_rules SET', 'INSERT INTO alert_events', 'COMMIT', 'RELEASE'
+  ]);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].journalLength, pool.journal.length);
+  assert.equal(requests[0].body.state, 'firing');
+  assert.equal(requests[0].body.value, 150);
+});
+
+test('a failed state update rolls back and notifies nothing', async t => {
+  const rule = createRule();
+  const pool = createPool([rule], { value: 150, failOn: /^UPDATE alert_rules/ });
+  const requests = stubFetch(t, pool);
+
+  const { events } = await evaluateAlerts(pool, NOW);
+  assert.deepEqual(events, []);
+  assert.equal(requests.length, 0);
+  assert.ok(pool.journal.includes('ROLLBACK'));
+  assert.ok(!pool.journal.includes('COMMIT'));
+});
+
+test('a firing rule resolves when the condition clears', async t => {
+  const rule = createRule({ state: 'firing', fired_at: new Date(NOW.getTime() - 60 * 60 * 1000) });
+  const pool = createPool([rule], { value: 10 });
+  const requests = stubFetch(t, pool);
+
+  const { events } = await evaluateAlerts(pool, NOW);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].state, 'resolved');
+  assert.equal(requests[0].body.resolvedAt, NOW.toISOString());
+});
+
+test('a firing rule repeats only after repeat_minutes', async t => {
+  const firing = { state: 'firing', fired_at: NOW, repeat_minutes: 30 };
+  const early = createRule({ ...firing, last_notified_at: new Date(NOW.getTime() - 10 * 60 * 1000) });
+  const due = createRule({ ...firing, id: 2, last_notified_at: new Date(NOW.getTime() - 40 * 60 * 1000) });
+  const pool = createPool([early, due], { value: 150 });
+  const requests = stubFetch(t, pool);
+
+  const { events } = await evaluateAlerts(pool, NOW);
+  assert.deepEqual(events.map(event => event.ruleId), [2]);
+  assert.equal(requests.length, 1);
+});
+
+test('notifications are sent concurrently, and failures are stored on their event', async t => {
+  const rules = [createRule(), createRule({ id: 2, notify_webhook: 'http://down.example.test/hook' })];
+  const pool = createPool(rules, { value: 150 });
+  let inFlight = 0;
+  let maxInFlight = 0;
+  stubFetch(t, pool, async url => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight--;
+    return new Response(null, { status: url.includes('down') ? 503 : 204 });
+  });
+
+  const { events } = await evaluateAlerts(pool, NOW);
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(events.map(event => event.notifyError), [null, 'webhook: HTTP 503']);
+  assert.equal(pool.journal[pool.journal.length - 1], 'UPDATE alert_events SET');
+});
+
+test('a rule outside its active days does not match', async t => {
+  const rule = createRule({ state: 'firing', active_days: '6-7' });
+  const pool = createPool([rule], { value: 150 });
+  stubFetch(t, pool);
+
+  const { events } = await evaluateAlerts(pool, NOW);
+  assert.equal(events[0].state, 'resolved');
+  assert.equal(events[0].value, null);
+});
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { pipeline, PassThrough } = require('stream');
+const { spawn } = require('child_process');
+const { HEAD_BYTES } = require('./tailer');
+const { createFormat } = require('./formats');
+
+/**
+ * Rotated / compressed log archives
+ *
+ * Helpers for the backfill import: expand a glob or directory into the list
+ * of archive files (oldest first), open them with on-the-fly decompression
+ * (.gz via zlib, .xz via the xz binary) and split their content into line
+ * batches that carry the decompressed byte offset reached.
+ *
+ * Archives are identified by a fingerprint of their first decompressed bytes,
+ * which is the same whether the file is called mail.log.1 or has since been
+ * compressed to mail.log.2.gz.
+ */
+
+/**
+ * Convert a shell-style basename pattern (* and ?) into a RegExp
+ * @param {string} pattern - Basename pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function patternToRegex(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+}
+
+/**
+ * Rotation number of a file name (mail.log.3.gz -> 3), 0 if none
+ * @param {string} name - File name
+ * @returns {number} Rotation number
+ */
+function rotationNumber(name) {
+  const match = name.match(/\.(\d+)(?:\.(?:gz|xz))?$/);
+  return match ? parseInt(match[1]) : 0;
+}
+
+/**
+ * Expand a glob (wildcards in the file name only) or a directory into the
+ * list of regular files to import, oldest first
+ * @param {string} source - Directory, file path or glob such as /app/logs/mail.log.*
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function listLogFiles(source) {
+  const resolved = path.resolve(source);
+  let dir = resolved;
+  let matcher = null;
+
+  const stat = await fs.promises.stat(resolved).catch(() => null);
+  if (stat && stat.isFile()) {
+    return [resolved];
+  }
+  if (!stat || !stat.isDirectory()) {
+    dir = path.dirname(resolved);
+    matcher = patternToRegex(path.basename(resolved));
+  }
+
+  const entries = await fs.promises.readdir(dir);
+  const files = [];
+  for (const name of entries) {
+    if (matcher && !matcher.test(name)) continue;
+    const filePath = path.join(dir, name);
+    const fileStat = await fs.promises.stat(filePath).catch(() => null);
+    if (fileStat && fileStat.isFile()) {
+      files.push({ filePath, name, mtime: fileStat.mtimeMs });
+    }
+  }
+
+  // Oldest first: by modification time, then by rotation number (higher is older)
+  files.sort((a, b) => (a.mtime - b.mtime) || (rotationNumber(b.name) - rotationNumber(a.name)));
+  return files.map(file => file.filePath);
+}
+
+/**
+ * Open a log file as a stream of decompressed bytes
+ * @param {string} filePath - Plain, .gz or .xz file
+ * @returns {ReadableStream} Decompressed content
+ */
+function openLogStream(filePath) {
+  if (filePath.endsWith('.gz')) {
+    // pipeline() forwards read errors to the gunzip stream and tears both down together
+    return pipeline(fs.createReadStream(filePath), zlib.createGunzip(), () => {});
+  }
+
+  if (filePath.endsWith('.xz')) {
+    const child = spawn('xz', ['-dc', filePath], { stdio: ['ignore', 'pipe', 'pipe'] });
+    // xz closes its output before exiting: end the stream only once the exit
+    // code says the archive was complete, so a corrupt one is not read as short
+    const output = new PassThrough();
+    let stderr = '';
+    child.stdout.pipe(output, { end: false });
+    child.stderr.on('data', data => { stderr += data; });
+    child.on('error', error => output.destroy(error));
+    child.on('close', (code, signal) => {
+      if (output.destroyed) return;
+      if (code === 0) return output.end();
+      output.destroy(new Error(`xz exited with ${code === null ? signal : `code ${code}`}: ${stderr.trim()}`));
+    });
+    // Stop the decompressor if the reader gives up early
+    output.on('close', () => child.kill());
+    return output;
+  }
+
+  return fs.createReadStream(filePath);
+}
+
+/**
+ * Fingerprint a log file from its first decompressed bytes
+ * @param {string} filePath - Log file
+ * @returns {Promise<string|null>} Hex SHA-1 digest, null for an empty file
+ */
+async function fingerprintFile(filePath) {
+  const stream = openLogStream(filePath);
+  const chunks = [];
+  let length = 0;
+
+  try {
+    for await (const data of stream) {
+      chunks.push(data);
+      length += data.length;
+      if (length >= HEAD_BYTES) break;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (length === 0) return null;
+  const head = Buffer.concat(chunks).subarray(0, HEAD_BYTES);
+  return crypto.createHash('sha1').update(head).digest('hex');
+}
+
+/**
+ * Split a stream into batches of lines, skipping the bytes already imported
+ * @param {ReadableStream} stream - Decompressed content
+ * @param {Object} options - Options
+ * @param {number} options.start - Decompressed byte offset to resume from (default: 0)
+ * @param {number} options.batchLines - Maximum lines per batch (default: 1000)
+ * @param {Object} options.format - Source format from createFormat() (default: syslog)
+ * @returns {AsyncGenerator<{lines: string[], offset: number}>} Offset reached after each batch
+ */
+async function* readLineBatches(stream, { start = 0, batchLines = 1000, format = createFormat() } = {}) {
+  let offset = 0;
+  let skip = start;
+  let pending = Buffer.alloc(0);
+  let lines = [];
+
+  for await (let data of stream) {
+    if (skip > 0) {
+      if (data.length <= skip) {
+        skip -= data.length;
+        offset += data.length;
+        continue;
+      }
+      data = data.subarray(skip);
+      offset += skip;
+      skip = 0;
+    }
+
+    const chunk = Buffer.concat([pending, data]);
+    const chunkOffset = offset - pending.length;
+    offset += data.length;
+
+    let lineStart = 0;
+    let entry;
+    while ((entry = format.split(chunk, lineStart)) !== null) {
+      const line = format.decode(chunk.subarray(lineStart, entry.end));
+      if (line !== null) lines.push(line);
+      lineStart = entry.next;
+
+      if (lines.length >= batchLines) {
+        yield { lines, offset: chunkOffset + lineStart };
+        lines = [];
+      }
+    }
+
+    pending = chunk.subarray(lineStart);
+  }
+
+  // Archives are complete, so a last line without newline is still a line
+  if (pending.length > 0) {
+    const line = format.decode(pending);
+    if (line !== null) lines.push(line);
+  }
+  if (lines.length > 0) {
+    yield { lines, offset };
+  }
+}
+
+module.exports = {
+  listLogFiles,
+  openLogStream,
+  fingerprintFile,
+  readLineBatches
+};
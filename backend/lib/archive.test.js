@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { spawnSync } = require('child_process');
+const { listLogFiles, openLogStream, fingerprintFile, readLineBatches } = require('./archive');
+
+const HAS_XZ = !spawnSync('xz', ['--version']).error;
+
+/**
+ * Temporary directory, removed after the test
+ */
+async function createDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function logText(from, to) {
+  let text = '';
+  for (let number = from; number <= to; number++) {
+    text += `Mar  2 10:00:${String(number % 60).padStart(2, '0')} mx1 postfix/smtp[${number}]: line ${number}\n`;
+  }
+  return text;
+}
+
+/**
+ * Write a file with the given modification time (seconds since the epoch)
+ */
+async function writeFile(dir, name, content, mtime) {
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  if (mtime) await fs.utimes(filePath, mtime, mtime);
+  return filePath;
+}
+
+/**
+ * Read every batch of a stream
+ */
+async function readAll(stream, options) {
+  const batches = [];
+  for await (const batch of readLineBatches(stream, options)) batches.push(batch);
+  return batches;
+}
+
+test('lists archives oldest first by modification time, then by rotation number', async t => {
+  const dir = await createDir(t);
+  const names = await Promise.all([
+    writeFile(dir, 'mail.log', 'live\n', 5000),
+    writeFile(dir, 'mail.log.1', 'one\n', 4000),
+    writeFile(dir, 'mail.log.2.gz', zlib.gzipSync('two\n'), 3000),
+    // Same mtime: the higher rotation number is older
+    writeFile(dir, 'mail.log.10.xz', 'ten\n', 1000),
+    writeFile(dir, 'mail.log.9.xz', 'nine\n', 1000),
+    writeFile(dir, 'other.log', 'other\n', 500)
+  ]);
+  await fs.mkdir(path.join(dir, 'mail.log.old'));
+  const file = name => path.join(dir, name);
+
+  assert.deepEqual(await listLogFiles(path.join(dir, 'mail.log.*')),
+    ['mail.log.10.xz', 'mail.log.9.xz', 'mail.log.2.gz', 'mail.log.1'].map(file));
+  assert.deepEqual(await listLogFiles(path.join(dir, 'mail.log.?')), [file('mail.log.1')]);
+  assert.deepEqual(await listLogFiles(dir),
+    ['other.log', 'mail.log.10.xz', 'mail.log.9.xz', 'mail.log.2.gz', 'mail.log.1', 'mail.log'].map(file));
+  assert.deepEqual(await listLogFiles(names[1]), [file('mail.log.1')]);
+});
+
+test('opens plain, .gz and .xz archives as their decompressed content', { skip: !HAS_XZ && 'xz not installed' }, async t => {
+  const dir = await createDir(t);
+  const text = logText(1, 50);
+  const files = [
+    await writeFile(dir, 'mail.log.1', text),
+    await writeFile(dir, 'mail.log.2.gz', zlib.gzipSync(text)),
+    await writeFile(dir, 'mail.log.3.xz', spawnSync('xz', ['-c'], { input: text }).stdout)
+  ];
+
+  for (const file of files) {
+    const chunks = [];
+    for await (const data of openLogStream(file)) chunks.push(data);
+    assert.equal(Buffer.concat(chunks).toString(), text, file);
+  }
+
+  // Corrupt and truncated archives fail instead of reading as short
+  const xz = spawnSync('xz', ['-c'], { input: logText(1, 5000) }).stdout;
+  const corrupt = [
+    await writeFile(dir, 'mail.log.4.gz', 'not gzip'),
+    await writeFile(dir, 'mail.log.5.xz', 'not xz'),
+    await writeFile(dir, 'mail.log.6.xz', xz.subarray(0, xz.length / 2))
+  ];
+  for (const file of corrupt) {
+    await assert.rejects(async () => {
+      for await (const data of openLogStream(file)) assert.ok(data);
+    }, file);
+  }
+});
+
+test('fingerprints the decompressed head, so a renamed or compressed archive is recognized', { skip: !HAS_XZ && 'xz not installed' }, async t => {
+  const dir = await createDir(t);
+  const text = logText(1, 100);
+  const fingerprint = await fingerprintFile(await writeFile(dir, 'mail.log.1', text));
+
+  assert.match(fingerprint, /^[0-9a-f]{40}$/);
+  assert.equal(await fingerprintFile(await writeFile(dir, 'mail.log.2.gz', zlib.gzipSync(text))), fingerprint);
+  assert.equal(await fingerprintFile(await writeFile(dir, 'mail.log.3.xz', spawnSync('xz', ['-c'], { input: text }).stdout)), fingerprint);
+  // Only the head counts: lines appended afterwards do not change it
+  assert.equal(await fingerprintFile(await writeFile(dir, 'mail.log.4', text + logText(101, 110))), fingerprint);
+  // The decompressor is stopped once the head is read
+  assert.equal(await fingerprintFile(await writeFile(dir, 'mail.log.7.xz', spawnSync('xz', ['-c'], { input: text + logText(101, 50000) }).stdout)), fingerprint);
+
+  assert.notEqual(await fingerprintFile(await writeFile(dir, 'mail.log.5', logText(2, 100))), fingerprint);
+  assert.equal(await fingerprintFile(await writeFile(dir, 'mail.log.6', '')), null);
+});
+
+test('splits a stream into batches that carry the offset reached', async () => {
+  const text = logText(1, 5) + 'Mar  2 10:00:06 mx1 postfix/smtp[6]: no newline';
+  // Chunks cut in the middle of lines
+  const chunks = [text.slice(0, 30), text.slice(30, 200), text.slice(200)].map(chunk => Buffer.from(chunk));
+
+  const batches = await readAll(Readable.from(chunks), { batchLines: 2 });
+  assert.deepEqual(batches.map(batch => batch.lines.length), [2, 2, 2]);
+  assert.deepEqual(batches.map(batch => batch.offset), [
+    Buffer.byteLength(logText(1, 2)),
+    Buffer.byteLength(logText(1, 4)),
+    Buffer.byteLength(text)
+  ]);
+  assert.equal(batches[2].lines[1], 'Mar  2 10:00:06 mx1 postfix/smtp[6]: no newline');
+});
+
+test('resumes a compressed archive from the offset saved with its last batch', async t => {
+  const dir = await createDir(t);
+  const file = await writeFile(dir, 'mail.log.2.gz', zlib.gzipSync(logText(1, 2000)));
+
+  // Interrupted after the second batch
+  const first = [];
+  for await (const batch of readLineBatches(openLogStream(file), { batchLines: 300 })) {
+    first.push(batch);
+    if (first.length === 2) break;
+  }
+  assert.equal(first[1].offset, Buffer.byteLength(logText(1, 600)));
+
+  const rest = await readAll(openLogStream(file), { start: first[1].offset, batchLines: 300 });
+  assert.equal(rest[0].lines[0], logText(601, 601).trimEnd());
+  assert.deepEqual(rest.flatMap(batch => batch.lines), logText(601, 2000).trimEnd().split('\n'));
+  assert.equal(rest[rest.length - 1].offset, Buffer.byteLength(logText(1, 2000)));
+});
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/**
+ * Authentication and authorization
+ *
+ * Requests authenticate either with the session cookie set by
+ * POST /api/auth/login, or with an API token sent as
+ * "Authorization: Bearer slv_...". Only SHA-256 digests of session IDs and
+ * tokens are stored, and passwords are hashed with scrypt.
+ *
+ * Every route requires a permission. Roles grant:
+ *   viewer     read
+ *   operator   read, export, operate (evaluate/test alerts, retry webhooks)
+ *   admin      everything, including import and admin (settings, users)
+ * A token carries scopes, the permissions it may use; it never gets more
+ * than the current role of the user who created it.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const PERMISSIONS = ['read', 'export', 'operate', 'import', 'admin', 'metrics'];
+
+const ROLES = {
+  viewer: ['read'],
+  operator: ['read', 'export', 'operate'],
+  admin: PERMISSIONS
+};
+
+const SESSION_COOKIE = 'smtplog_session';
+const TOKEN_PREFIX = 'slv_';
+const MIN_PASSWORD_LENGTH = 10;
+
+// Failed logins allowed per client and username before logins are refused for a while
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+// Clients and usernames whose failures are remembered; beyond that the oldest are forgotten
+const LOGIN_MAX_TRACKED = 10000;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Checked for unknown usernames, so they take as long to reject as a wrong password
+const DUMMY_PASSWORD_HASH = `scrypt$${crypto.randomBytes(16).toString('base64')}$${crypto.randomBytes(SCRYPT_KEY_LENGTH).toString('base64')}`;
+
+const AUTH_PATTERNS = {
+  username: /^[a-z0-9._-]{3,50}$/i,
+  bearer: /^Bearer\s+(\S+)$/i
+};
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>" (base64)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against its stored hash
+ * @param {string} password - Plain text password
+ * @param {string|null} stored - Value from hashPassword(), null if the user does not exist
+ * @returns {Promise<boolean>} True if the password matches (never for a missing user)
+ */
+async function verifyPassword(password, stored) {
+  if (!stored) {
+    await verifyPassword(password, DUMMY_PASSWORD_HASH);
+    return false;
+  }
+  const [scheme, salt, expected] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+  const hash = await scrypt(password, Buffer.from(salt, 'base64'), SCRYPT_KEY_LENGTH);
+  const expectedHash = Buffer.from(expected, 'base64');
+  return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+/**
+ * Digest under which a session ID or API token is stored
+ * @param {string} secret - Session ID or token
+ * @returns {string} Hex SHA-256
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Create a random secret
+ * @param {string} prefix - Prefix identifying the kind of secret
+ * @returns {string} Prefix plus 43 base64url characters
+ */
+function generateSecret(prefix = '') {
+  return prefix + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator === -1) return;
+    const name = pair.substring(0, separator).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.substring(separator + 1).trim());
+    } catch (error) {
+      // Malformed value: ignore the cookie
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Permissions of a role, restricted to the scopes of a token
+ * @param {string} role - User role
+ * @param {string|null} scopes - Comma-separated token scopes, null for a session
+ * @returns {string[]} Permissions
+ */
+function effectivePermissions(role, scopes) {
+  const granted = ROLES[role] || [];
+  if (scopes === null || scopes === undefined) return granted;
+  return scopes.split(',').filter(scope => granted.includes(scope));
+}
+
+/**
+ * Check and normalize a user submitted through the API
+ * @param {Object} body - Request body
+ * @param {boolean} creating - Whether username and password are required
+ * @returns {{user: Object}|{error: string}} Fields to store (password still in clear), or what is wrong
+ */
+function validateUser(body, creating) {
+  const user = {};
+
+  if (creating || body.username !== undefined) {
+    user.username = String(body.username || '').trim();
+    if (!AUTH_PATTERNS.username.test(user.username)) {
+      return { error: 'username must be 3-50 letters, digits, dots, dashes or underscores' };
+    }
+  }
+  if (creating || body.password !== undefined) {
+    user.password = String(body.password || '');
+    if (user.password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+  }
+  if (creating || body.role !== undefined) {
+    user.role = body.role || 'viewer';
+    if (!ROLES[user.role]) return { error: `role must be one of: ${Object.keys(ROLES).join(', ')}` };
+  }
+  if (body.active !== undefined) {
+    user.active = Boolean(body.active);
+  }
+
+  return { user };
+}
+
+/**
+ * Check the scopes requested for a token
+ * @param {string[]|string} scopes - Requested scopes
+ * @param {string} role - Role of the user creating the token
+ * @returns {{scopes: string}|{error: string}} Comma-separated scopes, or what is wrong
+ */
+function validateScopes(scopes, role) {
+  const list = (Array.isArray(scopes) ? scopes : String(scopes || '').split(','))
+    .map(scope => String(scope).trim())
+    .filter(Boolean);
+
+  if (list.length === 0) return { error: `scopes is required (${PERMISSIONS.join(', ')})` };
+  const unknown = list.find(scope => !PERMISSIONS.includes(scope));
+  if (unknown) return { error: `Unknown scope "${unknown}" (scopes: ${PERMISSIONS.join(', ')})` };
+  const denied = list.find(scope => !ROLES[role].includes(scope));
+  if (denied) return { error: `Your role (${role}) cannot grant the "${denied}" scope` };
+
+  return { scopes: [...new Set(list)].join(',') };
+}
+
+/**
+ * Find who makes a request
+ * @param {Object} pool - mysql2/promise pool
+ * @param {Object} req - Express request
+ * @param {number} sessionTtl - Session lifetime in milliseconds, renewed on use
+ * @returns {Promise<Object|null>} Principal ({ type, userId, username, role, permissions, sessionId | tokenId }), null if anonymous
+ */
+async function authenticate(pool, req, sessionTtl) {
+  const now = new Date();
+  const bearer = (req.headers.authorization || '').match(AUTH_PATTERNS.bearer);
+
+  if (bearer) {
+    const [rows] = await pool.query(
+      `SELECT api_tokens.id, api_tokens.scopes, users.id AS user_id, users.username, users.role
+       FROM api_tokens JOIN users ON users.id = api_tokens.user_id
+       WHERE api_tokens.token_hash = ? AND users.active = 1
+         AND (api_tokens.expires_at IS NULL OR api_tokens.expires_at > ?)`,
+      [hashSecret(bearer[1]), now]
+    );
+    if (rows.length === 0) return null;
+
+    await pool.query('UPDATE api_tokens SET last_used_at = ? WHERE id = ?', [now, rows[0].id]);
+    return {
+      type: 'token',
+      tokenId: rows[0].id,
+      userId: rows[0].user_id,
+      username: rows[0].username,
+      role: rows[0].role,
+      permissions: effectivePermissions(rows[0].role, rows[0].scopes)
+    };
+  }
+
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!sessionId) return null;
+
+  const [rows] = await pool.query(
+    `SELECT user_sessions.id, users.id AS user_id, users.username, users.role
+     FROM user_sessions JOIN users ON users.id = user_sessions.user_id
+     WHERE user_sessions.id = ? AND user_sessions.expires_at > ? AND users.active = 1`,
+    [hashSecret(sessionId), now]
+  );
+  if (rows.length === 0) return null;
+
+  // Sliding expiry: an active user stays logged in
+  await pool.query(
+    'UPDATE user_sessions SET expires_at = ?, last_seen_at = ? WHERE id = ?',
+    [new Date(now.getTime() + sessionTtl), now, rows[0].id]
+  );
+  return {
+    type: 'session',
+    sessionId: rows[0].id,
+    userId: rows[0].user_id,
+    username: rows[0].username,
+    role: rows[0].role,
+    permissions: effectivePermissions(rows[0].role, null)
+  };
+}
+
+/**
+ * Start a session for a user
+ * @param {Object} pool - mysql2/promise pool
+ * @param {number} userId - User ID
+ * @param {number} sessionTtl - Session lifetime in milliseconds
+ * @returns {Promise<string>} Session ID to send as the cookie value
+ */
+async function createSession(pool, userId, sessionTtl) {
+  const sessionId = generateSecret();
+  const now = new Date();
+  await pool.query('DELETE FROM user_sessions WHERE expires_at < ?', [now]);
+  await pool.query(
+    'INSERT INTO user_sessions (id, user_id, expires_at, last_seen_at) VALUES (?, ?, ?, ?)',
+    [hashSecret(sessionId), userId, new Date(now.getTime() + sessionTtl), now]
+  );
+  return sessionId;
+}
+
+class LoginThrottle {
+  constructor() {
+    this.failures = new Map();
+    this.prunedAt = Date.now();
+  }
+
+  /**
+   * Whether logins are currently refused for a key
+   * @param {string} key - Client address and username
+   * @returns {boolean} True while locked
+   */
+  locked(key) {
+    const entry = this.failures.get(key);
+    if (!entry) return false;
+    if (Date.now() - entry.since > LOGIN_LOCK_MS) {
+      this.failures.delete(key);
+      return false;
+    }
+    return entry.count >= LOGIN_MAX_FAILURES;
+  }
+
+  /**
+   * Count a failed login
+   * @param {string} key - Client address and username
+   */
+  fail(key) {
+    const now = Date.now();
+    this.prune(now);
+
+    const entry = this.failures.get(key);
+    if (entry && now - entry.since <= LOGIN_LOCK_MS) {
+      entry.count++;
+      return;
+    }
+    // Re-inserted, so the map stays ordered by first failure
+    this.failures.delete(key);
+    this.failures.set(key, { count: 1, since: now });
+    if (this.failures.size > LOGIN_MAX_TRACKED) {
+      this.failures.delete(this.failures.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget the failures whose lock has expired, at most once per lock period
+   * @param {number} now - Current time in milliseconds
+   */
+  prune(now = Date.now()) {
+    if (now - this.prunedAt < LOGIN_LOCK_MS) return;
+    this.prunedAt = now;
+    for (const [key, entry] of this.failures) {
+      if (now - entry.since > LOGIN_LOCK_MS) this.failures.delete(key);
+    }
+  }
+
+  /**
+   * Forget the failures of a key after a successful login
+   * @param {string} key - Client address and username
+   */
+  succeed(key) {
+    this.failures.delete(key);
+  }
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  SESSION_COOKIE,
+  TOKEN_PREFIX,
+  hashPassword,
+  verifyPassword,
+  hashSecret,
+  generateSecret,
+  validateUser,
+  validateScopes,
+  authenticate,
+  createSession,
+  LoginThrottle
+};
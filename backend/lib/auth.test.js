@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  hashPassword, verifyPassword, hashSecret, validateUser, validateScopes, authenticate, LoginThrottle
+} = require('./auth');
+
+const MINUTE = 60 * 1000;
+
+async function elapsed(task) {
+  const start = process.hrtime.bigint();
+  await task();
+  return Number(process.hrtime.bigint() - start);
+}
+
+test('hashes passwords with a random salt', async () => {
+  const stored = await hashPassword('correct horse battery');
+  assert.match(stored, /^scrypt\$[A-Za-z0-9+/=]+\$[A-Za-z0-9+/=]+$/);
+  assert.notEqual(await hashPassword('correct horse battery'), stored);
+  assert.equal(await verifyPassword('correct horse battery', stored), true);
+  assert.equal(await verifyPassword('wrong horse battery', stored), false);
+  assert.equal(await verifyPassword('correct horse battery', 'md5$abc'), false);
+});
+
+test('an unknown user is rejected only after a password hash', async () => {
+  const stored = await hashPassword('correct horse battery');
+  assert.equal(await verifyPassword('correct horse battery', null), false);
+
+  // Best of a few runs, so a busy machine does not make the check flaky
+  const known = [];
+  const unknown = [];
+  for (let run = 0; run < 3; run++) {
+    known.push(await elapsed(() => verifyPassword('guess', stored)));
+    unknown.push(await elapsed(() => verifyPassword('guess', null)));
+  }
+  assert.ok(Math.min(...unknown) > Math.min(...known) / 4);
+});
+
+test('validates users and token scopes', () => {
+  assert.deepEqual(validateUser({ username: 'mario.rossi', password: 'abcdefghij' }, true).user, {
+    username: 'mario.rossi', password: 'abcdefghij', role: 'viewer'
+  });
+  assert.match(validateUser({ username: 'x', password: 'abcdefghij' }, true).error, /username/);
+  assert.match(validateUser({ username: 'mario', password: 'short' }, true).error, /at least 10/);
+  assert.match(validateUser({ role: 'root' }, false).error, /role/);
+  assert.deepEqual(validateUser({ active: 0 }, false).user, { active: false });
+
+  assert.deepEqual(validateScopes(['read', 'export', 'read'], 'operator'), { scopes: 'read,export' });
+  assert.match(validateScopes('read,import', 'operator').error, /cannot grant the "import" scope/);
+  assert.match(validateScopes('read,write', 'admin').error, /Unknown scope "write"/);
+  assert.match(validateScopes('', 'admin').error, /required/);
+});
+
+test('a token gets its scopes, never more than its user role', async () => {
+  const queries = [];
+  const pool = {
+    async query(sql, params) {
+      queries.push(params);
+      if (sql.trim().startsWith('SELECT')) {
+        return [[{ id: 3, scopes: 'read,import,export', user_id: 1, username: 'ops', role: 'operator' }]];
+      }
+      return [{ affectedRows: 1 }];
+    }
+  };
+
+  const principal = await authenticate(pool, { headers: { authorization: 'Bearer slv_abc' } }, 60 * MINUTE);
+  assert.equal(principal.type, 'token');
+  assert.deepEqual(principal.permissions, ['read', 'export']);
+  assert.equal(queries[0][0], hashSecret('slv_abc'));
+});
+
+test('a session cookie authenticates with the role permissions and is renewed', async () => {
+  const queries = [];
+  const pool = {
+    async query(sql, params) {
+      queries.push({ sql: sql.trim(), params });
+      if (sql.trim().startsWith('SELECT')) return [[{ id: 'digest', user_id: 2, username: 'anna', role: 'viewer' }]];
+      return [{ affectedRows: 1 }];
+    }
+  };
+
+  const principal = await authenticate(pool, { headers: { cookie: 'theme=dark; smtplog_session=s%3D1' } }, 60 * MINUTE);
+  assert.deepEqual(principal, {
+    type: 'session', sessionId: 'digest', userId: 2, username: 'anna', role: 'viewer', permissions: ['read']
+  });
+  assert.equal(queries[0].params[0], hashSecret('s=1'));
+  assert.match(queries[1].sql, /^UPDATE user_sessions SET expires_at/);
+
+  assert.equal(await authenticate(pool, { headers: {} }, 60 * MINUTE), null);
+});
+
+test('locks a client and username after repeated failures, for a while', t => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const throttle = new LoginThrottle();
+
+  for (let attempt = 0; attempt < 4; attempt++) throttle.fail('10.0.0.1|admin');
+  assert.equal(throttle.locked('10.0.0.1|admin'), false);
+  throttle.fail('10.0.0.1|admin');
+  assert.equal(throttle.locked('10.0.0.1|admin'), true);
+  assert.equal(throttle.locked('10.0.0.2|admin'), false);
+
+  now += 16 * MINUTE;
+  assert.equal(throttle.locked('10.0.0.1|admin'), false);
+
+  throttle.fail('10.0.0.1|anna');
+  throttle.succeed('10.0.0.1|anna');
+  assert.equal(throttle.failures.has('10.0.0.1|anna'), false);
+});
+
+test('forgets expired failures of keys never looked up again', t => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const throttle = new LoginThrottle();
+
+  for (let user = 0; user < 100; user++) throttle.fail(`203.0.113.9|user${user}`);
+  assert.equal(throttle.failures.size, 100);
+
+  now += 16 * MINUTE;
+  throttle.fail('203.0.113.9|admin');
+  assert.deepEqual([...throttle.failures.keys()], ['203.0.113.9|admin']);
+});
+
+test('remembers a bounded number of keys, dropping the oldest', () => {
+  const throttle = new LoginThrottle();
+  for (let user = 0; user <= 10000; user++) throttle.fail(`203.0.113.9|user${user}`);
+
+  assert.equal(throttle.failures.size, 10000);
+  assert.equal(throttle.failures.has('203.0.113.9|user0'), false);
+  assert.equal(throttle.failures.has('203.0.113.9|user10000'), true);
+});
@@ -0,0 +1,62 @@
+/**
+ * Multi-row inserts
+ *
+ * An import batch writes thousands of rows; sending them as a few multi-row
+ * statements instead of one round-trip per row is what keeps large imports
+ * fast. Rows go out in chunks so a statement stays well below the server's
+ * max_allowed_packet.
+ */
+
+// Rows per INSERT statement
+const CHUNK_ROWS = 500;
+
+/**
+ * Insert rows with multi-row INSERT statements
+ * @param {Object} connection - Database connection
+ * @param {string} statement - Statement up to VALUES (e.g. "INSERT IGNORE INTO logs (a, b) VALUES")
+ * @param {Array[]} rows - Values of each row, undefined is stored as NULL
+ * @param {Object} options - Options
+ * @param {string} options.suffix - Clause after the values (e.g. ON DUPLICATE KEY UPDATE ...)
+ * @param {Function} options.onRowError - (error, row) => void; when set, a failing chunk is
+ *   retried row by row and only the rows that still fail are reported and skipped
+ * @returns {Promise<number>} Affected rows reported by the server
+ */
+async function insertRows(connection, statement, rows, { suffix = '', onRowError = null } = {}) {
+  let affected = 0;
+
+  for (let start = 0; start < rows.length; start += CHUNK_ROWS) {
+    const chunk = rows.slice(start, start + CHUNK_ROWS);
+    try {
+      affected += await insertChunk(connection, statement, chunk, suffix);
+    } catch (error) {
+      if (!onRowError) throw error;
+      // The failed statement changed nothing: find the offending rows
+      for (const row of chunk) {
+        try {
+          affected += await insertChunk(connection, statement, [row], suffix);
+        } catch (rowError) {
+          onRowError(rowError, row);
+        }
+      }
+    }
+  }
+
+  return affected;
+}
+
+/**
+ * Send one multi-row INSERT
+ * @param {Object} connection - Database connection
+ * @param {string} statement - Statement up to VALUES
+ * @param {Array[]} rows - Rows of the statement
+ * @param {string} suffix - Clause after the values
+ * @returns {Promise<number>} Affected rows
+ */
+async function insertChunk(connection, statement, rows, suffix) {
+  const placeholders = rows.map(row => `(${row.map(() => '?').join(', ')})`).join(', ');
+  const params = rows.flat().map(value => (value === undefined ? null : value));
+  const [result] = await connection.query(`${statement} ${placeholders} ${suffix}`, params);
+  return result.affectedRows;
+}
+
+module.exports = { insertRows };
@@ -0,0 +1,74 @@
+/**
+ * Import checkpoints
+ *
+ * Where each source stopped: the tailer checkpoint of the live log file
+ * (processed_logs) and the progress of each archive by fingerprint
+ * (imported_files). Both are written in the transaction of the batch they
+ * describe, so the data and the position never disagree after a crash.
+ * Shared by the backend and scripts/log-importer.js.
+ */
+
+/**
+ * Load the tailer checkpoint saved for a log file
+ * @param {Object} connection - Database connection
+ * @param {string} logFile - Log file path
+ * @returns {Promise<Object|null>} Checkpoint or null if never imported
+ */
+async function loadCheckpoint(connection, logFile) {
+  const [rows] = await connection.execute(
+    'SELECT last_position, file_inode, head_hash FROM processed_logs WHERE log_file = ?',
+    [logFile]
+  );
+  if (rows.length === 0 || rows[0].file_inode === null) return null;
+
+  return {
+    inode: Number(rows[0].file_inode),
+    offset: Number(rows[0].last_position) || 0,
+    headHash: rows[0].head_hash
+  };
+}
+
+/**
+ * Save the tailer checkpoint for a log file
+ * @param {Object} connection - Database connection
+ * @param {string} logFile - Log file path
+ * @param {Object} checkpoint - Checkpoint returned by the tailer
+ */
+async function saveCheckpoint(connection, logFile, checkpoint) {
+  await connection.execute(
+    `INSERT INTO processed_logs (log_file, last_position, file_inode, head_hash)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       last_position = VALUES(last_position),
+       file_inode = VALUES(file_inode),
+       head_hash = VALUES(head_hash),
+       processed_at = CURRENT_TIMESTAMP`,
+    [logFile, checkpoint.offset, checkpoint.inode, checkpoint.headHash]
+  );
+}
+
+/**
+ * Record how far an archive file has been imported
+ * @param {Object} connection - Database connection
+ * @param {string} fingerprint - Archive fingerprint
+ * @param {string} logFile - Path the archive was read from
+ * @param {number} position - Decompressed bytes imported so far
+ * @param {boolean} completed - Whether the whole file has been imported
+ */
+async function saveFileProgress(connection, fingerprint, logFile, position, completed) {
+  await connection.execute(
+    `INSERT INTO imported_files (fingerprint, log_file, last_position, completed)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       log_file = VALUES(log_file),
+       last_position = VALUES(last_position),
+       completed = VALUES(completed)`,
+    [fingerprint, logFile, position, completed ? 1 : 0]
+  );
+}
+
+module.exports = {
+  loadCheckpoint,
+  saveCheckpoint,
+  saveFileProgress
+};
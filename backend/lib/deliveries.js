@@ -0,0 +1,153 @@
+const { insertRows } = require('./bulk');
+
+/**
+ * Per-recipient deliveries
+ *
+ * Every delivery agent line carrying to=... and status=... is one delivery
+ * attempt, stored in the deliveries table and linked to its parent message
+ * in emails by the Postfix queue ID. The message status in emails is then
+ * derived from the latest attempt of each recipient.
+ */
+
+/**
+ * Derive the message status from the latest status of each recipient
+ * @param {string[]} statuses - Latest delivery status per recipient
+ * @returns {string|null} Aggregate status ('sent', 'partial', 'deferred', 'bounced', ...)
+ */
+function aggregateStatus(statuses) {
+  if (statuses.length === 0) return null;
+
+  const distinct = [...new Set(statuses)];
+  if (distinct.length === 1) return distinct[0];
+
+  // Some recipients got the mail and some did not (yet)
+  if (distinct.includes('sent')) return 'partial';
+  // Nobody got it yet, but Postfix is still retrying someone
+  if (distinct.includes('deferred')) return 'deferred';
+  return 'bounced';
+}
+
+/**
+ * Insert delivery attempts, ignoring attempts already stored
+ * @param {Object} connection - Database connection
+ * @param {Object[]} deliveries - Attempts ({ messageId, timestamp, to, origTo, transport, relay, delay, dsn, status, response })
+ * @returns {Promise<number>} Number of new attempts stored
+ */
+async function storeDeliveries(connection, deliveries) {
+  return insertRows(
+    connection,
+    `INSERT IGNORE INTO deliveries (message_id, log_date, recipient, orig_recipient, transport, relay, delay, dsn_code,
+                                    status, response_text) VALUES`,
+    deliveries.map(delivery => [
+      delivery.messageId,
+      delivery.timestamp,
+      delivery.to,
+      delivery.origTo || null,
+      delivery.transport || null,
+      delivery.relay || null,
+      delivery.delay || null,
+      delivery.dsn || null,
+      delivery.status,
+      delivery.response || null
+    ])
+  );
+}
+
+/**
+ * Recompute status and recipient count of messages from their deliveries
+ * @param {Object} connection - Database connection
+ * @param {string[]} messageIds - Queue IDs whose deliveries changed
+ * @returns {Promise<Object[]>} Messages whose status changed ({ messageId, previous, status })
+ */
+async function refreshMessageStatus(connection, messageIds) {
+  if (messageIds.length === 0) return [];
+
+  const placeholders = messageIds.map(() => '?').join(', ');
+  const [rows] = await connection.query(
+    `SELECT message_id, status FROM (
+       SELECT message_id, status,
+         ROW_NUMBER() OVER (PARTITION BY message_id, recipient ORDER BY log_date DESC, id DESC) AS attempt
+       FROM deliveries
+       WHERE message_id IN (${placeholders})
+     ) latest
+     WHERE attempt = 1`,
+    messageIds
+  );
+
+  const statusesByMessage = {};
+  for (const row of rows) {
+    (statusesByMessage[row.message_id] = statusesByMessage[row.message_id] || []).push(row.status);
+  }
+
+  // Status before the refresh, to report what changed
+  const [current] = await connection.query(
+    `SELECT message_id, status, expired_at FROM emails WHERE message_id IN (${placeholders})`,
+    messageIds
+  );
+  const stored = new Map(current.map(row => [row.message_id, row]));
+  const changes = [];
+
+  // One UPDATE per distinct outcome instead of one per message
+  const groups = new Map();
+  for (const [messageId, statuses] of Object.entries(statusesByMessage)) {
+    const status = aggregateStatus(statuses);
+    const row = stored.get(messageId);
+    const newStatus = row && row.expired_at && status === 'deferred' ? 'expired' : status;
+    if (row && row.status !== newStatus) {
+      changes.push({ messageId, previous: row.status, status: newStatus });
+    }
+
+    const key = `${status}/${statuses.length}`;
+    if (!groups.has(key)) groups.set(key, { status, count: statuses.length, messageIds: [] });
+    groups.get(key).messageIds.push(messageId);
+  }
+
+  for (const { status, count, messageIds: ids } of groups.values()) {
+    // A message qmgr expired while still deferred has failed for good
+    await connection.query(
+      `UPDATE emails
+       SET status = IF(expired_at IS NOT NULL AND ? = 'deferred', 'expired', ?), recipient_count = ?
+       WHERE message_id IN (${ids.map(() => '?').join(', ')})`,
+      [status, status, count, ...ids]
+    );
+  }
+
+  return changes;
+}
+
+/**
+ * Attach the delivery attempts of each email as email.deliveries
+ * @param {Object} connection - Database connection
+ * @param {Object[]} emails - Rows from the emails table
+ * @returns {Promise<Object[]>} The same rows, with deliveries (oldest first)
+ */
+async function attachDeliveries(connection, emails) {
+  if (emails.length === 0) return emails;
+
+  const messageIds = emails.map(email => email.message_id);
+  const placeholders = messageIds.map(() => '?').join(', ');
+  const [rows] = await connection.query(
+    `SELECT message_id, log_date, recipient, orig_recipient, transport, relay, delay, dsn_code, status, response_text
+     FROM deliveries
+     WHERE message_id IN (${placeholders})
+     ORDER BY log_date, id`,
+    messageIds
+  );
+
+  const byMessage = {};
+  for (const row of rows) {
+    (byMessage[row.message_id] = byMessage[row.message_id] || []).push(row);
+  }
+
+  emails.forEach(email => {
+    email.deliveries = byMessage[email.message_id] || [];
+  });
+  return emails;
+}
+
+module.exports = {
+  aggregateStatus,
+  storeDeliveries,
+  refreshMessageStatus,
+  attachDeliveries
+};
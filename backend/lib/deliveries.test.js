@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateStatus, storeDeliveries, refreshMessageStatus, attachDeliveries } = require('./deliveries');
+
+const at = minute => new Date(Date.UTC(2026, 2, 2, 10, minute));
+
+/**
+ * Connection double answering the two SELECTs of refreshMessageStatus
+ */
+function createConnection({ latest = [], stored = [] } = {}) {
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params) {
+      const statement = sql.replace(/\s+/g, ' ').trim();
+      statements.push({ sql: statement, params });
+      if (statement.includes('ROW_NUMBER()')) return [latest];
+      if (statement.startsWith('SELECT message_id, status, expired_at FROM emails')) return [stored];
+      if (statement.startsWith('SELECT')) return [[]];
+      // One affected row per row of the statement
+      return [{ affectedRows: (statement.match(/\(\?/g) || []).length }];
+    }
+  };
+}
+
+test('derives the message status from the latest status of each recipient', () => {
+  assert.equal(aggregateStatus([]), null);
+  assert.equal(aggregateStatus(['sent']), 'sent');
+  assert.equal(aggregateStatus(['bounced', 'bounced']), 'bounced');
+  assert.equal(aggregateStatus(['sent', 'bounced']), 'partial');
+  assert.equal(aggregateStatus(['deferred', 'sent', 'bounced']), 'partial');
+  // Nobody got it, Postfix still retries someone
+  assert.equal(aggregateStatus(['bounced', 'deferred']), 'deferred');
+  assert.equal(aggregateStatus(['deferred', 'deferred']), 'deferred');
+});
+
+test('refreshes statuses with one UPDATE per outcome and reports the changes', async () => {
+  const connection = createConnection({
+    latest: [
+      { message_id: '4ABC123DEF', status: 'sent' },
+      { message_id: '4ABC123DEF', status: 'bounced' },
+      { message_id: '5DEF456ABC', status: 'deferred' },
+      { message_id: '6AAA000BBB', status: 'sent' },
+      { message_id: '7BBB111CCC', status: 'sent' }
+    ],
+    stored: [
+      { message_id: '4ABC123DEF', status: 'deferred', expired_at: null },
+      // qmgr already gave up on it
+      { message_id: '5DEF456ABC', status: 'deferred', expired_at: at(30) },
+      { message_id: '6AAA000BBB', status: 'sent', expired_at: null },
+      { message_id: '7BBB111CCC', status: null, expired_at: null }
+    ]
+  });
+
+  const changes = await refreshMessageStatus(connection, ['4ABC123DEF', '5DEF456ABC', '6AAA000BBB', '7BBB111CCC']);
+
+  assert.deepEqual(changes, [
+    { messageId: '4ABC123DEF', previous: 'deferred', status: 'partial' },
+    { messageId: '5DEF456ABC', previous: 'deferred', status: 'expired' },
+    { messageId: '7BBB111CCC', previous: null, status: 'sent' }
+  ]);
+
+  const updates = connection.statements.filter(statement => statement.sql.startsWith('UPDATE'));
+  assert.deepEqual(updates.map(update => update.params), [
+    ['partial', 'partial', 2, '4ABC123DEF'],
+    ['deferred', 'deferred', 1, '5DEF456ABC'],
+    ['sent', 'sent', 1, '6AAA000BBB', '7BBB111CCC']
+  ]);
+  assert.match(updates[0].sql, /SET status = IF\(expired_at IS NOT NULL AND \? = 'deferred', 'expired', \?\), recipient_count = \?/);
+});
+
+test('refreshes nothing without queue IDs', async () => {
+  const connection = createConnection();
+  assert.deepEqual(await refreshMessageStatus(connection, []), []);
+  assert.deepEqual(connection.statements, []);
+});
+
+test('stores delivery attempts, ignoring those already stored', async () => {
+  const connection = createConnection();
+  const stored = await storeDeliveries(connection, [
+    { messageId: '4ABC123DEF', timestamp: at(1), to: 'bob@example.org', transport: 'smtp', relay: 'mx.example.org[192.0.2.25]:25', delay: 1.2, dsn: '2.0.0', status: 'sent', response: '250 2.0.0 Ok' },
+    { messageId: '4ABC123DEF', timestamp: at(2), to: 'carol@example.net', origTo: 'info@example.net', status: 'bounced' }
+  ]);
+
+  assert.equal(stored, 2);
+  const [{ sql, params }] = connection.statements;
+  assert.match(sql, /^INSERT IGNORE INTO deliveries \(message_id, .*\) VALUES \(\?(, \?){9}\), \(\?(, \?){9}\)$/);
+  assert.deepEqual(params.slice(10), ['4ABC123DEF', at(2), 'carol@example.net', 'info@example.net', null, null, null, null, 'bounced', null]);
+});
+
+test('attaches the attempts of each message, oldest first', async () => {
+  const rows = [
+    { message_id: '4ABC123DEF', recipient: 'bob@example.org', status: 'deferred' },
+    { message_id: '4ABC123DEF', recipient: 'bob@example.org', status: 'sent' }
+  ];
+  const connection = { query: async (sql, params) => [rows.filter(row => params.includes(row.message_id))] };
+  const emails = [{ message_id: '4ABC123DEF' }, { message_id: '5DEF456ABC' }];
+
+  assert.equal(await attachDeliveries(connection, emails), emails);
+  assert.deepEqual(emails[0].deliveries.map(delivery => delivery.status), ['deferred', 'sent']);
+  assert.deepEqual(emails[1].deliveries, []);
+  assert.deepEqual(await attachDeliveries(connection, []), []);
+});
@@ -0,0 +1,61 @@
+/**
+ * OpenDKIM results
+ *
+ * Reads the opendkim milter lines that carry a Postfix queue ID and turns
+ * them into the DKIM outcome of the message:
+ *   signed            DKIM-Signature field added (s=..., d=...)
+ *   no_signing_match  no SigningTable entry for the sender, sent unsigned
+ *   key_error         the signing key could not be loaded, or the public
+ *                     key of a verified signature could not be retrieved
+ *   verified          an incoming signature was valid
+ *   bad_signature     an incoming signature did not verify
+ *   no_signature      an incoming message carried no signature
+ * The outcome is merged into the emails row by the lifecycle tracker.
+ */
+
+// Checked in order: the first matching pattern gives the result
+const DKIM_PATTERNS = [
+  ['signed', /DKIM-Signature (?:field|header) added/],
+  ['no_signing_match', /no signing table match for '([^']*)'/],
+  ['key_error', /key retrieval failed|error loading key|signing table references unknown key|can't load key/],
+  ['verified', /DKIM verification successful/],
+  ['bad_signature', /bad signature data|signature verification failed|\bSSL error:/],
+  ['no_signature', /no signature data/]
+];
+
+const DKIM_SELECTOR_DOMAIN = /\bs=([^,\s)]+),? d=([^,\s)]+)/;
+
+/**
+ * Parse an opendkim line
+ * @param {Object} parsed - Parsed log line ({ service, content })
+ * @returns {Object|null} { dkimResult, dkimDomain, dkimSelector, dkimError } or null
+ */
+function parseDkim(parsed) {
+  if (!parsed.service.startsWith('opendkim')) return null;
+
+  // Drop the "QUEUEID: " prefix
+  const content = parsed.content.replace(/^[A-F0-9]+:\s*/, '');
+  const found = DKIM_PATTERNS.find(([, pattern]) => pattern.test(content));
+  if (!found) return null;
+
+  const [dkimResult, pattern] = found;
+  const selectorDomain = content.match(DKIM_SELECTOR_DOMAIN);
+  const result = {
+    dkimResult,
+    dkimSelector: selectorDomain ? selectorDomain[1] : null,
+    dkimDomain: selectorDomain ? selectorDomain[2] : null,
+    dkimError: null
+  };
+
+  if (dkimResult === 'no_signing_match') {
+    const sender = content.match(pattern)[1];
+    result.dkimDomain = sender.includes('@') ? sender.split('@').pop() : null;
+    result.dkimError = content;
+  } else if (dkimResult === 'key_error' || dkimResult === 'bad_signature') {
+    result.dkimError = content;
+  }
+
+  return result;
+}
+
+module.exports = { parseDkim };
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDkim } = require('./dkim');
+const { createRegistry, parseLogLine } = require('./parsers');
+
+/**
+ * DKIM outcome of an opendkim line content
+ */
+function dkimOf(content, service = 'opendkim') {
+  return parseDkim({ service, content });
+}
+
+test('reads signing results with selector and domain', () => {
+  assert.deepEqual(dkimOf('4ABC123DEF: DKIM-Signature field added (s=mail, d=example.com)'), {
+    dkimResult: 'signed', dkimSelector: 'mail', dkimDomain: 'example.com', dkimError: null
+  });
+  assert.deepEqual(dkimOf("4ABC123DEF: no signing table match for 'alice@example.org'"), {
+    dkimResult: 'no_signing_match',
+    dkimSelector: null,
+    dkimDomain: 'example.org',
+    dkimError: "no signing table match for 'alice@example.org'"
+  });
+  assert.deepEqual(dkimOf("4ABC123DEF: error loading key 'mail._domainkey.example.com'"), {
+    dkimResult: 'key_error', dkimSelector: null, dkimDomain: null, dkimError: "error loading key 'mail._domainkey.example.com'"
+  });
+});
+
+test('reads verification passes and failures', () => {
+  assert.deepEqual(dkimOf('4ABC123DEF: DKIM verification successful', 'opendkim/verify'), {
+    dkimResult: 'verified', dkimSelector: null, dkimDomain: null, dkimError: null
+  });
+  assert.deepEqual(dkimOf('4ABC123DEF: s=s1 d=example.net SSL error:04091068:rsa routines:int_rsa_verify:bad signature'), {
+    dkimResult: 'bad_signature',
+    dkimSelector: 's1',
+    dkimDomain: 'example.net',
+    dkimError: 's=s1 d=example.net SSL error:04091068:rsa routines:int_rsa_verify:bad signature'
+  });
+  assert.equal(dkimOf('4ABC123DEF: bad signature data').dkimResult, 'bad_signature');
+  assert.equal(dkimOf('4ABC123DEF: key retrieval failed (s=s1, d=example.net): DNS query timed out').dkimResult, 'key_error');
+  assert.equal(dkimOf('4ABC123DEF: no signature data').dkimResult, 'no_signature');
+});
+
+test('ignores other lines and other services', () => {
+  assert.equal(dkimOf('OpenDKIM Filter v2.11.0 starting'), null);
+  assert.equal(dkimOf('4ABC123DEF: DKIM-Signature field added (s=mail, d=example.com)', 'postfix/cleanup'), null);
+});
+
+test('reports the outcome against the queue ID of the message', () => {
+  const registry = createRegistry('');
+  const eventsOf = line => registry.parse(parseLogLine(line, { timezone: 'UTC' }));
+
+  const [event] = eventsOf('2026-03-02T10:00:01Z mx1 opendkim[90]: 4ABC123DEF: DKIM-Signature field added (s=mail, d=example.com)');
+  assert.deepEqual([event.type, event.messageId, event.fields.dkimResult], ['dkim', '4ABC123DEF', 'signed']);
+  // Without a queue ID there is no message to attach it to
+  assert.deepEqual(eventsOf('2026-03-02T10:00:01Z mx1 opendkim[90]: DKIM verification successful'), []);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable, Writable } = require('stream');
+const { GROUP_CONCAT_MAX_LEN, streamExport } = require('./export');
+
+const COLUMNS = ['id', 'log_date', 'sender', 'recipients'];
+
+/**
+ * Pooled connection double whose result stream yields `rows`
+ */
+function createConnection(rows, { failOn = null } = {}) {
+  const connection = {
+    statements: [],
+    released: false,
+    destroyed: false,
+    async query(sql) {
+      connection.statements.push(sql);
+      if (failOn === 'set') throw new Error('Lost connection to MySQL server during query');
+      return [{}];
+    },
+    connection: {
+      query(sql, params) {
+        connection.statements.push(sql);
+        connection.params = params;
+        if (failOn === 'query') throw new Error("Can't add new command when connection is in closed state");
+        return { stream: () => Readable.from(rows) };
+      }
+    },
+    release() {
+      connection.released = true;
+    },
+    destroy() {
+      connection.destroyed = true;
+    }
+  };
+  return connection;
+}
+
+/**
+ * Response double collecting the body, failing on write `failAt` if set
+ */
+function createResponse({ failAt = 0 } = {}) {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk.toString());
+      callback(chunks.length === failAt ? new Error('aborted') : null);
+    }
+  });
+  res.headers = {};
+  res.setHeader = (header, value) => { res.headers[header] = value; };
+  res.body = () => chunks.join('');
+  return res;
+}
+
+test('writes CSV with a header, quoting fields that need it', async () => {
+  const connection = createConnection([
+    { id: 1, log_date: new Date('2026-03-02T10:00:00Z'), sender: 'alice@example.com', recipients: 'bob@example.org carol@example.net' },
+    { id: 2, log_date: new Date('2026-03-02T10:01:00Z'), sender: '"Bob, Jr." <bob@example.org>', recipients: 'line one\nline two' },
+    { id: 3, log_date: null, sender: undefined, recipients: '' }
+  ]);
+  const res = createResponse();
+
+  const rows = await streamExport(connection, 'SELECT * FROM emails LIMIT ?', [10], res, { format: 'csv', columns: COLUMNS, name: 'emails' });
+
+  assert.equal(rows, 3);
+  assert.equal(res.body(), [
+    'id,log_date,sender,recipients',
+    '1,2026-03-02T10:00:00.000Z,alice@example.com,bob@example.org carol@example.net',
+    '2,2026-03-02T10:01:00.000Z,"""Bob, Jr."" <bob@example.org>","line one\nline two"',
+    '3,,,',
+    ''
+  ].join('\r\n'));
+  assert.equal(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.match(res.headers['Content-Disposition'], /^attachment; filename="emails-\d{8}T\d{6}\.csv"$/);
+  assert.deepEqual(connection.params, [10]);
+  assert.equal(connection.released, true);
+});
+
+test('writes one JSON object per line, with every column', async () => {
+  const res = createResponse();
+  await streamExport(createConnection([
+    { id: 1, log_date: new Date('2026-03-02T10:00:00Z'), sender: 'say "hi"\n', extra: 'left out' },
+    { id: 2, log_date: null, sender: 'alice@example.com', recipients: 'bob@example.org' }
+  ]), 'SELECT * FROM emails', [], res, { format: 'ndjson', columns: COLUMNS, name: 'emails' });
+
+  const lines = res.body().split('\n');
+  assert.equal(lines.pop(), '');
+  assert.deepEqual(lines.map(line => JSON.parse(line)), [
+    { id: 1, log_date: '2026-03-02T10:00:00.000Z', sender: 'say "hi"\n', recipients: null },
+    { id: 2, log_date: null, sender: 'alice@example.com', recipients: 'bob@example.org' }
+  ]);
+  assert.equal(res.headers['Content-Type'], 'application/x-ndjson; charset=utf-8');
+});
+
+test('an empty CSV export still has its header, and string values go through mapValue', async () => {
+  const empty = createResponse();
+  assert.equal(await streamExport(createConnection([]), 'SELECT * FROM emails', [], empty, { format: 'csv', columns: COLUMNS, name: 'emails' }), 0);
+  assert.equal(empty.body(), 'id,log_date,sender,recipients\r\n');
+
+  const masked = createResponse();
+  await streamExport(createConnection([{ id: 1, sender: 'alice@example.com', recipients: 'bob@example.org' }]), 'SELECT * FROM emails', [], masked, {
+    format: 'csv', columns: COLUMNS, name: 'emails', mapValue: (value, column) => `${column}:***`
+  });
+  assert.equal(masked.body().split('\r\n')[1], '1,,sender:***,recipients:***');
+});
+
+test('raises group_concat_max_len before the query, so long recipient lists are not cut', async () => {
+  const recipients = Array.from({ length: 200 }, (_, index) => `user${index}@example.org`).join(' ');
+  assert.ok(recipients.length > 1024);
+  const connection = createConnection([{ id: 1, recipients }]);
+  const res = createResponse();
+
+  await streamExport(connection, 'SELECT emails.*, (SELECT GROUP_CONCAT(...)) AS recipients FROM emails', [], res, {
+    format: 'ndjson', columns: ['id', 'recipients'], name: 'emails'
+  });
+
+  assert.deepEqual(connection.statements, [
+    `SET SESSION group_concat_max_len = ${GROUP_CONCAT_MAX_LEN}`,
+    'SELECT emails.*, (SELECT GROUP_CONCAT(...)) AS recipients FROM emails'
+  ]);
+  assert.ok(GROUP_CONCAT_MAX_LEN >= 1048576);
+  assert.equal(JSON.parse(res.body()).recipients, recipients);
+});
+
+test('releases the connection when the export fails before streaming', async () => {
+  for (const failOn of ['set', 'query']) {
+    const connection = createConnection([], { failOn });
+    const res = createResponse();
+    await assert.rejects(streamExport(connection, 'SELECT * FROM logs', [], res, { format: 'csv', columns: COLUMNS, name: 'logs' }));
+    assert.equal(connection.released, true);
+    assert.equal(connection.destroyed, false);
+    // Nothing set yet: the caller can still answer with an error
+    assert.deepEqual(res.headers, {});
+  }
+});
+
+test('destroys the connection when the client goes away mid-export', async () => {
+  const connection = createConnection(Array.from({ length: 10 }, (_, index) => ({ id: index })));
+  await assert.rejects(
+    streamExport(connection, 'SELECT * FROM logs', [], createResponse({ failAt: 2 }), { format: 'csv', columns: ['id'], name: 'logs' }),
+    /aborted/
+  );
+  assert.equal(connection.destroyed, true);
+  assert.equal(connection.released, false);
+});
@@ -0,0 +1,287 @@
+/**
+ * Log source formats
+ *
+ * Every source (LOG_FILE, backfill archives) is read through a format that
+ * splits its bytes into entries and turns each entry into the syslog line the
+ * parsers understand ("<timestamp> <hostname> <service>[<pid>]: <message>"):
+ *   syslog          plain mail.log lines, passed through (default)
+ *   journal-json    journalctl -o json, one JSON object per line
+ *   journal-export  journalctl -o export, KEY=value records separated by a
+ *                   blank line; binary fields carry a 64-bit length prefix
+ *   json            JSON lines from containers and log shippers, with a
+ *                   configurable field mapping
+ * Entries that cannot be converted are passed on as they are, so the import
+ * reports them as unparseable lines instead of dropping them silently.
+ */
+
+const FORMATS = ['syslog', 'journal-json', 'journal-export', 'json'];
+
+// Candidate keys of each field for the json format, first present wins
+const DEFAULT_JSON_FIELDS = {
+  timestamp: ['timestamp', '@timestamp', 'time', 'ts'],
+  hostname: ['hostname', 'host', 'host.name'],
+  service: ['service', 'program', 'ident', 'app', 'syslog.appname'],
+  pid: ['pid', 'procid', 'syslog.procid'],
+  message: ['message', 'msg', 'log']
+};
+
+const NEWLINE = 0x0a;
+const EQUALS = 0x3d;
+
+/**
+ * Parse a field mapping such as "timestamp=time,service=program,message=msg"
+ * @param {string} mapping - Comma-separated field=key pairs (keys may be dotted paths)
+ * @returns {Object} Candidate keys per field
+ */
+function parseFieldMapping(mapping) {
+  const fields = { ...DEFAULT_JSON_FIELDS };
+  for (const pair of (mapping || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [field, key] = pair.split('=').map(item => item.trim());
+    if (!fields[field] || !key) {
+      throw new Error(`Invalid JSON field mapping "${pair}" (fields: ${Object.keys(DEFAULT_JSON_FIELDS).join(', ')})`);
+    }
+    fields[field] = [key];
+  }
+  return fields;
+}
+
+/**
+ * Read a possibly nested value ("host.name")
+ * @param {Object} object - Parsed JSON
+ * @param {string} key - Key or dotted path
+ * @returns {*} Value or undefined
+ */
+function getField(object, key) {
+  if (key in object) return object[key];
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+/**
+ * Convert a timestamp field into an RFC 3339 timestamp
+ * @param {*} value - ISO string, epoch seconds or milliseconds
+ * @returns {string|null} Timestamp, null if missing or invalid
+ */
+function formatTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\S+$/.test(value)) return value;
+
+  const number = Number(value);
+  const date = Number.isFinite(number)
+    ? new Date(number > 1e12 ? number : number * 1000)
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build a syslog line from its parts
+ * @param {Object} entry - { timestamp, hostname, service, pid, message }
+ * @returns {string} Log line
+ */
+function formatLine({ timestamp, hostname, service, pid, message }) {
+  // The line format needs a numeric PID; Postfix always logs one
+  const processId = /^\d+$/.test(String(pid)) ? pid : 0;
+  return `${timestamp} ${hostname || 'localhost'} ${service}[${processId}]: ${String(message).replace(/[\r\n]+/g, ' ')}`;
+}
+
+/**
+ * Decode a journal field value (binary values are byte arrays in -o json)
+ * @param {*} value - Field value
+ * @returns {string|null} Text value
+ */
+function journalValue(value) {
+  if (Array.isArray(value) && value.every(item => typeof item === 'number')) {
+    return Buffer.from(value).toString('utf8');
+  }
+  // A field repeated in the same entry is an array of values
+  if (Array.isArray(value)) return journalValue(value[0]);
+  return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * Convert a journal entry into a syslog line
+ * @param {Object} fields - Journal fields (MESSAGE, SYSLOG_IDENTIFIER, _PID, ...)
+ * @returns {string|null} Log line, null for entries without a message
+ */
+function journalToLine(fields) {
+  const message = journalValue(fields.MESSAGE);
+  if (message === null) return null;
+
+  // __REALTIME_TIMESTAMP is in microseconds since the epoch
+  const realtime = journalValue(fields.__REALTIME_TIMESTAMP);
+  const timestamp = realtime ? new Date(Math.floor(Number(realtime) / 1000)).toISOString() : null;
+  if (!timestamp) return message;
+
+  return formatLine({
+    timestamp,
+    hostname: journalValue(fields._HOSTNAME),
+    service: journalValue(fields.SYSLOG_IDENTIFIER) || journalValue(fields._COMM) || 'journal',
+    pid: journalValue(fields.SYSLOG_PID) || journalValue(fields._PID),
+    message
+  });
+}
+
+/**
+ * Parse a JSON entry, or return null if it is not a JSON object
+ * @param {string} text - Entry text
+ * @returns {Object|null} Parsed object
+ */
+function parseJson(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split one newline-terminated entry
+ * @param {Buffer} buffer - Data
+ * @param {number} start - Offset of the entry
+ * @returns {{end: number, next: number}|null} Entry end and start of the next one, null if incomplete
+ */
+function splitLine(buffer, start) {
+  const newline = buffer.indexOf(NEWLINE, start);
+  return newline === -1 ? null : { end: newline, next: newline + 1 };
+}
+
+/**
+ * Split one journal export entry (fields up to a blank line)
+ * @param {Buffer} buffer - Data
+ * @param {number} start - Offset of the entry
+ * @returns {{end: number, next: number}|null} Entry end and start of the next one, null if incomplete
+ */
+function splitExportEntry(buffer, start) {
+  let position = start;
+
+  while (true) {
+    const newline = buffer.indexOf(NEWLINE, position);
+    if (newline === -1) return null;
+    if (newline === position) return { end: position, next: newline + 1 };
+
+    const equals = buffer.indexOf(EQUALS, position);
+    if (equals !== -1 && equals < newline) {
+      position = newline + 1;
+      continue;
+    }
+
+    // Binary field: NAME\n, little-endian 64-bit length, data, \n
+    const lengthAt = newline + 1;
+    if (buffer.length < lengthAt + 8) return null;
+    const dataEnd = lengthAt + 8 + Number(buffer.readBigUInt64LE(lengthAt));
+    if (buffer.length < dataEnd + 1) return null;
+    position = dataEnd + 1;
+  }
+}
+
+/**
+ * Decode the fields of a journal export entry
+ * @param {Buffer} entry - Entry bytes, without the terminating blank line
+ * @returns {Object} Fields by name
+ */
+function parseExportEntry(entry) {
+  const fields = {};
+  let position = 0;
+
+  while (position < entry.length) {
+    let newline = entry.indexOf(NEWLINE, position);
+    if (newline === -1) newline = entry.length;
+
+    const equals = entry.indexOf(EQUALS, position);
+    if (equals !== -1 && equals < newline) {
+      fields[entry.toString('utf8', position, equals)] = entry.toString('utf8', equals + 1, newline);
+      position = newline + 1;
+      continue;
+    }
+
+    const name = entry.toString('utf8', position, newline);
+    const dataStart = newline + 1 + 8;
+    if (dataStart > entry.length) break;
+    const dataEnd = dataStart + Number(entry.readBigUInt64LE(newline + 1));
+    fields[name] = entry.toString('utf8', dataStart, dataEnd);
+    position = dataEnd + 1;
+  }
+
+  return fields;
+}
+
+/**
+ * Create a source format
+ * @param {string} name - One of FORMATS (default: syslog)
+ * @param {Object} options - Options
+ * @param {string} options.jsonFields - Field mapping of the json format (see parseFieldMapping)
+ * @returns {{name: string, split: Function, decode: Function}} Format: split(buffer, start) finds
+ *   the next complete entry, decode(entryBytes) converts it into a log line (null to skip it)
+ */
+function createFormat(name = 'syslog', options = {}) {
+  switch (name) {
+    case 'syslog':
+      return {
+        name,
+        split: splitLine,
+        decode: entry => entry.toString('utf8')
+      };
+
+    case 'journal-json':
+      return {
+        name,
+        split: splitLine,
+        decode: entry => {
+          const text = entry.toString('utf8');
+          if (!text.trim()) return null;
+          const fields = parseJson(text);
+          return fields ? journalToLine(fields) : text;
+        }
+      };
+
+    case 'journal-export':
+      return {
+        name,
+        split: splitExportEntry,
+        decode: entry => (entry.length > 0 ? journalToLine(parseExportEntry(entry)) : null)
+      };
+
+    case 'json': {
+      const mapping = parseFieldMapping(options.jsonFields);
+      // Objects are skipped, so ECS's host: { name } falls through to host.name
+      const pick = (object, field) => {
+        const key = mapping[field].find(candidate => {
+          const value = getField(object, candidate);
+          return value !== undefined && (value === null || typeof value !== 'object');
+        });
+        return key ? getField(object, key) : undefined;
+      };
+
+      return {
+        name,
+        split: splitLine,
+        decode: entry => {
+          const text = entry.toString('utf8');
+          if (!text.trim()) return null;
+          const object = parseJson(text);
+          if (!object) return text;
+
+          const message = pick(object, 'message');
+          if (message === undefined || message === null) return text;
+          const service = pick(object, 'service');
+          const timestamp = formatTimestamp(pick(object, 'timestamp'));
+          // Shippers that wrap a whole syslog line (Docker's {"log": ...}) carry no service
+          if (!service || !timestamp) return String(message).replace(/[\r\n]+$/, '');
+
+          return formatLine({
+            timestamp,
+            hostname: pick(object, 'hostname'),
+            service,
+            pid: pick(object, 'pid'),
+            message
+          });
+        }
+      };
+    }
+
+    default:
+      throw new Error(`Unknown log format "${name}" (supported: ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = { FORMATS, createFormat };
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { FORMATS, createFormat } = require('./formats');
+
+// 2026-03-02T10:00:00.123456Z in microseconds, as the journal stores it
+const REALTIME = '1772445600123456';
+
+/**
+ * Split a whole buffer with a format and decode every complete entry
+ * @returns {{lines: Array, rest: number}} Decoded entries and the offset of the incomplete tail
+ */
+function decodeAll(format, buffer) {
+  const lines = [];
+  let start = 0;
+  let entry;
+  while ((entry = format.split(buffer, start))) {
+    lines.push(format.decode(buffer.subarray(start, entry.end)));
+    start = entry.next;
+  }
+  return { lines, rest: start };
+}
+
+/**
+ * Binary field of the journal export format: NAME\n, 64-bit little-endian length, data, \n
+ */
+function binaryField(name, data) {
+  const length = Buffer.alloc(8);
+  length.writeBigUInt64LE(BigInt(Buffer.byteLength(data)));
+  return Buffer.concat([Buffer.from(`${name}\n`), length, Buffer.from(data), Buffer.from('\n')]);
+}
+
+test('syslog passes complete lines through and leaves the incomplete tail', () => {
+  const format = createFormat();
+  assert.equal(format.name, 'syslog');
+
+  const { lines, rest } = decodeAll(format, Buffer.from('Mar  2 10:00:00 mx1 postfix/smtp[1]: a\n\nMar  2 10:00:01 mx1 postfix/smtp[1]: b\nMar  2'));
+  assert.deepEqual(lines, ['Mar  2 10:00:00 mx1 postfix/smtp[1]: a', '', 'Mar  2 10:00:01 mx1 postfix/smtp[1]: b']);
+  assert.equal(rest, 79);
+});
+
+test('journal-json turns journal entries into syslog lines', () => {
+  const format = createFormat('journal-json');
+  const entries = [
+    { __REALTIME_TIMESTAMP: REALTIME, _HOSTNAME: 'mx1', SYSLOG_IDENTIFIER: 'postfix/smtp', _PID: '123', MESSAGE: '4ABC123DEF: removed' },
+    // Binary message as a byte array, identifier from _COMM, SYSLOG_PID before _PID
+    { __REALTIME_TIMESTAMP: REALTIME, _HOSTNAME: 'mx1', _COMM: 'smtpd', SYSLOG_PID: '7', _PID: '8', MESSAGE: [...Buffer.from('to=<josé@example.com>')] },
+    // Repeated field, first value wins; no hostname
+    { __REALTIME_TIMESTAMP: REALTIME, SYSLOG_IDENTIFIER: ['postfix/qmgr', 'other'], MESSAGE: 'first\nsecond' },
+    { __REALTIME_TIMESTAMP: REALTIME, SYSLOG_IDENTIFIER: 'kernel' }
+  ];
+  const text = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n{"MESSAGE": "no timestamp"}\nnot json\n \n';
+
+  assert.deepEqual(decodeAll(format, Buffer.from(text)).lines, [
+    '2026-03-02T10:00:00.123Z mx1 postfix/smtp[123]: 4ABC123DEF: removed',
+    '2026-03-02T10:00:00.123Z mx1 smtpd[7]: to=<josé@example.com>',
+    '2026-03-02T10:00:00.123Z localhost postfix/qmgr[0]: first second',
+    null,
+    'no timestamp',
+    'not json',
+    null
+  ]);
+});
+
+test('journal-export splits entries at blank lines, reading binary fields by their length', () => {
+  const format = createFormat('journal-export');
+  const buffer = Buffer.concat([
+    Buffer.from(`__REALTIME_TIMESTAMP=${REALTIME}\n_HOSTNAME=mx1\nSYSLOG_IDENTIFIER=postfix/smtp\n_PID=123\nMESSAGE=4ABC123DEF: removed\n\n`),
+    // The binary message holds newlines, a blank line and an equals sign
+    Buffer.from(`__REALTIME_TIMESTAMP=${REALTIME}\n_HOSTNAME=mx1\n`),
+    binaryField('MESSAGE', 'line=one\n\nline two'),
+    Buffer.from('SYSLOG_IDENTIFIER=postfix/cleanup\n_PID=9\n\n'),
+    Buffer.from('_HOSTNAME=mx1\n\n')
+  ]);
+
+  const { lines, rest } = decodeAll(format, buffer);
+  assert.deepEqual(lines, [
+    '2026-03-02T10:00:00.123Z mx1 postfix/smtp[123]: 4ABC123DEF: removed',
+    '2026-03-02T10:00:00.123Z mx1 postfix/cleanup[9]: line=one line two',
+    null
+  ]);
+  assert.equal(rest, buffer.length);
+});
+
+test('journal-export waits for the rest of an entry cut anywhere', () => {
+  const format = createFormat('journal-export');
+  const entry = Buffer.concat([
+    Buffer.from(`__REALTIME_TIMESTAMP=${REALTIME}\n`),
+    binaryField('MESSAGE', 'binary\nmessage'),
+    Buffer.from('\n')
+  ]);
+
+  for (let cut = 0; cut < entry.length; cut++) {
+    assert.equal(format.split(entry.subarray(0, cut), 0), null, `cut at ${cut}`);
+  }
+  assert.deepEqual(format.split(entry, 0), { end: entry.length - 1, next: entry.length });
+});
+
+test('json maps the default fields and wrapped syslog lines', () => {
+  const format = createFormat('json');
+  const text = [
+    { timestamp: '2026-03-02T10:00:00.5+01:00', hostname: 'mx1', service: 'postfix/smtp', pid: 123, message: '4ABC123DEF: removed' },
+    // Epoch seconds and milliseconds, nested host, non-numeric PID
+    { ts: 1772445600, host: { name: 'mx2' }, program: 'postfix/qmgr', procid: '-', msg: 'a' },
+    { time: 1772445600123, 'host.name': 'mx3', app: 'postfix/smtpd', log: 'b\r\nc' },
+    // Docker's json-file driver wraps a whole line
+    { log: 'Mar  2 10:00:00 mx1 postfix/smtp[1]: d\n', stream: 'stdout', time: '2026-03-02T10:00:00Z' },
+    { level: 'info' }
+  ].map(entry => JSON.stringify(entry)).join('\n') + '\n[1, 2]\n';
+
+  assert.deepEqual(decodeAll(format, Buffer.from(text)).lines, [
+    '2026-03-02T10:00:00.5+01:00 mx1 postfix/smtp[123]: 4ABC123DEF: removed',
+    '2026-03-02T10:00:00.000Z mx2 postfix/qmgr[0]: a',
+    '2026-03-02T10:00:00.123Z mx3 postfix/smtpd[0]: b c',
+    'Mar  2 10:00:00 mx1 postfix/smtp[1]: d',
+    '{"level":"info"}',
+    '[1, 2]'
+  ]);
+});
+
+test('json follows a custom field mapping', () => {
+  const format = createFormat('json', { jsonFields: ' timestamp=event.created, service = process.name ,message=text' });
+  const line = JSON.stringify({ event: { created: '2026-03-02T10:00:00Z' }, process: { name: 'postfix/smtp', pid: 5 }, pid: 5, text: 'x', message: 'ignored' });
+  assert.deepEqual(decodeAll(format, Buffer.from(line + '\n')).lines, ['2026-03-02T10:00:00Z localhost postfix/smtp[5]: x']);
+
+  assert.throws(() => createFormat('json', { jsonFields: 'severity=level' }), /Invalid JSON field mapping "severity=level"/);
+  assert.throws(() => createFormat('json', { jsonFields: 'message' }), /Invalid JSON field mapping "message"/);
+});
+
+test('rejects an unknown format, and the backend refuses to start with one', () => {
+  assert.deepEqual(FORMATS, ['syslog', 'journal-json', 'journal-export', 'json']);
+  assert.throws(() => createFormat('xml'), /Unknown log format "xml" \(supported: syslog, journal-json, journal-export, json\)/);
+
+  const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, LOG_FORMAT: 'xml', PRIVACY_MODE: 'off' },
+    encoding: 'utf8',
+    timeout: 20000
+  });
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /Invalid LOG_FORMAT or LOG_JSON_FIELDS: Unknown log format "xml"/);
+});
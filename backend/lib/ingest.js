@@ -0,0 +1,230 @@
+const { parseLogLine, extractMessageId } = require('./parsers');
+const { storeDeliveries, refreshMessageStatus } = require('./deliveries');
+const { MessageTracker } = require('./lifecycle');
+const { storeRejections } = require('./rejections');
+const { SessionTracker } = require('./sessions');
+const { insertRows } = require('./bulk');
+const { queueStatusEvents } = require('./webhooks');
+const { pseudonymizeAddresses, lineFingerprint } = require('./privacy');
+
+/**
+ * Import pipeline
+ *
+ * Stores raw log lines and applies the events the parser registry produces
+ * for them: message lifecycle and deliveries, rejections, smtpd sessions and
+ * DKIM results. Used by the backend and by scripts/log-importer.js.
+ *
+ * Every line is fingerprinted (timestamp, host, PID and content) into the
+ * unique logs.line_hash column. Lines already stored are skipped together
+ * with their events, so importing the same data twice changes nothing.
+ *
+ * Messages whose status changes queue their webhook events in the same
+ * transaction (see lib/webhooks.js).
+ *
+ * Only a line that cannot be parsed or stored is counted and skipped. Any
+ * other failure is thrown, so the caller rolls back the whole batch: a line
+ * is never stored (and later skipped as a duplicate) without its events.
+ *
+ * With PRIVACY_MODE set, addresses are pseudonymized right after parsing, so
+ * neither the logs table nor anything the parsers derive from a line (emails,
+ * deliveries, rejections, ...) stores them (see lib/privacy.js).
+ */
+
+// Events that update the emails row of their queue ID
+const MESSAGE_EVENTS = ['message', 'delivery', 'dkim'];
+
+// Unparseable lines reported individually per import, the rest are only counted
+const MAX_UNPARSED_SAMPLES = 20;
+
+// Fingerprints looked up per query
+const HASH_LOOKUP_CHUNK = 500;
+
+/**
+ * Create the counters of an import run
+ * @returns {Object} Summary updated in place by ingestLines()
+ */
+function createSummary() {
+  return {
+    logsInserted: 0,
+    emailsInserted: 0,
+    deliveriesInserted: 0,
+    rejectionsInserted: 0,
+    parseErrors: 0,
+    linesRead: 0,
+    duplicatesSkipped: 0,
+    unparsedLines: 0,
+    webhooksQueued: 0,
+    unparsedSamples: []
+  };
+}
+
+/**
+ * Add duration and throughput to a finished import summary
+ * @param {Object} summary - Summary from createSummary()
+ * @param {Date} startTime - When the import started
+ * @returns {Object} The same summary, with duration (ms) and linesPerSecond
+ */
+function completeSummary(summary, startTime) {
+  summary.duration = new Date() - startTime;
+  summary.linesPerSecond = summary.duration > 0
+    ? Math.round(summary.linesRead * 1000 / summary.duration)
+    : summary.linesRead;
+  return summary;
+}
+
+/**
+ * Fingerprint of a parsed log line
+ * @param {Object} parsed - Parsed log line
+ * @returns {string} Hex digest (keyed when PRIVACY_MODE is set, see lib/privacy.js)
+ */
+function lineHash(parsed) {
+  return lineFingerprint(`${parsed.logDate.toISOString()}|${parsed.hostname}|${parsed.processId}|${parsed.content}`);
+}
+
+/**
+ * Drop the lines already stored, and the repeats within the batch
+ * @param {Object} connection - Database connection
+ * @param {Object[]} parsedLines - Parsed lines with their lineHash
+ * @returns {Promise<Object[]>} Lines not imported yet
+ */
+async function dropDuplicates(connection, parsedLines) {
+  const seen = new Set();
+  const hashes = [...new Set(parsedLines.map(parsed => parsed.lineHash))];
+
+  for (let start = 0; start < hashes.length; start += HASH_LOOKUP_CHUNK) {
+    const chunk = hashes.slice(start, start + HASH_LOOKUP_CHUNK);
+    const [rows] = await connection.query(
+      `SELECT line_hash FROM logs WHERE line_hash IN (${chunk.map(() => '?').join(', ')})`,
+      chunk
+    );
+    rows.forEach(row => seen.add(row.line_hash));
+  }
+
+  return parsedLines.filter(parsed => {
+    if (seen.has(parsed.lineHash)) return false;
+    seen.add(parsed.lineHash);
+    return true;
+  });
+}
+
+/**
+ * Parse raw log lines and store them with their email records
+ * @param {Object} connection - Database connection
+ * @param {string[]} lines - Raw log lines
+ * @param {Object} summary - Import counters, updated in place
+ * @param {ParserRegistry} registry - Parser registry
+ * @param {Object} options - Line parsing options ({ timezone, referenceDate }, see parseLogLine)
+ */
+async function ingestLines(connection, lines, summary, registry, options = {}) {
+  const parsedLines = [];
+  const messageEvents = [];
+  const rejections = [];
+  const smtpdLines = [];
+
+  summary.linesRead += lines.length;
+
+  // Parse logs
+  for (const line of lines) {
+    const parsed = parseLogLine(line, options);
+    if (!parsed) continue;
+
+    if (parsed.error) {
+      summary.unparsedLines++;
+      if (summary.unparsedSamples.length < MAX_UNPARSED_SAMPLES) {
+        const sample = pseudonymizeAddresses(line);
+        summary.unparsedSamples.push({ line: sample.substring(0, 200), error: parsed.error });
+        console.warn(`[${new Date().toISOString()}] Unparseable line (${parsed.error}): ${sample.substring(0, 100)}`);
+      }
+      continue;
+    }
+
+    // The fingerprint keeps the original address, keyed: masked lines of different recipients must not look like repeats
+    parsed.lineHash = lineHash(parsed);
+    parsed.content = pseudonymizeAddresses(parsed.content);
+    parsedLines.push(parsed);
+  }
+
+  const freshLines = await dropDuplicates(connection, parsedLines);
+  summary.duplicatesSkipped += parsedLines.length - freshLines.length;
+
+  // Insert into logs table
+  const failedHashes = new Set();
+  summary.logsInserted += await insertRows(
+    connection,
+    'INSERT IGNORE INTO logs (log_date, timestamp_utc, hostname, service, process_id, message_id, content, line_hash) VALUES',
+    freshLines.map(parsed => [
+      parsed.logDate, parsed.logDate, parsed.hostname, parsed.service, parsed.processId,
+      extractMessageId(parsed.content), parsed.content, parsed.lineHash
+    ]),
+    {
+      onRowError: (error, row) => {
+        summary.parseErrors++;
+        failedHashes.add(row[7]);
+        console.error(`[${new Date().toISOString()}] Error inserting log line "${String(row[6]).substring(0, 80)}":`, error.message);
+      }
+    }
+  );
+
+  // Collect the events of the new lines; a line that could not be stored is left, events included, to the next import
+  for (const parsed of freshLines.filter(line => !failedHashes.has(line.lineHash))) {
+    try {
+      const events = registry.parse(parsed);
+      for (const event of events) {
+        if (MESSAGE_EVENTS.includes(event.type)) {
+          messageEvents.push(event);
+        } else if (event.type === 'reject') {
+          rejections.push(event.rejection);
+        } else if (event.type === 'session') {
+          smtpdLines.push(event.parsed || parsed);
+        }
+      }
+
+      // Lines of other services still mark their queue ID as seen
+      const messageId = extractMessageId(parsed.content);
+      if (messageId && !events.some(event => event.messageId)) {
+        messageEvents.push({ type: 'message', messageId, timestamp: parsed.logDate });
+      }
+    } catch (error) {
+      summary.parseErrors++;
+      console.error(`[${new Date().toISOString()}] Error processing log line:`, error.message);
+    }
+  }
+
+  if (rejections.length > 0) {
+    summary.rejectionsInserted += await storeRejections(connection, rejections);
+  }
+
+  if (smtpdLines.length > 0) {
+    // Continue the sessions earlier imports left open
+    const sessions = new SessionTracker();
+    await sessions.load(connection, smtpdLines);
+    smtpdLines.forEach(parsed => sessions.observe(parsed));
+    await sessions.save(connection);
+  }
+
+  if (messageEvents.length === 0) return;
+
+  // Continue from what earlier imports already know about these messages
+  const tracker = new MessageTracker();
+  await tracker.load(connection, messageEvents.map(event => event.messageId));
+  messageEvents.forEach(event => {
+    tracker.observe(event.messageId, event.timestamp, {
+      fields: event.type === 'delivery' ? event.delivery : event.fields,
+      delivery: event.type === 'delivery' ? event.delivery : null,
+      state: event.state
+    });
+  });
+
+  // Insert email records
+  summary.emailsInserted += await tracker.save(connection);
+
+  // Insert per-recipient delivery attempts and refresh the message status
+  const deliveries = tracker.deliveries();
+  const expired = [...tracker.messages.values()].filter(message => message.state === 'expired');
+  const changedIds = [...new Set([...deliveries, ...expired].map(item => item.messageId))];
+  summary.deliveriesInserted += await storeDeliveries(connection, deliveries);
+  const statusChanges = await refreshMessageStatus(connection, changedIds);
+  summary.webhooksQueued += await queueStatusEvents(connection, statusChanges);
+}
+
+module.exports = { createSummary, completeSummary, ingestLines };
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSummary, ingestLines } = require('./ingest');
+const { createRegistry } = require('./parsers');
+
+const registry = createRegistry();
+
+const LINES = [
+  'Oct 18 10:00:00 mx1 postfix/smtpd[100]: connect from client.example.net[192.0.2.10]',
+  'Oct 18 10:00:01 mx1 postfix/smtpd[100]: 4ABC123DEF: client=client.example.net[192.0.2.10]',
+  'Oct 18 10:00:02 mx1 postfix/qmgr[200]: 4ABC123DEF: from=<alice@example.com>, size=1234, nrcpt=1 (queue active)',
+  'Oct 18 10:00:03 mx1 postfix/smtp[300]: 4ABC123DEF: to=<bob@example.org>, relay=mx.example.org[198.51.100.5]:25, delay=1.2, delays=0.1/0/0.5/0.6, dsn=2.0.0, status=sent (250 2.0.0 Ok)',
+  'Oct 18 10:00:04 mx1 postfix/smtpd[100]: NOQUEUE: reject: RCPT from unknown[203.0.113.9]: 554 5.7.1 <spam@example.org>: Relay access denied; from=<x@spam.test> to=<spam@example.org> proto=ESMTP helo=<spam>',
+  'Oct 18 10:00:05 mx1 postfix/smtpd[100]: disconnect from client.example.net[192.0.2.10] ehlo=1 mail=1 rcpt=1 data=1 quit=1 commands=5'
+];
+
+/**
+ * Database double with transactions: remembers the stored line fingerprints
+ * and the tables written by committed statements
+ */
+class FakeDatabase {
+  constructor() {
+    this.lineHashes = new Set();
+    this.writes = [];
+    this.pending = null;
+    this.failOn = null;
+  }
+
+  async beginTransaction() {
+    this.pending = { lineHashes: [], writes: [] };
+  }
+
+  async commit() {
+    this.pending.lineHashes.forEach(hash => this.lineHashes.add(hash));
+    this.writes.push(...this.pending.writes);
+    this.pending = null;
+  }
+
+  async rollback() {
+    this.pending = null;
+  }
+
+  async query(sql, params = []) {
+    const statement = sql.trim();
+    if (this.failOn && this.failOn.test(statement)) {
+      throw new Error('Lock wait timeout exceeded; try restarting transaction');
+    }
+
+    if (statement.startsWith('SELECT line_hash FROM logs')) {
+      return [params.filter(hash => this.lineHashes.has(hash)).map(hash => ({ line_hash: hash }))];
+    }
+    if (statement.startsWith('SELECT')) return [[]];
+
+    const table = statement.match(/^INSERT (?:IGNORE )?INTO (\w+)/);
+    if (table && table[1] === 'logs') {
+      // 8 values per row, line_hash last
+      for (let index = 7; index < params.length; index += 8) {
+        this.pending.lineHashes.push(params[index]);
+      }
+    }
+    if (table) this.pending.writes.push(table[1]);
+    return [{ affectedRows: (statement.match(/\),\s*\(/g) || []).length + 1 }];
+  }
+
+  async execute(sql, params) {
+    return this.query(sql, params);
+  }
+}
+
+async function importBatch(db, lines) {
+  const summary = createSummary();
+  await db.beginTransaction();
+  try {
+    await ingestLines(db, lines, summary, registry);
+    await db.commit();
+  } catch (error) {
+    await db.rollback();
+    throw error;
+  }
+  return summary;
+}
+
+test('stores lines with their deliveries, rejections and sessions', async () => {
+  const db = new FakeDatabase();
+  const summary = await importBatch(db, LINES);
+
+  assert.equal(summary.logsInserted, LINES.length);
+  assert.equal(summary.duplicatesSkipped, 0);
+  assert.deepEqual(
+    [...new Set(db.writes)].sort(),
+    ['deliveries', 'emails', 'logs', 'rejections', 'smtp_sessions']
+  );
+});
+
+test('skips lines already stored together with their events', async () => {
+  const db = new FakeDatabase();
+  await importBatch(db, LINES);
+  db.writes = [];
+
+  const summary = await importBatch(db, LINES);
+  assert.equal(summary.logsInserted, 0);
+  assert.equal(summary.duplicatesSkipped, LINES.length);
+  assert.deepEqual(db.writes, []);
+});
+
+test('skips repeats within a batch', async () => {
+  const db = new FakeDatabase();
+  const summary = await importBatch(db, [...LINES, LINES[3]]);
+
+  assert.equal(summary.logsInserted, LINES.length);
+  assert.equal(summary.duplicatesSkipped, 1);
+});
+
+for (const [name, failOn] of [
+  ['deliveries', /^INSERT IGNORE INTO deliveries/],
+  ['rejections', /^INSERT INTO rejections/],
+  ['smtpd sessions', /^INSERT INTO smtp_sessions/],
+  ['message status', /^SELECT message_id, status FROM/]
+]) {
+  test(`a failed ${name} write rolls back the batch, and a re-import stores it`, async () => {
+    const db = new FakeDatabase();
+    db.failOn = failOn;
+    await assert.rejects(importBatch(db, LINES), /Lock wait timeout/);
+    assert.equal(db.lineHashes.size, 0);
+    assert.deepEqual(db.writes, []);
+
+    db.failOn = null;
+    const summary = await importBatch(db, LINES);
+    assert.equal(summary.logsInserted, LINES.length);
+    assert.equal(summary.duplicatesSkipped, 0);
+    assert.equal(summary.deliveriesInserted, 1);
+    assert.equal(summary.rejectionsInserted, 1);
+    assert.ok(db.writes.includes('smtp_sessions'));
+  });
+}
+
+test('counts and skips unparseable lines', async () => {
+  const db = new FakeDatabase();
+  const summary = await importBatch(db, ['Feb 30 10:00:00 mx1 postfix/smtp[1]: broken', LINES[0]]);
+
+  assert.equal(summary.unparsedLines, 1);
+  assert.equal(summary.unparsedSamples.length, 1);
+  assert.equal(summary.logsInserted, 1);
+});
@@ -0,0 +1,298 @@
+const { attachDeliveries } = require('./deliveries');
+const { insertRows } = require('./bulk');
+
+/**
+ * Message lifecycle tracker
+ *
+ * Follows each Postfix queue ID from reception to removal across import
+ * batches. The state lives in the emails row of the message, so a message
+ * whose qmgr line was imported an hour before its delivery line still ends
+ * up as one complete record. Queue states:
+ *   received    smtpd/pickup/cleanup accepted the message
+ *   queued      qmgr took it in charge (sender, size, nrcpt known)
+ *   deferred    the latest delivery attempt was deferred, Postfix will retry
+ *   delivering  a recipient got a final outcome, the queue file still exists
+ *   expired     qmgr gave up retrying and returned the message to sender
+ *   finished    qmgr removed the queue file: nothing else will happen
+ * Only "removed" makes a message finished, whatever its delivery outcome.
+ */
+
+// States never go back to a lower rank; deferred <-> delivering alternate on retries
+const STATE_RANK = {
+  received: 1,
+  queued: 2,
+  deferred: 3,
+  delivering: 3,
+  expired: 4,
+  finished: 5
+};
+
+// Message fields merged from log lines (later values win, except the first recipient)
+const MERGED_FIELDS = [
+  'from', 'size', 'nrcpt', 'clientIp', 'messageIdHeader', 'relay', 'transport', 'delay', 'dsn', 'response',
+  'bounceQueueId', 'bounceOf', 'notificationType'
+];
+
+// OpenDKIM outcome fields, always replaced together by the latest result
+const DKIM_FIELDS = ['dkimResult', 'dkimDomain', 'dkimSelector', 'dkimError'];
+
+class MessageTracker {
+  constructor() {
+    this.messages = new Map();
+  }
+
+  /**
+   * Get the record of a queue ID, creating it when first seen
+   * @param {string} messageId - Postfix queue ID
+   * @param {Date} timestamp - Time of the log line
+   * @returns {Object} Message record
+   */
+  record(messageId, timestamp) {
+    let message = this.messages.get(messageId);
+    if (!message) {
+      message = {
+        messageId,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        state: null,
+        expiredAt: null,
+        finishedAt: null,
+        deliveries: []
+      };
+      this.messages.set(messageId, message);
+    }
+    return message;
+  }
+
+  /**
+   * Seed records with the state earlier imports stored in the database
+   * @param {Object} connection - Database connection
+   * @param {string[]} messageIds - Queue IDs seen in the current batch
+   */
+  async load(connection, messageIds) {
+    const ids = [...new Set(messageIds)];
+    if (ids.length === 0) return;
+
+    const placeholders = ids.map(() => '?').join(', ');
+    const [rows] = await connection.query(
+      `SELECT message_id, log_date, last_seen, sender, recipient, size, nrcpt, client_ip, message_id_header,
+              relay, transport, delay, dsn_code, response_text, queue_state, expired_at, finished_at,
+              dkim_result, dkim_domain, dkim_selector, dkim_error, bounce_queue_id, bounce_of, notification_type
+       FROM emails
+       WHERE message_id IN (${placeholders})`,
+      ids
+    );
+
+    for (const row of rows) {
+      const message = this.record(row.message_id, row.log_date);
+      Object.assign(message, {
+        firstSeen: row.log_date,
+        lastSeen: row.last_seen || row.log_date,
+        from: row.sender,
+        to: row.recipient,
+        size: row.size,
+        nrcpt: row.nrcpt,
+        clientIp: row.client_ip,
+        messageIdHeader: row.message_id_header,
+        relay: row.relay,
+        transport: row.transport,
+        delay: row.delay,
+        dsn: row.dsn_code,
+        response: row.response_text,
+        state: row.queue_state,
+        expiredAt: row.expired_at,
+        finishedAt: row.finished_at,
+        dkimResult: row.dkim_result,
+        dkimDomain: row.dkim_domain,
+        dkimSelector: row.dkim_selector,
+        dkimError: row.dkim_error,
+        bounceQueueId: row.bounce_queue_id,
+        bounceOf: row.bounce_of,
+        notificationType: row.notification_type
+      });
+    }
+  }
+
+  /**
+   * Apply one log event to a message
+   * @param {string} messageId - Postfix queue ID
+   * @param {Date} timestamp - Time of the log line
+   * @param {Object} event - { fields, state, delivery } (all optional)
+   */
+  observe(messageId, timestamp, { fields = {}, state = null, delivery = null } = {}) {
+    const message = this.record(messageId, timestamp);
+
+    if (timestamp < message.firstSeen) message.firstSeen = timestamp;
+    if (timestamp > message.lastSeen) message.lastSeen = timestamp;
+
+    MERGED_FIELDS.forEach(field => {
+      if (fields[field] !== undefined && fields[field] !== null) {
+        message[field] = fields[field];
+      }
+    });
+    if (fields.to && !message.to) {
+      message.to = fields.to;
+    }
+    if (fields.dkimResult) {
+      DKIM_FIELDS.forEach(field => {
+        message[field] = fields[field] || null;
+      });
+    }
+
+    if (delivery) {
+      message.deliveries.push({ messageId, timestamp, ...delivery });
+    }
+
+    if (state && (!message.state || STATE_RANK[state] >= STATE_RANK[message.state])) {
+      message.state = state;
+      if (state === 'expired' && !message.expiredAt) message.expiredAt = timestamp;
+      if (state === 'finished') message.finishedAt = timestamp;
+    }
+  }
+
+  /**
+   * Delivery attempts observed in this batch
+   * @returns {Object[]} Deliveries of all tracked messages
+   */
+  deliveries() {
+    return [...this.messages.values()].flatMap(message => message.deliveries);
+  }
+
+  /**
+   * Persist every tracked message to the emails table
+   * @param {Object} connection - Database connection
+   * @returns {Promise<number>} Number of messages saved
+   */
+  async save(connection) {
+    const rows = [...this.messages.values()].map(message => [
+      message.messageId,
+      message.firstSeen,
+      message.lastSeen,
+      message.from || null,
+      message.to || null,
+      message.size || null,
+      message.nrcpt || null,
+      message.relay || null,
+      message.transport || null,
+      message.delay || null,
+      message.clientIp || null,
+      message.messageIdHeader || null,
+      message.dsn || null,
+      message.response || null,
+      message.state,
+      message.expiredAt,
+      message.finishedAt,
+      message.dkimResult || null,
+      message.dkimDomain || null,
+      message.dkimSelector || null,
+      message.dkimError || null,
+      message.bounceQueueId || null,
+      message.bounceOf || null,
+      message.notificationType || null
+    ]);
+
+    await insertRows(
+      connection,
+      `INSERT INTO emails (message_id, log_date, last_seen, sender, recipient, size, nrcpt, relay, transport, delay, client_ip,
+                         message_id_header, dsn_code, response_text, queue_state, expired_at, finished_at,
+                         dkim_result, dkim_domain, dkim_selector, dkim_error,
+                         bounce_queue_id, bounce_of, notification_type) VALUES`,
+      rows,
+      {
+        suffix: `ON DUPLICATE KEY UPDATE
+           log_date = LEAST(log_date, VALUES(log_date)),
+           last_seen = GREATEST(COALESCE(last_seen, VALUES(last_seen)), VALUES(last_seen)),
+           sender = COALESCE(VALUES(sender), sender),
+           recipient = COALESCE(recipient, VALUES(recipient)),
+           size = COALESCE(VALUES(size), size),
+           nrcpt = COALESCE(VALUES(nrcpt), nrcpt),
+           relay = COALESCE(VALUES(relay), relay),
+           transport = COALESCE(VALUES(transport), transport),
+           delay = COALESCE(VALUES(delay), delay),
+           client_ip = COALESCE(VALUES(client_ip), client_ip),
+           message_id_header = COALESCE(VALUES(message_id_header), message_id_header),
+           dsn_code = COALESCE(VALUES(dsn_code), dsn_code),
+           response_text = COALESCE(VALUES(response_text), response_text),
+           queue_state = COALESCE(VALUES(queue_state), queue_state),
+           expired_at = COALESCE(expired_at, VALUES(expired_at)),
+           finished_at = COALESCE(VALUES(finished_at), finished_at),
+           dkim_domain = IF(VALUES(dkim_result) IS NULL, dkim_domain, VALUES(dkim_domain)),
+           dkim_selector = IF(VALUES(dkim_result) IS NULL, dkim_selector, VALUES(dkim_selector)),
+           dkim_error = IF(VALUES(dkim_result) IS NULL, dkim_error, VALUES(dkim_error)),
+           dkim_result = COALESCE(VALUES(dkim_result), dkim_result),
+           bounce_queue_id = COALESCE(VALUES(bounce_queue_id), bounce_queue_id),
+           bounce_of = COALESCE(VALUES(bounce_of), bounce_of),
+           notification_type = COALESCE(VALUES(notification_type), notification_type)`
+      }
+    );
+
+    return rows.length;
+  }
+}
+
+/**
+ * Attach the other queue IDs sharing each email's Message-ID header as
+ * email.linked_queue_ids (the same message seen again after a content filter
+ * re-injected it, or submitted twice)
+ * @param {Object} connection - Database connection
+ * @param {Object[]} emails - Rows from the emails table
+ * @returns {Promise<Object[]>} The same rows, with linked_queue_ids
+ */
+async function attachLinkedMessages(connection, emails) {
+  const headers = [...new Set(emails.map(email => email.message_id_header).filter(Boolean))];
+  const byHeader = {};
+
+  if (headers.length > 0) {
+    const placeholders = headers.map(() => '?').join(', ');
+    const [rows] = await connection.query(
+      `SELECT message_id, message_id_header FROM emails
+       WHERE message_id_header IN (${placeholders})
+       ORDER BY log_date`,
+      headers
+    );
+    for (const row of rows) {
+      (byHeader[row.message_id_header] = byHeader[row.message_id_header] || []).push(row.message_id);
+    }
+  }
+
+  emails.forEach(email => {
+    email.linked_queue_ids = (byHeader[email.message_id_header] || [])
+      .filter(messageId => messageId !== email.message_id);
+  });
+  return emails;
+}
+
+/**
+ * Attach the bounce notification of each bounced email as email.bounce
+ * ({ message_id, notification_type, recipient, status, queue_state, deliveries })
+ * @param {Object} connection - Database connection
+ * @param {Object[]} emails - Rows from the emails table
+ * @returns {Promise<Object[]>} The same rows, with bounce (null if none was sent)
+ */
+async function attachBounces(connection, emails) {
+  const notificationIds = emails.map(email => email.bounce_queue_id).filter(Boolean);
+  const byId = {};
+
+  if (notificationIds.length > 0) {
+    const placeholders = notificationIds.map(() => '?').join(', ');
+    const [rows] = await connection.query(
+      `SELECT message_id, notification_type, recipient, status, queue_state, finished_at
+       FROM emails
+       WHERE message_id IN (${placeholders})`,
+      notificationIds
+    );
+    await attachDeliveries(connection, rows);
+    for (const row of rows) {
+      byId[row.message_id] = row;
+    }
+  }
+
+  emails.forEach(email => {
+    email.bounce = email.bounce_queue_id
+      ? byId[email.bounce_queue_id] || { message_id: email.bounce_queue_id, status: null, deliveries: [] }
+      : null;
+  });
+  return emails;
+}
+
+module.exports = { MessageTracker, attachLinkedMessages, attachBounces };
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MessageTracker, attachLinkedMessages, attachBounces } = require('./lifecycle');
+
+const at = minute => new Date(Date.UTC(2026, 2, 2, 10, minute));
+
+/**
+ * Connection double returning the matching `rows` for every SELECT on emails and recording the rest
+ */
+function createConnection(rows = []) {
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params) {
+      const statement = sql.replace(/\s+/g, ' ').trim();
+      statements.push({ sql: statement, params });
+      if (statement.includes('FROM deliveries')) return [[]];
+      if (statement.startsWith('SELECT')) return [rows.filter(row => params.includes(row.message_id) || params.includes(row.message_id_header))];
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+test('moves a message through its queue states, never back to a lower one', () => {
+  const tracker = new MessageTracker();
+  const states = [];
+  const observe = (minute, state) => {
+    tracker.observe('4ABC123DEF', at(minute), { state });
+    states.push(tracker.messages.get('4ABC123DEF').state);
+  };
+
+  observe(0, 'received');
+  observe(1, 'queued');
+  observe(2, 'deferred');
+  // Retries alternate between deferred and delivering
+  observe(3, 'delivering');
+  observe(4, 'deferred');
+  // A late cleanup line does not reopen the message
+  observe(5, 'received');
+  observe(60, 'expired');
+  observe(61, 'deferred');
+  observe(62, 'finished');
+  observe(63, 'queued');
+
+  assert.deepEqual(states, [
+    'received', 'queued', 'deferred', 'delivering', 'deferred', 'deferred', 'expired', 'expired', 'finished', 'finished'
+  ]);
+  const message = tracker.messages.get('4ABC123DEF');
+  assert.deepEqual([message.expiredAt, message.finishedAt], [at(60), at(62)]);
+  assert.deepEqual([message.firstSeen, message.lastSeen], [at(0), at(63)]);
+});
+
+test('merges the fields of every line, keeping the first recipient and the latest DKIM result', () => {
+  const tracker = new MessageTracker();
+  tracker.observe('4ABC123DEF', at(2), { fields: { to: 'bob@example.org', dsn: '4.4.1', relay: 'none' } });
+  tracker.observe('4ABC123DEF', at(0), { fields: { clientIp: '2001:db8::25', dkimResult: 'fail', dkimDomain: 'example.com', dkimError: 'bad signature' } });
+  tracker.observe('4ABC123DEF', at(1), { fields: { from: 'alice@example.com', size: 2048, nrcpt: 2, messageIdHeader: '20260302.abc@example.com' } });
+  tracker.observe('4ABC123DEF', at(3), {
+    fields: { to: 'carol@example.net', dsn: '2.0.0', relay: null, dkimResult: 'pass', dkimDomain: 'example.com', dkimSelector: 's1' },
+    delivery: { to: 'carol@example.net', status: 'sent' }
+  });
+
+  const message = tracker.messages.get('4ABC123DEF');
+  assert.deepEqual(
+    [message.from, message.to, message.size, message.nrcpt, message.clientIp, message.messageIdHeader, message.dsn, message.relay],
+    ['alice@example.com', 'bob@example.org', 2048, 2, '2001:db8::25', '20260302.abc@example.com', '2.0.0', 'none']
+  );
+  assert.deepEqual(
+    [message.dkimResult, message.dkimDomain, message.dkimSelector, message.dkimError],
+    ['pass', 'example.com', 's1', null]
+  );
+  assert.equal(message.firstSeen.getTime(), at(0).getTime());
+  assert.deepEqual(tracker.deliveries(), [{ messageId: '4ABC123DEF', timestamp: at(3), to: 'carol@example.net', status: 'sent' }]);
+});
+
+test('continues a message an earlier batch stored and saves it with a COALESCE upsert', async () => {
+  const connection = createConnection([{
+    message_id: '4ABC123DEF', log_date: at(0), last_seen: at(5), sender: 'alice@example.com', recipient: 'bob@example.org',
+    size: 2048, nrcpt: 1, queue_state: 'deferred', expired_at: null, finished_at: null, dkim_result: 'pass', dkim_domain: 'example.com'
+  }]);
+
+  // Lines of the next batch: delivered and removed; an unknown queue ID too
+  const tracker = new MessageTracker();
+  await tracker.load(connection, ['4ABC123DEF', '4ABC123DEF', '5DEF456ABC']);
+  assert.deepEqual(connection.statements[0].params, ['4ABC123DEF', '5DEF456ABC']);
+  tracker.observe('4ABC123DEF', at(30), { fields: { to: 'bob@example.org', dsn: '2.0.0' }, state: 'delivering' });
+  tracker.observe('4ABC123DEF', at(31), { state: 'finished' });
+  tracker.observe('5DEF456ABC', at(32), { fields: { from: 'carol@example.net' }, state: 'queued' });
+
+  assert.equal(await tracker.save(connection), 2);
+  const { sql, params } = connection.statements[1];
+  assert.match(sql, /^INSERT INTO emails \(message_id, .*\) VALUES \(\?(, \?){23}\), \(\?(, \?){23}\) ON DUPLICATE KEY UPDATE /);
+  // Values a batch does not know are NULL and keep what is stored
+  assert.match(sql, /sender = COALESCE\(VALUES\(sender\), sender\)/);
+  assert.match(sql, /recipient = COALESCE\(recipient, VALUES\(recipient\)\)/);
+  assert.match(sql, /log_date = LEAST\(log_date, VALUES\(log_date\)\)/);
+  assert.match(sql, /expired_at = COALESCE\(expired_at, VALUES\(expired_at\)\)/);
+  assert.match(sql, /dkim_selector = IF\(VALUES\(dkim_result\) IS NULL, dkim_selector, VALUES\(dkim_selector\)\)/);
+
+  assert.deepEqual(params.slice(0, 7), ['4ABC123DEF', at(0), at(31), 'alice@example.com', 'bob@example.org', 2048, 1]);
+  assert.deepEqual(params.slice(12, 18), ['2.0.0', null, 'finished', null, at(31), 'pass']);
+  assert.deepEqual(params.slice(24, 30), ['5DEF456ABC', at(32), at(32), 'carol@example.net', null, null]);
+  assert.equal(params[24 + 14], 'queued');
+});
+
+test('links the queue IDs sharing a Message-ID header', async () => {
+  const connection = createConnection([
+    { message_id: '4ABC123DEF', message_id_header: '20260302.abc@example.com' },
+    // Re-injected by a content filter
+    { message_id: '7AAA000BBB', message_id_header: '20260302.abc@example.com' },
+    { message_id: '8BBB111CCC', message_id_header: '20260302.abc@example.com' }
+  ]);
+  const emails = [
+    { message_id: '4ABC123DEF', message_id_header: '20260302.abc@example.com' },
+    { message_id: '6CCC222DDD', message_id_header: null },
+    { message_id: '9DDD333EEE', message_id_header: '20260302.xyz@example.com' }
+  ];
+
+  await attachLinkedMessages(connection, emails);
+  assert.deepEqual(emails.map(email => email.linked_queue_ids), [['7AAA000BBB', '8BBB111CCC'], [], []]);
+  assert.deepEqual(connection.statements[0].params, ['20260302.abc@example.com', '20260302.xyz@example.com']);
+
+  const unrelated = createConnection();
+  await attachLinkedMessages(unrelated, [{ message_id: '6CCC222DDD', message_id_header: null }]);
+  assert.deepEqual(unrelated.statements, []);
+});
+
+test('attaches the bounce notification of each message with its deliveries', async () => {
+  const connection = createConnection([
+    { message_id: '5DEF456ABC', notification_type: 'non-delivery', recipient: 'alice@example.com', status: 'sent', queue_state: 'finished' }
+  ]);
+  const emails = [
+    { message_id: '4ABC123DEF', bounce_queue_id: '5DEF456ABC' },
+    // The notification was never imported
+    { message_id: '6BBB111CCC', bounce_queue_id: '8CCC222DDD' },
+    { message_id: '9DDD333EEE', bounce_queue_id: null }
+  ];
+
+  await attachBounces(connection, emails);
+  assert.deepEqual(
+    [emails[0].bounce.message_id, emails[0].bounce.notification_type, emails[0].bounce.recipient],
+    ['5DEF456ABC', 'non-delivery', 'alice@example.com']
+  );
+  assert.deepEqual(emails[0].bounce.deliveries, []);
+  assert.deepEqual(emails[1].bounce, { message_id: '8CCC222DDD', status: null, deliveries: [] });
+  assert.equal(emails[2].bounce, null);
+  assert.deepEqual(connection.statements.map(statement => statement.params), [['5DEF456ABC', '8CCC222DDD'], ['5DEF456ABC']]);
+});
@@ -0,0 +1,278 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics
+ *
+ * Import counters come from the summaries of the imports this process runs,
+ * labelled by source (file, backfill, syslog). Delivery outcomes, queue depth
+ * and the database pool are read when Prometheus scrapes. Delivery outcomes
+ * are counted from the deliveries table itself, so attempts stored by
+ * scripts/log-importer.js are included too: each scrape only counts the rows
+ * added since the previous one.
+ */
+
+// Queue states of messages still in the Postfix queue (see lib/lifecycle.js)
+const QUEUE_STATES = ['received', 'queued', 'deferred', 'delivering', 'expired'];
+
+// Import durations range from an idle hourly run to a full backfill
+const IMPORT_DURATION_BUCKETS = [0.1, 0.5, 1, 5, 15, 60, 300, 900, 3600];
+
+// Summary counters exported as smtplog_import_rows_inserted_total{table}
+const INSERTED_ROWS = {
+  logs: 'logsInserted',
+  emails: 'emailsInserted',
+  deliveries: 'deliveriesInserted',
+  rejections: 'rejectionsInserted'
+};
+
+/**
+ * Connection counts of a mysql2 pool
+ *
+ * mysql2 has no public API for them, so its private queues are read
+ * defensively: should they change, the pool gauges go missing instead of
+ * /metrics failing.
+ * @param {Object} pool - mysql2/promise pool
+ * @returns {{total: number, idle: number, waiting: number, limit: number}|null} Counts, null if unavailable
+ */
+function poolState(pool) {
+  const core = pool && pool.pool;
+  if (!core) return null;
+
+  const size = queue => (queue && Number.isInteger(queue.length) ? queue.length : null);
+  const state = {
+    total: size(core._allConnections),
+    idle: size(core._freeConnections),
+    waiting: size(core._connectionQueue),
+    limit: core.config && Number.isInteger(core.config.connectionLimit) ? core.config.connectionLimit : null
+  };
+  return Object.values(state).includes(null) ? null : state;
+}
+
+class Metrics {
+  /**
+   * @param {Object} pool - mysql2/promise pool, queried on scrape
+   */
+  constructor(pool) {
+    this.pool = pool;
+    this.registry = new client.Registry();
+    this.lastSuccess = {};
+    this.lastDeliveryId = 0;
+    this.counting = null;
+    this.reading = null;
+    client.collectDefaultMetrics({ register: this.registry });
+
+    const registers = [this.registry];
+    const metrics = this;
+
+    this.importRuns = new client.Counter({
+      name: 'smtplog_import_runs_total',
+      help: 'Import runs by source and result',
+      labelNames: ['source', 'result'],
+      registers
+    });
+    this.importDuration = new client.Histogram({
+      name: 'smtplog_import_duration_seconds',
+      help: 'Duration of successful import runs',
+      labelNames: ['source'],
+      buckets: IMPORT_DURATION_BUCKETS,
+      registers
+    });
+    this.importLines = new client.Counter({
+      name: 'smtplog_import_lines_total',
+      help: 'Log lines read by imports',
+      labelNames: ['source'],
+      registers
+    });
+    this.importRows = new client.Counter({
+      name: 'smtplog_import_rows_inserted_total',
+      help: 'Rows stored by imports, by table',
+      labelNames: ['source', 'table'],
+      registers
+    });
+    this.importParseErrors = new client.Counter({
+      name: 'smtplog_import_parse_errors_total',
+      help: 'Lines that failed to be stored or processed',
+      labelNames: ['source'],
+      registers
+    });
+    this.importUnparsed = new client.Counter({
+      name: 'smtplog_import_unparsed_lines_total',
+      help: 'Lines in no recognized log format',
+      labelNames: ['source'],
+      registers
+    });
+    this.importDuplicates = new client.Counter({
+      name: 'smtplog_import_duplicate_lines_total',
+      help: 'Lines skipped because they were already imported',
+      labelNames: ['source'],
+      registers
+    });
+    this.importLastSuccess = new client.Gauge({
+      name: 'smtplog_import_last_success_timestamp_seconds',
+      help: 'Unix time of the last successful import run',
+      labelNames: ['source'],
+      registers
+    });
+
+    new client.Counter({
+      name: 'smtplog_deliveries_total',
+      help: 'Delivery attempts stored, by status, DSN class and relay host',
+      labelNames: ['status', 'dsn_class', 'relay'],
+      registers,
+      async collect() {
+        await metrics.countDeliveries(this);
+      }
+    });
+    new client.Gauge({
+      name: 'smtplog_database_up',
+      help: 'Whether the last scrape could query the database',
+      registers,
+      async collect() {
+        this.set(await metrics.readQueue() ? 1 : 0);
+      }
+    });
+    new client.Gauge({
+      name: 'smtplog_queue_messages',
+      help: 'Messages in the Postfix queue by lifecycle state',
+      labelNames: ['state'],
+      registers,
+      async collect() {
+        const rows = await metrics.readQueue();
+        if (!rows) return;
+        QUEUE_STATES.forEach(state => {
+          const row = rows.find(item => item.queue_state === state);
+          this.set({ state }, row ? Number(row.messages) : 0);
+        });
+      }
+    });
+    new client.Gauge({
+      name: 'smtplog_db_pool_connections',
+      help: 'Database pool connections by state',
+      labelNames: ['state'],
+      registers,
+      collect() {
+        const state = poolState(metrics.pool);
+        if (!state) return;
+        this.set({ state: 'in_use' }, state.total - state.idle);
+        this.set({ state: 'idle' }, state.idle);
+      }
+    });
+    new client.Gauge({
+      name: 'smtplog_db_pool_waiting_requests',
+      help: 'Requests waiting for a free database connection',
+      registers,
+      collect() {
+        const state = poolState(metrics.pool);
+        if (state) this.set(state.waiting);
+      }
+    });
+    new client.Gauge({
+      name: 'smtplog_db_pool_max_connections',
+      help: 'Connection limit of the database pool',
+      registers,
+      collect() {
+        const state = poolState(metrics.pool);
+        if (state) this.set(state.limit);
+      }
+    });
+  }
+
+  /**
+   * Record a successful import run
+   * @param {string} source - file, backfill or syslog
+   * @param {Object} summary - Import summary (see lib/ingest.js)
+   */
+  recordImport(source, summary) {
+    const labels = { source };
+    this.importRuns.inc({ source, result: 'success' });
+    if (summary.duration !== undefined) {
+      this.importDuration.observe(labels, summary.duration / 1000);
+    }
+    this.importLines.inc(labels, summary.linesRead);
+    Object.entries(INSERTED_ROWS).forEach(([table, counter]) => {
+      this.importRows.inc({ source, table }, summary[counter]);
+    });
+    this.importParseErrors.inc(labels, summary.parseErrors);
+    this.importUnparsed.inc(labels, summary.unparsedLines);
+    this.importDuplicates.inc(labels, summary.duplicatesSkipped);
+
+    this.lastSuccess[source] = new Date();
+    this.importLastSuccess.set(labels, Math.floor(this.lastSuccess[source].getTime() / 1000));
+  }
+
+  /**
+   * Record a failed import run
+   * @param {string} source - file, backfill or syslog
+   */
+  recordImportFailure(source) {
+    this.importRuns.inc({ source, result: 'failure' });
+  }
+
+  /**
+   * Add the delivery attempts stored since the previous scrape
+   * @param {Object} counter - smtplog_deliveries_total
+   */
+  async countDeliveries(counter) {
+    // Concurrent scrapes share one query, or they would count the same rows twice
+    if (!this.counting) {
+      this.counting = this.countNewDeliveries(counter).finally(() => {
+        this.counting = null;
+      });
+    }
+    await this.counting;
+  }
+
+  /**
+   * Count the deliveries rows after lastDeliveryId
+   * @param {Object} counter - smtplog_deliveries_total
+   */
+  async countNewDeliveries(counter) {
+    try {
+      const [rows] = await this.pool.query(
+        `SELECT status, COALESCE(LEFT(dsn_code, 1), '') AS dsn_class,
+           COALESCE(SUBSTRING_INDEX(relay, '[', 1), '') AS relay_host, COUNT(*) AS attempts, MAX(id) AS last_id
+         FROM deliveries
+         WHERE id > ?
+         GROUP BY status, dsn_class, relay_host`,
+        [this.lastDeliveryId]
+      );
+      for (const row of rows) {
+        counter.inc({ status: row.status || '', dsn_class: row.dsn_class, relay: row.relay_host }, Number(row.attempts));
+        this.lastDeliveryId = Math.max(this.lastDeliveryId, Number(row.last_id));
+      }
+    } catch (error) {
+      // Reported through smtplog_database_up
+    }
+  }
+
+  /**
+   * Read the queue depth, which also checks the database
+   *
+   * The queue and database gauges of a scrape are collected concurrently and
+   * share one query, so smtplog_database_up reports this scrape, not the last.
+   * @returns {Promise<Object[]|null>} Messages per queue state, null if the database did not answer
+   */
+  readQueue() {
+    if (!this.reading) {
+      this.reading = this.pool.query(
+        `SELECT queue_state, COUNT(*) AS messages FROM emails
+         WHERE queue_state IN (${QUEUE_STATES.map(() => '?').join(', ')})
+         GROUP BY queue_state`,
+        QUEUE_STATES
+      ).then(([rows]) => rows, () => null).finally(() => {
+        this.reading = null;
+      });
+    }
+    return this.reading;
+  }
+
+  /**
+   * Metrics in the Prometheus text format
+   * @returns {Promise<{contentType: string, body: string}>} Response content
+   */
+  async render() {
+    return { contentType: this.registry.contentType, body: await this.registry.metrics() };
+  }
+}
+
+module.exports = { Metrics };
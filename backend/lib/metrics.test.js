@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Metrics } = require('./metrics');
+
+/**
+ * Pool double answering the scrape queries from `deliveries` and `queue`
+ */
+function createPool({ deliveries = [], queue = [], internals = true } = {}) {
+  const pool = {
+    queries: [],
+    down: false,
+    async query(sql, params) {
+      pool.queries.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      if (pool.down) throw new Error('connect ECONNREFUSED');
+      if (sql.includes('FROM deliveries')) {
+        const rows = deliveries.filter(row => row.id > params[0]);
+        const groups = new Map();
+        for (const row of rows) {
+          const key = `${row.status}/${row.dsn_class}/${row.relay_host}`;
+          const group = groups.get(key) || { ...row, attempts: 0, last_id: 0 };
+          group.attempts++;
+          group.last_id = Math.max(group.last_id, row.id);
+          groups.set(key, group);
+        }
+        return [[...groups.values()]];
+      }
+      return [queue];
+    },
+    pool: internals
+      ? { _allConnections: { length: 4 }, _freeConnections: { length: 1 }, _connectionQueue: { length: 2 }, config: { connectionLimit: 10 } }
+      : {}
+  };
+  return pool;
+}
+
+/**
+ * Value of a sample in the Prometheus text format, undefined if missing
+ */
+function sample(body, name) {
+  const line = body.split('\n').find(item => item.startsWith(`${name} `));
+  return line === undefined ? undefined : Number(line.slice(name.length + 1));
+}
+
+test('exports the summaries of import runs by source', async () => {
+  const metrics = new Metrics(createPool());
+  metrics.recordImport('file', {
+    duration: 2500, linesRead: 1000, logsInserted: 990, emailsInserted: 120, deliveriesInserted: 150, rejectionsInserted: 7,
+    parseErrors: 1, unparsedLines: 2, duplicatesSkipped: 10
+  });
+  metrics.recordImport('file', { linesRead: 5, logsInserted: 5, emailsInserted: 0, deliveriesInserted: 0, rejectionsInserted: 0, parseErrors: 0, unparsedLines: 0, duplicatesSkipped: 0 });
+  metrics.recordImportFailure('syslog');
+
+  const { body, contentType } = await metrics.render();
+  assert.match(contentType, /^text\/plain/);
+  assert.equal(sample(body, 'smtplog_import_runs_total{source="file",result="success"}'), 2);
+  assert.equal(sample(body, 'smtplog_import_runs_total{source="syslog",result="failure"}'), 1);
+  assert.equal(sample(body, 'smtplog_import_lines_total{source="file"}'), 1005);
+  assert.equal(sample(body, 'smtplog_import_rows_inserted_total{source="file",table="logs"}'), 995);
+  assert.equal(sample(body, 'smtplog_import_rows_inserted_total{source="file",table="rejections"}'), 7);
+  assert.equal(sample(body, 'smtplog_import_duplicate_lines_total{source="file"}'), 10);
+  // Only runs that report a duration are observed
+  assert.equal(sample(body, 'smtplog_import_duration_seconds_count{source="file"}'), 1);
+  assert.equal(sample(body, 'smtplog_import_duration_seconds_sum{source="file"}'), 2.5);
+  assert.equal(sample(body, 'smtplog_import_last_success_timestamp_seconds{source="file"}'), Math.floor(metrics.lastSuccess.file.getTime() / 1000));
+  assert.equal(metrics.lastSuccess.syslog, undefined);
+});
+
+test('counts each delivery once, across scrapes', async () => {
+  const deliveries = [
+    { id: 1, status: 'sent', dsn_class: '2', relay_host: 'mx.example.org' },
+    { id: 2, status: 'sent', dsn_class: '2', relay_host: 'mx.example.org' },
+    { id: 3, status: 'bounced', dsn_class: '5', relay_host: 'none' }
+  ];
+  const pool = createPool({ deliveries });
+  const metrics = new Metrics(pool);
+
+  let { body } = await metrics.render();
+  assert.equal(sample(body, 'smtplog_deliveries_total{status="sent",dsn_class="2",relay="mx.example.org"}'), 2);
+  assert.equal(sample(body, 'smtplog_deliveries_total{status="bounced",dsn_class="5",relay="none"}'), 1);
+  assert.equal(metrics.lastDeliveryId, 3);
+
+  // Rows stored in between, by this process or by scripts/log-importer.js
+  deliveries.push({ id: 4, status: 'sent', dsn_class: '2', relay_host: 'mx.example.org' });
+  ({ body } = await metrics.render());
+  assert.equal(sample(body, 'smtplog_deliveries_total{status="sent",dsn_class="2",relay="mx.example.org"}'), 3);
+  assert.equal(sample(body, 'smtplog_deliveries_total{status="bounced",dsn_class="5",relay="none"}'), 1);
+
+  const counts = pool.queries.filter(query => query.sql.includes('FROM deliveries'));
+  assert.deepEqual(counts.map(query => query.params), [[0], [3]]);
+});
+
+test('concurrent scrapes share one delivery count', async () => {
+  const pool = createPool({ deliveries: [{ id: 1, status: 'sent', dsn_class: '2', relay_host: 'mx.example.org' }] });
+  const metrics = new Metrics(pool);
+
+  const [first, second] = await Promise.all([metrics.render(), metrics.render()]);
+  assert.equal(pool.queries.filter(query => query.sql.includes('FROM deliveries')).length, 1);
+  for (const { body } of [first, second]) {
+    assert.equal(sample(body, 'smtplog_deliveries_total{status="sent",dsn_class="2",relay="mx.example.org"}'), 1);
+  }
+  assert.equal(metrics.counting, null);
+});
+
+test('reports the queue depth and whether the database answered', async () => {
+  const pool = createPool({ queue: [{ queue_state: 'deferred', messages: 4 }, { queue_state: 'queued', messages: 1 }] });
+  const metrics = new Metrics(pool);
+
+  let { body } = await metrics.render();
+  assert.equal(sample(body, 'smtplog_queue_messages{state="deferred"}'), 4);
+  assert.equal(sample(body, 'smtplog_queue_messages{state="expired"}'), 0);
+  assert.equal(sample(body, 'smtplog_database_up'), 1);
+
+  pool.down = true;
+  ({ body } = await metrics.render());
+  assert.equal(sample(body, 'smtplog_database_up'), 0);
+  // The last depth read stays
+  assert.equal(sample(body, 'smtplog_queue_messages{state="deferred"}'), 4);
+  assert.equal(metrics.lastDeliveryId, 0);
+  // One queue query per scrape for both gauges
+  assert.equal(pool.queries.filter(query => query.sql.includes('FROM emails')).length, 2);
+});
+
+test('reads the pool gauges, and leaves them out when mysql2 internals are missing', async () => {
+  let { body } = await new Metrics(createPool()).render();
+  assert.equal(sample(body, 'smtplog_db_pool_connections{state="in_use"}'), 3);
+  assert.equal(sample(body, 'smtplog_db_pool_connections{state="idle"}'), 1);
+  assert.equal(sample(body, 'smtplog_db_pool_waiting_requests'), 2);
+  assert.equal(sample(body, 'smtplog_db_pool_max_connections'), 10);
+
+  ({ body } = await new Metrics(createPool({ internals: false })).render());
+  assert.equal(sample(body, 'smtplog_db_pool_connections{state="in_use"}'), undefined);
+  assert.equal(sample(body, 'smtplog_database_up'), 1);
+});
@@ -0,0 +1,76 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Notification channels
+ *
+ * Webhooks receive the payload as a JSON POST. Email goes through the SMTP
+ * server configured with ALERT_SMTP_HOST (any relay, or a local sink such as
+ * mailpit while testing); without it email notifications fail with an error
+ * that is recorded on the alert event.
+ */
+
+// Time allowed to a webhook endpoint before the request is abandoned
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+let transport = null;
+
+/**
+ * SMTP transport configured from the environment, created on first use
+ * @returns {Object} nodemailer transport
+ */
+function getTransport() {
+  if (!process.env.ALERT_SMTP_HOST) {
+    throw new Error('ALERT_SMTP_HOST is not set');
+  }
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.ALERT_SMTP_HOST,
+      port: parseInt(process.env.ALERT_SMTP_PORT) || 25,
+      secure: process.env.ALERT_SMTP_SECURE === 'true',
+      auth: process.env.ALERT_SMTP_USER
+        ? { user: process.env.ALERT_SMTP_USER, pass: process.env.ALERT_SMTP_PASS }
+        : undefined
+    });
+  }
+  return transport;
+}
+
+/**
+ * POST a JSON payload to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object|string} payload - Body, or the body already serialized (e.g. because it is signed)
+ * @param {Object} headers - Additional request headers
+ * @returns {Promise<number>} HTTP status; rejects on network errors and non-2xx responses (error.status is set for the latter)
+ */
+async function sendWebhook(url, payload, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof payload === 'string' ? payload : JSON.stringify(payload),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.status;
+}
+
+/**
+ * Send a plain text email
+ * @param {string} to - Comma-separated recipients
+ * @param {string} subject - Subject
+ * @param {string} text - Body
+ * @returns {Promise<void>}
+ */
+async function sendMail(to, subject, text) {
+  await getTransport().sendMail({
+    from: process.env.ALERT_MAIL_FROM || 'smtp-log-viewer@localhost',
+    to,
+    subject,
+    text
+  });
+}
+
+module.exports = { sendWebhook, sendMail };
@@ -0,0 +1,107 @@
+/**
+ * Keyset pagination
+ *
+ * Lists are ordered newest first by (log_date, id). Instead of an OFFSET,
+ * which makes the server walk every skipped row and shifts pages when new
+ * rows arrive, each page continues from the last row of the previous one.
+ * The position travels as an opaque cursor: base64url of
+ * [direction, log_date, id], where direction is "next" (older rows) or
+ * "prev" (newer rows).
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Encode a cursor pointing at a row
+ * @param {string} direction - next or prev
+ * @param {Object} row - Row with log_date and id
+ * @returns {string} Cursor
+ */
+function encodeCursor(direction, row) {
+  return Buffer.from(JSON.stringify([direction, new Date(row.log_date).toISOString(), row.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {{direction: string, logDate: Date, id: number}|null} Position, null if the cursor is not valid
+ */
+function decodeCursor(cursor) {
+  try {
+    const [direction, logDate, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const date = new Date(logDate);
+    if (!['next', 'prev'].includes(direction) || isNaN(date.getTime()) || !Number.isInteger(id)) return null;
+    return { direction, logDate: date, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse the page size of a request
+ * @param {string|undefined} value - limit query parameter
+ * @returns {number|null} Page size, DEFAULT_LIMIT if missing, null if not an integer in 1..MAX_LIMIT
+ */
+function parseLimit(value) {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) return null;
+  const limit = Number(value);
+  return limit >= 1 && limit <= MAX_LIMIT ? limit : null;
+}
+
+/**
+ * Condition and order of the page after (or before) a cursor
+ * @param {Object|null} cursor - Decoded cursor, null for the first page
+ * @returns {{where: string, params: Array, order: string}} SQL to append to the WHERE clause and ORDER BY
+ */
+function keysetCondition(cursor) {
+  if (!cursor) return { where: '', params: [], order: 'log_date DESC, id DESC' };
+
+  // Expanded row comparison: MariaDB uses the log_date index for it
+  const operator = cursor.direction === 'next' ? '<' : '>';
+  return {
+    where: ` AND (log_date ${operator} ? OR (log_date = ? AND id ${operator} ?))`,
+    params: [cursor.logDate, cursor.logDate, cursor.id],
+    order: cursor.direction === 'next' ? 'log_date DESC, id DESC' : 'log_date ASC, id ASC'
+  };
+}
+
+/**
+ * Turn the rows of a keyset query into a page
+ * @param {Object[]} rows - Rows fetched with LIMIT limit + 1
+ * @param {Object|null} cursor - Decoded cursor of the request
+ * @param {number} limit - Page size
+ * @param {boolean} hasPrevious - Whether rows exist before the first one (e.g. an OFFSET start)
+ * @returns {{data: Object[], next: string|null, prev: string|null}} Rows newest first and the cursors around them
+ */
+function keysetPage(rows, cursor, limit, hasPrevious = false) {
+  const more = rows.length > limit;
+  const data = rows.slice(0, limit);
+  const backwards = cursor && cursor.direction === 'prev';
+  if (backwards) data.reverse();
+
+  // Going forward there are newer rows behind us, going back there are older ones
+  const hasNext = backwards ? true : more;
+  const hasPrev = backwards ? more : Boolean(cursor) || hasPrevious;
+
+  return {
+    data,
+    next: hasNext && data.length > 0 ? encodeCursor('next', data[data.length - 1]) : null,
+    prev: hasPrev && data.length > 0 ? encodeCursor('prev', data[0]) : null
+  };
+}
+
+/**
+ * Estimate the rows a query returns from the optimizer statistics
+ * @param {Object} connection - Database connection
+ * @param {string} query - SELECT statement
+ * @param {Array} params - Query parameters
+ * @returns {Promise<number>} Estimated row count
+ */
+async function estimateRows(connection, query, params) {
+  const [plan] = await connection.query(`EXPLAIN ${query}`, params);
+  return plan.length > 0 ? Number(plan[0].rows) || 0 : 0;
+}
+
+module.exports = { MAX_LIMIT, parseLimit, decodeCursor, keysetCondition, keysetPage, estimateRows };
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_LIMIT, parseLimit, decodeCursor, keysetCondition, keysetPage, estimateRows } = require('./pagination');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-03-02T10:00:00Z').getTime();
+
+/**
+ * Rows newest first, as the database orders them: ids 1..count, one minute
+ * apart, ids 4 and 5 sharing a log_date
+ */
+function createRows(count) {
+  const rows = [];
+  for (let id = count; id >= 1; id--) {
+    rows.push({ id, log_date: new Date(START + (id === 5 ? 4 : id) * MINUTE) });
+  }
+  return rows;
+}
+
+/**
+ * Run a keyset query against rows in memory
+ */
+function fetchPage(rows, cursor, limit) {
+  const { params, order } = keysetCondition(cursor);
+  let matching = rows;
+  if (cursor) {
+    const [logDate, , id] = params;
+    const sign = cursor.direction === 'next' ? -1 : 1;
+    matching = rows.filter(row => {
+      const compared = Math.sign(row.log_date - logDate) || Math.sign(row.id - id);
+      return compared === sign;
+    });
+  }
+  if (order.startsWith('log_date ASC')) matching = [...matching].reverse();
+  return keysetPage(matching.slice(0, limit + 1), cursor, limit);
+}
+
+test('decodes only well formed cursors', () => {
+  const cursor = Buffer.from(JSON.stringify(['next', '2026-03-02T10:00:00.000Z', 42])).toString('base64url');
+  assert.deepEqual(decodeCursor(cursor), { direction: 'next', logDate: new Date('2026-03-02T10:00:00Z'), id: 42 });
+
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  assert.equal(decodeCursor(encode(['up', '2026-03-02T10:00:00Z', 42])), null);
+  assert.equal(decodeCursor(encode(['next', 'yesterday', 42])), null);
+  assert.equal(decodeCursor(encode(['next', '2026-03-02T10:00:00Z', '42'])), null);
+  assert.equal(decodeCursor('not a cursor'), null);
+});
+
+test('continues after the cursor row, breaking log_date ties on id', () => {
+  assert.deepEqual(keysetCondition(null), { where: '', params: [], order: 'log_date DESC, id DESC' });
+
+  const logDate = new Date('2026-03-02T10:00:00Z');
+  assert.deepEqual(keysetCondition({ direction: 'next', logDate, id: 7 }), {
+    where: ' AND (log_date < ? OR (log_date = ? AND id < ?))',
+    params: [logDate, logDate, 7],
+    order: 'log_date DESC, id DESC'
+  });
+  const previous = keysetCondition({ direction: 'prev', logDate, id: 7 });
+  assert.equal(previous.where, ' AND (log_date > ? OR (log_date = ? AND id > ?))');
+  assert.equal(previous.order, 'log_date ASC, id ASC');
+});
+
+test('walks every row forward and back without gaps or repeats', () => {
+  const rows = createRows(7);
+  const ids = page => page.data.map(row => row.id);
+
+  const first = fetchPage(rows, null, 3);
+  assert.deepEqual(ids(first), [7, 6, 5]);
+  assert.equal(first.prev, null);
+
+  const second = fetchPage(rows, decodeCursor(first.next), 3);
+  assert.deepEqual(ids(second), [4, 3, 2]);
+
+  const last = fetchPage(rows, decodeCursor(second.next), 3);
+  assert.deepEqual(ids(last), [1]);
+  assert.equal(last.next, null);
+
+  // Back from the last page, newest first again
+  const back = fetchPage(rows, decodeCursor(last.prev), 3);
+  assert.deepEqual(ids(back), [4, 3, 2]);
+  assert.notEqual(back.next, null);
+  const top = fetchPage(rows, decodeCursor(back.prev), 3);
+  assert.deepEqual(ids(top), [7, 6, 5]);
+  assert.equal(top.prev, null);
+});
+
+test('rows arriving while paging do not shift the next page', () => {
+  const rows = createRows(6);
+  const first = fetchPage(rows, null, 2);
+
+  const newer = [{ id: 8, log_date: new Date(START + 10 * MINUTE) }, { id: 7, log_date: new Date(START + 9 * MINUTE) }];
+  const second = fetchPage([...newer, ...rows], decodeCursor(first.next), 2);
+  assert.deepEqual(second.data.map(row => row.id), [4, 3]);
+});
+
+test('a first page after an offset links back', () => {
+  const page = keysetPage(createRows(3), null, 2, true);
+  assert.notEqual(page.prev, null);
+  assert.deepEqual(keysetPage([], null, 2, true), { data: [], next: null, prev: null });
+});
+
+test('estimates rows from the query plan', async () => {
+  const queries = [];
+  const connection = {
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return [[{ rows: '1234' }]];
+    }
+  };
+
+  assert.equal(await estimateRows(connection, 'SELECT * FROM logs WHERE service = ?', ['postfix/smtp']), 1234);
+  assert.deepEqual(queries[0], { sql: 'EXPLAIN SELECT * FROM logs WHERE service = ?', params: ['postfix/smtp'] });
+});
+
+test('accepts page sizes from 1 to MAX_LIMIT only', () => {
+  assert.equal(parseLimit(undefined), 100);
+  assert.equal(parseLimit(''), 100);
+  assert.equal(parseLimit('1'), 1);
+  assert.equal(parseLimit(String(MAX_LIMIT)), MAX_LIMIT);
+  for (const value of ['0', '-5', String(MAX_LIMIT + 1), '1e6', '2.5', 'abc', ['10', '20']]) {
+    assert.equal(parseLimit(value), null, String(value));
+  }
+});
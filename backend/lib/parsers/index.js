@@ -0,0 +1,26 @@
+const { ParserRegistry, loadPlugins } = require('./registry');
+const { parseLogLine, extractMessageId } = require('./line');
+const postfix = require('./postfix');
+const opendkim = require('./opendkim');
+
+/**
+ * Create a registry with the built-in Postfix and OpenDKIM handlers, plus
+ * custom handlers from PARSER_PLUGINS (comma-separated module paths), so an
+ * in-house milter can be parsed without changing this code
+ * @param {string} plugins - Comma-separated plugin module paths (default: PARSER_PLUGINS)
+ * @returns {ParserRegistry} Registry ready for the import pipeline
+ */
+function createRegistry(plugins = process.env.PARSER_PLUGINS || '') {
+  const registry = new ParserRegistry();
+  postfix.register(registry);
+  opendkim.register(registry);
+  loadPlugins(registry, plugins.split(',').map(plugin => plugin.trim()).filter(Boolean));
+  return registry;
+}
+
+module.exports = {
+  ParserRegistry,
+  createRegistry,
+  parseLogLine,
+  extractMessageId
+};
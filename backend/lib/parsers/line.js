@@ -0,0 +1,202 @@
+/**
+ * Syslog line parsing shared by every parser
+ *
+ * Two timestamp formats are accepted:
+ *   2026-02-11T09:26:24.771360+01:00 mx1 postfix/smtp[123]: ...   (RFC 3339, high precision)
+ *   Feb 11 09:26:24 mx1 postfix/smtp[123]: ...                    (RFC 3164, rsyslog default)
+ * Timestamps without an offset are read in LOG_TIMEZONE (an IANA zone such
+ * as Europe/Rome, default: the server timezone). RFC 3164 has no year: the
+ * year of the reference date is used, or the previous one when that would put
+ * the line in the future (a December line read in January).
+ */
+
+const LINE_PATTERNS = {
+  // 2026-02-11T09:26:24... hostname service[pid]: message
+  logLine: /^(\d{4}-\d{2}-\d{2}T\S+)\s+(\S+)\s+([^\s[]+)\[(\d+)\]:\s+(.*)$/,
+  // Feb 11 09:26:24 hostname service[pid]: message
+  bsdLogLine: /^(([A-Z][a-z]{2})\s+(\d{1,2})\s+(\d{2}):(\d{2}):(\d{2}))\s+(\S+)\s+([^\s[]+)\[(\d+)\]:\s+(.*)$/,
+  isoTimestamp: /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:[.,](\d+))?(Z|[+-]\d{2}:?\d{2})?$/,
+  messageId: /^([A-F0-9]+):\s*/
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Lines up to a day ahead of the reference date are clock skew, not last year
+const FUTURE_TOLERANCE = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timezone - Timezone name (e.g. Europe/Rome)
+ * @returns {string|null} The timezone, or null (server timezone) if missing or invalid
+ */
+function resolveTimezone(timezone) {
+  if (!timezone) return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return timezone;
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] Invalid LOG_TIMEZONE "${timezone}", using the server timezone`);
+    return null;
+  }
+}
+
+const DEFAULT_TIMEZONE = resolveTimezone(process.env.LOG_TIMEZONE);
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {number} instant - Milliseconds since epoch
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of Greenwich)
+ */
+function timezoneOffset(instant, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(new Date(instant)).forEach(part => {
+    parts[part.type] = parseInt(part.value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (instant - (((instant % 1000) + 1000) % 1000));
+}
+
+/**
+ * Whether a calendar date exists (rejects Feb 30 instead of rolling over)
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of month
+ * @returns {boolean} True if the date exists
+ */
+function isValidDay(year, month, day) {
+  return new Date(Date.UTC(year, month, day)).getUTCDate() === day;
+}
+
+/**
+ * Convert a wall-clock time of the source timezone into a Date
+ * @param {number[]} fields - [year, month (0-11), day, hour, minute, second, millisecond]
+ * @param {string|null} timezone - IANA timezone, null for the server timezone
+ * @returns {Date} Absolute time
+ */
+function wallClockToDate(fields, timezone) {
+  if (!timezone) return new Date(...fields);
+
+  const guess = Date.UTC(...fields);
+  const offset = timezoneOffset(guess, timezone);
+  // Second pass for lines close to a DST change
+  const adjusted = timezoneOffset(guess - offset, timezone);
+  return new Date(guess - adjusted);
+}
+
+/**
+ * Interpret an RFC 3339 timestamp
+ * @param {string} timestamp - e.g. 2026-02-11T09:26:24.771360+01:00
+ * @param {string|null} timezone - Timezone for timestamps without an offset
+ * @returns {Date|null} Absolute time, null if invalid
+ */
+function parseIsoTimestamp(timestamp, timezone) {
+  const match = timestamp.match(LINE_PATTERNS.isoTimestamp);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, fraction, offset] = match;
+  if (!isValidDay(parseInt(year), parseInt(month) - 1, parseInt(day))) return null;
+
+  const date = offset
+    ? new Date(timestamp)
+    : wallClockToDate([
+      parseInt(year), parseInt(month) - 1, parseInt(day),
+      parseInt(hour), parseInt(minute), parseInt(second),
+      fraction ? parseInt(fraction.padEnd(3, '0').substring(0, 3)) : 0
+    ], timezone);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Interpret an RFC 3164 timestamp, inferring the year
+ * @param {string[]} fields - [month name, day, hour, minute, second]
+ * @param {string|null} timezone - Source timezone
+ * @param {Date} referenceDate - Time the log was written up to (now, or the archive mtime)
+ * @returns {Date|null} Absolute time, null if invalid
+ */
+function parseBsdTimestamp([monthName, day, hour, minute, second], timezone, referenceDate) {
+  const month = MONTHS.indexOf(monthName);
+  if (month === -1 || parseInt(day) > 31 || parseInt(hour) > 23 || parseInt(minute) > 59 || parseInt(second) > 60) {
+    return null;
+  }
+
+  const fields = [referenceDate.getFullYear(), month, parseInt(day), parseInt(hour), parseInt(minute), parseInt(second), 0];
+  let date = wallClockToDate(fields, timezone);
+  if (date.getTime() - referenceDate.getTime() > FUTURE_TOLERANCE) {
+    fields[0]--;
+    date = wallClockToDate(fields, timezone);
+  }
+  if (!isValidDay(fields[0], month, fields[2])) return null;
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a single log line
+ * @param {string} line - Raw log line
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Source timezone (default: LOG_TIMEZONE)
+ * @param {Date} options.referenceDate - Date used to infer RFC 3164 years (default: now)
+ * @returns {Object|null} Parsed log, { error } if the line cannot be interpreted, null if blank
+ */
+function parseLogLine(line, { timezone = DEFAULT_TIMEZONE, referenceDate = new Date() } = {}) {
+  if (!line.trim()) return null;
+
+  let timestamp, logDate, hostname, service, processId, content;
+
+  const isoMatch = line.match(LINE_PATTERNS.logLine);
+  const bsdMatch = !isoMatch && line.match(LINE_PATTERNS.bsdLogLine);
+  if (isoMatch) {
+    [, timestamp, hostname, service, processId, content] = isoMatch;
+    logDate = parseIsoTimestamp(timestamp, timezone);
+  } else if (bsdMatch) {
+    [, timestamp, , , , , , hostname, service, processId, content] = bsdMatch;
+    logDate = parseBsdTimestamp(bsdMatch.slice(2, 7), timezone, referenceDate);
+  } else {
+    return { error: 'unrecognized line format' };
+  }
+
+  if (!logDate) {
+    return { error: `invalid timestamp "${timestamp}"` };
+  }
+
+  return {
+    timestamp,
+    logDate,
+    hostname,
+    service,
+    processId: parseInt(processId),
+    content
+  };
+}
+
+/**
+ * Extract message ID from log content
+ * @param {string} content - Log content
+ * @returns {string|null} Message ID or null
+ */
+function extractMessageId(content) {
+  const match = content.match(LINE_PATTERNS.messageId);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  parseLogLine,
+  extractMessageId
+};
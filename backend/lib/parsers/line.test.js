@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLogLine, extractMessageId } = require('./line');
+
+const REFERENCE = new Date('2026-03-02T12:00:00Z');
+
+/**
+ * Parsed date of a line, as an ISO string
+ */
+function dateOf(line, timezone, referenceDate = REFERENCE) {
+  const parsed = parseLogLine(line, { timezone, referenceDate });
+  return parsed.logDate ? parsed.logDate.toISOString() : parsed;
+}
+
+test('splits a syslog line into its fields', () => {
+  assert.deepEqual(parseLogLine('Mar  2 10:00:00 mx1 postfix-out/smtp[123]: 4ABC123DEF: to=<bob@example.org>', { timezone: 'UTC', referenceDate: REFERENCE }), {
+    timestamp: 'Mar  2 10:00:00',
+    logDate: new Date('2026-03-02T10:00:00Z'),
+    hostname: 'mx1',
+    service: 'postfix-out/smtp',
+    processId: 123,
+    content: '4ABC123DEF: to=<bob@example.org>'
+  });
+  assert.equal(parseLogLine('   '), null);
+  assert.deepEqual(parseLogLine('postfix/smtp: no timestamp'), { error: 'unrecognized line format' });
+
+  assert.equal(extractMessageId('4ABC123DEF: removed'), '4ABC123DEF');
+  assert.equal(extractMessageId('NOQUEUE: reject: RCPT from unknown'), null);
+});
+
+test('keeps the offset and precision of RFC 3339 timestamps', () => {
+  assert.equal(dateOf('2026-02-11T09:26:24.771360+01:00 mx1 postfix/smtp[1]: x', 'UTC'), '2026-02-11T08:26:24.771Z');
+  assert.equal(dateOf('2026-02-11T09:26:24Z mx1 postfix/smtp[1]: x', 'Europe/Rome'), '2026-02-11T09:26:24.000Z');
+  // No offset: the source timezone applies
+  assert.equal(dateOf('2026-02-11T09:26:24,5 mx1 postfix/smtp[1]: x', 'Europe/Rome'), '2026-02-11T08:26:24.500Z');
+});
+
+test('reads RFC 3164 timestamps in the source timezone, across DST', () => {
+  assert.equal(dateOf('Feb 11 09:26:24 mx1 postfix/smtp[1]: x', 'Europe/Rome'), '2026-02-11T08:26:24.000Z');
+  assert.equal(dateOf('Jul  1 09:26:24 mx1 postfix/smtp[1]: x', 'Europe/Rome', new Date('2026-07-02T00:00:00Z')), '2026-07-01T07:26:24.000Z');
+  assert.equal(dateOf('Mar 29 03:30:00 mx1 postfix/smtp[1]: x', 'Europe/Rome', new Date('2026-04-01T00:00:00Z')), '2026-03-29T01:30:00.000Z');
+});
+
+test('puts RFC 3164 lines in the previous year only when they would be in the future', () => {
+  const january = new Date('2026-01-01T00:30:00Z');
+  assert.equal(dateOf('Dec 31 23:59:59 mx1 postfix/smtp[1]: x', 'UTC', january), '2025-12-31T23:59:59.000Z');
+  // A few hours of clock skew is not a year
+  assert.equal(dateOf('Jan  1 05:00:00 mx1 postfix/smtp[1]: x', 'UTC', january), '2026-01-01T05:00:00.000Z');
+  assert.equal(dateOf('Feb 29 10:00:00 mx1 postfix/smtp[1]: x', 'UTC', new Date('2028-03-01T00:00:00Z')), '2028-02-29T10:00:00.000Z');
+});
+
+test('reports impossible timestamps instead of rolling them over', () => {
+  assert.deepEqual(parseLogLine('Feb 30 10:00:00 mx1 postfix/smtp[1]: x', { timezone: 'UTC', referenceDate: REFERENCE }), {
+    error: 'invalid timestamp "Feb 30 10:00:00"'
+  });
+  assert.deepEqual(parseLogLine('2026-02-30T10:00:00Z mx1 postfix/smtp[1]: x', { timezone: 'UTC' }), {
+    error: 'invalid timestamp "2026-02-30T10:00:00Z"'
+  });
+  assert.match(parseLogLine('Foo  2 10:00:00 mx1 postfix/smtp[1]: x', { timezone: 'UTC' }).error, /invalid timestamp/);
+  assert.match(parseLogLine('Mar  2 25:00:00 mx1 postfix/smtp[1]: x', { timezone: 'UTC' }).error, /invalid timestamp/);
+});
@@ -0,0 +1,17 @@
+const { extractMessageId } = require('./line');
+const { parseDkim } = require('../dkim');
+
+/**
+ * Register the OpenDKIM handler: signing and verification results are
+ * logged against the Postfix queue ID of the message
+ * @param {ParserRegistry} registry - Registry to extend
+ */
+function register(registry) {
+  registry.register('opendkim*', parsed => {
+    const messageId = extractMessageId(parsed.content);
+    const fields = messageId && parseDkim(parsed);
+    return fields ? { type: 'dkim', messageId, fields } : null;
+  }, 'opendkim');
+}
+
+module.exports = { register };
@@ -0,0 +1,262 @@
+const { extractMessageId } = require('./line');
+const { parseRejection } = require('../rejections');
+
+/**
+ * Postfix parsers
+ *
+ * Built-in handlers for the Postfix daemons. Multi-instance setups log as
+ * postfix-<name>/<daemon>, so every pattern accepts any postfix* prefix.
+ */
+
+// Regex patterns compiled once for performance
+const REGEX_PATTERNS = {
+  from: /from=(?:<([^>]+)>|([^,\s]+))/,
+  to: /\bto=(?:<([^>]+)>|([^,\s]+))/,
+  origTo: /orig_to=(?:<([^>]+)>|([^,\s]+))/,
+  size: /size=(\d+)/,
+  nrcpt: /nrcpt=(\d+)/,
+  messageIdHeader: /(?:^|\s)message-id=(?:<([^>]*)>|(\S+))/,
+  removed: /^[A-F0-9]+:\s*removed\s*$/,
+  // ORIGINAL: sender non-delivery notification: NOTIFICATION
+  bounceNotification: /^[A-F0-9]+: (?:sender|postmaster) (non-delivery|delivery status|delay) notification: ([A-F0-9]+)/,
+  expired: /status=expired\b/,
+  relay: /relay=([^\s,]+)/,
+  delay: /delay=([\d.]+)/,
+  dsn: /dsn=([\d.]+)/,
+  status: /status=(\w+)\s+\((.*)\)\s*$/,
+  // IPv4 or IPv6 (Postfix may prefix the latter with "IPv6:")
+  clientIpSmtp: /connect from [^\s[]*\[(?:IPv6:)?([0-9A-Fa-f:.]+)\]/,
+  clientIpSmtpd: /client=[^\s[]*\[(?:IPv6:)?([0-9A-Fa-f:.]+)\]/
+};
+
+/**
+ * Extract email data from postfix/qmgr log line
+ * @param {string} content - Log content
+ * @returns {Object} Email data object
+ */
+function extractQmgrData(content) {
+  const emailData = {};
+  
+  const fromMatch = content.match(REGEX_PATTERNS.from);
+  const sizeMatch = content.match(REGEX_PATTERNS.size);
+  const nrcptMatch = content.match(REGEX_PATTERNS.nrcpt);
+  
+  if (fromMatch) {
+    emailData.from = fromMatch[1] || fromMatch[2];
+  }
+  
+  if (sizeMatch) {
+    emailData.size = parseInt(sizeMatch[1]);
+  }
+
+  if (nrcptMatch) {
+    emailData.nrcpt = parseInt(nrcptMatch[1]);
+  }
+
+  // Lifecycle events: queue file deleted, or message given up and returned to sender
+  emailData.removed = REGEX_PATTERNS.removed.test(content);
+  emailData.expired = REGEX_PATTERNS.expired.test(content);
+  
+  return emailData;
+}
+
+/**
+ * Extract email data from postfix/cleanup log line
+ * @param {string} content - Log content
+ * @returns {Object} Email data object
+ */
+function extractCleanupData(content) {
+  const emailData = {};
+
+  const messageIdMatch = content.match(REGEX_PATTERNS.messageIdHeader);
+
+  if (messageIdMatch && (messageIdMatch[1] || messageIdMatch[2])) {
+    emailData.messageIdHeader = messageIdMatch[1] || messageIdMatch[2];
+  }
+
+  return emailData;
+}
+
+/**
+ * Extract the notification queue ID from a postfix/bounce log line
+ * @param {string} content - Log content
+ * @returns {Object} { bounceQueueId, notificationType } or empty object
+ */
+function extractBounceData(content) {
+  const emailData = {};
+
+  const notificationMatch = content.match(REGEX_PATTERNS.bounceNotification);
+
+  if (notificationMatch) {
+    emailData.notificationType = notificationMatch[1];
+    emailData.bounceQueueId = notificationMatch[2];
+  }
+
+  return emailData;
+}
+
+/**
+ * Extract email data from postfix/smtpd log line
+ * @param {string} content - Log content
+ * @returns {Object} Email data object
+ */
+function extractSmtpdData(content) {
+  const emailData = {};
+  
+  const clientIpMatch = content.match(REGEX_PATTERNS.clientIpSmtpd);
+  
+  if (clientIpMatch) {
+    emailData.clientIp = clientIpMatch[1];
+  }
+  
+  return emailData;
+}
+
+// Postfix delivery agents: each to=... status=... line is one delivery attempt
+const DELIVERY_AGENTS = ['smtp', 'lmtp', 'local', 'virtual', 'pipe', 'error', 'retry', 'discard'];
+
+/**
+ * Delivery agent of a service name (postfix/lmtp -> lmtp, postfix-out/smtp -> smtp)
+ * @param {string} service - Service name from the log line
+ * @returns {string|null} Agent name, or null if the service is not a delivery agent
+ */
+function deliveryAgent(service) {
+  const [instance, agent] = service.split('/');
+  return instance.startsWith('postfix') && DELIVERY_AGENTS.includes(agent) ? agent : null;
+}
+
+/**
+ * Extract email data from a delivery agent log line (smtp, lmtp, local, ...)
+ * @param {string} content - Log content
+ * @param {string} transport - Delivery agent that logged the line
+ * @returns {Object} Email data object
+ */
+function extractDeliveryData(content, transport) {
+  const emailData = { transport };
+  
+  const toMatch = content.match(REGEX_PATTERNS.to);
+  const relayMatch = content.match(REGEX_PATTERNS.relay);
+  const delayMatch = content.match(REGEX_PATTERNS.delay);
+  const dsnMatch = content.match(REGEX_PATTERNS.dsn);
+  const statusMatch = content.match(REGEX_PATTERNS.status);
+  const clientIpMatch = content.match(REGEX_PATTERNS.clientIpSmtp);
+  
+  const origToMatch = content.match(REGEX_PATTERNS.origTo);
+
+  if (toMatch) {
+    emailData.to = toMatch[1] || toMatch[2];
+  }
+
+  if (origToMatch) {
+    emailData.origTo = origToMatch[1] || origToMatch[2];
+  }
+  
+  if (relayMatch) {
+    emailData.relay = relayMatch[1];
+  }
+  
+  if (delayMatch) {
+    emailData.delay = parseFloat(delayMatch[1]);
+  }
+  
+  if (dsnMatch) {
+    emailData.dsn = dsnMatch[1];
+  }
+  
+  if (statusMatch) {
+    emailData.status = statusMatch[1];
+    emailData.response = statusMatch[2];
+  }
+  
+  if (clientIpMatch) {
+    emailData.clientIp = clientIpMatch[1];
+  }
+  
+  return emailData;
+}
+
+/**
+ * Register the Postfix handlers
+ * @param {ParserRegistry} registry - Registry to extend
+ */
+function register(registry) {
+  registry.register('postfix*/qmgr', parsed => {
+    const messageId = extractMessageId(parsed.content);
+    if (!messageId) return null;
+
+    const qmgrData = extractQmgrData(parsed.content);
+    if (qmgrData.removed) {
+      return { type: 'message', messageId, state: 'finished' };
+    }
+    return { type: 'message', messageId, fields: qmgrData, state: qmgrData.expired ? 'expired' : 'queued' };
+  }, 'postfix/qmgr');
+
+  registry.register('postfix*/cleanup', parsed => {
+    const messageId = extractMessageId(parsed.content);
+    if (!messageId) return null;
+    return { type: 'message', messageId, fields: extractCleanupData(parsed.content), state: 'received' };
+  }, 'postfix/cleanup');
+
+  registry.register(/^postfix[^/]*\/(?:smtpd|pickup)$/, parsed => {
+    const events = [];
+    // Every smtpd line belongs to the conversation of its process
+    if (parsed.service.endsWith('/smtpd')) {
+      events.push({ type: 'session', parsed });
+    }
+
+    const messageId = extractMessageId(parsed.content);
+    if (messageId) {
+      events.push({ type: 'message', messageId, fields: extractSmtpdData(parsed.content), state: 'received' });
+    }
+    return events;
+  }, 'postfix/smtpd');
+
+  // Refused clients and recipients (mostly NOQUEUE, so no message to track)
+  registry.register(/^postfix[^/]*\/(?:smtpd|cleanup|postscreen|anvil)$/, parsed => {
+    const rejection = parseRejection(parsed);
+    return rejection ? { type: 'reject', rejection } : null;
+  }, 'postfix/rejections');
+
+  registry.register('postfix*/bounce', parsed => {
+    const messageId = extractMessageId(parsed.content);
+    if (!messageId) return null;
+
+    const bounceData = extractBounceData(parsed.content);
+    const events = [{ type: 'message', messageId, fields: { bounceQueueId: bounceData.bounceQueueId } }];
+
+    // The notification travels as a new message with an empty sender
+    if (bounceData.bounceQueueId) {
+      events.push({
+        type: 'message',
+        messageId: bounceData.bounceQueueId,
+        fields: { bounceOf: messageId, notificationType: bounceData.notificationType }
+      });
+    }
+    return events;
+  }, 'postfix/bounce');
+
+  registry.register(new RegExp(`^postfix[^/]*/(?:${DELIVERY_AGENTS.join('|')})$`), parsed => {
+    const messageId = extractMessageId(parsed.content);
+    if (!messageId) return null;
+
+    const deliveryData = extractDeliveryData(parsed.content, deliveryAgent(parsed.service));
+
+    // Each to=... status=... line is one delivery attempt for one recipient
+    if (deliveryData.to && deliveryData.status) {
+      return {
+        type: 'delivery',
+        messageId,
+        delivery: deliveryData,
+        state: deliveryData.status === 'deferred' ? 'deferred' : 'delivering'
+      };
+    }
+    return { type: 'message', messageId, fields: deliveryData };
+  }, 'postfix/delivery');
+}
+
+module.exports = {
+  REGEX_PATTERNS,
+  DELIVERY_AGENTS,
+  deliveryAgent,
+  register
+};
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deliveryAgent } = require('./postfix');
+const { createRegistry, parseLogLine } = require('./index');
+const { MessageTracker } = require('../lifecycle');
+
+/**
+ * Events of a log line through the built-in handlers
+ */
+function eventsOf(line) {
+  return createRegistry('').parse(parseLogLine(line, { timezone: 'UTC' }));
+}
+
+test('knows the delivery agents of every Postfix instance', () => {
+  assert.equal(deliveryAgent('postfix/smtp'), 'smtp');
+  assert.equal(deliveryAgent('postfix-out/virtual'), 'virtual');
+  assert.equal(deliveryAgent('postfix/pipe'), 'pipe');
+  assert.equal(deliveryAgent('postfix/qmgr'), null);
+  assert.equal(deliveryAgent('dovecot/lmtp'), null);
+  assert.equal(deliveryAgent('postfix'), null);
+});
+
+test('records a delivery from each local agent with its transport', () => {
+  const lines = [
+    '2026-03-02T10:00:00Z mx1 postfix/local[10]: 4ABC123DEF: to=<alice@mx1.example.com>, orig_to=<root>, relay=local, delay=0.02, delays=0.01/0/0/0, dsn=2.0.0, status=sent (delivered to mailbox)',
+    '2026-03-02T10:00:00Z mx1 postfix/virtual[11]: 4ABC123DEF: to=<bob@example.com>, relay=virtual, delay=0.1, dsn=2.0.0, status=sent (delivered to maildir)',
+    '2026-03-02T10:00:00Z mx1 postfix/pipe[12]: 4ABC123DEF: to=<list@example.com>, relay=mailman, delay=0.5, dsn=2.0.0, status=sent (delivered via mailman service)',
+    '2026-03-02T10:00:00Z mx1 postfix/error[13]: 4ABC123DEF: to=<old@example.com>, relay=none, delay=0.01, dsn=5.0.0, status=bounced (user has moved)',
+    '2026-03-02T10:00:00Z mx1 postfix/retry[14]: 4ABC123DEF: to=<carol@example.org>, relay=none, delay=600, dsn=4.4.1, status=deferred (delivery temporarily suspended)'
+  ];
+
+  const events = lines.flatMap(eventsOf);
+  assert.deepEqual(
+    events.map(({ type, state, delivery }) => [type, state, delivery.transport, delivery.to, delivery.status, delivery.dsn]),
+    [
+      ['delivery', 'delivering', 'local', 'alice@mx1.example.com', 'sent', '2.0.0'],
+      ['delivery', 'delivering', 'virtual', 'bob@example.com', 'sent', '2.0.0'],
+      ['delivery', 'delivering', 'pipe', 'list@example.com', 'sent', '2.0.0'],
+      ['delivery', 'delivering', 'error', 'old@example.com', 'bounced', '5.0.0'],
+      ['delivery', 'deferred', 'retry', 'carol@example.org', 'deferred', '4.4.1']
+    ]
+  );
+  assert.deepEqual([events[0].delivery.origTo, events[0].delivery.response], ['root', 'delivered to mailbox']);
+  assert.equal(events[2].delivery.relay, 'mailman');
+});
+
+test('keeps agent lines without a recipient status as message fields', () => {
+  const [event] = eventsOf('2026-03-02T10:00:00Z mx1 postfix/smtp[20]: 4ABC123DEF: host mx.example.org[198.51.100.5] said: 451 try again later (in reply to RCPT TO command)');
+  assert.deepEqual([event.type, event.messageId, event.fields.transport], ['message', '4ABC123DEF', 'smtp']);
+});
+
+test('links every kind of bounce notification to the original message', () => {
+  const tracker = new MessageTracker();
+  [
+    '2026-03-02T10:00:00Z mx1 postfix/qmgr[30]: 4ABC123DEF: from=<alice@example.com>, size=1200, nrcpt=1 (queue active)',
+    '2026-03-02T10:00:02Z mx1 postfix/bounce[31]: 4ABC123DEF: sender non-delivery notification: 5DEF456ABC',
+    '2026-03-02T10:00:02Z mx1 postfix/qmgr[30]: 5DEF456ABC: from=<>, size=3000, nrcpt=1 (queue active)',
+    '2026-03-02T14:00:00Z mx1 postfix/bounce[32]: 6AAA000BBB: sender delay notification: 7BBB111CCC',
+    '2026-03-02T14:00:00Z mx1 postfix/bounce[33]: 8CCC222DDD: postmaster delivery status notification: 9DDD333EEE'
+  ].flatMap(eventsOf).forEach(event => tracker.observe(event.messageId, event.timestamp, event));
+
+  const message = id => tracker.messages.get(id);
+  assert.equal(message('4ABC123DEF').bounceQueueId, '5DEF456ABC');
+  assert.deepEqual(
+    [message('5DEF456ABC').bounceOf, message('5DEF456ABC').notificationType, message('5DEF456ABC').size],
+    ['4ABC123DEF', 'non-delivery', 3000]
+  );
+  assert.deepEqual([message('7BBB111CCC').bounceOf, message('7BBB111CCC').notificationType], ['6AAA000BBB', 'delay']);
+  assert.deepEqual([message('9DDD333EEE').bounceOf, message('9DDD333EEE').notificationType], ['8CCC222DDD', 'delivery status']);
+
+  // Other bounce daemon lines carry no notification
+  assert.deepEqual(eventsOf('2026-03-02T10:00:02Z mx1 postfix/bounce[31]: warning: malformed request'), []);
+});
@@ -0,0 +1,126 @@
+const path = require('path');
+
+/**
+ * Parser registry
+ *
+ * Handlers register for a service pattern and turn a parsed log line into
+ * typed events; the import pipeline only consumes events and never looks
+ * at service names. Event types:
+ *   message   { messageId, fields, state }     lifecycle of a Postfix queue ID
+ *   delivery  { messageId, delivery, state }   one attempt for one recipient
+ *   reject    { rejection }                    refused client or recipient
+ *   session   { parsed }                       line of an smtpd conversation
+ *   dkim      { messageId, fields }            OpenDKIM signing / verification
+ * Every event also gets the timestamp of its line.
+ *
+ * A service pattern is an exact service name ("postfix/qmgr"), a glob where
+ * * matches anything ("postfix*", "opendkim*") or a RegExp. Every matching
+ * handler runs, in registration order.
+ */
+
+const EVENT_TYPES = ['message', 'delivery', 'reject', 'session', 'dkim'];
+
+/**
+ * Convert a service pattern into a RegExp
+ * @param {string|RegExp} pattern - Service name, glob or RegExp
+ * @returns {RegExp} Anchored regular expression
+ */
+function servicePattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+}
+
+class ParserRegistry {
+  constructor() {
+    this.handlers = [];
+    // Matching handlers per service name, rebuilt when a handler is added
+    this.cache = new Map();
+  }
+
+  /**
+   * Register a handler
+   * @param {string|RegExp} service - Service pattern
+   * @param {Function} handler - (parsed) => event | event[] | null
+   * @param {string} name - Name used in warnings (default: the pattern)
+   * @returns {ParserRegistry} The registry, for chaining
+   */
+  register(service, handler, name = String(service)) {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Parser handler for ${name} is not a function`);
+    }
+    this.handlers.push({ pattern: servicePattern(service), handler, name });
+    this.cache.clear();
+    return this;
+  }
+
+  /**
+   * Handlers registered for a service
+   * @param {string} service - Service name from the log line
+   * @returns {Object[]} Matching handlers
+   */
+  handlersFor(service) {
+    if (!this.cache.has(service)) {
+      this.cache.set(service, this.handlers.filter(entry => entry.pattern.test(service)));
+    }
+    return this.cache.get(service);
+  }
+
+  /**
+   * Run the handlers of a parsed log line
+   * @param {Object} parsed - Parsed log line ({ logDate, hostname, service, processId, content })
+   * @returns {Object[]} Events produced by all matching handlers
+   */
+  parse(parsed) {
+    const events = [];
+
+    for (const entry of this.handlersFor(parsed.service)) {
+      let result;
+      try {
+        result = entry.handler(parsed);
+      } catch (error) {
+        // A broken handler must not stop the import
+        console.warn(`[${new Date().toISOString()}] Parser ${entry.name} failed on "${parsed.content.substring(0, 80)}":`, error.message);
+        continue;
+      }
+
+      for (const event of [].concat(result || [])) {
+        if (!event || !EVENT_TYPES.includes(event.type)) {
+          console.warn(`[${new Date().toISOString()}] Parser ${entry.name} returned an unknown event type: ${event && event.type}`);
+          continue;
+        }
+        events.push({ timestamp: parsed.logDate, ...event });
+      }
+    }
+
+    return events;
+  }
+}
+
+/**
+ * Load custom handlers from modules exporting register(registry) or a
+ * function taking the registry
+ * @param {ParserRegistry} registry - Registry to extend
+ * @param {string[]} modules - Module paths (relative to the working directory)
+ */
+function loadPlugins(registry, modules) {
+  for (const modulePath of modules) {
+    try {
+      const plugin = require(path.resolve(modulePath));
+      const register = typeof plugin === 'function' ? plugin : plugin.register;
+      if (typeof register !== 'function') {
+        throw new Error('module exports neither a function nor register()');
+      }
+      register(registry);
+      console.log(`[${new Date().toISOString()}] Loaded parser plugin ${modulePath}`);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Failed to load parser plugin ${modulePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ParserRegistry,
+  loadPlugins
+};
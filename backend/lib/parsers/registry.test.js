@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ParserRegistry, loadPlugins } = require('./registry');
+const { createRegistry, parseLogLine } = require('./index');
+
+const REFERENCE = new Date('2026-03-02T12:00:00Z');
+
+/**
+ * Events of a log line through the built-in handlers
+ */
+function eventsOf(line, registry = createRegistry('')) {
+  return registry.parse(parseLogLine(line, { timezone: 'UTC', referenceDate: REFERENCE }));
+}
+
+test('runs every handler whose service pattern matches, in order', () => {
+  const registry = new ParserRegistry()
+    .register('postfix*/qmgr', () => ({ type: 'message', messageId: 'A' }))
+    .register(/^postfix\/q/, () => [{ type: 'message', messageId: 'B' }])
+    .register('opendkim*', () => ({ type: 'dkim' }));
+
+  const parsed = { logDate: REFERENCE, service: 'postfix-out/qmgr', content: '' };
+  assert.deepEqual(registry.parse(parsed), [{ timestamp: REFERENCE, type: 'message', messageId: 'A' }]);
+  assert.deepEqual(registry.parse({ ...parsed, service: 'postfix/qmgr' }).map(event => event.messageId), ['A', 'B']);
+  assert.deepEqual(registry.parse({ ...parsed, service: 'postfix.qmgr' }), []);
+  assert.throws(() => registry.register('x', null), TypeError);
+});
+
+test('a broken handler or unknown event is skipped with a warning', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const registry = new ParserRegistry()
+    .register('milter', () => {
+      throw new Error('boom');
+    }, 'broken')
+    .register('milter', () => ({ type: 'spam' }), 'odd')
+    .register('milter', () => ({ type: 'reject', rejection: {} }), 'good');
+
+  const events = registry.parse({ logDate: REFERENCE, service: 'milter', content: 'hello' });
+  assert.deepEqual(events.map(event => event.type), ['reject']);
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[0], /Parser broken failed on "hello"/);
+  assert.match(warn.mock.calls[1].arguments[0], /Parser odd returned an unknown event type: spam/);
+});
+
+test('loads plugins exporting a function or register(), and survives broken ones', async t => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const write = async (name, source) => {
+    await fs.writeFile(path.join(dir, name), source);
+    return path.join(dir, name);
+  };
+  const plugins = [
+    await write('function.js', 'module.exports = registry => registry.register("milter", () => ({ type: "dkim" }));'),
+    await write('object.js', 'exports.register = registry => registry.register("amavis", () => ({ type: "reject" }));'),
+    await write('empty.js', 'module.exports = {};'),
+    path.join(dir, 'missing.js')
+  ];
+  t.mock.method(console, 'log', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+
+  const registry = new ParserRegistry();
+  loadPlugins(registry, plugins);
+  assert.deepEqual(registry.handlers.map(entry => entry.name), ['milter', 'amavis']);
+  assert.equal(error.mock.callCount(), 2);
+  assert.match(error.mock.calls[0].arguments[1], /neither a function nor register/);
+
+  const extended = createRegistry(` ${plugins[0]} ,`);
+  assert.deepEqual(eventsOf('Mar  2 10:00:00 mx1 milter[1]: 4ABC123DEF: spam=no', extended).map(event => event.type), ['dkim']);
+});
+
+test('turns the lines of a delivered message into lifecycle events', () => {
+  const events = [
+    'Mar  2 10:00:00 mx1 postfix/smtpd[100]: 4ABC123DEF: client=mail.example.com[IPv6:2001:db8::25]',
+    'Mar  2 10:00:01 mx1 postfix/cleanup[101]: 4ABC123DEF: message-id=<20260302.abc@example.com>',
+    'Mar  2 10:00:01 mx1 postfix/qmgr[102]: 4ABC123DEF: from=<alice@example.com>, size=1200, nrcpt=2 (queue active)',
+    'Mar  2 10:00:02 mx1 postfix/smtp[103]: 4ABC123DEF: to=<bob@example.org>, relay=mx.example.org[198.51.100.5]:25, delay=1.2, delays=0.1/0/0.5/0.6, dsn=2.0.0, status=sent (250 2.0.0 Ok: queued)',
+    'Mar  2 10:00:02 mx1 postfix/lmtp[104]: 4ABC123DEF: to=<carol@example.com>, orig_to=<info@example.com>, relay=dovecot, delay=0.3, dsn=4.2.0, status=deferred (mailbox busy)',
+    'Mar  2 10:00:03 mx1 postfix/qmgr[102]: 4ABC123DEF: removed'
+  ].flatMap(line => eventsOf(line));
+
+  assert.deepEqual(events.map(event => [event.type, event.state]), [
+    ['session', undefined],
+    ['message', 'received'],
+    ['message', 'received'],
+    ['message', 'queued'],
+    ['delivery', 'delivering'],
+    ['delivery', 'deferred'],
+    ['message', 'finished']
+  ]);
+  assert.equal(events[0].parsed.processId, 100);
+  assert.deepEqual(events[1].fields, { clientIp: '2001:db8::25' });
+  assert.deepEqual(events[2].fields, { messageIdHeader: '20260302.abc@example.com' });
+  assert.deepEqual(events[3].fields, { from: 'alice@example.com', size: 1200, nrcpt: 2, removed: false, expired: false });
+  assert.deepEqual(events[4].delivery, {
+    transport: 'smtp',
+    to: 'bob@example.org',
+    relay: 'mx.example.org[198.51.100.5]:25',
+    delay: 1.2,
+    dsn: '2.0.0',
+    status: 'sent',
+    response: '250 2.0.0 Ok: queued'
+  });
+  assert.deepEqual([events[5].delivery.transport, events[5].delivery.origTo], ['lmtp', 'info@example.com']);
+  assert.equal(events[6].timestamp.toISOString(), '2026-03-02T10:00:03.000Z');
+});
+
+test('links a bounce notification to the original message', () => {
+  const events = eventsOf('Mar  2 10:05:00 mx1 postfix/bounce[200]: 4ABC123DEF: sender non-delivery notification: 5DEF456ABC');
+  assert.deepEqual(events.map(({ messageId, fields }) => ({ messageId, fields })), [
+    { messageId: '4ABC123DEF', fields: { bounceQueueId: '5DEF456ABC' } },
+    { messageId: '5DEF456ABC', fields: { bounceOf: '4ABC123DEF', notificationType: 'non-delivery' } }
+  ]);
+
+  const expired = eventsOf('Mar  2 10:06:00 mx1 postfix-out/qmgr[102]: 4ABC123DEF: from=<alice@example.com>, status=expired, returned to sender');
+  assert.equal(expired[0].state, 'expired');
+});
+
+test('reports refused clients and recipients without a queue ID', () => {
+  const [session, reject] = eventsOf(
+    'Mar  2 10:00:00 mx1 postfix/smtpd[100]: NOQUEUE: reject: RCPT from unknown[203.0.113.7]: 550 5.1.1 <nobody@example.com>: Recipient address rejected: User unknown in virtual mailbox table; from=<spam@example.net> to=<nobody@example.com> proto=ESMTP helo=<spammer>'
+  );
+  assert.equal(session.type, 'session');
+  assert.equal(reject.type, 'reject');
+  assert.equal(reject.rejection.queueId, null);
+  assert.equal(reject.rejection.clientIp, '203.0.113.7');
+  assert.equal(reject.rejection.recipient, 'nobody@example.com');
+  assert.equal(reject.rejection.dsn, '5.1.1');
+
+  assert.deepEqual(eventsOf('Mar  2 10:00:00 mx1 postfix/smtp[103]: connect to mx.example.org[198.51.100.5]:25: Connection timed out'), []);
+});
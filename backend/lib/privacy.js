@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+/**
+ * Personal data protection
+ *
+ * PRIVACY_MODE rewrites the local part of every email address in the log
+ * lines before they are stored, keeping the domain so per-domain stats,
+ * searches and alert rules keep working:
+ *   off    addresses are stored as logged (default)
+ *   hash   john@example.com -> anon-<16 hex>@example.com, an HMAC-SHA256 with
+ *          PRIVACY_HASH_KEY: the same address always gets the same pseudonym
+ *   mask   john@example.com -> j***@example.com (recipients of a message
+ *          with the same initial and domain become indistinguishable)
+ * Message-ID values are left alone, they identify messages, not people.
+ * Both modes need PRIVACY_HASH_KEY: the fingerprint of each line is computed
+ * from its original content, so it is keyed (see lineFingerprint()). Without
+ * the key the module refuses to load, rather than failing every import.
+ *
+ * eraseAddress() redacts one data subject from every table that holds
+ * addresses, including the pseudonym hash mode would have stored for them.
+ */
+
+const PRIVACY_MODES = ['off', 'hash', 'mask'];
+
+// Replaces the address of an erased data subject, keeping its domain
+const REDACTED_LOCAL_PART = '[redacted]';
+
+// Message IDs listed in an erasure report
+const MAX_REPORTED_MESSAGES = 1000;
+
+// Columns that can hold addresses, searched by eraseAddress()
+const ERASURE_COLUMNS = {
+  logs: ['content'],
+  emails: ['sender', 'recipient', 'response_text'],
+  deliveries: ['recipient', 'orig_recipient', 'response_text'],
+  rejections: ['sender', 'recipient', 'reason'],
+  smtp_sessions: ['sasl_username'],
+  webhook_deliveries: ['payload']
+};
+
+// Columns cleared on the rows eraseAddress() redacts: fingerprints of the original line
+const ERASURE_CLEARED_COLUMNS = {
+  logs: ['line_hash']
+};
+
+// Local part characters; "=" and quotes are left out so "from=john@..." only matches the address
+const LOCAL_PART_CHARS = "a-z0-9!#$%&*+?^_`{|}~.-";
+
+const PRIVACY_PATTERNS = {
+  // Message-ID values first, so they are skipped as a whole
+  address: new RegExp(`(message-id=<[^>]*>)|([${LOCAL_PART_CHARS}]+)@([a-z0-9-]+(?:\\.[a-z0-9-]+)+)`, 'gi'),
+  exactAddress: new RegExp(`^[${LOCAL_PART_CHARS}]+@[a-z0-9-]+(?:\\.[a-z0-9-]+)+$`, 'i')
+};
+
+// Response fields holding Message-IDs rather than addresses
+const UNMASKED_FIELDS = ['message_id_header'];
+
+const HASH_KEY = process.env.PRIVACY_HASH_KEY || null;
+
+/**
+ * Check the configured privacy mode
+ * @param {string} mode - PRIVACY_MODE
+ * @param {string|null} hashKey - PRIVACY_HASH_KEY
+ * @returns {string} The mode; mask if it is invalid, so addresses are never stored by mistake
+ * @throws {Error} If addresses are pseudonymized without a key: every import would fail
+ */
+function resolveMode(mode, hashKey = HASH_KEY) {
+  let name = (mode || 'off').toLowerCase();
+  if (!PRIVACY_MODES.includes(name)) {
+    console.error(`[${new Date().toISOString()}] Invalid PRIVACY_MODE "${mode}", masking addresses`);
+    name = 'mask';
+  }
+  if (name !== 'off' && !hashKey) {
+    throw new Error(`PRIVACY_MODE=${name} needs PRIVACY_HASH_KEY (fingerprints of pseudonymized lines are keyed)`);
+  }
+  return name;
+}
+
+const PRIVACY_MODE = resolveMode(process.env.PRIVACY_MODE);
+
+/**
+ * Pseudonym stored for an address in hash mode
+ * @param {string} address - Email address
+ * @returns {string|null} anon-<hex>@domain, null without PRIVACY_HASH_KEY
+ */
+function pseudonym(address) {
+  if (!HASH_KEY) return null;
+  const domain = address.substring(address.lastIndexOf('@') + 1);
+  const digest = crypto.createHmac('sha256', HASH_KEY).update(address.toLowerCase()).digest('hex');
+  return `anon-${digest.substring(0, 16)}@${domain.toLowerCase()}`;
+}
+
+/**
+ * Fingerprint of a log line, used to skip lines already imported
+ * With addresses stored as logged it is a plain SHA-1. Otherwise it covers
+ * addresses the stored line no longer shows, so it is an HMAC with
+ * PRIVACY_HASH_KEY: without the key, a guessed address cannot be confirmed.
+ * @param {string} text - Line fields (timestamp, host, PID, original content)
+ * @param {string} mode - off, hash or mask (default: PRIVACY_MODE)
+ * @returns {string} 40 hex characters
+ * @throws {Error} If addresses are pseudonymized and PRIVACY_HASH_KEY is not set
+ */
+function lineFingerprint(text, mode = PRIVACY_MODE) {
+  if (mode === 'off') return crypto.createHash('sha1').update(text).digest('hex');
+  if (!HASH_KEY) throw new Error(`PRIVACY_MODE=${mode} needs PRIVACY_HASH_KEY to fingerprint log lines`);
+  return crypto.createHmac('sha256', HASH_KEY).update(`line|${text}`).digest('hex').substring(0, 40);
+}
+
+/**
+ * Rewrite the addresses in a text
+ * @param {string} text - Log content or field value
+ * @param {string} mode - off, hash or mask (default: PRIVACY_MODE)
+ * @returns {string} Text with the local parts hashed or masked
+ */
+function pseudonymizeAddresses(text, mode = PRIVACY_MODE) {
+  if (mode === 'off' || typeof text !== 'string' || !text.includes('@')) return text;
+
+  return text.replace(PRIVACY_PATTERNS.address, (match, messageId, localPart, domain) => {
+    if (messageId) return match;
+    return mode === 'hash' ? pseudonym(match) : `${localPart.charAt(0)}***@${domain}`;
+  });
+}
+
+/**
+ * Mask the addresses in a text (e.g. for users who may not see them)
+ * @param {string} text - Text
+ * @returns {string} Text with j***@example.com for each address
+ */
+function maskAddresses(text) {
+  return pseudonymizeAddresses(text, 'mask');
+}
+
+/**
+ * Mask the addresses in a field
+ * @param {string} value - Field value
+ * @param {string} field - Field name
+ * @returns {string} Masked value (Message-ID fields unchanged)
+ */
+function maskField(value, field) {
+  return UNMASKED_FIELDS.includes(field) ? value : maskAddresses(value);
+}
+
+/**
+ * Mask the addresses in every string of a response body
+ * @param {*} value - Response body
+ * @returns {*} Copy with masked strings (Dates and other values unchanged)
+ */
+function maskValues(value) {
+  if (typeof value === 'string') return maskAddresses(value);
+  if (Array.isArray(value)) return value.map(maskValues);
+  if (value && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    const masked = {};
+    Object.entries(value).forEach(([key, item]) => {
+      masked[key] = typeof item === 'string' ? maskField(item, key) : maskValues(item);
+    });
+    return masked;
+  }
+  return value;
+}
+
+/**
+ * Whether a string is one email address
+ * @param {string} address - Candidate
+ * @returns {boolean} True for local@domain.tld
+ */
+function isAddress(address) {
+  return PRIVACY_PATTERNS.exactAddress.test(address);
+}
+
+/**
+ * MariaDB (PCRE) pattern matching any of some addresses, case-insensitively
+ * and not as part of a longer address
+ * @param {string[]} addresses - Addresses
+ * @returns {string} Regular expression
+ */
+function addressPattern(addresses) {
+  const escaped = addresses.map(address => address.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return `(?i)(?<![${LOCAL_PART_CHARS}])(?:${escaped.join('|')})(?![a-z0-9-]|\\.[a-z0-9])`;
+}
+
+/**
+ * Redact a data subject: replace every occurrence of an address (and of its
+ * hash mode pseudonym) with [redacted]@domain. The fingerprint of a redacted
+ * log line is cleared too, so a re-import of the original line is not
+ * recognized: it would be stored again.
+ * @param {Object} connection - Database connection, in a transaction
+ * @param {string} address - Address of the data subject
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only count what would be redacted
+ * @returns {Promise<Object>} Report: { dryRun, searched, total, tables: [{ table, column, rows }], messageIds, messageIdsTruncated }
+ */
+async function eraseAddress(connection, address, { dryRun = false } = {}) {
+  const domain = address.substring(address.lastIndexOf('@') + 1).toLowerCase();
+  const forms = [address, pseudonym(address)].filter(Boolean);
+  const pattern = addressPattern(forms);
+  const replacement = `${REDACTED_LOCAL_PART}@${domain}`;
+
+  // Messages of the subject, listed before their addresses are gone
+  const [messages] = await connection.query(
+    `SELECT message_id FROM emails WHERE sender REGEXP ? OR recipient REGEXP ?
+     UNION SELECT message_id FROM deliveries WHERE recipient REGEXP ? OR orig_recipient REGEXP ?
+     LIMIT ?`,
+    [pattern, pattern, pattern, pattern, MAX_REPORTED_MESSAGES + 1]
+  );
+
+  const tables = [];
+  for (const [table, columns] of Object.entries(ERASURE_COLUMNS)) {
+    for (const column of columns) {
+      let rows;
+      if (dryRun) {
+        const [[{ matched }]] = await connection.query(
+          `SELECT COUNT(*) AS matched FROM ${table} WHERE ${column} REGEXP ?`,
+          [pattern]
+        );
+        rows = Number(matched);
+      } else {
+        const cleared = (ERASURE_CLEARED_COLUMNS[table] || []).map(name => `, ${name} = NULL`).join('');
+        const [result] = await connection.query(
+          `UPDATE ${table} SET ${column} = REGEXP_REPLACE(${column}, ?, ?)${cleared} WHERE ${column} REGEXP ?`,
+          [pattern, replacement, pattern]
+        );
+        rows = result.affectedRows;
+      }
+      if (rows > 0) tables.push({ table, column, rows });
+    }
+  }
+
+  return {
+    dryRun,
+    searched: forms.length > 1 ? ['address', 'pseudonym'] : ['address'],
+    total: tables.reduce((sum, entry) => sum + entry.rows, 0),
+    tables,
+    messageIds: messages.slice(0, MAX_REPORTED_MESSAGES).map(row => row.message_id),
+    messageIdsTruncated: messages.length > MAX_REPORTED_MESSAGES
+  };
+}
+
+module.exports = {
+  PRIVACY_MODES,
+  PRIVACY_MODE,
+  resolveMode,
+  pseudonym,
+  lineFingerprint,
+  pseudonymizeAddresses,
+  maskAddresses,
+  maskField,
+  maskValues,
+  isAddress,
+  eraseAddress
+};
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+
+// Read when the modules load
+process.env.PRIVACY_MODE = 'mask';
+process.env.PRIVACY_HASH_KEY = 'test-key';
+
+const {
+  PRIVACY_MODE, resolveMode, pseudonym, lineFingerprint, pseudonymizeAddresses, maskField, maskValues, isAddress, eraseAddress
+} = require('./privacy');
+const { createSummary, ingestLines } = require('./ingest');
+const { createRegistry } = require('./parsers');
+
+const LINE = 'Oct 18 10:00:03 mx1 postfix/smtp[300]: 4ABC123DEF: to=<john.doe@example.org>, relay=mx.example.org[198.51.100.5]:25, delay=1.2, dsn=2.0.0, status=sent (250 2.0.0 Ok)';
+
+test('masks or hashes the local part and keeps the domain', () => {
+  const text = 'from=<John.Doe@Example.com>, to=<jane+tag@mail.example.org>, orig_to=<jd@example.com>';
+
+  assert.equal(pseudonymizeAddresses(text, 'off'), text);
+  assert.equal(
+    pseudonymizeAddresses(text, 'mask'),
+    'from=<J***@Example.com>, to=<j***@mail.example.org>, orig_to=<j***@example.com>'
+  );
+
+  const hashed = pseudonymizeAddresses(text, 'hash');
+  const digest = crypto.createHmac('sha256', 'test-key').update('john.doe@example.com').digest('hex').substring(0, 16);
+  assert.ok(hashed.startsWith(`from=<anon-${digest}@example.com>`));
+  assert.equal(pseudonym('JOHN.DOE@example.com'), `anon-${digest}@example.com`);
+  assert.doesNotMatch(hashed, /jane|jd@/);
+});
+
+test('leaves Message-ID values alone', () => {
+  const text = 'message-id=<20260302.abc@mail.example.com> from=<john@example.com>';
+  assert.equal(pseudonymizeAddresses(text, 'mask'), 'message-id=<20260302.abc@mail.example.com> from=<j***@example.com>');
+  assert.equal(maskField('<20260302.abc@mail.example.com>', 'message_id_header'), '<20260302.abc@mail.example.com>');
+});
+
+test('masks every string of a response body', () => {
+  const date = new Date('2026-03-02T10:00:00Z');
+  const body = {
+    data: [{ sender: 'john@example.com', log_date: date, size: 1200, message_id_header: 'a@b.example' }],
+    pagination: { next: null }
+  };
+
+  assert.deepEqual(maskValues(body), {
+    data: [{ sender: 'j***@example.com', log_date: date, size: 1200, message_id_header: 'a@b.example' }],
+    pagination: { next: null }
+  });
+  assert.equal(body.data[0].sender, 'john@example.com');
+});
+
+test('recognizes a single address', () => {
+  assert.equal(isAddress('john.doe@example.com'), true);
+  assert.equal(isAddress('john.doe@localhost'), false);
+  assert.equal(isAddress('john@example.com, jane@example.com'), false);
+});
+
+test('refuses to pseudonymize addresses without a key', t => {
+  t.mock.method(console, 'error', () => {});
+  assert.equal(resolveMode(undefined, null), 'off');
+  assert.equal(resolveMode('HASH', 'k'), 'hash');
+  assert.equal(resolveMode('scramble', 'k'), 'mask');
+  assert.throws(() => resolveMode('mask', null), /PRIVACY_MODE=mask needs PRIVACY_HASH_KEY/);
+  assert.throws(() => resolveMode('scramble', null), /PRIVACY_MODE=mask needs PRIVACY_HASH_KEY/);
+
+  // What the backend and the importer see when they load the module
+  const { status, stderr } = spawnSync(process.execPath, ['-e', 'require("./privacy")'], {
+    cwd: __dirname,
+    env: { ...process.env, PRIVACY_MODE: 'hash', PRIVACY_HASH_KEY: '' },
+    encoding: 'utf8'
+  });
+  assert.notEqual(status, 0);
+  assert.match(stderr, /PRIVACY_MODE=hash needs PRIVACY_HASH_KEY/);
+});
+
+test('fingerprints lines with a keyed digest unless privacy is off', () => {
+  const sha1 = crypto.createHash('sha1').update(LINE).digest('hex');
+  assert.equal(lineFingerprint(LINE, 'off'), sha1);
+
+  for (const mode of ['mask', 'hash']) {
+    const fingerprint = lineFingerprint(LINE, mode);
+    assert.match(fingerprint, /^[0-9a-f]{40}$/);
+    assert.notEqual(fingerprint, sha1);
+    assert.equal(fingerprint, crypto.createHmac('sha256', 'test-key').update(`line|${LINE}`).digest('hex').substring(0, 40));
+  }
+});
+
+test('stores masked lines under a fingerprint that cannot confirm a guessed address', async () => {
+  assert.equal(PRIVACY_MODE, 'mask');
+  const inserts = [];
+  const connection = {
+    async query(sql, params) {
+      if (sql.trim().startsWith('SELECT')) return [[]];
+      if (sql.startsWith('INSERT IGNORE INTO logs')) inserts.push(params);
+      return [{ affectedRows: 1 }];
+    }
+  };
+
+  await ingestLines(connection, [LINE], createSummary(), createRegistry());
+  const [logDate, , hostname, , processId, , content, storedHash] = inserts[0];
+  assert.match(content, /to=<j\*\*\*@example\.org>/);
+
+  // What someone reading the table could try: the stored fields with a guessed address
+  const guess = `${logDate.toISOString()}|${hostname}|${processId}|${content.replace('j***@', 'john.doe@')}`;
+  assert.notEqual(crypto.createHash('sha1').update(guess).digest('hex'), storedHash);
+  assert.equal(lineFingerprint(guess), storedHash);
+});
+
+/**
+ * Connection double recording the statements of an erasure
+ */
+function createConnection() {
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params) {
+      statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      if (sql.includes('UNION SELECT message_id')) return [[{ message_id: '4ABC123DEF' }]];
+      if (sql.startsWith('SELECT COUNT(*)')) return [[{ matched: sql.includes('FROM logs') ? 2 : 0 }]];
+      return [{ affectedRows: sql.startsWith('UPDATE logs') ? 2 : 0 }];
+    }
+  };
+}
+
+test('erases an address and its pseudonym, clearing the fingerprints of the lines', async () => {
+  const connection = createConnection();
+  const report = await eraseAddress(connection, 'John.Doe@Example.org');
+
+  assert.deepEqual(report, {
+    dryRun: false,
+    searched: ['address', 'pseudonym'],
+    total: 2,
+    tables: [{ table: 'logs', column: 'content', rows: 2 }],
+    messageIds: ['4ABC123DEF'],
+    messageIdsTruncated: false
+  });
+
+  const logs = connection.statements.find(statement => statement.sql.startsWith('UPDATE logs'));
+  assert.equal(logs.sql, 'UPDATE logs SET content = REGEXP_REPLACE(content, ?, ?), line_hash = NULL WHERE content REGEXP ?');
+  assert.equal(logs.params[1], '[redacted]@example.org');
+  const emails = connection.statements.find(statement => statement.sql.startsWith('UPDATE emails SET sender'));
+  assert.doesNotMatch(emails.sql, /line_hash/);
+
+  // The PCRE pattern, as JavaScript understands it
+  const pattern = new RegExp(logs.params[0].replace('(?i)', ''), 'gi');
+  const stored = `to=<john.doe@example.org> to=<${pseudonym('john.doe@example.org')}> to=<xjohn.doe@example.org> to=<john.doe@example.org.evil>`;
+  assert.equal(
+    stored.replace(pattern, '[redacted]@example.org'),
+    'to=<[redacted]@example.org> to=<[redacted]@example.org> to=<xjohn.doe@example.org> to=<john.doe@example.org.evil>'
+  );
+});
+
+test('a dry run only counts', async () => {
+  const connection = createConnection();
+  const report = await eraseAddress(connection, 'john.doe@example.org', { dryRun: true });
+
+  assert.equal(report.dryRun, true);
+  assert.deepEqual(report.tables, [{ table: 'logs', column: 'content', rows: 2 }]);
+  assert.ok(connection.statements.every(statement => statement.sql.startsWith('SELECT')));
+});
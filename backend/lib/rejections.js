@@ -0,0 +1,205 @@
+const { insertRows } = require('./bulk');
+
+/**
+ * Rejections
+ *
+ * Turns the lines that never become a message into structured records:
+ * - smtpd/cleanup "NOQUEUE: reject: RCPT from ...", milter-reject and the
+ *   same with a queue ID when the reject happens after MAIL FROM
+ * - postscreen drops (PREGREET, DNSBL rank, HANGUP, pipelining, ...)
+ * - smtpd "... limit exceeded" warnings and anvil rate statistics
+ * Every record gets a reason class, so the API can count refusals by cause.
+ */
+
+const REJECTION_PATTERNS = {
+  // NOQUEUE: reject: RCPT from host[1.2.3.4]:port: 554 5.7.1 <x@y>: reason; from=<..> to=<..> proto=ESMTP helo=<..>
+  reject: /^(?:NOQUEUE|([A-F0-9]+)): (reject|milter-reject|reject_warning|discard): (\S+(?: \S+)?) from ([^\s[]*)\[([^\]]+)\](?::\d+)?: (?:(\d{3}) )?(?:(\d\.\d{1,3}\.\d{1,3}) )?(.*)$/,
+  reasonTail: /^(.*?);\s+(from=.*)$/,
+  from: /from=<([^>]*)>/,
+  to: /to=<([^>]*)>/,
+  helo: /helo=<([^>]*)>/,
+  // postscreen: PREGREET 11 after 0.1 from [1.2.3.4]:5678: EHLO ..., DNSBL rank 3 for [1.2.3.4]:5678, ...
+  postscreen: /^(PREGREET|DNSBL|HANGUP|COMMAND PIPELINING|BARE NEWLINE|NON-SMTP COMMAND|COMMAND TIME LIMIT|COMMAND COUNT LIMIT|COMMAND LENGTH LIMIT)\b(.*?)\[([^\]]+)\](?::\d+)?(.*)$/,
+  postscreenValue: /^\s*(?:rank\s+)?(\d+)/,
+  // warning: Connection rate limit exceeded: 31 from unknown[1.2.3.4] for service smtp
+  limitExceeded: /^warning: ([\w ]+ limit exceeded): (\d+) from ([^\s[]*)\[([^\]]+)\]/,
+  // statistics: max connection rate 1/60s for (smtp:1.2.3.4) at Feb 11 09:26:24
+  anvil: /^statistics: max ([\w ]+ (?:rate|count)) (\d+)(?:\/\d+s)? for \(([^:]+):([^)]+)\)/
+};
+
+// Checked in order: the first matching class wins
+const REASON_CLASSES = [
+  ['dnsbl', /blocked using|DNSBL|listed (?:at|on|in)/i],
+  ['relay_denied', /Relay access denied/i],
+  ['unknown_recipient', /User unknown|unknown user|Recipient address rejected: (?:undeliverable|unverified)|mailbox unavailable|no such user/i],
+  ['reverse_dns', /cannot find your (?:reverse )?hostname/i],
+  ['helo', /Helo command rejected/i],
+  ['sender', /Sender address rejected/i],
+  ['greylist', /greylist/i],
+  ['client', /Client host rejected/i],
+  ['rate_limit', /rate limit|too many|limit exceeded/i],
+  ['policy', /policy|Service unavailable/i]
+];
+
+/**
+ * Classify a rejection reason into a coarse category
+ * @param {string} event - Rejection event (reject, milter-reject, PREGREET, ...)
+ * @param {string} reason - Reason text
+ * @returns {string} Reason class
+ */
+function classifyReason(event, reason) {
+  if (event === 'milter-reject') return 'milter';
+  if (['PREGREET', 'HANGUP', 'COMMAND PIPELINING', 'BARE NEWLINE', 'NON-SMTP COMMAND'].includes(event)) {
+    return 'protocol';
+  }
+  if (event === 'DNSBL') return 'dnsbl';
+
+  const match = REASON_CLASSES.find(([, pattern]) => pattern.test(reason || ''));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Parse a rejection, postscreen or anvil line
+ * @param {Object} parsed - Parsed log line ({ logDate, hostname, service, content })
+ * @returns {Object|null} Rejection record or null if the line is not one
+ */
+function parseRejection(parsed) {
+  const { content, service } = parsed;
+  const base = {
+    timestamp: parsed.logDate,
+    hostname: parsed.hostname,
+    service,
+    queueId: null,
+    stage: null,
+    clientHost: null,
+    clientIp: null,
+    helo: null,
+    sender: null,
+    recipient: null,
+    replyCode: null,
+    dsn: null,
+    reason: null,
+    value: null
+  };
+
+  const rejectMatch = content.match(REJECTION_PATTERNS.reject);
+  if (rejectMatch) {
+    const [, queueId, event, stage, clientHost, clientIp, replyCode, dsn, rest] = rejectMatch;
+    const tailMatch = rest.match(REJECTION_PATTERNS.reasonTail);
+    const reason = tailMatch ? tailMatch[1] : rest;
+    const tail = tailMatch ? tailMatch[2] : '';
+    const field = pattern => {
+      const match = tail.match(pattern);
+      return match ? match[1] : null;
+    };
+
+    return {
+      ...base,
+      source: service.split('/').pop(),
+      event,
+      queueId: queueId || null,
+      stage,
+      clientHost: clientHost || null,
+      clientIp,
+      helo: field(REJECTION_PATTERNS.helo),
+      sender: field(REJECTION_PATTERNS.from),
+      recipient: field(REJECTION_PATTERNS.to),
+      replyCode: replyCode ? parseInt(replyCode) : null,
+      dsn: dsn || null,
+      reason,
+      reasonClass: classifyReason(event, reason)
+    };
+  }
+
+  if (service === 'postfix/postscreen') {
+    const postscreenMatch = content.match(REJECTION_PATTERNS.postscreen);
+    if (postscreenMatch) {
+      const [, event, before, clientIp, after] = postscreenMatch;
+      const valueMatch = before.match(REJECTION_PATTERNS.postscreenValue);
+      const reason = `${event}${before}[${clientIp}]${after}`.trim();
+      return {
+        ...base,
+        source: 'postscreen',
+        event,
+        stage: 'CONNECT',
+        clientIp,
+        value: valueMatch ? parseInt(valueMatch[1]) : null,
+        reason,
+        reasonClass: classifyReason(event, reason)
+      };
+    }
+  }
+
+  const limitMatch = content.match(REJECTION_PATTERNS.limitExceeded);
+  if (limitMatch) {
+    const [, event, value, clientHost, clientIp] = limitMatch;
+    return {
+      ...base,
+      source: 'smtpd',
+      event,
+      stage: 'CONNECT',
+      clientHost: clientHost || null,
+      clientIp,
+      value: parseInt(value),
+      reason: content.replace(/^warning:\s*/, ''),
+      reasonClass: 'rate_limit'
+    };
+  }
+
+  if (service === 'postfix/anvil') {
+    const anvilMatch = content.match(REJECTION_PATTERNS.anvil);
+    if (anvilMatch) {
+      const [, event, value, , clientIp] = anvilMatch;
+      return {
+        ...base,
+        source: 'anvil',
+        event: `max ${event}`,
+        clientIp,
+        value: parseInt(value),
+        reason: content.replace(/^statistics:\s*/, ''),
+        reasonClass: 'rate_limit'
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Insert rejection records
+ * @param {Object} connection - Database connection
+ * @param {Object[]} rejections - Records returned by parseRejection() or a parser plugin (missing fields are stored as NULL)
+ * @returns {Promise<number>} Number of records stored
+ */
+async function storeRejections(connection, rejections) {
+  return insertRows(
+    connection,
+    `INSERT INTO rejections (log_date, hostname, service, source, event, queue_id, stage, client_host, client_ip,
+                             helo, sender, recipient, reply_code, dsn_code, reason_class, reason, metric_value) VALUES`,
+    rejections.map(rejection => [
+      rejection.timestamp,
+      rejection.hostname,
+      rejection.service,
+      rejection.source,
+      rejection.event,
+      rejection.queueId,
+      rejection.stage,
+      rejection.clientHost,
+      rejection.clientIp,
+      rejection.helo,
+      rejection.sender,
+      rejection.recipient,
+      rejection.replyCode,
+      rejection.dsn,
+      rejection.reasonClass,
+      rejection.reason,
+      rejection.value
+    ])
+  );
+}
+
+module.exports = {
+  classifyReason,
+  parseRejection,
+  storeRejections
+};
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyReason, parseRejection, storeRejections } = require('./rejections');
+
+const DATE = new Date('2026-03-02T10:00:00Z');
+
+/**
+ * Rejection record of a log line content
+ */
+function rejectionOf(content, service = 'postfix/smtpd') {
+  return parseRejection({ logDate: DATE, hostname: 'mx1', service, content });
+}
+
+test('classifies rejection reasons by cause', () => {
+  const cases = [
+    ['reject', 'Service unavailable; Client host [203.0.113.7] blocked using zen.spamhaus.org', 'dnsbl'],
+    ['reject', 'Client host rejected: listed at bl.example.net', 'dnsbl'],
+    ['reject', '<nobody@example.net>: Relay access denied', 'relay_denied'],
+    ['reject', '<nobody@example.com>: Recipient address rejected: User unknown in virtual mailbox table', 'unknown_recipient'],
+    ['reject', '<x@example.com>: Recipient address rejected: undeliverable address: host mx.example.com said: 550 no such user', 'unknown_recipient'],
+    ['reject', 'Client host rejected: cannot find your reverse hostname, [203.0.113.7]', 'reverse_dns'],
+    ['reject', '<spammer>: Helo command rejected: Host not found', 'helo'],
+    ['reject', '<spam@example.net>: Sender address rejected: Domain not found', 'sender'],
+    ['reject', '<bob@example.com>: Recipient address rejected: Greylisted, see https://postgrey.example', 'greylist'],
+    ['reject', 'Client host rejected: Access denied', 'client'],
+    ['reject', 'Error: too many recipients', 'rate_limit'],
+    ['reject', 'Service unavailable', 'policy'],
+    ['reject', 'Message content rejected', 'other'],
+    ['reject', undefined, 'other'],
+    // The event decides before the text
+    ['milter-reject', 'Blocked by SpamAssassin, Relay access denied', 'milter'],
+    ['PREGREET', 'PREGREET 11 after 0.1 from [203.0.113.7]:5678: EHLO spammer', 'protocol'],
+    ['COMMAND PIPELINING', '', 'protocol'],
+    ['DNSBL', 'DNSBL rank 3 for [203.0.113.7]:5678', 'dnsbl']
+  ];
+  for (const [event, reason, reasonClass] of cases) {
+    assert.equal(classifyReason(event, reason), reasonClass, `${event}: ${reason}`);
+  }
+});
+
+test('parses NOQUEUE and queued rejects with their envelope', () => {
+  assert.deepEqual(rejectionOf(
+    'NOQUEUE: reject: RCPT from unknown[203.0.113.7]:4321: 554 5.7.1 <nobody@example.net>: Relay access denied; from=<spam@example.org> to=<nobody@example.net> proto=ESMTP helo=<spammer.example>'
+  ), {
+    timestamp: DATE,
+    hostname: 'mx1',
+    service: 'postfix/smtpd',
+    source: 'smtpd',
+    event: 'reject',
+    queueId: null,
+    stage: 'RCPT',
+    clientHost: 'unknown',
+    clientIp: '203.0.113.7',
+    helo: 'spammer.example',
+    sender: 'spam@example.org',
+    recipient: 'nobody@example.net',
+    replyCode: 554,
+    dsn: '5.7.1',
+    reason: '<nobody@example.net>: Relay access denied',
+    reasonClass: 'relay_denied',
+    value: null
+  });
+
+  const milter = rejectionOf('4ABC123DEF: milter-reject: END-OF-MESSAGE from mail.example.com[2001:db8::25]: 5.7.1 Spam message rejected; from=<a@example.com> to=<b@example.org> proto=ESMTP helo=<mail.example.com>', 'postfix/cleanup');
+  assert.deepEqual(
+    [milter.source, milter.queueId, milter.stage, milter.clientHost, milter.clientIp, milter.replyCode, milter.dsn, milter.reasonClass],
+    ['cleanup', '4ABC123DEF', 'END-OF-MESSAGE', 'mail.example.com', '2001:db8::25', null, '5.7.1', 'milter']
+  );
+
+  const rbl = rejectionOf('NOQUEUE: reject: RCPT from unknown[203.0.113.7]: 554 5.7.1 Service unavailable; Client host [203.0.113.7] blocked using zen.spamhaus.org; https://www.spamhaus.org/query/ip/203.0.113.7; from=<spam@example.org> to=<bob@example.com> proto=ESMTP helo=<x>');
+  assert.equal(rbl.reasonClass, 'dnsbl');
+  assert.equal(rbl.sender, 'spam@example.org');
+});
+
+test('parses postscreen drops, limit warnings and anvil statistics', () => {
+  const pregreet = rejectionOf('PREGREET 11 after 0.11 from [203.0.113.7]:5678: EHLO spammer\\r\\n', 'postfix/postscreen');
+  assert.deepEqual(
+    [pregreet.source, pregreet.event, pregreet.stage, pregreet.clientIp, pregreet.value, pregreet.reasonClass],
+    ['postscreen', 'PREGREET', 'CONNECT', '203.0.113.7', 11, 'protocol']
+  );
+  const dnsbl = rejectionOf('DNSBL rank 3 for [203.0.113.7]:5678', 'postfix/postscreen');
+  assert.deepEqual([dnsbl.event, dnsbl.value, dnsbl.reasonClass], ['DNSBL', 3, 'dnsbl']);
+
+  const limit = rejectionOf('warning: Connection rate limit exceeded: 31 from unknown[203.0.113.7] for service smtp');
+  assert.deepEqual(
+    [limit.event, limit.value, limit.clientIp, limit.reason, limit.reasonClass],
+    ['Connection rate limit exceeded', 31, '203.0.113.7', 'Connection rate limit exceeded: 31 from unknown[203.0.113.7] for service smtp', 'rate_limit']
+  );
+
+  const anvil = rejectionOf('statistics: max connection rate 12/60s for (smtp:203.0.113.7) at Mar  2 09:59:00', 'postfix/anvil');
+  assert.deepEqual([anvil.source, anvil.event, anvil.clientIp, anvil.value], ['anvil', 'max connection rate', '203.0.113.7', 12]);
+
+  assert.equal(rejectionOf('connect from mail.example.com[192.0.2.1]'), null);
+  assert.equal(rejectionOf('CONNECT from [203.0.113.7]:5678 to [192.0.2.25]:25', 'postfix/postscreen'), null);
+});
+
+test('stores rejections with missing fields as NULL', async () => {
+  const statements = [];
+  const connection = {
+    async query(sql, params) {
+      statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      return [{ affectedRows: 1 }];
+    }
+  };
+
+  // Records of parser plugins may leave fields out
+  assert.equal(await storeRejections(connection, [{ timestamp: DATE, hostname: 'mx1', service: 'rspamd', source: 'rspamd', event: 'reject', reasonClass: 'policy' }]), 1);
+  assert.match(statements[0].sql, /^INSERT INTO rejections \(log_date, .* metric_value\) VALUES \(\?(, \?){16}\)/);
+  assert.deepEqual(statements[0].params, [DATE, 'mx1', 'rspamd', 'rspamd', 'reject', null, null, null, null, null, null, null, null, null, 'policy', null, null]);
+});
@@ -0,0 +1,323 @@
+/**
+ * Search query language
+ *
+ * The search boxes of the logs and emails views accept a list of terms, all
+ * of which must match:
+ *   service:postfix/smtp status:deferred to:*@gmail.com relay:~outlook -dsn:2.*
+ *   field:value      exact value (case-insensitive)
+ *   field:a*b        wildcards
+ *   field:~text      value contains text
+ *   field:>=100      comparison, on numeric and date fields (size:>1000000, date:>=2026-02-01)
+ *   field:"a b"      quoted value
+ *   -term            negation
+ *   word, "a phrase" free text: whole words (word* for a prefix) in the log
+ *                    line, or in sender, recipient and response of an email
+ * Every term becomes a parameterized condition. Fields of the other table
+ * are matched through the queue ID, so a logs search can filter on the
+ * delivery status and an emails search on the services that logged a line.
+ *
+ * Free text uses the FULLTEXT indexes (logs.ft_content, emails.ft_search).
+ * Words the index never holds (shorter than three characters, or InnoDB
+ * stopwords such as "com") fall back to a LIKE scan.
+ */
+
+// Column per field; table null means both tables have the column. Fields with
+// deliveries also match any delivery attempt of the message.
+const SEARCH_FIELDS = {
+  queue: { table: null, column: 'message_id' },
+  date: { table: null, column: 'log_date', type: 'date' },
+  service: { table: 'logs', column: 'service' },
+  host: { table: 'logs', column: 'hostname' },
+  pid: { table: 'logs', column: 'process_id', type: 'number' },
+  from: { table: 'emails', column: 'sender' },
+  to: { table: 'emails', column: 'recipient', deliveries: 'recipient' },
+  status: { table: 'emails', column: 'status' },
+  relay: { table: 'emails', column: 'relay', deliveries: 'relay' },
+  dsn: { table: 'emails', column: 'dsn_code', deliveries: 'dsn_code' },
+  transport: { table: 'emails', column: 'transport', deliveries: 'transport' },
+  client: { table: 'emails', column: 'client_ip' },
+  msgid: { table: 'emails', column: 'message_id_header' },
+  size: { table: 'emails', column: 'size', type: 'number' },
+  state: { table: 'emails', column: 'queue_state' },
+  dkim: { table: 'emails', column: 'dkim_result' }
+};
+
+// Columns searched by free text, in the order of their FULLTEXT index
+const TEXT_COLUMNS = {
+  logs: ['content'],
+  emails: ['sender', 'recipient', 'response_text']
+};
+
+const COMPARISONS = { '>': '>', '>=': '>=', '<': '<', '<=': '<=' };
+
+// InnoDB default stopwords and minimum token size: such words are not indexed
+const FULLTEXT_STOPWORDS = new Set([
+  'a', 'about', 'an', 'are', 'as', 'at', 'be', 'by', 'com', 'de', 'en', 'for', 'from', 'how', 'i', 'in', 'is',
+  'it', 'la', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'who', 'will',
+  'with', 'und', 'www'
+]);
+const FULLTEXT_MIN_TOKEN = 3;
+
+const QUERY_PATTERNS = {
+  field: /^([a-z]+):/,
+  comparison: /^(>=|<=|>|<)(.*)$/,
+  day: /^\d{4}-\d{2}-\d{2}$/,
+  number: /^-?\d+(?:\.\d+)?$/,
+  prefix: /^([\p{L}\p{N}_]+)\*$/u,
+  tokenSeparator: /[^\p{L}\p{N}_]+/u
+};
+
+class QuerySyntaxError extends Error {
+  /**
+   * @param {string} message - What is wrong
+   * @param {number} position - Offset of the offending term in the query
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Read a value: a quoted string or everything up to the next whitespace
+ * @param {string} text - Query
+ * @param {number} start - Offset of the value
+ * @returns {{value: string, quoted: boolean, end: number}} Value and the offset after it
+ */
+function readValue(text, start) {
+  if (text[start] === '"') {
+    const close = text.indexOf('"', start + 1);
+    if (close === -1) throw new QuerySyntaxError('Unterminated quote', start);
+    return { value: text.substring(start + 1, close), quoted: true, end: close + 1 };
+  }
+
+  let end = start;
+  while (end < text.length && !/\s/.test(text[end])) end++;
+  return { value: text.substring(start, end), quoted: false, end };
+}
+
+/**
+ * Split a query into terms
+ * @param {string} text - Query
+ * @returns {Object[]} Terms ({ negated, field, operator, value, position })
+ * @throws {QuerySyntaxError} With the position of the offending term
+ */
+function parseQuery(text) {
+  const terms = [];
+  let position = 0;
+
+  while (position < text.length) {
+    if (/\s/.test(text[position])) {
+      position++;
+      continue;
+    }
+
+    const start = position;
+    const negated = text[position] === '-' && position + 1 < text.length && !/\s/.test(text[position + 1]);
+    if (negated) position++;
+
+    const fieldMatch = text.substring(position).match(QUERY_PATTERNS.field);
+    if (!fieldMatch) {
+      const { value, quoted, end } = readValue(text, position);
+      terms.push({ negated, field: null, operator: quoted ? 'phrase' : 'word', value, position: start });
+      position = end;
+      continue;
+    }
+
+    const field = fieldMatch[1];
+    if (!SEARCH_FIELDS[field]) {
+      throw new QuerySyntaxError(
+        `Unknown field "${field}" (fields: ${Object.keys(SEARCH_FIELDS).join(', ')}; quote the term to search it as text)`,
+        start
+      );
+    }
+
+    position += fieldMatch[0].length;
+    const { value: raw, quoted, end } = readValue(text, position);
+    position = end;
+    if (!raw) throw new QuerySyntaxError(`Missing value for "${field}"`, start);
+
+    terms.push({ negated, field, ...parseValue(field, raw, quoted, start), position: start });
+  }
+
+  return terms;
+}
+
+/**
+ * Interpret the value of a field term
+ * @param {string} field - Field name
+ * @param {string} raw - Value as written
+ * @param {boolean} quoted - Whether the value was quoted (no operators or wildcards)
+ * @param {number} position - Offset of the term, for errors
+ * @returns {{operator: string, value: *}} Operator (eq, like, contains or a comparison) and value
+ */
+function parseValue(field, raw, quoted, position) {
+  const { type } = SEARCH_FIELDS[field];
+  if (field === 'msgid') raw = raw.replace(/^<|>$/g, '');
+  if (quoted) return { operator: 'eq', value: raw };
+
+  // Text values may start with < (msgid:<id@host>): comparisons are for typed fields only
+  const comparison = type && raw.match(QUERY_PATTERNS.comparison);
+  let operator = comparison ? comparison[1] : 'eq';
+  let value = comparison ? comparison[2] : raw;
+
+  if (type === 'number') {
+    if (!QUERY_PATTERNS.number.test(value)) {
+      throw new QuerySyntaxError(`"${field}" needs a number, got "${value}"`, position);
+    }
+    return { operator, value: parseFloat(value) };
+  }
+
+  if (type === 'date') {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+      throw new QuerySyntaxError(`"${field}" needs a date such as 2026-02-11, got "${value}"`, position);
+    }
+    // A bare day matches the whole day
+    if (operator === 'eq' && QUERY_PATTERNS.day.test(value)) return { operator: 'day', value: date };
+    return { operator, value: date };
+  }
+
+  if (value.startsWith('~')) {
+    value = value.substring(1);
+    if (!value) throw new QuerySyntaxError(`Missing value for "${field}"`, position);
+    operator = 'contains';
+  } else if (value.includes('*')) {
+    operator = 'like';
+  }
+  return { operator, value };
+}
+
+/**
+ * Escape the LIKE wildcards of a literal and turn * into %
+ * @param {string} value - Value with * wildcards
+ * @returns {string} LIKE pattern
+ */
+function likePattern(value) {
+  return value.replace(/[\\%_]/g, '\\$&').replace(/\*/g, '%');
+}
+
+/**
+ * Condition of a field term on the table owning the column
+ * @param {Object} term - Parsed term
+ * @param {string} column - Column name
+ * @returns {{sql: string, params: Array}} Condition
+ */
+function columnCondition(term, column) {
+  switch (term.operator) {
+    case 'like':
+      return { sql: `${column} LIKE ?`, params: [likePattern(term.value)] };
+    case 'contains':
+      return { sql: `${column} LIKE ?`, params: [`%${likePattern(term.value)}%`] };
+    case 'day':
+      return {
+        sql: `(${column} >= ? AND ${column} < ?)`,
+        params: [term.value, new Date(term.value.getTime() + 24 * 60 * 60 * 1000)]
+      };
+    case 'eq':
+      return { sql: `${column} = ?`, params: [term.value] };
+    default:
+      return { sql: `${column} ${COMPARISONS[term.operator]} ?`, params: [term.value] };
+  }
+}
+
+/**
+ * Condition of a field term on the searched table
+ * @param {Object} term - Parsed term
+ * @param {string} table - Searched table (logs or emails)
+ * @returns {{sql: string, params: Array}} Condition
+ */
+function fieldCondition(term, table) {
+  const field = SEARCH_FIELDS[term.field];
+  let condition = columnCondition(term, field.column);
+
+  if (field.deliveries) {
+    const delivery = columnCondition(term, field.deliveries);
+    condition = {
+      sql: `(${condition.sql} OR message_id IN (SELECT message_id FROM deliveries WHERE ${delivery.sql}))`,
+      params: [...condition.params, ...delivery.params]
+    };
+  }
+
+  // A column of the other table: match the messages through their queue ID
+  if (field.table && field.table !== table) {
+    condition = {
+      sql: `message_id IN (SELECT message_id FROM ${field.table} WHERE ${condition.sql})`,
+      params: condition.params
+    };
+  }
+
+  return condition;
+}
+
+/**
+ * Boolean mode expression of a free text term, if the index can answer it
+ * @param {Object} term - Parsed free text term
+ * @returns {string|null} Expression such as deferred, relay* or "connection timed out"; null to scan
+ */
+function fulltextExpression(term) {
+  const prefix = term.operator === 'word' && term.value.match(QUERY_PATTERNS.prefix);
+  if (prefix) {
+    return prefix[1].length >= FULLTEXT_MIN_TOKEN ? `${prefix[1]}*` : null;
+  }
+
+  const tokens = term.value.split(QUERY_PATTERNS.tokenSeparator).filter(Boolean);
+  const indexed = tokens.length > 0 && !term.value.includes('\'') && tokens.every(token =>
+    token.length >= FULLTEXT_MIN_TOKEN && !FULLTEXT_STOPWORDS.has(token.toLowerCase()));
+  if (!indexed) return null;
+
+  return tokens.length === 1 ? tokens[0] : `"${tokens.join(' ')}"`;
+}
+
+/**
+ * Build the conditions of a search query
+ * @param {string} text - Query
+ * @param {string} table - Searched table: logs or emails
+ * @returns {{where: string, params: Array}} SQL to append to a WHERE clause (" AND ...") and its parameters
+ * @throws {QuerySyntaxError} If the query is not valid
+ */
+function buildSearchFilter(text, table) {
+  const columns = TEXT_COLUMNS[table];
+  const terms = parseQuery(text || '');
+  let where = '';
+  const params = [];
+
+  // Negations are written NOT COALESCE(...) so rows with a NULL column are kept
+  const add = (condition, negated) => {
+    where += negated ? ` AND NOT COALESCE(${condition.sql}, FALSE)` : ` AND ${condition.sql}`;
+    params.push(...condition.params);
+  };
+
+  const fulltext = [];
+  for (const term of terms) {
+    if (term.field) {
+      add(fieldCondition(term, table), term.negated);
+      continue;
+    }
+
+    const expression = fulltextExpression(term);
+    if (expression) {
+      fulltext.push({ expression, negated: term.negated });
+      continue;
+    }
+
+    const pattern = `%${likePattern(term.value)}%`;
+    add({
+      sql: `(${columns.map(column => `${column} LIKE ?`).join(' OR ')})`,
+      params: columns.map(() => pattern)
+    }, term.negated);
+  }
+
+  // One MATCH for all indexed words; boolean mode needs a required word to exclude others
+  const match = `MATCH(${columns.join(', ')}) AGAINST (? IN BOOLEAN MODE)`;
+  if (fulltext.some(item => !item.negated)) {
+    add({ sql: match, params: [fulltext.map(item => `${item.negated ? '-' : '+'}${item.expression}`).join(' ')] }, false);
+  } else {
+    fulltext.forEach(item => add({ sql: match, params: [item.expression] }, true));
+  }
+
+  return { where, params };
+}
+
+module.exports = { SEARCH_FIELDS, QuerySyntaxError, parseQuery, buildSearchFilter };
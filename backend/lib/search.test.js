@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QuerySyntaxError, parseQuery, buildSearchFilter } = require('./search');
+
+/**
+ * The error a query throws
+ */
+function syntaxError(text) {
+  try {
+    parseQuery(text);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`"${text}" parsed without errors`);
+}
+
+test('splits a query into field, negated and free text terms', () => {
+  assert.deepEqual(parseQuery('status:deferred  -service:postfix/smtp "connection timed out" relay*'), [
+    { negated: false, field: 'status', operator: 'eq', value: 'deferred', position: 0 },
+    { negated: true, field: 'service', operator: 'eq', value: 'postfix/smtp', position: 17 },
+    { negated: false, field: null, operator: 'phrase', value: 'connection timed out', position: 39 },
+    { negated: false, field: null, operator: 'word', value: 'relay*', position: 62 }
+  ]);
+  assert.deepEqual(parseQuery('   '), []);
+  // A lone dash is a word, not a negation
+  assert.equal(parseQuery('- x')[0].value, '-');
+});
+
+test('reads operators from field values', () => {
+  const [like, contains, quoted, size, day, after, msgid] = parseQuery(
+    'to:*@gmail.com relay:~outlook from:"a*b" size:>=1000 date:2026-02-11 date:>2026-02-11T10:00:00Z msgid:<id@host>'
+  );
+  assert.deepEqual([like.operator, like.value], ['like', '*@gmail.com']);
+  assert.deepEqual([contains.operator, contains.value], ['contains', 'outlook']);
+  assert.deepEqual([quoted.operator, quoted.value], ['eq', 'a*b']);
+  assert.deepEqual([size.operator, size.value], ['>=', 1000]);
+  assert.equal(day.operator, 'day');
+  assert.equal(day.value.toISOString(), '2026-02-11T00:00:00.000Z');
+  assert.deepEqual([after.operator, after.value.toISOString()], ['>', '2026-02-11T10:00:00.000Z']);
+  assert.deepEqual([msgid.operator, msgid.value], ['eq', 'id@host']);
+});
+
+test('reports the position of the offending term', () => {
+  const unknown = syntaxError('status:sent colour:red');
+  assert.ok(unknown instanceof QuerySyntaxError);
+  assert.equal(unknown.position, 12);
+  assert.match(unknown.message, /Unknown field "colour"/);
+
+  assert.equal(syntaxError('status:').message, 'Missing value for "status"');
+  assert.equal(syntaxError('to:~').message, 'Missing value for "to"');
+  assert.equal(syntaxError('x "open').position, 2);
+  assert.match(syntaxError('size:big').message, /needs a number, got "big"/);
+  assert.match(syntaxError('date:>yesterday').message, /needs a date/);
+});
+
+test('builds parameterized conditions, with negations keeping NULL columns', () => {
+  const filter = buildSearchFilter('status:deferred -relay:*outlook* size:<5000', 'emails');
+  assert.equal(
+    filter.where,
+    ' AND status = ?' +
+    ' AND NOT COALESCE((relay LIKE ? OR message_id IN (SELECT message_id FROM deliveries WHERE relay LIKE ?)), FALSE)' +
+    ' AND size < ?'
+  );
+  assert.deepEqual(filter.params, ['deferred', '%outlook%', '%outlook%', 5000]);
+
+  assert.deepEqual(buildSearchFilter('', 'logs'), { where: '', params: [] });
+  assert.deepEqual(buildSearchFilter('to:100%_off', 'emails').params, ['100%_off', '100%_off']);
+  assert.deepEqual(buildSearchFilter('to:*100%_off', 'emails').params, ['%100\\%\\_off', '%100\\%\\_off']);
+});
+
+test('matches fields of the other table through the queue ID', () => {
+  assert.deepEqual(buildSearchFilter('status:bounced', 'logs'), {
+    where: ' AND message_id IN (SELECT message_id FROM emails WHERE status = ?)',
+    params: ['bounced']
+  });
+  assert.deepEqual(buildSearchFilter('host:mx1 queue:4ABC123DEF', 'emails'), {
+    where: ' AND message_id IN (SELECT message_id FROM logs WHERE hostname = ?) AND message_id = ?',
+    params: ['mx1', '4ABC123DEF']
+  });
+
+  const { where, params } = buildSearchFilter('date:2026-02-11', 'logs');
+  assert.equal(where, ' AND (log_date >= ? AND log_date < ?)');
+  assert.equal(params[1].getTime() - params[0].getTime(), 24 * 60 * 60 * 1000);
+});
+
+test('searches indexed words with one MATCH and scans the others', () => {
+  assert.deepEqual(buildSearchFilter('deferred -greylisted "connection timed out" relay*', 'logs'), {
+    where: ' AND MATCH(content) AGAINST (? IN BOOLEAN MODE)',
+    params: ['+deferred -greylisted +"connection timed out" +relay*']
+  });
+
+  // Too short, a stopword or an apostrophe: the index cannot answer
+  assert.deepEqual(buildSearchFilter('ok com "can\'t"', 'emails'), {
+    where: ' AND (sender LIKE ? OR recipient LIKE ? OR response_text LIKE ?)'.repeat(3),
+    params: ['%ok%', '%ok%', '%ok%', '%com%', '%com%', '%com%', '%can\'t%', '%can\'t%', '%can\'t%']
+  });
+
+  // Only negated words: each one excluded by its own MATCH
+  assert.deepEqual(buildSearchFilter('-deferred -bounced', 'logs'), {
+    where: ' AND NOT COALESCE(MATCH(content) AGAINST (? IN BOOLEAN MODE), FALSE)'.repeat(2),
+    params: ['deferred', 'bounced']
+  });
+});
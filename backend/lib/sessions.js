@@ -0,0 +1,219 @@
+const { insertRows } = require('./bulk');
+
+/**
+ * smtpd sessions
+ *
+ * Rebuilds each client conversation from the postfix/smtpd lines of one
+ * smtpd process: "connect from" opens the session, "QUEUEID: client=..."
+ * adds the queue IDs it produced, NOQUEUE rejects are counted, and
+ * "disconnect from" closes it with the command counters
+ * (ehlo=1 auth=1 mail=1 rcpt=1 data=1 quit=1 commands=6).
+ *
+ * An smtpd process serves its clients one after the other, so the open
+ * session of a process is identified by hostname + process ID. Sessions
+ * still open at the end of a batch stay open in the smtp_sessions table
+ * and are picked up again by the next import.
+ */
+
+const SESSION_PATTERNS = {
+  connect: /^connect from ([^\s[]*)\[(?:IPv6:)?([^\]]+)\]/,
+  disconnect: /^disconnect from ([^\s[]*)\[(?:IPv6:)?([^\]]+)\](?::\d+)?\s*(.*)$/,
+  interrupted: /^(lost connection|timeout) after (\S+(?: \S+)?) from /,
+  client: /^([A-F0-9]+): client=([^\s[,]*)\[(?:IPv6:)?([^\]]+)\]/,
+  saslUsername: /sasl_username=([^,\s]+)/,
+  reject: /^NOQUEUE: (?:reject|milter-reject|discard):/,
+  commands: /\bcommands=(\d+)(?:\/(\d+))?/
+};
+
+/**
+ * Total and failed commands from the disconnect counters
+ * @param {string} stats - "ehlo=1 mail=1 rcpt=0/1 ... commands=3/4"
+ * @returns {{commandCount: number|null, failedCommands: number|null}} Counts
+ */
+function countCommands(stats) {
+  const match = stats.match(SESSION_PATTERNS.commands);
+  if (!match) return { commandCount: null, failedCommands: null };
+
+  // commands=ok/total when some failed, commands=total otherwise
+  const total = parseInt(match[2] || match[1]);
+  return { commandCount: total, failedCommands: total - parseInt(match[1]) };
+}
+
+class SessionTracker {
+  constructor() {
+    // Open session per "hostname/pid"
+    this.open = new Map();
+    this.sessions = [];
+  }
+
+  /**
+   * Seed the tracker with sessions left open by earlier imports
+   * @param {Object} connection - Database connection
+   * @param {Object[]} events - Parsed smtpd lines of the current batch
+   */
+  async load(connection, events) {
+    const keys = [...new Set(events.map(parsed => `${parsed.hostname}/${parsed.processId}`))];
+    if (keys.length === 0) return;
+
+    const placeholders = keys.map(() => '(?, ?)').join(', ');
+    const [rows] = await connection.query(
+      `SELECT * FROM smtp_sessions
+       WHERE disconnected_at IS NULL AND (hostname, process_id) IN (${placeholders})
+       ORDER BY connected_at`,
+      keys.flatMap(key => {
+        const separator = key.lastIndexOf('/');
+        return [key.slice(0, separator), parseInt(key.slice(separator + 1))];
+      })
+    );
+
+    for (const row of rows) {
+      const session = {
+        hostname: row.hostname,
+        processId: row.process_id,
+        clientHost: row.client_host,
+        clientIp: row.client_ip,
+        connectedAt: row.connected_at,
+        disconnectedAt: null,
+        queueIds: row.queue_ids ? row.queue_ids.split(',') : [],
+        saslUsername: row.sasl_username,
+        rejectCount: row.reject_count || 0,
+        endReason: row.end_reason,
+        commandStats: null,
+        commandCount: null,
+        failedCommands: null
+      };
+      this.open.set(`${row.hostname}/${row.process_id}`, session);
+      this.sessions.push(session);
+    }
+  }
+
+  /**
+   * Apply one postfix/smtpd line
+   * @param {Object} parsed - Parsed log line ({ logDate, hostname, processId, content })
+   */
+  observe(parsed) {
+    const key = `${parsed.hostname}/${parsed.processId}`;
+    const { content } = parsed;
+    let session = this.open.get(key);
+
+    const connectMatch = content.match(SESSION_PATTERNS.connect);
+    if (connectMatch) {
+      // The previous session of this process never logged its disconnect
+      if (session) {
+        session.endReason = session.endReason || 'unterminated';
+        session.disconnectedAt = session.disconnectedAt || parsed.logDate;
+      }
+      session = {
+        hostname: parsed.hostname,
+        processId: parsed.processId,
+        clientHost: connectMatch[1] || null,
+        clientIp: connectMatch[2],
+        connectedAt: parsed.logDate,
+        disconnectedAt: null,
+        queueIds: [],
+        saslUsername: null,
+        rejectCount: 0,
+        endReason: null,
+        commandStats: null,
+        commandCount: null,
+        failedCommands: null
+      };
+      this.open.set(key, session);
+      this.sessions.push(session);
+      return;
+    }
+
+    // Lines of a session whose connect was never imported
+    if (!session) return;
+
+    const clientMatch = content.match(SESSION_PATTERNS.client);
+    if (clientMatch) {
+      if (!session.queueIds.includes(clientMatch[1])) {
+        session.queueIds.push(clientMatch[1]);
+      }
+      const saslMatch = content.match(SESSION_PATTERNS.saslUsername);
+      if (saslMatch) session.saslUsername = saslMatch[1];
+      return;
+    }
+
+    if (SESSION_PATTERNS.reject.test(content)) {
+      session.rejectCount++;
+      return;
+    }
+
+    const interruptedMatch = content.match(SESSION_PATTERNS.interrupted);
+    if (interruptedMatch) {
+      session.endReason = `${interruptedMatch[1]} after ${interruptedMatch[2]}`;
+      return;
+    }
+
+    const disconnectMatch = content.match(SESSION_PATTERNS.disconnect);
+    if (disconnectMatch) {
+      session.disconnectedAt = parsed.logDate;
+      session.commandStats = disconnectMatch[3] || null;
+      Object.assign(session, countCommands(disconnectMatch[3] || ''));
+      session.endReason = session.endReason || 'disconnect';
+      this.open.delete(key);
+    }
+  }
+
+  /**
+   * Persist new and updated sessions
+   * @param {Object} connection - Database connection
+   * @returns {Promise<number>} Number of sessions saved
+   */
+  async save(connection) {
+    const rows = this.sessions.map(session => [
+      session.hostname,
+      session.processId,
+      session.connectedAt,
+      session.clientHost,
+      session.clientIp,
+      session.disconnectedAt,
+      session.queueIds.join(',') || null,
+      session.saslUsername,
+      session.rejectCount,
+      session.endReason,
+      session.commandStats,
+      session.commandCount,
+      session.failedCommands
+    ]);
+
+    // Sessions loaded from the table, and re-imported connect lines, update their row
+    await insertRows(
+      connection,
+      `INSERT INTO smtp_sessions (hostname, process_id, connected_at, client_host, client_ip, disconnected_at, queue_ids,
+                                  sasl_username, reject_count, end_reason, command_stats, command_count, failed_commands) VALUES`,
+      rows,
+      {
+        suffix: `ON DUPLICATE KEY UPDATE
+           client_host = COALESCE(VALUES(client_host), client_host),
+           client_ip = COALESCE(VALUES(client_ip), client_ip),
+           disconnected_at = COALESCE(VALUES(disconnected_at), disconnected_at),
+           queue_ids = COALESCE(VALUES(queue_ids), queue_ids),
+           sasl_username = COALESCE(VALUES(sasl_username), sasl_username),
+           reject_count = GREATEST(reject_count, VALUES(reject_count)),
+           end_reason = COALESCE(VALUES(end_reason), end_reason),
+           command_stats = COALESCE(VALUES(command_stats), command_stats),
+           command_count = COALESCE(VALUES(command_count), command_count),
+           failed_commands = COALESCE(VALUES(failed_commands), failed_commands)`
+      }
+    );
+
+    return rows.length;
+  }
+}
+
+/**
+ * Split a comma-separated queue_ids column into session.queue_ids arrays
+ * @param {Object[]} sessions - Rows from the smtp_sessions table
+ * @returns {Object[]} The same rows, with queue_ids as arrays
+ */
+function expandQueueIds(sessions) {
+  sessions.forEach(session => {
+    session.queue_ids = session.queue_ids ? session.queue_ids.split(',') : [];
+  });
+  return sessions;
+}
+
+module.exports = { SessionTracker, expandQueueIds };
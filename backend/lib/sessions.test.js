@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionTracker } = require('./sessions');
+
+const START = new Date('2026-03-02T10:00:00Z').getTime();
+
+/**
+ * postfix/smtpd line of process `processId`, `second` seconds after START
+ */
+function smtpd(second, content, processId = 100) {
+  return { logDate: new Date(START + second * 1000), hostname: 'mx1', processId, content };
+}
+
+/**
+ * Connection double returning `open` for the SELECT and recording the rest
+ */
+function createConnection(open = []) {
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params) {
+      statements.push({ sql: sql.replace(/\s+/g, ' ').trim(), params });
+      if (sql.trim().startsWith('SELECT')) return [open];
+      return [{ affectedRows: params.length / 13 }];
+    }
+  };
+}
+
+test('rebuilds a conversation from the lines of its smtpd process', () => {
+  const tracker = new SessionTracker();
+  [
+    smtpd(0, 'connect from mail.example.com[IPv6:2001:db8::25]'),
+    smtpd(1, 'connect from unknown[203.0.113.7]', 200),
+    smtpd(2, '4ABC123DEF: client=mail.example.com[IPv6:2001:db8::25], sasl_method=PLAIN, sasl_username=alice'),
+    smtpd(3, 'NOQUEUE: reject: RCPT from unknown[203.0.113.7]: 554 5.7.1 Relay access denied', 200),
+    smtpd(4, 'disconnect from mail.example.com[IPv6:2001:db8::25] ehlo=1 auth=1 mail=1 rcpt=1 data=1 quit=1 commands=6'),
+    smtpd(5, 'lost connection after RCPT from unknown[203.0.113.7]', 200),
+    smtpd(6, 'disconnect from unknown[203.0.113.7] ehlo=1 mail=1 rcpt=0/1 commands=2/3', 200),
+    smtpd(7, 'warning: hostname nowhere.example does not resolve', 300)
+  ].forEach(parsed => tracker.observe(parsed));
+
+  const [client, relay] = tracker.sessions;
+  assert.equal(tracker.sessions.length, 2);
+  assert.deepEqual(
+    [client.clientIp, client.queueIds, client.saslUsername, client.endReason, client.commandCount, client.failedCommands],
+    ['2001:db8::25', ['4ABC123DEF'], 'alice', 'disconnect', 6, 0]
+  );
+  assert.deepEqual(
+    [relay.clientHost, relay.rejectCount, relay.endReason, relay.commandCount, relay.failedCommands],
+    ['unknown', 1, 'lost connection after RCPT', 3, 1]
+  );
+  assert.equal(tracker.open.size, 0);
+});
+
+test('closes a session whose disconnect was never logged', () => {
+  const tracker = new SessionTracker();
+  tracker.observe(smtpd(0, 'connect from a.example.com[192.0.2.1]'));
+  tracker.observe(smtpd(60, 'connect from b.example.com[192.0.2.2]'));
+
+  assert.equal(tracker.sessions[0].endReason, 'unterminated');
+  assert.equal(tracker.sessions[0].disconnectedAt.getTime(), START + 60 * 1000);
+  assert.equal(tracker.open.get('mx1/100').clientIp, '192.0.2.2');
+});
+
+test('continues sessions left open by an earlier import and saves them in one upsert', async () => {
+  const connection = createConnection([{
+    hostname: 'mx1', process_id: 100, client_host: 'mail.example.com', client_ip: '192.0.2.1',
+    connected_at: new Date(START), queue_ids: '4ABC123DEF', sasl_username: null, reject_count: 2, end_reason: null
+  }]);
+  const lines = [
+    smtpd(10, '5DEF456ABC: client=mail.example.com[192.0.2.1]'),
+    smtpd(11, 'disconnect from mail.example.com[192.0.2.1] commands=5'),
+    smtpd(12, 'connect from other.example.com[192.0.2.9]', 101)
+  ];
+
+  const tracker = new SessionTracker();
+  await tracker.load(connection, lines);
+  assert.deepEqual(connection.statements[0].params, ['mx1', 100, 'mx1', 101]);
+  lines.forEach(parsed => tracker.observe(parsed));
+
+  assert.equal(await tracker.save(connection), 2);
+  assert.equal(connection.statements.length, 2);
+  const { sql, params } = connection.statements[1];
+  assert.match(sql, /^INSERT INTO smtp_sessions .* ON DUPLICATE KEY UPDATE .*reject_count = GREATEST\(reject_count, VALUES\(reject_count\)\)/);
+  assert.equal(params.length, 26);
+  assert.deepEqual(params.slice(0, 10), [
+    'mx1', 100, new Date(START), 'mail.example.com', '192.0.2.1', new Date(START + 11 * 1000), '4ABC123DEF,5DEF456ABC', null, 2, 'disconnect'
+  ]);
+  assert.deepEqual(params.slice(13, 16), ['mx1', 101, new Date(START + 12 * 1000)]);
+});
+
+test('saves nothing without sessions', async () => {
+  const connection = createConnection();
+  const tracker = new SessionTracker();
+  await tracker.load(connection, []);
+  assert.equal(await tracker.save(connection), 0);
+  assert.deepEqual(connection.statements, []);
+});
@@ -0,0 +1,327 @@
+const dgram = require('dgram');
+const net = require('net');
+
+/**
+ * Syslog receiver
+ *
+ * Accepts syslog messages over UDP and TCP so rsyslog (or any other sender)
+ * can forward mail logs straight to the backend instead of writing mail.log.
+ * Both wire formats are understood:
+ *   <22>1 2026-02-11T09:26:24.771+01:00 mx1 postfix/smtp 123 - - message   (RFC 5424)
+ *   <22>Feb 11 09:26:24 mx1 postfix/smtp[123]: message                      (RFC 3164)
+ * and turned into the mail.log line they would have produced, so they go
+ * through the same parsers as the file import.
+ *
+ * TCP frames are newline-terminated, or octet-counted ("LEN <22>...") as in
+ * RFC 6587; the framing is detected per frame. Received lines are buffered
+ * and handed to the batch handler when the batch is full or the flush
+ * interval expires. A batch that failed because the database is unreachable
+ * is kept and retried on every flush, with new messages buffered up to
+ * maxBuffer lines and dropped (and counted) beyond. Any other failure is
+ * retried maxAttempts times, then the batch is dropped so it cannot hold up
+ * the messages behind it.
+ */
+
+const SYSLOG_PATTERNS = {
+  // <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+  rfc5424: /^<(\d{1,3})>1 (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\]|\\.)*\])+)(?: (.*))?$/s,
+  // <PRI>rest of the line
+  rfc3164: /^<(\d{1,3})>(.*)$/s,
+  bsdTimestamp: /^[A-Z][a-z]{2}\s+\d{1,2} \d{2}:\d{2}:\d{2} /,
+  isoTimestamp: /^\d{4}-\d{2}-\d{2}T\S+ /,
+  // Timestamp directly followed by the tag: the sender left out its hostname
+  missingHostname: /^([A-Z][a-z]{2}\s+\d{1,2} \d{2}:\d{2}:\d{2}|\d{4}-\d{2}-\d{2}T\S+) ([^\s[]+\[\d+\]:)/,
+  octetCount: /^(\d{1,6}) /
+};
+
+// Longest frame accepted on a TCP connection
+const MAX_FRAME = 64 * 1024;
+
+// Errors of an unreachable database, retried until it is back
+const CONNECTION_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN',
+  'PROTOCOL_CONNECTION_LOST', 'ER_CON_COUNT_ERROR', 'ER_SERVER_SHUTDOWN'
+];
+
+/**
+ * Whether a batch failed because the database could not be reached
+ * @param {Error} error - Error thrown by the batch handler
+ * @returns {boolean} True for connection errors (mysql2 also flags them as fatal)
+ */
+function isConnectionError(error) {
+  return Boolean(error) && (error.fatal === true || CONNECTION_ERROR_CODES.includes(error.code));
+}
+
+/**
+ * Convert a syslog message into a mail.log line
+ * @param {string} message - Syslog message, starting with <PRI>
+ * @param {Object} origin - Where the message came from
+ * @param {string} origin.address - Sender address, used when the message has no hostname
+ * @param {Date} origin.receivedAt - Reception time, used when the message has no timestamp
+ * @returns {string|null} Log line, null if the message is not syslog
+ */
+function toLogLine(message, { address, receivedAt }) {
+  // A log line is a single line: fold the newlines of multi-line messages
+  const text = message.replace(/[\r\n\0]+$/, '').replace(/[\r\n]+/g, ' ');
+
+  const structured = text.match(SYSLOG_PATTERNS.rfc5424);
+  if (structured) {
+    const [, , timestamp, hostname, appName, procId, , , content = ''] = structured;
+    // The line format needs a numeric PID; Postfix always sends one
+    const pid = /^\d+$/.test(procId) ? procId : '0';
+    return [
+      timestamp === '-' ? receivedAt.toISOString() : timestamp,
+      hostname === '-' ? address : hostname,
+      `${appName === '-' ? 'syslog' : appName}[${pid}]:`,
+      content.replace(/^\uFEFF/, '')
+    ].join(' ');
+  }
+
+  const classic = text.match(SYSLOG_PATTERNS.rfc3164);
+  if (!classic) return null;
+
+  const body = classic[2];
+  if (!SYSLOG_PATTERNS.bsdTimestamp.test(body) && !SYSLOG_PATTERNS.isoTimestamp.test(body)) {
+    // "<22>postfix/smtp[123]: ..." as sent by some local loggers
+    return `${receivedAt.toISOString()} ${address} ${body}`;
+  }
+  return body.replace(SYSLOG_PATTERNS.missingHostname, `$1 ${address} $2`);
+}
+
+class SyslogReceiver {
+  /**
+   * @param {Function} onBatch - async (lines) => summary, stores a batch of log lines
+   * @param {Object} options - Options
+   * @param {string} options.host - Address to listen on (default: 0.0.0.0)
+   * @param {number} options.udpPort - UDP port, disabled if not set
+   * @param {number} options.tcpPort - TCP port, disabled if not set
+   * @param {number} options.batchLines - Lines that trigger a flush (default: 500)
+   * @param {number} options.flushInterval - Maximum milliseconds a line waits in the buffer (default: 1000)
+   * @param {number} options.maxBuffer - Lines kept while the database is unavailable (default: 50000)
+   * @param {number} options.maxAttempts - Attempts at a batch failing for another reason (default: 3)
+   */
+  constructor(onBatch, options = {}) {
+    this.onBatch = onBatch;
+    this.host = options.host || '0.0.0.0';
+    this.udpPort = options.udpPort || null;
+    this.tcpPort = options.tcpPort || null;
+    this.batchLines = options.batchLines || 500;
+    this.flushInterval = options.flushInterval || 1000;
+    this.maxBuffer = options.maxBuffer || 50000;
+    this.maxAttempts = options.maxAttempts || 3;
+
+    this.buffer = [];
+    // Batch that failed and is retried first: { lines, attempts }
+    this.failed = null;
+    this.flushing = null;
+    this.timer = null;
+    this.udpSocket = null;
+    this.tcpServer = null;
+    this.connections = new Set();
+
+    this.counters = {
+      messagesReceived: 0,
+      bytesReceived: 0,
+      invalidMessages: 0,
+      droppedMessages: 0,
+      batches: 0,
+      failedBatches: 0,
+      droppedBatches: 0,
+      logsInserted: 0,
+      emailsInserted: 0,
+      deliveriesInserted: 0,
+      rejectionsInserted: 0,
+      parseErrors: 0,
+      duplicatesSkipped: 0,
+      unparsedLines: 0
+    };
+    this.lastReceivedAt = null;
+    this.lastFlushAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Open the configured listeners
+   * @returns {Promise<void>} Resolves once every listener is bound
+   */
+  async start() {
+    if (this.udpPort) {
+      this.udpSocket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+      this.udpSocket.on('message', (message, remote) => {
+        this.receive(message.toString('utf8'), remote.address, message.length);
+      });
+      this.udpSocket.on('error', error => {
+        console.error(`[${new Date().toISOString()}] Syslog UDP error:`, error.message);
+      });
+      await new Promise((resolve, reject) => {
+        this.udpSocket.once('error', reject);
+        this.udpSocket.bind(this.udpPort, this.host, () => {
+          this.udpSocket.off('error', reject);
+          resolve();
+        });
+      });
+      console.log(`[${new Date().toISOString()}] Syslog receiver listening on udp://${this.host}:${this.udpPort}`);
+    }
+
+    if (this.tcpPort) {
+      this.tcpServer = net.createServer(socket => this.handleConnection(socket));
+      await new Promise((resolve, reject) => {
+        this.tcpServer.once('error', reject);
+        this.tcpServer.listen(this.tcpPort, this.host, () => {
+          this.tcpServer.off('error', reject);
+          resolve();
+        });
+      });
+      console.log(`[${new Date().toISOString()}] Syslog receiver listening on tcp://${this.host}:${this.tcpPort}`);
+    }
+
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+  }
+
+  /**
+   * Split a TCP stream into syslog frames
+   * @param {net.Socket} socket - Client connection
+   */
+  handleConnection(socket) {
+    const address = socket.remoteAddress.replace(/^::ffff:/, '');
+    let pending = Buffer.alloc(0);
+    this.connections.add(socket);
+
+    socket.on('data', chunk => {
+      pending = Buffer.concat([pending, chunk]);
+
+      while (pending.length > 0) {
+        // Octet counting: "LEN " followed by exactly LEN bytes
+        const counted = pending.subarray(0, 8).toString('latin1').match(SYSLOG_PATTERNS.octetCount);
+        if (counted) {
+          const length = parseInt(counted[1]);
+          const start = counted[0].length;
+          if (length > MAX_FRAME) {
+            this.counters.invalidMessages++;
+            socket.destroy();
+            return;
+          }
+          if (pending.length < start + length) break;
+          this.receive(pending.subarray(start, start + length).toString('utf8'), address, length);
+          pending = pending.subarray(start + length);
+          continue;
+        }
+
+        // Non-transparent framing: one message per line
+        const newline = pending.indexOf(0x0a);
+        if (newline === -1) {
+          if (pending.length > MAX_FRAME) {
+            this.counters.invalidMessages++;
+            pending = Buffer.alloc(0);
+          }
+          break;
+        }
+        if (newline > 0) {
+          this.receive(pending.subarray(0, newline).toString('utf8'), address, newline);
+        }
+        pending = pending.subarray(newline + 1);
+      }
+    });
+
+    socket.on('error', error => {
+      console.error(`[${new Date().toISOString()}] Syslog TCP connection error from ${address}:`, error.message);
+    });
+    socket.on('close', () => this.connections.delete(socket));
+  }
+
+  /**
+   * Buffer one syslog message
+   * @param {string} message - Raw message
+   * @param {string} address - Sender address
+   * @param {number} size - Message size in bytes
+   */
+  receive(message, address, size) {
+    const receivedAt = new Date();
+    this.counters.messagesReceived++;
+    this.counters.bytesReceived += size;
+    this.lastReceivedAt = receivedAt;
+
+    const line = toLogLine(message, { address, receivedAt });
+    if (line === null) {
+      this.counters.invalidMessages++;
+      return;
+    }
+    if (this.buffered() >= this.maxBuffer) {
+      this.counters.droppedMessages++;
+      return;
+    }
+
+    this.buffer.push(line);
+    if (this.buffer.length >= this.batchLines) this.flush();
+  }
+
+  /**
+   * Store the buffered lines, one batch at a time
+   * @returns {Promise<void>} Resolves when the buffer has been handed over
+   */
+  flush() {
+    if (this.flushing) return this.flushing;
+    if (this.buffered() === 0) return Promise.resolve();
+
+    this.flushing = (async () => {
+      while (this.buffered() > 0) {
+        const { lines, attempts } = this.failed || { lines: this.buffer.splice(0, this.batchLines), attempts: 0 };
+        this.failed = null;
+        try {
+          const summary = await this.onBatch(lines);
+          Object.keys(summary || {}).forEach(key => {
+            if (typeof summary[key] === 'number' && key in this.counters) {
+              this.counters[key] += summary[key];
+            }
+          });
+          this.counters.batches++;
+          this.lastFlushAt = new Date();
+        } catch (error) {
+          this.counters.failedBatches++;
+          this.lastError = error.message;
+          console.error(`[${new Date().toISOString()}] Error storing syslog batch:`, error.message);
+
+          if (isConnectionError(error) || attempts + 1 < this.maxAttempts) {
+            // Retried on the next flush (the database may be restarting)
+            this.failed = { lines, attempts: isConnectionError(error) ? attempts : attempts + 1 };
+            break;
+          }
+          this.counters.droppedBatches++;
+          this.counters.droppedMessages += lines.length;
+          console.error(`[${new Date().toISOString()}] Dropped a syslog batch of ${lines.length} lines after ${this.maxAttempts} attempts`);
+        }
+      }
+    })().finally(() => {
+      this.flushing = null;
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * Lines waiting to be stored
+   * @returns {number} Buffered lines, including a batch being retried
+   */
+  buffered() {
+    return this.buffer.length + (this.failed ? this.failed.lines.length : 0);
+  }
+
+  /**
+   * Receiver state and ingest counters
+   * @returns {Object} Stats
+   */
+  stats() {
+    return {
+      udpPort: this.udpPort,
+      tcpPort: this.tcpPort,
+      tcpConnections: this.connections.size,
+      buffered: this.buffered(),
+      ...this.counters,
+      lastReceivedAt: this.lastReceivedAt,
+      lastFlushAt: this.lastFlushAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = { SyslogReceiver, toLogLine };
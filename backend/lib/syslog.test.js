@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { SyslogReceiver, toLogLine } = require('./syslog');
+const { parseLogLine } = require('./parsers');
+
+const ORIGIN = { address: '192.0.2.7', receivedAt: new Date('2026-02-11T08:30:00Z') };
+
+/**
+ * Message of a mail log line as rsyslog forwards it
+ */
+function message(number, text = `4ABC123DEF: line ${number}`) {
+  return `<22>Feb 11 09:26:24 mx1 postfix/smtp[${number}]: ${text}`;
+}
+
+/**
+ * TCP connection double fed to the receiver
+ */
+function connect(receiver) {
+  const socket = new EventEmitter();
+  socket.remoteAddress = '::ffff:192.0.2.7';
+  socket.destroyed = false;
+  socket.destroy = () => {
+    socket.destroyed = true;
+  };
+  receiver.handleConnection(socket);
+  return socket;
+}
+
+/**
+ * Error as mysql2 reports an unreachable server
+ */
+function connectionError() {
+  return Object.assign(new Error('connect ECONNREFUSED 172.18.0.2:3306'), { code: 'ECONNREFUSED', fatal: true });
+}
+
+test('turns RFC 5424 messages into log lines', () => {
+  assert.equal(
+    toLogLine('<22>1 2026-02-11T09:26:24.771+01:00 mx1 postfix/smtp 123 - - 4ABC123DEF: removed\n', ORIGIN),
+    '2026-02-11T09:26:24.771+01:00 mx1 postfix/smtp[123]: 4ABC123DEF: removed'
+  );
+  // Nil values come from the connection, structured data is left out
+  assert.equal(
+    toLogLine('<22>1 - - postfix/qmgr - ID47 [origin ip="192.0.2.7"][meta x="a\\]b"] \uFEFF4ABC123DEF: removed', ORIGIN),
+    '2026-02-11T08:30:00.000Z 192.0.2.7 postfix/qmgr[0]: 4ABC123DEF: removed'
+  );
+  assert.equal(toLogLine('<22>1 - mx1 - 1 - -', ORIGIN), '2026-02-11T08:30:00.000Z mx1 syslog[1]: ');
+});
+
+test('turns RFC 3164 messages into log lines, filling in what the sender left out', () => {
+  assert.equal(toLogLine(message(123), ORIGIN), 'Feb 11 09:26:24 mx1 postfix/smtp[123]: 4ABC123DEF: line 123');
+  assert.equal(
+    toLogLine('<22>Feb 11 09:26:24 postfix/smtp[123]: 4ABC123DEF: removed', ORIGIN),
+    'Feb 11 09:26:24 192.0.2.7 postfix/smtp[123]: 4ABC123DEF: removed'
+  );
+  assert.equal(
+    toLogLine('<22>postfix/smtp[123]: 4ABC123DEF: removed', ORIGIN),
+    '2026-02-11T08:30:00.000Z 192.0.2.7 postfix/smtp[123]: 4ABC123DEF: removed'
+  );
+  assert.equal(
+    toLogLine('<22>Feb 11 09:26:24 mx1 postfix/smtp[123]: first\r\nsecond\n\0', ORIGIN),
+    'Feb 11 09:26:24 mx1 postfix/smtp[123]: first second'
+  );
+  assert.equal(toLogLine('Feb 11 09:26:24 mx1 postfix/smtp[123]: no priority', ORIGIN), null);
+});
+
+test('produces lines the file import parses', () => {
+  const parsed = parseLogLine(toLogLine('<22>1 2026-02-11T09:26:24Z mx1 postfix/smtp 123 - - 4ABC123DEF: removed', ORIGIN));
+  assert.deepEqual(
+    [parsed.logDate.toISOString(), parsed.hostname, parsed.service, parsed.processId, parsed.content],
+    ['2026-02-11T09:26:24.000Z', 'mx1', 'postfix/smtp', 123, '4ABC123DEF: removed']
+  );
+});
+
+test('reads octet-counted and newline-terminated frames split across packets', () => {
+  const receiver = new SyslogReceiver(async () => ({}), { batchLines: 100 });
+  const socket = connect(receiver);
+
+  // Byte length, not string length: the counted frame holds a two-byte character
+  const counted = message(1, '4ABC123DEF: to=<josé@example.com>');
+  const stream = `${Buffer.byteLength(counted)} ${counted}${Buffer.byteLength(message(2))} ${message(2)}${message(3)}\n\n${message(4)}\n`;
+  const bytes = Buffer.from(stream);
+  const cuts = [0, 5, 40, 120, bytes.length];
+  for (let index = 1; index < cuts.length; index++) {
+    socket.emit('data', bytes.subarray(cuts[index - 1], cuts[index]));
+  }
+
+  assert.deepEqual(receiver.buffer, [
+    'Feb 11 09:26:24 mx1 postfix/smtp[1]: 4ABC123DEF: to=<josé@example.com>',
+    'Feb 11 09:26:24 mx1 postfix/smtp[2]: 4ABC123DEF: line 2',
+    'Feb 11 09:26:24 mx1 postfix/smtp[3]: 4ABC123DEF: line 3',
+    'Feb 11 09:26:24 mx1 postfix/smtp[4]: 4ABC123DEF: line 4'
+  ]);
+  assert.equal(receiver.counters.messagesReceived, 4);
+  assert.equal(receiver.counters.bytesReceived, Buffer.byteLength(counted) + 3 * Buffer.byteLength(message(2)));
+  assert.equal(socket.destroyed, false);
+});
+
+test('closes a connection announcing an oversized frame', () => {
+  const receiver = new SyslogReceiver(async () => ({}));
+  const socket = connect(receiver);
+
+  socket.emit('data', Buffer.from(`999999 ${message(1)}`));
+  assert.equal(socket.destroyed, true);
+  assert.equal(receiver.counters.invalidMessages, 1);
+  assert.deepEqual(receiver.buffer, []);
+});
+
+test('hands full batches to the handler and adds up their summaries', async () => {
+  const batches = [];
+  const receiver = new SyslogReceiver(async lines => {
+    batches.push(lines);
+    return { logsInserted: lines.length, emailsInserted: 1, unknownCounter: 5 };
+  }, { batchLines: 2 });
+
+  receiver.receive(message(1), '192.0.2.7', 10);
+  assert.equal(batches.length, 0);
+  receiver.receive(message(2), '192.0.2.7', 10);
+  receiver.receive('not syslog', '192.0.2.7', 10);
+  receiver.receive(message(3), '192.0.2.7', 10);
+  await receiver.flush();
+
+  assert.deepEqual(batches.map(lines => lines.length), [2, 1]);
+  assert.equal(receiver.counters.batches, 2);
+  assert.equal(receiver.counters.logsInserted, 3);
+  assert.equal(receiver.counters.emailsInserted, 2);
+  assert.equal(receiver.counters.invalidMessages, 1);
+  assert.equal('unknownCounter' in receiver.counters, false);
+});
+
+test('keeps a batch while the database is unreachable, dropping new messages past maxBuffer', async t => {
+  t.mock.method(console, 'error', () => {});
+  let reachable = false;
+  const stored = [];
+  const receiver = new SyslogReceiver(async lines => {
+    if (!reachable) throw connectionError();
+    stored.push(...lines);
+    return {};
+  }, { batchLines: 2, maxBuffer: 4, maxAttempts: 2 });
+
+  for (let number = 1; number <= 6; number++) {
+    receiver.receive(message(number), '192.0.2.7', 10);
+    await receiver.flush();
+  }
+  assert.equal(receiver.stats().buffered, 4);
+  assert.equal(receiver.counters.droppedMessages, 2);
+  assert.equal(receiver.counters.droppedBatches, 0);
+  assert.ok(receiver.counters.failedBatches > 2);
+
+  reachable = true;
+  await receiver.flush();
+  assert.deepEqual(stored, [1, 2, 3, 4].map(number => toLogLine(message(number), ORIGIN)));
+  assert.equal(receiver.stats().buffered, 0);
+});
+
+test('drops a batch that keeps failing for another reason, so later ones get through', async t => {
+  t.mock.method(console, 'error', () => {});
+  const stored = [];
+  const receiver = new SyslogReceiver(async lines => {
+    if (lines.some(line => line.includes('poison'))) throw new Error('Incorrect string value');
+    stored.push(...lines);
+    return {};
+  }, { batchLines: 2, maxAttempts: 3 });
+
+  receiver.receive(message(1, 'poison'), '192.0.2.7', 10);
+  receiver.receive(message(2), '192.0.2.7', 10);
+  await receiver.flush();
+  receiver.receive(message(3), '192.0.2.7', 10);
+  await receiver.flush();
+  assert.deepEqual(stored, []);
+  assert.equal(receiver.stats().buffered, 3);
+
+  await receiver.flush();
+  assert.equal(receiver.counters.failedBatches, 3);
+  assert.equal(receiver.counters.droppedBatches, 1);
+  assert.equal(receiver.counters.droppedMessages, 2);
+  assert.deepEqual(stored, [toLogLine(message(3), ORIGIN)]);
+  assert.equal(receiver.lastError, 'Incorrect string value');
+});
@@ -0,0 +1,271 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { createFormat } = require('./formats');
+
+/**
+ * Byte-offset log tailer
+ *
+ * Reads a log file incrementally from a saved checkpoint without ever
+ * modifying it. A checkpoint is { inode, offset, headHash }:
+ * - inode: identifies the file we were reading, so a logrotate-style rename
+ *   can be detected and the rotated file drained before the new one
+ * - offset: byte position right after the last complete line consumed
+ * - headHash: SHA-1 of the first bytes of the file, so a copytruncate that
+ *   has already grown past the old offset is still recognised
+ *
+ * After a copytruncate the lines written between the checkpoint and the
+ * truncate only exist in the copy (mail.log.1, same head, another inode):
+ * the copy is drained from the checkpoint offset before the truncated file
+ * is read from its start.
+ *
+ * Lines are yielded in batches, each carrying the checkpoint to persist once
+ * the batch has been stored. A trailing line without newline is left for the
+ * next run, since Postfix may still be writing it. Sources in another format
+ * (see formats.js) are split into entries instead and yielded as log lines;
+ * checkpoints always fall between two entries.
+ */
+
+// Bytes hashed to fingerprint the beginning of a file
+const HEAD_BYTES = 1024;
+// Bytes read from disk per system call
+const READ_SIZE = 64 * 1024;
+
+/**
+ * stat() that returns null instead of throwing when the file is missing
+ * @param {string} filePath - File path
+ * @returns {Promise<fs.Stats|null>} File stats or null
+ */
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Hash the first bytes of an open file
+ * @param {fs.FileHandle} handle - Open file handle
+ * @param {number} length - Number of bytes to hash
+ * @returns {Promise<string>} Hex SHA-1 digest
+ */
+async function hashHead(handle, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, 0);
+  return crypto.createHash('sha1').update(buffer.subarray(0, bytesRead)).digest('hex');
+}
+
+class LogTailer {
+  /**
+   * @param {string} filePath - Path of the live log file
+   * @param {Object} options - Options
+   * @param {number} options.batchLines - Maximum lines per yielded batch (default: 1000)
+   * @param {Object} options.format - Source format from createFormat() (default: syslog)
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.batchLines = options.batchLines || 1000;
+    this.format = options.format || createFormat();
+    this.warnings = [];
+    // Rotated files drained to their end during this run
+    this.rotatedFiles = [];
+  }
+
+  /**
+   * Find the file a logrotate rename moved our inode to (mail.log.1, ...)
+   * @param {number} inode - Inode of the file previously tailed
+   * @returns {Promise<string|null>} Path of the rotated file or null
+   */
+  async findRotated(inode) {
+    const dir = path.dirname(this.filePath);
+    const base = path.basename(this.filePath);
+
+    let entries;
+    try {
+      entries = await fs.readdir(dir);
+    } catch (error) {
+      return null;
+    }
+
+    for (const name of entries) {
+      if (name === base || !name.startsWith(base)) continue;
+      const stat = await statOrNull(path.join(dir, name));
+      if (stat && stat.isFile() && stat.ino === inode) {
+        return path.join(dir, name);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the copy a copytruncate left of the file we were reading: a sibling
+   * at least as long as the checkpoint offset, starting with the same bytes
+   * @param {Object} checkpoint - Saved checkpoint
+   * @param {number} inode - Inode of the truncated live file
+   * @returns {Promise<{path: string, inode: number}|null>} The copy or null
+   */
+  async findCopy(checkpoint, inode) {
+    const dir = path.dirname(this.filePath);
+    const base = path.basename(this.filePath);
+    const length = Math.min(HEAD_BYTES, checkpoint.offset);
+    if (!checkpoint.headHash || length === 0) return null;
+
+    let entries;
+    try {
+      entries = await fs.readdir(dir);
+    } catch (error) {
+      return null;
+    }
+
+    for (const name of entries.sort()) {
+      if (name === base || !name.startsWith(base)) continue;
+      const filePath = path.join(dir, name);
+      const stat = await statOrNull(filePath);
+      if (!stat || !stat.isFile() || stat.ino === inode || stat.size < checkpoint.offset) continue;
+
+      const handle = await fs.open(filePath, 'r');
+      try {
+        if (await hashHead(handle, length) === checkpoint.headHash) {
+          return { path: filePath, inode: stat.ino };
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decide where to resume reading a file that still has the checkpoint inode
+   * @param {string} filePath - File to resume
+   * @param {fs.Stats} stat - Current stats of the file
+   * @param {Object} checkpoint - Saved checkpoint
+   * @returns {Promise<number>} Byte offset to resume from
+   */
+  async resumeOffset(filePath, stat, checkpoint) {
+    const offset = checkpoint.offset || 0;
+
+    if (stat.size < offset) {
+      this.warnings.push(`${filePath} shrank below checkpoint (${stat.size} < ${offset}), assuming copytruncate`);
+      return 0;
+    }
+
+    const length = Math.min(HEAD_BYTES, offset);
+    if (checkpoint.headHash && length > 0) {
+      const handle = await fs.open(filePath, 'r');
+      try {
+        if (await hashHead(handle, length) !== checkpoint.headHash) {
+          this.warnings.push(`${filePath} content changed before checkpoint, assuming copytruncate`);
+          return 0;
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+
+    return offset;
+  }
+
+  /**
+   * Yield batches of complete lines from a checkpoint onwards, following
+   * rotations. Persist each batch's checkpoint only after storing its lines.
+   * @param {Object|null} checkpoint - Last persisted checkpoint
+   * @returns {AsyncGenerator<{file: string, lines: string[], checkpoint: Object}>}
+   */
+  async *batches(checkpoint) {
+    const current = await statOrNull(this.filePath);
+    let offset = 0;
+
+    if (checkpoint && checkpoint.inode) {
+      if (current && current.ino === checkpoint.inode) {
+        offset = await this.resumeOffset(this.filePath, current, checkpoint);
+        if (offset < (checkpoint.offset || 0)) {
+          // Truncated: the unread tail went to the copy, finish it first
+          const copy = await this.findCopy(checkpoint, current.ino);
+          if (copy) {
+            yield* this.readFrom(copy.path, copy.inode, checkpoint.offset);
+            this.rotatedFiles.push(copy.path);
+          } else {
+            this.warnings.push(`Copy of truncated ${this.filePath} not found, lines written before the truncate are lost`);
+          }
+        }
+      } else {
+        // The file we were reading has been renamed away: finish it first
+        const rotated = await this.findRotated(checkpoint.inode);
+        if (rotated) {
+          const stat = await fs.stat(rotated);
+          const start = await this.resumeOffset(rotated, stat, checkpoint);
+          yield* this.readFrom(rotated, stat.ino, start);
+          this.rotatedFiles.push(rotated);
+        } else {
+          this.warnings.push(`Rotated file with inode ${checkpoint.inode} not found, its unread tail is lost`);
+        }
+      }
+    }
+
+    if (current) {
+      yield* this.readFrom(this.filePath, current.ino, offset);
+    }
+  }
+
+  /**
+   * Read complete lines from a byte offset up to the current end of file
+   * @param {string} filePath - File to read
+   * @param {number} inode - Inode of the file
+   * @param {number} start - Byte offset to start from
+   * @returns {AsyncGenerator<{file: string, lines: string[], checkpoint: Object}>}
+   */
+  async *readFrom(filePath, inode, start) {
+    const handle = await fs.open(filePath, 'r');
+    const buffer = Buffer.alloc(READ_SIZE);
+
+    const makeBatch = async (lines, offset) => ({
+      file: filePath,
+      lines,
+      checkpoint: {
+        inode,
+        offset,
+        headHash: await hashHead(handle, Math.min(HEAD_BYTES, offset))
+      }
+    });
+
+    try {
+      let position = start;
+      let pending = Buffer.alloc(0);
+      let lines = [];
+
+      while (true) {
+        const { bytesRead } = await handle.read(buffer, 0, READ_SIZE, position);
+        if (bytesRead === 0) break;
+        position += bytesRead;
+
+        const chunk = Buffer.concat([pending, buffer.subarray(0, bytesRead)]);
+        let lineStart = 0;
+        let entry;
+
+        while ((entry = this.format.split(chunk, lineStart)) !== null) {
+          const line = this.format.decode(chunk.subarray(lineStart, entry.end));
+          if (line !== null) lines.push(line);
+          lineStart = entry.next;
+
+          if (lines.length >= this.batchLines) {
+            yield await makeBatch(lines, position - (chunk.length - lineStart));
+            lines = [];
+          }
+        }
+
+        pending = chunk.subarray(lineStart);
+      }
+
+      if (lines.length > 0) {
+        yield await makeBatch(lines, position - pending.length);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = { LogTailer, HEAD_BYTES };
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { LogTailer } = require('./tailer');
+
+/**
+ * Temporary directory with a mail.log, removed after the test
+ */
+async function createLogDir(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tailer-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return path.join(dir, 'mail.log');
+}
+
+function logLines(from, to) {
+  const lines = [];
+  for (let number = from; number <= to; number++) {
+    lines.push(`Mar  2 10:00:${String(number % 60).padStart(2, '0')} mx1 postfix/smtp[${number}]: line ${number}`);
+  }
+  return lines;
+}
+
+/**
+ * Read every batch of a run
+ * @returns {Promise<{lines: string[], batches: number, checkpoint: Object, tailer: LogTailer}>}
+ */
+async function tail(logFile, checkpoint, options = {}) {
+  const tailer = new LogTailer(logFile, options);
+  const lines = [];
+  let batches = 0;
+  let last = checkpoint;
+  for await (const batch of tailer.batches(checkpoint)) {
+    lines.push(...batch.lines);
+    batches++;
+    last = batch.checkpoint;
+  }
+  return { lines, batches, checkpoint: last, tailer };
+}
+
+test('reads complete lines in batches and leaves a partial line for the next run', async t => {
+  const logFile = await createLogDir(t);
+  await fs.writeFile(logFile, `${logLines(1, 5).join('\n')}\nMar  2 10:00:06 mx1 postfix/smtp[6]: partial`);
+
+  const first = await tail(logFile, null, { batchLines: 2 });
+  assert.deepEqual(first.lines, logLines(1, 5));
+  assert.equal(first.batches, 3);
+  assert.equal(first.checkpoint.offset, Buffer.byteLength(`${logLines(1, 5).join('\n')}\n`));
+
+  await fs.appendFile(logFile, ' line 6\n');
+  const second = await tail(logFile, first.checkpoint);
+  assert.deepEqual(second.lines, ['Mar  2 10:00:06 mx1 postfix/smtp[6]: partial line 6']);
+});
+
+test('resumes at the checkpoint and reads nothing when the file has not grown', async t => {
+  const logFile = await createLogDir(t);
+  await fs.writeFile(logFile, `${logLines(1, 3).join('\n')}\n`);
+  const first = await tail(logFile, null);
+
+  const unchanged = await tail(logFile, first.checkpoint);
+  assert.equal(unchanged.batches, 0);
+
+  await fs.appendFile(logFile, `${logLines(4, 5).join('\n')}\n`);
+  const grown = await tail(logFile, first.checkpoint);
+  assert.deepEqual(grown.lines, logLines(4, 5));
+});
+
+test('drains the renamed file before reading the new one', async t => {
+  const logFile = await createLogDir(t);
+  await fs.writeFile(logFile, `${logLines(1, 3).join('\n')}\n`);
+  const first = await tail(logFile, null);
+
+  // Postfix wrote more before logrotate renamed the file
+  await fs.appendFile(logFile, `${logLines(4, 5).join('\n')}\n`);
+  await fs.rename(logFile, `${logFile}.1`);
+  await fs.writeFile(logFile, `${logLines(6, 7).join('\n')}\n`);
+
+  const second = await tail(logFile, first.checkpoint);
+  assert.deepEqual(second.lines, logLines(4, 7));
+  assert.deepEqual(second.tailer.rotatedFiles, [`${logFile}.1`]);
+  assert.equal(second.checkpoint.inode, (await fs.stat(logFile)).ino);
+  assert.deepEqual(second.tailer.warnings, []);
+});
+
+test('drains the copy of a copytruncate before reading the truncated file', async t => {
+  const logFile = await createLogDir(t);
+  await fs.writeFile(logFile, `${logLines(1, 3).join('\n')}\n`);
+  const first = await tail(logFile, null);
+
+  // logrotate copies mail.log to mail.log.1, Postfix writes on, then the truncate
+  await fs.appendFile(logFile, `${logLines(4, 5).join('\n')}\n`);
+  await fs.copyFile(logFile, `${logFile}.1`);
+  await fs.writeFile(`${logFile}.2`, `${logLines(90, 99).join('\n')}\n`);
+  await fs.truncate(logFile, 0);
+  await fs.appendFile(logFile, `${logLines(6, 7).join('\n')}\n`);
+
+  const second = await tail(logFile, first.checkpoint);
+  assert.deepEqual(second.lines, logLines(4, 7));
+  assert.deepEqual(second.tailer.rotatedFiles, [`${logFile}.1`]);
+  assert.equal(second.checkpoint.inode, first.checkpoint.inode);
+  assert.equal(second.checkpoint.offset, Buffer.byteLength(`${logLines(6, 7).join('\n')}\n`));
+});
+
+test('resumes the copy when an import stopped while draining it', async t => {
+  const logFile = await createLogDir(t);
+  await fs.writeFile(logFile, `${logLines(1, 2).join('\n')}\n`);
+  const first = await tail(logFile, null);
+
+  await fs.appendFile(logFile, `${logLines(3, 6).join('\n')}\n`);
+  await fs.copyFile(logFile, `${logFile}.1`);
+  await fs.truncate(logFile, 0);
+  await fs.appendFile(logFile, `${logLines(7, 7).join('\n')}\n`);
+
+  // Only the first batch of the copy was stored
+  const tailer = new LogTailer(logFile, { batchLines: 2 });
+  const { value: stored } = await tailer.batches(first.checkpoint).next();
+  assert.deepEqual(stored.lines, logLines(3, 4));
+
+  const second = await tail(logFile, stored.checkpoint);
+  assert.deepEqual(second.lines, logLines(5, 7));
+});
+
+test('starts over after copytruncate, even once the file has grown past the checkpoint', async t => {
+  const logFile = await createLogDir(t);
+  await fs.writeFile(logFile, `${logLines(1, 3).join('\n')}\n`);
+  const first = await tail(logFile, null);
+
+  await fs.truncate(logFile, 0);
+  await fs.appendFile(logFile, `${logLines(10, 10).join('\n')}\n`);
+  const shrunk = await tail(logFile, first.checkpoint);
+  assert.deepEqual(shrunk.lines, logLines(10, 10));
+  assert.match(shrunk.tailer.warnings[0], /shrank below checkpoint/);
+  assert.match(shrunk.tailer.warnings[1], /not found, lines written before the truncate are lost/);
+
+  await fs.truncate(logFile, 0);
+  await fs.appendFile(logFile, `${logLines(20, 29).join('\n')}\n`);
+  const grown = await tail(logFile, shrunk.checkpoint);
+  assert.deepEqual(grown.lines, logLines(20, 29));
+  assert.match(grown.tailer.warnings[0], /content changed before checkpoint/);
+});
+
+test('warns when the rotated file is gone and reads the new one from the start', async t => {
+  const logFile = await createLogDir(t);
+  await fs.writeFile(logFile, `${logLines(1, 3).join('\n')}\n`);
+  const first = await tail(logFile, null);
+
+  // Created before the old file is deleted, so it cannot reuse its inode
+  await fs.writeFile(`${logFile}.new`, `${logLines(4, 4).join('\n')}\n`);
+  await fs.rm(logFile);
+  await fs.rename(`${logFile}.new`, logFile);
+  const second = await tail(logFile, first.checkpoint);
+  assert.deepEqual(second.lines, logLines(4, 4));
+  assert.match(second.tailer.warnings[0], /not found, its unread tail is lost/);
+});
+
+test('reads nothing when the log file does not exist', async t => {
+  const logFile = await createLogDir(t);
+  const result = await tail(logFile, null);
+  assert.equal(result.batches, 0);
+});
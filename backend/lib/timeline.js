@@ -0,0 +1,58 @@
+const { attachDeliveries } = require('./deliveries');
+const { attachLinkedMessages, attachBounces } = require('./lifecycle');
+
+/**
+ * Message timeline
+ *
+ * Everything known about one queue ID: the message with its deliveries,
+ * linked messages and bounce, and every raw log line of it in chronological
+ * order (smtpd -> cleanup -> qmgr -> smtp/lmtp/... -> removed). smtpd logs
+ * connect, disconnect and rejects without the queue ID, so the lines of the
+ * sessions that received the message are added by process and time range.
+ */
+
+/**
+ * Raw log lines of a message, including those of its smtpd sessions
+ * @param {Object} connection - Database connection
+ * @param {Object} email - Row from the emails table
+ * @returns {Promise<Object[]>} Rows from the logs table, oldest first
+ */
+async function fetchTimeline(connection, email) {
+  const [sessions] = await connection.query(
+    'SELECT hostname, process_id, connected_at, disconnected_at FROM smtp_sessions WHERE FIND_IN_SET(?, queue_ids)',
+    [email.message_id]
+  );
+
+  // Lines carrying the queue ID, plus the session lines that carry none
+  let query = 'SELECT * FROM logs WHERE message_id = ?';
+  const params = [email.message_id];
+  for (const session of sessions) {
+    query += ` UNION SELECT * FROM logs
+      WHERE hostname = ? AND service = 'postfix/smtpd' AND process_id = ? AND message_id IS NULL
+        AND log_date >= ? AND log_date <= COALESCE(?, ?)`;
+    params.push(session.hostname, session.process_id, session.connected_at,
+      session.disconnected_at, email.last_seen || email.log_date);
+  }
+
+  const [timeline] = await connection.query(`${query} ORDER BY log_date, id`, params);
+  return timeline;
+}
+
+/**
+ * Load a message with its deliveries, linked messages, bounce and timeline
+ * @param {Object} connection - Database connection
+ * @param {string} messageId - Postfix queue ID
+ * @returns {Promise<Object|null>} The message, null if the queue ID is unknown
+ */
+async function fetchMessage(connection, messageId) {
+  const [[email]] = await connection.query('SELECT * FROM emails WHERE message_id = ?', [messageId]);
+  if (!email) return null;
+
+  await attachDeliveries(connection, [email]);
+  await attachLinkedMessages(connection, [email]);
+  await attachBounces(connection, [email]);
+  email.timeline = await fetchTimeline(connection, email);
+  return email;
+}
+
+module.exports = { fetchTimeline, fetchMessage };
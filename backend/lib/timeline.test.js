@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchMessage } = require('./timeline');
+
+const at = minute => new Date(Date.UTC(2026, 2, 2, 10, minute));
+
+// A message to two recipients: one delivered, one bounced, with the bounce notification
+const EMAILS = [
+  {
+    message_id: '4ABC123DEF', message_id_header: '20260302.abc@example.com', sender: 'alice@example.com',
+    status: 'partial', recipient_count: 2, bounce_queue_id: '5DEF456ABC', log_date: at(0), last_seen: at(3)
+  },
+  { message_id: '7AAA000BBB', message_id_header: '20260302.abc@example.com', log_date: at(0) },
+  {
+    message_id: '5DEF456ABC', notification_type: 'non-delivery', recipient: 'alice@example.com', status: 'sent',
+    queue_state: 'finished', finished_at: at(4), bounce_of: '4ABC123DEF'
+  }
+];
+
+const DELIVERIES = [
+  { message_id: '4ABC123DEF', log_date: at(1), recipient: 'bob@example.org', status: 'sent', dsn_code: '2.0.0' },
+  { message_id: '4ABC123DEF', log_date: at(2), recipient: 'carol@example.net', status: 'bounced', dsn_code: '5.1.1' },
+  { message_id: '5DEF456ABC', log_date: at(4), recipient: 'alice@example.com', status: 'sent', dsn_code: '2.0.0' }
+];
+
+const SESSION = { hostname: 'mx1', process_id: 100, connected_at: at(0), disconnected_at: null };
+
+/**
+ * Connection double answering from the rows above, recording each statement
+ */
+function createConnection({ failOn = null } = {}) {
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params) {
+      const statement = sql.replace(/\s+/g, ' ').trim();
+      statements.push({ sql: statement, params });
+      if (failOn && failOn.test(statement)) throw new Error('Lost connection to MySQL server during query');
+
+      if (statement.startsWith('SELECT * FROM emails WHERE message_id = ?')) {
+        return [EMAILS.filter(email => email.message_id === params[0]).map(email => ({ ...email }))];
+      }
+      if (statement.includes('FROM emails WHERE message_id_header IN')) {
+        return [EMAILS.filter(email => params.includes(email.message_id_header))];
+      }
+      if (statement.includes('FROM emails WHERE message_id IN')) {
+        return [EMAILS.filter(email => params.includes(email.message_id)).map(email => ({ ...email }))];
+      }
+      if (statement.includes('FROM deliveries')) {
+        return [DELIVERIES.filter(delivery => params.includes(delivery.message_id))];
+      }
+      if (statement.includes('FROM smtp_sessions')) return [[SESSION]];
+      if (statement.startsWith('SELECT * FROM logs')) {
+        return [[
+          { id: 1, log_date: at(0), service: 'postfix/smtpd', message_id: null, content: 'connect from mail.example.com[192.0.2.1]' },
+          { id: 2, log_date: at(0), service: 'postfix/smtpd', message_id: '4ABC123DEF', content: '4ABC123DEF: client=mail.example.com[192.0.2.1]' },
+          { id: 5, log_date: at(3), service: 'postfix/qmgr', message_id: '4ABC123DEF', content: '4ABC123DEF: removed' }
+        ]];
+      }
+      return [[]];
+    }
+  };
+}
+
+test('loads a message to several recipients with each delivery and its bounce', async () => {
+  const connection = createConnection();
+  const email = await fetchMessage(connection, '4ABC123DEF');
+
+  assert.equal(email.status, 'partial');
+  assert.deepEqual(
+    email.deliveries.map(delivery => [delivery.recipient, delivery.status]),
+    [['bob@example.org', 'sent'], ['carol@example.net', 'bounced']]
+  );
+  assert.deepEqual(email.linked_queue_ids, ['7AAA000BBB']);
+
+  assert.equal(email.bounce.message_id, '5DEF456ABC');
+  assert.equal(email.bounce.notification_type, 'non-delivery');
+  assert.deepEqual(email.bounce.deliveries.map(delivery => delivery.recipient), ['alice@example.com']);
+});
+
+test('the timeline adds the lines of the receiving smtpd session', async () => {
+  const connection = createConnection();
+  const email = await fetchMessage(connection, '4ABC123DEF');
+  assert.deepEqual(email.timeline.map(line => line.id), [1, 2, 5]);
+
+  const logs = connection.statements.find(statement => statement.sql.startsWith('SELECT * FROM logs'));
+  assert.match(logs.sql, /^SELECT \* FROM logs WHERE message_id = \? UNION SELECT \* FROM logs WHERE hostname = \? .* ORDER BY log_date, id$/);
+  // An open session ends, at the latest, when the message was last seen
+  assert.deepEqual(logs.params, ['4ABC123DEF', 'mx1', 100, at(0), null, at(3)]);
+});
+
+test('the notification shows the message it bounces', async () => {
+  const email = await fetchMessage(createConnection(), '5DEF456ABC');
+  assert.equal(email.bounce_of, '4ABC123DEF');
+  assert.equal(email.bounce, null);
+  assert.deepEqual(email.deliveries.map(delivery => delivery.status), ['sent']);
+});
+
+test('an unknown queue ID is null and a failing query rejects', async () => {
+  assert.equal(await fetchMessage(createConnection(), 'FFFFFFFFFF'), null);
+  await assert.rejects(fetchMessage(createConnection({ failOn: /FROM smtp_sessions/ }), '4ABC123DEF'), /Lost connection/);
+});
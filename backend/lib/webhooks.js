@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const { attachDeliveries } = require('./deliveries');
+const { attachLinkedMessages, attachBounces } = require('./lifecycle');
+const { sendWebhook } = require('./notify');
+const { insertRows } = require('./bulk');
+
+/**
+ * Outbound webhooks
+ *
+ * Subscriptions in the webhooks table receive an event whenever the import
+ * pipeline changes the status of a message (email.sent, email.deferred,
+ * email.bounced, ...), optionally filtered by status, sender and recipient
+ * domain and DSN class. Events are queued in webhook_deliveries in the same
+ * transaction as the import batch, so none is lost if the backend stops,
+ * and sent by WebhookDispatcher, which retries failures with exponential
+ * backoff. The queue doubles as the delivery log.
+ *
+ * Each request is signed: X-Webhook-Signature is "t=<unix time>,v1=<hex>",
+ * the HMAC-SHA256 with the subscription secret of "<unix time>.<body>".
+ */
+
+const WEBHOOK_STATUSES = ['sent', 'partial', 'deferred', 'bounced', 'expired'];
+const DSN_CLASSES = ['2', '4', '5'];
+
+// Attempts before a delivery is given up, and the delay before the first retry (doubled each time)
+const MAX_ATTEMPTS = 10;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Deliveries sent per dispatch run
+const DISPATCH_BATCH = 50;
+
+const WEBHOOK_PATTERNS = {
+  domain: /^[a-z0-9.-]+\.[a-z]{2,}$/i,
+  url: /^https?:\/\/\S+$/
+};
+
+/**
+ * Split a comma-separated filter into its values
+ * @param {string|null} list - e.g. "bounced,deferred"
+ * @returns {string[]} Values, empty for "any"
+ */
+function splitList(list) {
+  return list ? list.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Create a signing secret
+ * @returns {string} 48 hex characters
+ */
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Check and normalize a subscription submitted through the API
+ * @param {Object} body - Request body
+ * @returns {{webhook: Object}|{error: string}} Columns of webhooks (secret null if not given), or what is wrong
+ */
+function validateWebhook(body) {
+  const list = value => (Array.isArray(value) ? value.join(',') : String(value || '')).toLowerCase().replace(/\s+/g, '');
+  const webhook = {
+    name: String(body.name || '').trim(),
+    url: String(body.url || '').trim(),
+    secret: body.secret ? String(body.secret) : null,
+    enabled: body.enabled === undefined ? true : Boolean(body.enabled),
+    statuses: list(body.statuses) || null,
+    sender_domain: body.sender_domain ? String(body.sender_domain).trim().toLowerCase() : null,
+    recipient_domain: body.recipient_domain ? String(body.recipient_domain).trim().toLowerCase() : null,
+    dsn_classes: list(body.dsn_classes) || null
+  };
+
+  if (!webhook.name) return { error: 'name is required' };
+  if (!WEBHOOK_PATTERNS.url.test(webhook.url)) return { error: 'url must be an http(s) URL' };
+  const unknownStatus = splitList(webhook.statuses).find(status => !WEBHOOK_STATUSES.includes(status));
+  if (unknownStatus) return { error: `Unknown status "${unknownStatus}" (statuses: ${WEBHOOK_STATUSES.join(', ')})` };
+  const unknownClass = splitList(webhook.dsn_classes).find(dsnClass => !DSN_CLASSES.includes(dsnClass));
+  if (unknownClass) return { error: `Unknown DSN class "${unknownClass}" (classes: ${DSN_CLASSES.join(', ')})` };
+  for (const field of ['sender_domain', 'recipient_domain']) {
+    if (webhook[field] && !WEBHOOK_PATTERNS.domain.test(webhook[field])) {
+      return { error: `Invalid ${field} "${webhook[field]}"` };
+    }
+  }
+
+  return { webhook };
+}
+
+/**
+ * Whether an email passes the filters of a subscription
+ * @param {Object} webhook - Subscription row
+ * @param {Object} email - Email with its deliveries
+ * @returns {boolean} True if the subscription wants the event
+ */
+function matchesWebhook(webhook, email) {
+  const inDomain = (address, domain) => Boolean(address) && address.toLowerCase().endsWith(`@${domain}`);
+
+  const statuses = splitList(webhook.statuses);
+  if (statuses.length > 0 && !statuses.includes(email.status)) return false;
+
+  if (webhook.sender_domain && !inDomain(email.sender, webhook.sender_domain)) return false;
+
+  if (webhook.recipient_domain && !inDomain(email.recipient, webhook.recipient_domain) &&
+      !email.deliveries.some(delivery => inDomain(delivery.recipient, webhook.recipient_domain))) {
+    return false;
+  }
+
+  const dsnClasses = splitList(webhook.dsn_classes);
+  if (dsnClasses.length > 0) {
+    const codes = [email.dsn_code, ...email.deliveries.map(delivery => delivery.dsn_code)].filter(Boolean);
+    if (!codes.some(code => dsnClasses.includes(code.charAt(0)))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Queue the events of messages whose status changed
+ * @param {Object} connection - Database connection (the import transaction)
+ * @param {Object[]} changes - Status changes from refreshMessageStatus()
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function queueStatusEvents(connection, changes) {
+  if (changes.length === 0) return 0;
+
+  const [webhooks] = await connection.query('SELECT * FROM webhooks WHERE enabled = 1');
+  if (webhooks.length === 0) return 0;
+
+  // Same shape as the rows of /api/emails
+  const [emails] = await connection.query(
+    `SELECT * FROM emails WHERE message_id IN (${changes.map(() => '?').join(', ')})`,
+    changes.map(change => change.messageId)
+  );
+  await attachDeliveries(connection, emails);
+  await attachLinkedMessages(connection, emails);
+  await attachBounces(connection, emails);
+
+  const byId = new Map(emails.map(email => [email.message_id, email]));
+  const occurredAt = new Date();
+  const rows = [];
+
+  for (const change of changes) {
+    const email = byId.get(change.messageId);
+    if (!email) continue;
+
+    const event = `email.${change.status}`;
+    const payload = JSON.stringify({ event, previousStatus: change.previous, occurredAt, email });
+    webhooks
+      .filter(webhook => matchesWebhook(webhook, email))
+      .forEach(webhook => rows.push([webhook.id, event, change.messageId, payload, occurredAt]));
+  }
+
+  return insertRows(
+    connection,
+    'INSERT INTO webhook_deliveries (webhook_id, event, message_id, payload, next_attempt_at) VALUES',
+    rows
+  );
+}
+
+/**
+ * Signature header of a request body
+ * @param {string} secret - Subscription secret
+ * @param {string} body - Serialized payload
+ * @param {Date} now - Signing time
+ * @returns {string} "t=<unix time>,v1=<hex HMAC-SHA256>"
+ */
+function signPayload(secret, body, now = new Date()) {
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Delay before the next attempt of a delivery
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+class WebhookDispatcher {
+  /**
+   * @param {Object} pool - mysql2/promise pool
+   * @param {Object} options - Options
+   * @param {number} options.interval - Milliseconds between checks for due deliveries (default: 15000)
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.interval = options.interval || 15000;
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Check the queue periodically
+   */
+  start() {
+    this.timer = setInterval(() => this.dispatch(), this.interval);
+  }
+
+  /**
+   * Stop checking the queue
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send the due deliveries, joining the run already in progress if any
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  dispatch() {
+    if (!this.running) {
+      this.running = this.sendDue()
+        .catch(error => {
+          console.error(`[${new Date().toISOString()}] Error dispatching webhooks:`, error.message);
+          return 0;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Send due deliveries until none is left
+   * No connection is held while a request is in flight: each query takes
+   * one from the pool only for as long as it runs.
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async sendDue() {
+    let attempted = 0;
+    for (;;) {
+      const [deliveries] = await this.pool.query(
+        `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+         FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+         WHERE webhook_deliveries.status = 'pending' AND webhook_deliveries.next_attempt_at <= ?
+           AND webhooks.enabled = 1
+         ORDER BY webhook_deliveries.next_attempt_at, webhook_deliveries.id
+         LIMIT ?`,
+        [new Date(), DISPATCH_BATCH]
+      );
+      if (deliveries.length === 0) return attempted;
+
+      for (const delivery of deliveries) {
+        await this.send(delivery);
+        attempted++;
+      }
+    }
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   * @param {Object} delivery - Queued delivery with the url and secret of its subscription
+   */
+  async send(delivery) {
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+    let responseCode;
+
+    try {
+      responseCode = await sendWebhook(delivery.url, delivery.payload, {
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': signPayload(delivery.secret, delivery.payload, now)
+      });
+    } catch (error) {
+      const failed = attempts >= MAX_ATTEMPTS;
+      await this.pool.query(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempts = ?, last_attempt_at = ?, next_attempt_at = ?, response_code = ?, last_error = ?
+         WHERE id = ?`,
+        [
+          failed ? 'failed' : 'pending', attempts, now, new Date(now.getTime() + retryDelay(attempts)),
+          error.status || null, error.message.substring(0, 500), delivery.id
+        ]
+      );
+      if (failed) {
+        console.error(`[${now.toISOString()}] Webhook delivery ${delivery.id} to ${delivery.url} failed after ${attempts} attempts:`, error.message);
+      }
+      return;
+    }
+
+    await this.pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = ?, last_attempt_at = ?, delivered_at = ?, response_code = ?, last_error = NULL
+       WHERE id = ?`,
+      [attempts, now, now, responseCode, delivery.id]
+    );
+  }
+}
+
+module.exports = {
+  WEBHOOK_STATUSES,
+  DSN_CLASSES,
+  generateSecret,
+  validateWebhook,
+  queueStatusEvents,
+  signPayload,
+  WebhookDispatcher
+};
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { validateWebhook, queueStatusEvents, signPayload, WebhookDispatcher } = require('./webhooks');
+
+/**
+ * Replace fetch for the duration of a test
+ * @returns {Object[]} Requests sent
+ */
+function stubFetch(t, respond = async () => new Response(null, { status: 200 })) {
+  const requests = [];
+  const original = global.fetch;
+  global.fetch = async (url, options) => {
+    requests.push({ url, ...options });
+    return respond(url, options);
+  };
+  t.after(() => {
+    global.fetch = original;
+  });
+  return requests;
+}
+
+test('signs the timestamp and body with the subscription secret', () => {
+  const body = JSON.stringify({ event: 'email.bounced' });
+  const now = new Date('2026-03-02T10:00:00Z');
+  const header = signPayload('s3cret', body, now);
+
+  const [, timestamp, signature] = header.match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+  assert.equal(Number(timestamp), now.getTime() / 1000);
+  assert.equal(signature, crypto.createHmac('sha256', 's3cret').update(`${timestamp}.${body}`).digest('hex'));
+  assert.notEqual(signPayload('other', body, now), header);
+});
+
+test('validates and normalizes subscriptions', () => {
+  assert.deepEqual(validateWebhook({ name: 'CRM', url: 'https://crm.example.com/hook', statuses: ['Bounced', 'deferred'] }).webhook, {
+    name: 'CRM',
+    url: 'https://crm.example.com/hook',
+    secret: null,
+    enabled: true,
+    statuses: 'bounced,deferred',
+    sender_domain: null,
+    recipient_domain: null,
+    dsn_classes: null
+  });
+  assert.match(validateWebhook({ name: 'CRM', url: 'ftp://crm' }).error, /url/);
+  assert.match(validateWebhook({ name: 'CRM', url: 'https://crm', statuses: 'lost' }).error, /Unknown status "lost"/);
+  assert.match(validateWebhook({ name: 'CRM', url: 'https://crm', dsn_classes: '3' }).error, /Unknown DSN class/);
+});
+
+test('queues an event for each subscription whose filters match', async () => {
+  const webhooks = [
+    { id: 1, statuses: null, sender_domain: null, recipient_domain: null, dsn_classes: null },
+    { id: 2, statuses: 'bounced', sender_domain: null, recipient_domain: null, dsn_classes: null },
+    { id: 3, statuses: null, sender_domain: 'example.com', recipient_domain: 'gmail.com', dsn_classes: '5' },
+    { id: 4, statuses: null, sender_domain: 'other.test', recipient_domain: null, dsn_classes: null }
+  ];
+  const email = { message_id: 'ABC123', status: 'bounced', sender: 'alice@example.com', recipient: 'bob@gmail.com', dsn_code: '5.1.1' };
+  let inserted = [];
+  const connection = {
+    async query(sql, params) {
+      if (sql.startsWith('SELECT * FROM webhooks')) return [webhooks];
+      if (sql.startsWith('SELECT * FROM emails')) return [[{ ...email }]];
+      if (sql.startsWith('INSERT INTO webhook_deliveries')) {
+        inserted = params;
+        return [{ affectedRows: params.length / 5 }];
+      }
+      return [[]];
+    }
+  };
+
+  const queued = await queueStatusEvents(connection, [{ messageId: 'ABC123', previous: 'deferred', status: 'bounced' }]);
+  assert.equal(queued, 3);
+  assert.deepEqual([inserted[0], inserted[5], inserted[10]], [1, 2, 3]);
+  const payload = JSON.parse(inserted[3]);
+  assert.equal(payload.event, 'email.bounced');
+  assert.equal(payload.previousStatus, 'deferred');
+  assert.equal(payload.email.message_id, 'ABC123');
+});
+
+/**
+ * Pool double serving `deliveries` once, recording UPDATEs; getConnection is never expected
+ */
+function createPool(deliveries) {
+  const updates = [];
+  let served = false;
+  return {
+    updates,
+    getConnection() {
+      throw new Error('the dispatcher must not hold a connection');
+    },
+    async query(sql, params) {
+      if (sql.startsWith('SELECT')) {
+        const rows = served ? [] : deliveries;
+        served = true;
+        return [rows];
+      }
+      updates.push({ sql: sql.replace(/\s+/g, ' '), params });
+      return [{ affectedRows: 1 }];
+    }
+  };
+}
+
+test('sends signed deliveries and records the outcome through the pool', async t => {
+  const payload = JSON.stringify({ event: 'email.sent' });
+  const pool = createPool([
+    { id: 7, attempts: 0, event: 'email.sent', payload, url: 'http://ok.example.test/', secret: 'k1' },
+    { id: 8, attempts: 2, event: 'email.sent', payload, url: 'http://down.example.test/', secret: 'k2' }
+  ]);
+  const requests = stubFetch(t, async url => new Response(null, { status: url.includes('down') ? 502 : 204 }));
+
+  const attempted = await new WebhookDispatcher(pool).dispatch();
+  assert.equal(attempted, 2);
+
+  assert.equal(requests[0].body, payload);
+  assert.equal(requests[0].headers['X-Webhook-Delivery'], '7');
+  const [, timestamp, signature] = requests[0].headers['X-Webhook-Signature'].match(/^t=(\d+),v1=(\w+)$/);
+  assert.equal(signature, crypto.createHmac('sha256', 'k1').update(`${timestamp}.${payload}`).digest('hex'));
+
+  assert.match(pool.updates[0].sql, /SET status = 'delivered'/);
+  assert.equal(pool.updates[0].params[0], 1);
+  assert.equal(pool.updates[0].params[3], 204);
+
+  // Third failed attempt: still pending, retried after 30 s * 2^2
+  const [status, attempts, lastAttempt, nextAttempt, responseCode, lastError, id] = pool.updates[1].params;
+  assert.deepEqual([status, attempts, responseCode, lastError, id], ['pending', 3, 502, 'HTTP 502', 8]);
+  assert.equal(nextAttempt - lastAttempt, 120000);
+});
+
+test('gives a delivery up after the last attempt', async t => {
+  const pool = createPool([{ id: 9, attempts: 9, event: 'email.sent', payload: '{}', url: 'http://down.example.test/', secret: 'k' }]);
+  stubFetch(t, async () => {
+    throw new TypeError('fetch failed');
+  });
+
+  await new WebhookDispatcher(pool).dispatch();
+  assert.deepEqual(pool.updates[0].params.slice(0, 2), ['failed', 10]);
+  assert.equal(pool.updates[0].params[5], 'fetch failed');
+});
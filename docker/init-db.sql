@@ -7,12 +7,15 @@ CREATE TABLE IF NOT EXISTS logs (
   hostname VARCHAR(255),
   service VARCHAR(100),
   process_id INT,
-  message_id VARCHAR(100) UNIQUE,
+  message_id VARCHAR(100),
   content TEXT,
+  line_hash CHAR(40),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   INDEX idx_log_date (log_date),
   INDEX idx_service (service),
-  INDEX idx_message_id (message_id)
+  INDEX idx_message_id (message_id),
+  UNIQUE INDEX uniq_line_hash (line_hash),
+  FULLTEXT INDEX ft_content (content)
 );
 
 CREATE TABLE IF NOT EXISTS emails (
@@ -27,17 +30,219 @@ CREATE TABLE IF NOT EXISTS emails (
   status VARCHAR(50),
   dsn_code VARCHAR(20),
   response_text TEXT,
+  recipient_count INT,
+  nrcpt INT,
+  queue_state VARCHAR(20),
+  last_seen DATETIME,
+  expired_at DATETIME,
+  finished_at DATETIME,
+  message_id_header VARCHAR(255),
+  dkim_result VARCHAR(30),
+  dkim_domain VARCHAR(255),
+  dkim_selector VARCHAR(100),
+  dkim_error TEXT,
+  transport VARCHAR(20),
+  bounce_queue_id VARCHAR(100),
+  bounce_of VARCHAR(100),
+  notification_type VARCHAR(30),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   INDEX idx_log_date (log_date),
   INDEX idx_sender (sender),
   INDEX idx_recipient (recipient),
-  INDEX idx_status (status)
+  INDEX idx_status (status),
+  INDEX idx_queue_state (queue_state),
+  INDEX idx_message_id_header (message_id_header),
+  INDEX idx_dkim_result (dkim_result),
+  INDEX idx_transport (transport),
+  INDEX idx_bounce_of (bounce_of),
+  FULLTEXT INDEX ft_search (sender, recipient, response_text)
+);
+
+CREATE TABLE IF NOT EXISTS deliveries (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  message_id VARCHAR(100) NOT NULL,
+  log_date DATETIME NOT NULL,
+  recipient VARCHAR(255),
+  orig_recipient VARCHAR(255),
+  transport VARCHAR(20),
+  relay VARCHAR(255),
+  delay DECIMAL(10, 2),
+  dsn_code VARCHAR(20),
+  status VARCHAR(50),
+  response_text TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_attempt (message_id, recipient, log_date, status),
+  INDEX idx_message_id (message_id),
+  INDEX idx_recipient (recipient),
+  INDEX idx_status (status),
+  INDEX idx_transport (transport)
+);
+
+CREATE TABLE IF NOT EXISTS rejections (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  log_date DATETIME NOT NULL,
+  hostname VARCHAR(255),
+  service VARCHAR(100),
+  source VARCHAR(50),
+  event VARCHAR(100),
+  queue_id VARCHAR(100),
+  stage VARCHAR(50),
+  client_host VARCHAR(255),
+  client_ip VARCHAR(50),
+  helo VARCHAR(255),
+  sender VARCHAR(255),
+  recipient VARCHAR(255),
+  reply_code SMALLINT,
+  dsn_code VARCHAR(20),
+  reason_class VARCHAR(50),
+  reason TEXT,
+  metric_value INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_log_date (log_date),
+  INDEX idx_client_ip (client_ip),
+  INDEX idx_reason_class (reason_class),
+  INDEX idx_source (source)
+);
+
+CREATE TABLE IF NOT EXISTS smtp_sessions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  hostname VARCHAR(255) NOT NULL,
+  process_id INT NOT NULL,
+  client_host VARCHAR(255),
+  client_ip VARCHAR(50),
+  connected_at DATETIME NOT NULL,
+  disconnected_at DATETIME,
+  queue_ids TEXT,
+  sasl_username VARCHAR(255),
+  reject_count INT DEFAULT 0,
+  end_reason VARCHAR(100),
+  command_stats VARCHAR(255),
+  command_count INT,
+  failed_commands INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_session (hostname, process_id, connected_at),
+  INDEX idx_client_ip (client_ip),
+  INDEX idx_connected_at (connected_at),
+  INDEX idx_open (disconnected_at, hostname, process_id)
 );
 
 CREATE TABLE IF NOT EXISTS processed_logs (
   id INT AUTO_INCREMENT PRIMARY KEY,
   log_file VARCHAR(255) NOT NULL,
   last_position BIGINT,
+  file_inode BIGINT UNSIGNED,
+  head_hash CHAR(40),
   processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   UNIQUE KEY unique_file (log_file)
 );
+
+CREATE TABLE IF NOT EXISTS imported_files (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  fingerprint CHAR(40) NOT NULL,
+  log_file VARCHAR(255) NOT NULL,
+  last_position BIGINT DEFAULT 0,
+  completed TINYINT(1) DEFAULT 0,
+  imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_fingerprint (fingerprint)
+);
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  enabled TINYINT(1) DEFAULT 1,
+  metric VARCHAR(30) NOT NULL,
+  domain VARCHAR(255),
+  operator VARCHAR(2) NOT NULL,
+  threshold DECIMAL(12,2) NOT NULL,
+  window_minutes INT DEFAULT 60,
+  for_minutes INT DEFAULT 0,
+  active_days VARCHAR(20),
+  active_hours VARCHAR(11),
+  repeat_minutes INT,
+  notify_webhook VARCHAR(500),
+  notify_email VARCHAR(500),
+  state VARCHAR(10) DEFAULT 'ok',
+  pending_since DATETIME,
+  fired_at DATETIME,
+  resolved_at DATETIME,
+  last_value DECIMAL(12,2),
+  last_evaluated_at DATETIME,
+  last_notified_at DATETIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS alert_events (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  rule_id INT NOT NULL,
+  state VARCHAR(10) NOT NULL,
+  value DECIMAL(12,2),
+  threshold DECIMAL(12,2),
+  message TEXT,
+  notify_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_rule_created (rule_id, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  url VARCHAR(500) NOT NULL,
+  secret VARCHAR(100) NOT NULL,
+  enabled TINYINT(1) DEFAULT 1,
+  statuses VARCHAR(100),
+  sender_domain VARCHAR(255),
+  recipient_domain VARCHAR(255),
+  dsn_classes VARCHAR(10),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  webhook_id INT NOT NULL,
+  event VARCHAR(30) NOT NULL,
+  message_id VARCHAR(100),
+  payload MEDIUMTEXT NOT NULL,
+  status VARCHAR(10) DEFAULT 'pending',
+  attempts INT DEFAULT 0,
+  next_attempt_at DATETIME NOT NULL,
+  last_attempt_at DATETIME,
+  delivered_at DATETIME,
+  response_code INT,
+  last_error VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_due (status, next_attempt_at),
+  INDEX idx_webhook_created (webhook_id, created_at)
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  username VARCHAR(50) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  role VARCHAR(10) NOT NULL DEFAULT 'viewer',
+  active TINYINT(1) DEFAULT 1,
+  last_login_at DATETIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id CHAR(64) PRIMARY KEY,
+  user_id INT NOT NULL,
+  expires_at DATETIME NOT NULL,
+  last_seen_at DATETIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user (user_id),
+  INDEX idx_expires (expires_at)
+);
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  token_prefix VARCHAR(12) NOT NULL,
+  scopes VARCHAR(100) NOT NULL,
+  expires_at DATETIME,
+  last_used_at DATETIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_user (user_id)
+);
@@ -10,10 +10,29 @@ const mysql = require('mysql2/promise');
 const fs = require('fs').promises;
 const path = require('path');
 const { execSync } = require('child_process');
+const { listLogFiles, openLogStream, fingerprintFile, readLineBatches } = require('../backend/lib/archive');
+const { createRegistry } = require('../backend/lib/parsers');
+const { createSummary, completeSummary, ingestLines } = require('../backend/lib/ingest');
+const { loadCheckpoint, saveCheckpoint, saveFileProgress } = require('../backend/lib/checkpoints');
+const { LogTailer } = require('../backend/lib/tailer');
+const { createFormat } = require('../backend/lib/formats');
+const { pseudonymizeAddresses } = require('../backend/lib/privacy');
 
 const LOG_FILE = process.env.LOG_FILE || '/app/logs/mail.log';
+// Line index kept by older versions, only read to migrate to processed_logs
 const STATE_FILE = '/app/data/log_state.json';
 const QUEUE_DIR = process.env.QUEUE_DIR || '/var/spool/postfix';
+// syslog, journal-json, journal-export or json (see backend/lib/formats.js)
+const LOG_FORMAT = process.env.LOG_FORMAT || 'syslog';
+let logFormat;
+try {
+  logFormat = createFormat(LOG_FORMAT, { jsonFields: process.env.LOG_JSON_FIELDS });
+} catch (error) {
+  console.error(`Invalid LOG_FORMAT or LOG_JSON_FIELDS: ${error.message}`);
+  process.exit(1);
+}
+// Lines stored per transaction, which also bounds the memory an import uses
+const IMPORT_BATCH_LINES = parseInt(process.env.IMPORT_BATCH_LINES) || 1000;
 
 // Database configuration
 const dbConfig = {
@@ -30,26 +49,8 @@ const dbConfig = {
 // Create pool
 const pool = mysql.createPool(dbConfig);
 
-/**
- * Parse Postfix log line
- * Format: 2026-02-11T09:26:24.771360+01:00 hostname service[pid]: message
- */
-function parseLogLine(line) {
-  const regex = /^([^\s]+)\s+([^\s]+)\s+([^\s\[]+)\[(\d+)\]:\s+(.*)$/;
-  const match = line.match(regex);
-  
-  if (!match) return null;
-
-  const [, timestamp, hostname, service, processId, content] = match;
-
-  return {
-    timestamp,
-    hostname,
-    service,
-    processId: parseInt(processId),
-    content
-  };
-}
+// Built-in Postfix/OpenDKIM parsers plus any PARSER_PLUGINS
+const registry = createRegistry();
 
 /**
  * Parse queue data from postqueue command output
@@ -102,38 +103,6 @@ function parsePostqueueOutput(output) {
   return queueData;
 }
 
-/**
- * Extract email information from log content
- */
-function extractEmailInfo(service, content) {
-  const emailInfo = {};
-
-  if (service === 'postfix/qmgr') {
-    const fromMatch = content.match(/from=<([^>]*)>/);
-    const sizeMatch = content.match(/size=(\d+)/);
-    
-    if (fromMatch) emailInfo.from = fromMatch[1];
-    if (sizeMatch) emailInfo.size = parseInt(sizeMatch[1]);
-  } else if (service === 'postfix/smtp') {
-    const toMatch = content.match(/to=<([^>]*)>/);
-    const relayMatch = content.match(/relay=([^\s,]+)/);
-    const delayMatch = content.match(/delay=([\d.]+)/);
-    const dsnMatch = content.match(/dsn=([\d.]+)/);
-    const statusMatch = content.match(/status=(\w+)\s+\(([^)]*)\)/);
-
-    if (toMatch) emailInfo.to = toMatch[1];
-    if (relayMatch) emailInfo.relay = relayMatch[1];
-    if (delayMatch) emailInfo.delay = parseFloat(delayMatch[1]);
-    if (dsnMatch) emailInfo.dsn = dsnMatch[1];
-    if (statusMatch) {
-      emailInfo.status = statusMatch[1];
-      emailInfo.response = statusMatch[2];
-    }
-  }
-
-  return emailInfo;
-}
-
 /**
  * Archive old bounced/held emails
  * Moves emails with status 'bounced' or 'held' older than 30 days to 'archived'
@@ -217,8 +186,8 @@ async function syncQueueEmails() {
             [
               messageId,
               now,
-              queueEntry.from || null,
-              queueEntry.to || null,
+              pseudonymizeAddresses(queueEntry.from) || null,
+              pseudonymizeAddresses(queueEntry.to) || null,
               queueEntry.size || null,
               queueEntry.status
             ]
@@ -238,151 +207,154 @@ async function syncQueueEmails() {
   }
 }
 
+/**
+ * Parse raw log lines and insert them with their email records, through the
+ * same parser registry and pipeline as the backend
+ * @param {Object} connection - Database connection
+ * @param {string[]} lines - Raw log lines
+ * @param {Object} summary - Import counters from createSummary(), updated in place
+ * @param {Object} options - Line parsing options ({ timezone, referenceDate })
+ */
+async function storeLines(connection, lines, summary, options = {}) {
+  await ingestLines(connection, lines, summary, registry, options);
+}
+
+/**
+ * Checkpoint equivalent to the line index older versions kept in
+ * log_state.json, so upgrading does not import LOG_FILE again from the start
+ * @returns {Promise<Object|null>} Checkpoint, or null without a usable state file
+ */
+async function legacyCheckpoint() {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(STATE_FILE, 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+
+  // lineIndex also counted the empty text after the last newline
+  const lineCount = (state.lineIndex || 0) - 1;
+  if (lineCount <= 0) return null;
+
+  const { ino } = await fs.stat(LOG_FILE);
+  let seen = 0;
+  for await (const batch of readLineBatches(openLogStream(LOG_FILE), { batchLines: 1 })) {
+    if (++seen === lineCount) {
+      return { inode: ino, offset: batch.offset, headHash: null };
+    }
+  }
+  return null;
+}
+
 /**
  * Process log file and insert into database
+ * Reads LOG_FILE from the checkpoint stored in processed_logs, in batches of
+ * IMPORT_BATCH_LINES lines, each committed together with its checkpoint.
  */
 async function processLogs() {
   const connection = await pool.getConnection();
 
   try {
-    console.log(`[${new Date().toISOString()}] Starting log import from ${LOG_FILE}`);
+    const startTime = new Date();
+    console.log(`[${startTime.toISOString()}] Starting log import from ${LOG_FILE}`);
 
-    // Get current state
-    let state = { position: 0 };
-    try {
-      const stateData = await fs.readFile(STATE_FILE, 'utf-8');
-      state = JSON.parse(stateData);
-    } catch (e) {
-      // File doesn't exist, start from beginning
+    const checkpoint = await loadCheckpoint(connection, LOG_FILE) || await legacyCheckpoint();
+    const tailer = new LogTailer(LOG_FILE, { format: logFormat, batchLines: IMPORT_BATCH_LINES });
+    const summary = createSummary();
+
+    for await (const batch of tailer.batches(checkpoint)) {
+      await connection.beginTransaction();
+      try {
+        await storeLines(connection, batch.lines, summary);
+        await saveCheckpoint(connection, LOG_FILE, batch.checkpoint);
+        await connection.commit();
+      } catch (e) {
+        await connection.rollback();
+        throw e;
+      }
     }
 
-    // Read file starting from last position
-    const fileContent = await fs.readFile(LOG_FILE, 'utf-8');
-    const lines = fileContent.split('\n');
-    const newLines = lines.slice(state.lineIndex || 0);
+    // A drained rotated file must not be imported again by a later backfill
+    for (const rotatedFile of tailer.rotatedFiles) {
+      const fingerprint = await fingerprintFile(rotatedFile);
+      if (fingerprint) {
+        await saveFileProgress(connection, fingerprint, rotatedFile, 0, true);
+      }
+    }
+    tailer.warnings.forEach(warning => console.warn(warning));
 
-    if (newLines.length === 0) {
+    if (summary.linesRead === 0) {
       console.log('No new logs to process');
       return;
     }
 
-    const logsByMessageId = {};
-    const logs = [];
+    completeSummary(summary, startTime);
+    console.log(`[${new Date().toISOString()}] Imported ${summary.logsInserted} log entries (${summary.linesPerSecond} lines/s, ${summary.duplicatesSkipped} duplicates skipped, ${summary.unparsedLines} unparseable lines)`);
 
-    // Parse all lines
-    for (const line of newLines) {
-      if (!line.trim()) continue;
-
-      const parsed = parseLogLine(line);
-      if (!parsed) continue;
+    // Sync queue emails after importing logs
+    await syncQueueEmails();
 
-      logs.push(parsed);
+    // Archive old emails
+    await archiveOldEmails();
 
-      // Extract message ID from content
-      const msgIdMatch = parsed.content.match(/^([A-F0-9]+):\s*/);
-      if (msgIdMatch) {
-        const messageId = msgIdMatch[1];
-        if (!logsByMessageId[messageId]) {
-          logsByMessageId[messageId] = {
-            messageId,
-            logs: [],
-            emailData: {}
-          };
-        }
-        logsByMessageId[messageId].logs.push(parsed);
+  } catch (error) {
+    console.error(`Error processing logs: ${error.message}`, error);
+    process.exit(1);
+  } finally {
+    await connection.release();
+  }
+}
 
-        // Extract email info
-        const emailInfo = extractEmailInfo(parsed.service, parsed.content);
-        logsByMessageId[messageId].emailData = {
-          ...logsByMessageId[messageId].emailData,
-          ...emailInfo
-        };
-      }
-    }
+/**
+ * Import rotated and compressed archives (mail.log.1, mail.log.2.gz, ...)
+ * oldest first. Archives already recorded in imported_files by fingerprint
+ * are skipped; interrupted ones resume from the last committed batch.
+ */
+async function backfill(source, formatName = LOG_FORMAT) {
+  const format = createFormat(formatName, { jsonFields: process.env.LOG_JSON_FIELDS });
+  const connection = await pool.getConnection();
 
-    // Insert logs into database
-    for (const log of logs) {
-      const logDate = new Date(log.timestamp);
-      
-      try {
-        await connection.execute(
-          `INSERT INTO logs (log_date, timestamp_utc, hostname, service, process_id, content)
-           VALUES (?, ?, ?, ?, ?, ?)
-           ON DUPLICATE KEY UPDATE created_at = NOW()`,
-          [logDate, logDate, log.hostname, log.service, log.processId, log.content]
-        );
-      } catch (e) {
-        console.error(`Error inserting log: ${e.message}`);
+  try {
+    const files = (await listLogFiles(source)).filter(file => file !== path.resolve(LOG_FILE));
+    console.log(`[${new Date().toISOString()}] Backfill from ${source}: ${files.length} files`);
+
+    for (const file of files) {
+      const fingerprint = await fingerprintFile(file);
+      if (!fingerprint) continue;
+
+      const [rows] = await connection.execute(
+        'SELECT last_position, completed FROM imported_files WHERE fingerprint = ?',
+        [fingerprint]
+      );
+      if (rows.length > 0 && rows[0].completed) {
+        console.log(`Skipping ${file}: already imported`);
+        continue;
       }
-    }
 
-    // Insert/update email records
-    for (const [messageId, data] of Object.entries(logsByMessageId)) {
-      if (data.emailData.to || data.emailData.from) {
-        const emailData = data.emailData;
-        const logDate = data.logs[0] ? new Date(data.logs[0].timestamp) : new Date();
+      const start = rows.length > 0 ? Number(rows[0].last_position) : 0;
+      let position = start;
+      const startTime = new Date();
+      const summary = createSummary();
+      // RFC 3164 lines carry no year: infer it from when the archive was last written
+      const { mtime } = await fs.stat(file);
 
+      for await (const batch of readLineBatches(openLogStream(file), { start, format, batchLines: IMPORT_BATCH_LINES })) {
+        await connection.beginTransaction();
         try {
-          await connection.execute(
-            `INSERT INTO emails (message_id, log_date, sender, recipient, size, relay, delay, status, dsn_code, response_text)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-             ON DUPLICATE KEY UPDATE 
-               sender = COALESCE(VALUES(sender), sender),
-               recipient = COALESCE(VALUES(recipient), recipient),
-               size = COALESCE(VALUES(size), size),
-               relay = COALESCE(VALUES(relay), relay),
-               delay = COALESCE(VALUES(delay), delay),
-               status = COALESCE(VALUES(status), status),
-               dsn_code = COALESCE(VALUES(dsn_code), dsn_code),
-               response_text = COALESCE(VALUES(response_text), response_text)`,
-            [
-              messageId,
-              logDate,
-              emailData.from || null,
-              emailData.to || null,
-              emailData.size || null,
-              emailData.relay || null,
-              emailData.delay || null,
-       Archive old emails
-    await archiveOldEmails();
-
-    //        emailData.status || null,
-              emailData.dsn || null,
-              emailData.response || null
-            ]
-          );
+          await storeLines(connection, batch.lines, summary, { referenceDate: mtime });
+          await saveFileProgress(connection, fingerprint, file, batch.offset, false);
+          await connection.commit();
         } catch (e) {
-          console.error(`Error inserting email record: ${e.message}`);
+          await connection.rollback();
+          throw e;
         }
+        position = batch.offset;
       }
-    }
-
-    // Update state and clear log file if needed
-    const newState = {
-      lineIndex: lines.length,
-      lastProcessed: new Date().toISOString(),
-      entriesProcessed: newLines.length
-    };
-
-    // Create directory if needed
-    const stateDir = path.dirname(STATE_FILE);
-    await fs.mkdir(stateDir, { recursive: true });
-    await fs.writeFile(STATE_FILE, JSON.stringify(newState, null, 2));
 
-    console.log(`[${new Date().toISOString()}] Imported ${newLines.length} log entries`);
-
-    // Sync queue emails after importing logs
-    await syncQueueEmails();
-
-    // Clear processed logs if requested
-    if (process.env.CLEAR_LOGS === 'true') {
-      await fs.writeFile(LOG_FILE, '');
-      console.log('Cleared mail.log file');
+      await saveFileProgress(connection, fingerprint, file, position, true);
+      completeSummary(summary, startTime);
+      console.log(`[${new Date().toISOString()}] Imported ${summary.logsInserted} log entries from ${file} (${summary.linesPerSecond} lines/s, ${summary.duplicatesSkipped} duplicates skipped, ${summary.unparsedLines} unparseable lines)`);
     }
-
-  } catch (error) {
-    console.error(`Error processing logs: ${error.message}`, error);
-    process.exit(1);
   } finally {
     await connection.release();
   }
@@ -390,10 +362,27 @@ async function processLogs() {
 
 /**
  * Main scheduler
+ * Usage:
+ *   log-importer.js                    import LOG_FILE now and every hour
+ *   log-importer.js backfill <source> [--format <format>]
+ *                                      import archives from a directory or glob, then exit
  */
 async function main() {
   console.log('SMTP Log Importer started');
 
+  if (process.argv[2] === 'backfill') {
+    const args = process.argv.slice(3);
+    const formatIndex = args.indexOf('--format');
+    const formatName = formatIndex !== -1 ? args.splice(formatIndex, 2)[1] : LOG_FORMAT;
+    const source = args[0] || `${LOG_FILE}.*`;
+    try {
+      await backfill(source, formatName);
+    } finally {
+      await pool.end();
+    }
+    return;
+  }
+
   // Run immediately
   await processLogs();
 